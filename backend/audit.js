@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+
+// Query audit log. Every call to /api/query, /api/query/export, /api/jobs,
+// /api/entities/:entity_name/profile and
+// /api/entities/:entity_name/columns/:column/values, and every run of a
+// scheduled query, leaves one record in data_explorer_config.query_audit_log:
+//
+//   id STRING, timestamp TIMESTAMP, user_email STRING, action STRING,
+//   entity_name STRING, source_system STRING, columns ARRAY<STRING>,
+//   filters JSON, query JSON, row_count INT64, total_rows INT64,
+//   bytes_processed INT64, duration_ms INT64, status INT64,
+//   outcome STRING, error_message STRING, job_id STRING
+//
+// `action` is 'query', 'export', 'job' (POST /api/jobs, recorded when the
+// job ends), 'profile', 'values' (filter suggestions) or 'schedule'
+// (recorded as the schedule's owner);
+// `outcome` is 'success', 'denied' (401/403), 'rejected' (any other 4xx),
+// 'error' (5xx) or 'aborted' (the client went away, a job was cancelled, or
+// an export failed after the download started). bytes_processed is only set
+// when the request ran a BigQuery job; reading a later page of an existing
+// job is recorded with 0 bytes.
+//
+// Records are written with streaming inserts once the response is done, so
+// auditing never delays or fails a query. A record that cannot be written is
+// logged instead.
+
+const AUDIT_DATASET = 'data_explorer_config';
+const AUDIT_TABLE = 'query_audit_log';
+// The project of the config dataset, as for the entities table (see
+// BQ_PROJECT in index.js).
+const auditProject = (bigquery) => process.env.GCP_PROJECT || bigquery.projectId;
+const auditTable = (bigquery) => `\`${auditProject(bigquery)}.${AUDIT_DATASET}.${AUDIT_TABLE}\``;
+const AUDIT_OUTCOMES = ['success', 'denied', 'rejected', 'error', 'aborted'];
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Column order for listings and exports.
+const AUDIT_COLUMNS = [
+    'timestamp', 'user_email', 'action', 'entity_name', 'source_system', 'columns', 'filters', 'query',
+    'row_count', 'total_rows', 'bytes_processed', 'duration_ms', 'status', 'outcome', 'error_message', 'job_id', 'id',
+];
+const AUDIT_COLUMN_TYPES = {
+    timestamp: 'TIMESTAMP',
+    row_count: 'INT64',
+    total_rows: 'INT64',
+    bytes_processed: 'INT64',
+    duration_ms: 'INT64',
+    status: 'INT64',
+};
+
+class AuditError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuditError';
+        this.status = status;
+    }
+}
+
+const outcomeFor = (status) => {
+    if (status < 400) return 'success';
+    if (status === 401 || status === 403) return 'denied';
+    if (status < 500) return 'rejected';
+    return 'error';
+};
+
+const writeAuditRecord = async (bigquery, record) => {
+    try {
+        await bigquery.dataset(AUDIT_DATASET, { projectId: auditProject(bigquery) }).table(AUDIT_TABLE).insert(record);
+    } catch (error) {
+        // Keep the record in the logs so it is not lost altogether.
+        console.error('ERROR writing audit record:', error.message, JSON.stringify(record));
+    }
+};
+
+// The record for a query by `userEmail` that started at `startedAt`, from
+// what was collected in `audit` along the way.
+const toAuditRow = ({ userEmail, action, startedAt, audit, status, finished }) => {
+    const query = audit.query || null;
+    return {
+        id: crypto.randomUUID(),
+        timestamp: startedAt.toISOString(),
+        user_email: userEmail,
+        action,
+        entity_name: audit.entity_name || null,
+        source_system: audit.source_system || null,
+        columns: query && Array.isArray(query.columns) ? query.columns.map(String) : [],
+        filters: query && query.filters ? JSON.stringify(query.filters) : null,
+        query: query ? JSON.stringify(query) : null,
+        row_count: audit.row_count ?? null,
+        total_rows: audit.total_rows ?? null,
+        bytes_processed: audit.bytes_processed ?? null,
+        duration_ms: Date.now() - startedAt.getTime(),
+        status,
+        outcome: audit.outcome || (finished ? outcomeFor(status) : 'aborted'),
+        error_message: audit.error_message || null,
+        job_id: audit.job_id || null,
+    };
+};
+
+/**
+ * Records a query that did not come in as a request, such as a scheduled
+ * run. `audit` holds the same fields as res.locals.audit (see auditQuery).
+ */
+const recordQueryAudit = (bigquery, { userEmail, action, startedAt, audit, status }) =>
+    writeAuditRecord(bigquery, toAuditRow({ userEmail, action, startedAt, audit, status, finished: true }));
+
+/**
+ * Express middleware (after checkAuth) that records the request in the audit
+ * log once the response is done. Handlers add what they learn along the way
+ * to res.locals.audit: entity_name, source_system, query, row_count,
+ * total_rows, bytes_processed, job_id, and outcome/error_message when the
+ * status code alone does not tell. Work that outlives the response calls
+ * res.locals.audit.defer(), which returns a function that writes the record
+ * later with the status it is given.
+ */
+const auditQuery = (bigquery, action) => (req, res, next) => {
+    const startedAt = new Date();
+    const requested = req.body && req.body.entity ? req.body.entity.entity_name : null;
+    const audit = { entity_name: typeof requested === 'string' ? requested : null };
+    res.locals.audit = audit;
+
+    // Error responses carry their message in `error`; keep it for the record.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (body && body.error && !audit.error_message) audit.error_message = String(body.error);
+        return json(body);
+    };
+
+    const write = (status, finished) => {
+        writeAuditRecord(bigquery, toAuditRow({ userEmail: req.user.email, action, startedAt, audit, status, finished }));
+    };
+
+    let deferred = false;
+    audit.defer = () => {
+        deferred = true;
+        return (status) => write(status, true);
+    };
+    res.on('close', () => {
+        if (!deferred) write(res.statusCode, res.writableFinished);
+    });
+    next();
+};
+
+/**
+ * Validates the listing filters from a query string: user (part of an
+ * email), entity, outcome, from/to (YYYY-MM-DD, both inclusive), limit and
+ * offset. Throws an AuditError for invalid values.
+ */
+const readAuditFilters = (params) => {
+    const filters = {};
+    for (const key of ['user', 'entity', 'outcome']) {
+        if (params[key] !== undefined && params[key] !== '') {
+            if (typeof params[key] !== 'string') throw new AuditError(`Invalid "${key}" filter.`);
+            filters[key] = params[key].trim();
+        }
+    }
+    if (filters.outcome && !AUDIT_OUTCOMES.includes(filters.outcome)) {
+        throw new AuditError(`Invalid outcome '${filters.outcome}'. Use one of: ${AUDIT_OUTCOMES.join(', ')}.`);
+    }
+    for (const key of ['from', 'to']) {
+        if (params[key] !== undefined && params[key] !== '') {
+            if (typeof params[key] !== 'string' || !DATE_REGEX.test(params[key]) || Number.isNaN(Date.parse(params[key]))) {
+                throw new AuditError(`"${key}" must be a date in the form YYYY-MM-DD.`);
+            }
+            filters[key] = params[key];
+        }
+    }
+    if (filters.from && filters.to && filters.from > filters.to) {
+        throw new AuditError('"from" must not be after "to".');
+    }
+
+    const limit = params.limit === undefined ? DEFAULT_LIST_LIMIT : Number(params.limit);
+    const offset = params.offset === undefined ? 0 : Number(params.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        throw new AuditError(`"limit" must be a whole number between 1 and ${MAX_LIST_LIMIT}.`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new AuditError('"offset" must be a whole number of at least 0.');
+    }
+    return { ...filters, limit, offset };
+};
+
+/**
+ * Builds the parameterized SELECT for a listing or export, newest first.
+ * Pass limit: null to read every matching record.
+ */
+const buildAuditQuery = ({ user, entity, outcome, from, to, limit, offset }) => {
+    const conditions = [];
+    const params = {};
+    if (user) {
+        conditions.push('STRPOS(LOWER(user_email), LOWER(@user)) > 0');
+        params.user = user;
+    }
+    if (entity) {
+        conditions.push('entity_name = @entity');
+        params.entity = entity;
+    }
+    if (outcome) {
+        conditions.push('outcome = @outcome');
+        params.outcome = outcome;
+    }
+    if (from) {
+        conditions.push('timestamp >= TIMESTAMP(@from)');
+        params.from = from;
+    }
+    if (to) {
+        conditions.push('timestamp < TIMESTAMP_ADD(TIMESTAMP(@to), INTERVAL 1 DAY)');
+        params.to = to;
+    }
+
+    let query = `
+        SELECT ${AUDIT_COLUMNS.join(', ')}
+        FROM ${auditTable(bigquery)}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY timestamp DESC, id
+    `;
+    if (limit !== null) {
+        query += ' LIMIT @limit OFFSET @offset';
+        params.limit = limit;
+        params.offset = offset;
+    }
+    return { query, params };
+};
+
+// BigQuery returns timestamps as objects and JSON columns as strings.
+const toAuditRecord = (row) => ({
+    ...row,
+    timestamp: row.timestamp ? row.timestamp.value : null,
+    filters: typeof row.filters === 'string' ? JSON.parse(row.filters) : row.filters,
+    query: typeof row.query === 'string' ? JSON.parse(row.query) : row.query,
+});
+
+/**
+ * One page of audit records matching `filters` (see readAuditFilters).
+ * Returns { records, hasMore }.
+ */
+const listAuditRecords = async (bigquery, filters) => {
+    // One extra row tells whether there is another page.
+    const { query, params } = buildAuditQuery({ ...filters, limit: filters.limit + 1 });
+    const [rows] = await bigquery.query({ query, params });
+    return {
+        records: rows.slice(0, filters.limit).map(toAuditRecord),
+        hasMore: rows.length > filters.limit,
+    };
+};
+
+/**
+ * Streams every audit record matching `filters`, newest first, as an object
+ * stream of raw rows.
+ */
+const streamAuditRecords = (bigquery, filters) =>
+    bigquery.createQueryStream(buildAuditQuery({ ...filters, limit: null }));
+
+/**
+ * Total bytes processed by a user's queries since midnight UTC.
+ */
+const getDailyBytesProcessed = async (bigquery, email) => {
+    const query = `
+        SELECT COALESCE(SUM(bytes_processed), 0) AS bytes
+        FROM ${auditTable(bigquery)}
+        WHERE user_email = @email AND timestamp >= TIMESTAMP(CURRENT_DATE())
+    `;
+    const [rows] = await bigquery.query({ query, params: { email } });
+    return Number(rows[0].bytes) || 0;
+};
+
+module.exports = {
+    AUDIT_COLUMNS,
+    AUDIT_COLUMN_TYPES,
+    auditQuery,
+    recordQueryAudit,
+    readAuditFilters,
+    listAuditRecords,
+    streamAuditRecords,
+    toAuditRecord,
+    getDailyBytesProcessed,
+    AuditError,
+};
@@ -0,0 +1,191 @@
+const { GoogleAuth, OAuth2Client } = require('google-auth-library');
+
+// Identity and authorization. IAP authenticates every request before it reaches
+// the backend and passes the caller's identity in these headers:
+//   x-goog-authenticated-user-email: accounts.google.com:alice@example.com
+//   x-goog-authenticated-user-id:    accounts.google.com:1234567890
+// When IAP_AUDIENCE is set, the signed x-goog-iap-jwt-assertion header is
+// verified as well, so requests that bypass IAP cannot forge an identity.
+//
+// Principals use the IAM member syntax: "user:alice@example.com" or
+// "group:finance@example.com".
+//
+// Environment:
+//   ADMIN_PRINCIPALS   Comma-separated principals with the admin role.
+//   IAP_AUDIENCE       Expected audience of the IAP JWT (/projects/NUM/locations/REGION/services/NAME).
+//   GROUP_LOOKUP       'cloud-identity' to resolve group membership, 'none' (default) otherwise.
+//   DEV_USER_EMAIL     Identity to assume when no IAP headers are present (local development only).
+//   DEV_USER_GROUPS    Comma-separated groups of the development user.
+
+const IAP_ISSUER = 'https://cloud.google.com/iap';
+const GROUP_CACHE_TTL_MS = 5 * 60 * 1000;
+const CLOUD_IDENTITY_URL = 'https://cloudidentity.googleapis.com/v1';
+
+const parseList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+const ADMIN_PRINCIPALS = parseList(process.env.ADMIN_PRINCIPALS).map(p => p.toLowerCase());
+const IAP_AUDIENCE = process.env.IAP_AUDIENCE;
+const GROUP_LOOKUP = process.env.GROUP_LOOKUP || 'none';
+const DEV_USER_EMAIL = (process.env.DEV_USER_EMAIL || '').toLowerCase() || null;
+const DEV_USER_GROUPS = parseList(process.env.DEV_USER_GROUPS).map(g => g.toLowerCase());
+
+if (ADMIN_PRINCIPALS.length === 0) {
+    console.warn('WARNING: ADMIN_PRINCIPALS is not set. Nobody will be able to change the entity configuration.');
+}
+
+const oauthClient = new OAuth2Client();
+const identityAuth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-identity.groups.readonly'] });
+const groupCache = new Map();
+
+// IAP prefixes identities with the identity provider, e.g. "accounts.google.com:".
+const stripIdpPrefix = (value) => (value ? value.substring(value.lastIndexOf(':') + 1) : null);
+
+const verifyIapAssertion = async (assertion) => {
+    const { pubkeys } = await oauthClient.getIapPublicKeys();
+    const ticket = await oauthClient.verifySignedJwtWithCertsAsync(assertion, pubkeys, IAP_AUDIENCE, [IAP_ISSUER]);
+    const payload = ticket.getPayload();
+    return { email: payload.email, id: payload.sub };
+};
+
+const lookupGroups = async (email) => {
+    if (email.includes("'")) return [];
+    const client = await identityAuth.getClient();
+    const query = `member_key_id == '${email}' && 'cloudidentity.googleapis.com/groups.discussion_forum' in labels`;
+    const groups = [];
+    let pageToken;
+    do {
+        const response = await client.request({
+            url: `${CLOUD_IDENTITY_URL}/groups/-/memberships:searchTransitiveGroups`,
+            params: { query, pageToken },
+        });
+        for (const membership of response.data.memberships || []) {
+            groups.push(membership.groupKey.id.toLowerCase());
+        }
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return groups;
+};
+
+const resolveGroups = async (email) => {
+    if (email === DEV_USER_EMAIL) return DEV_USER_GROUPS;
+    if (GROUP_LOOKUP !== 'cloud-identity') return [];
+
+    const cached = groupCache.get(email);
+    if (cached && cached.expiresAt > Date.now()) return cached.groups;
+    try {
+        const groups = await lookupGroups(email);
+        groupCache.set(email, { groups, expiresAt: Date.now() + GROUP_CACHE_TTL_MS });
+        return groups;
+    } catch (error) {
+        // Fail closed: without group information only direct user grants apply.
+        console.error(`ERROR resolving groups for ${email}:`, error.message);
+        return [];
+    }
+};
+
+const principalsOf = (user) => [`user:${user.email}`, ...user.groups.map(g => `group:${g}`)];
+
+/**
+ * True when the user matches any of the given principals.
+ */
+const hasPrincipal = (user, principals) => {
+    const own = principalsOf(user);
+    return principals.some(p => own.includes(String(p).trim().toLowerCase()));
+};
+
+const PRINCIPAL_REGEX = /^(user|group):[^\s@]+@[^\s@]+$/i;
+
+/**
+ * Returns an error message when an entity access policy is malformed, or null.
+ */
+const validateAccessPolicy = (policy) => {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return 'access_policy must be an object.';
+    }
+    const allowed = policy.allowed_principals;
+    if (allowed === undefined) return null;
+    if (!Array.isArray(allowed)) {
+        return 'access_policy.allowed_principals must be an array.';
+    }
+    const invalid = allowed.find(p => typeof p !== 'string' || !PRINCIPAL_REGEX.test(p.trim()));
+    if (invalid !== undefined) {
+        return `Invalid principal '${invalid}'. Use 'user:<email>' or 'group:<email>'.`;
+    }
+    return null;
+};
+
+const parseAccessPolicy = (entity) => {
+    const policy = typeof entity.access_policy === 'string'
+        ? JSON.parse(entity.access_policy)
+        : entity.access_policy;
+    return policy || {};
+};
+
+/**
+ * Admins can use every entity. Otherwise an entity whose access policy lists
+ * allowed principals is limited to them; an entity without a list is open to
+ * every authenticated user.
+ */
+const canAccessEntity = (user, entity) => {
+    if (user.isAdmin) return true;
+    const allowed = parseAccessPolicy(entity).allowed_principals;
+    if (!Array.isArray(allowed) || allowed.length === 0) return true;
+    return hasPrincipal(user, allowed);
+};
+
+const identify = async (req) => {
+    if (IAP_AUDIENCE) {
+        const assertion = req.header('x-goog-iap-jwt-assertion');
+        return assertion ? verifyIapAssertion(assertion) : null;
+    }
+    const email = stripIdpPrefix(req.header('x-goog-authenticated-user-email'));
+    if (email) {
+        return { email, id: stripIdpPrefix(req.header('x-goog-authenticated-user-id')) };
+    }
+    return DEV_USER_EMAIL ? { email: DEV_USER_EMAIL, id: 'dev' } : null;
+};
+
+/**
+ * A user with their groups and roles, by email. Scheduled queries run as the
+ * user who scheduled them, with the rights that user has at the time.
+ */
+const resolveUser = async (email, id = null) => {
+    const normalized = email.toLowerCase();
+    const user = { email: normalized, id, groups: await resolveGroups(normalized) };
+    user.isAdmin = hasPrincipal(user, ADMIN_PRINCIPALS);
+    user.roles = user.isAdmin ? ['user', 'admin'] : ['user'];
+    return user;
+};
+
+// Attaches the caller's identity and roles to req.user.
+const checkAuth = async (req, res, next) => {
+    let identity;
+    try {
+        identity = await identify(req);
+    } catch (error) {
+        console.error('ERROR verifying IAP assertion:', error.message);
+        return res.status(401).json({ error: 'The IAP identity of this request could not be verified.' });
+    }
+    if (!identity || !identity.email) {
+        return res.status(401).json({ error: 'Request is missing an authenticated IAP identity.' });
+    }
+
+    req.user = await resolveUser(identity.email, identity.id);
+    next();
+};
+
+const requireAdmin = (req, res, next) => {
+    if (!req.user || !req.user.isAdmin) {
+        return res.status(403).json({ error: 'This action requires the admin role.' });
+    }
+    next();
+};
+
+module.exports = {
+    checkAuth,
+    requireAdmin,
+    resolveUser,
+    canAccessEntity,
+    hasPrincipal,
+    validateAccessPolicy,
+};
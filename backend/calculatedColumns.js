@@ -0,0 +1,394 @@
+// Calculated columns: columns an admin defines in an entity's source_details
+// as an expression over the table's own columns, e.g.
+//
+// "calculatedColumns": [
+//   { "name": "order_month", "type": "DATE", "expression": "DATE_TRUNC(order_date, MONTH)" },
+//   { "name": "gross_amount", "type": "NUMERIC", "expression": "COALESCE(net_amount, 0) * 1.19" },
+//   { "name": "size_class", "type": "STRING",
+//     "expression": "CASE WHEN quantity >= 1000 THEN 'large' WHEN quantity >= 100 THEN 'medium' ELSE 'small' END" }
+// ]
+//
+// They appear in the entity's schema next to the source columns, so they can
+// be selected, filtered, grouped and sorted on like any other column.
+//
+// The expression language is a small subset of SQL: column names, numbers,
+// 'strings' ('' for a quote), TRUE/FALSE/NULL, + - * /, || (concatenation),
+// comparisons, AND/OR/NOT, IS [NOT] NULL, CASE WHEN ... THEN ... [ELSE ...]
+// END, CAST(x AS type) and the functions in FUNCTIONS. Expressions are parsed
+// here into a tree of plain JSON nodes, which is what the query function
+// receives and compiles (see cloud-functions/main.py): the text an admin
+// typed never reaches the SQL, literals are bound as query parameters and
+// column names are checked like every other identifier.
+//
+// Calculated columns may only read source columns, not other calculated
+// columns, and their result is CAST to the declared `type`. Adapters whose
+// source_details schema includes CALCULATED_COLUMNS_SCHEMA compute them.
+
+const MAX_CALCULATED_COLUMNS = 50;
+const MAX_EXPRESSION_LENGTH = 1000;
+// How deeply expression trees may nest: `a + b * c` is three levels deep.
+const MAX_EXPRESSION_DEPTH = 32;
+
+const CALCULATED_COLUMN_TYPES = ['STRING', 'INT64', 'FLOAT64', 'NUMERIC', 'BOOL', 'DATE', 'DATETIME', 'TIMESTAMP'];
+const NAME_PATTERN = '^[A-Za-z_][A-Za-z0-9_]*$';
+
+const DATE_PARTS = ['DAY', 'WEEK', 'ISOWEEK', 'MONTH', 'QUARTER', 'YEAR', 'ISOYEAR'];
+const TIME_PARTS = ['HOUR', 'MINUTE', 'SECOND'];
+
+// Allowed functions with their number of arguments ([min, max], max null for
+// any number); the *_TRUNC functions take a date part as their last argument.
+const FUNCTIONS = {
+    COALESCE: [2, null],
+    CONCAT: [1, null],
+    SAFE_DIVIDE: [2, 2],
+    ROUND: [1, 2],
+    ABS: [1, 1],
+    UPPER: [1, 1],
+    LOWER: [1, 1],
+    DATE_TRUNC: [1, 1],
+    DATETIME_TRUNC: [1, 1],
+    TIMESTAMP_TRUNC: [1, 1],
+};
+const TRUNC_PARTS = {
+    DATE_TRUNC: DATE_PARTS,
+    DATETIME_TRUNC: [...DATE_PARTS, ...TIME_PARTS],
+    TIMESTAMP_TRUNC: [...DATE_PARTS, ...TIME_PARTS],
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IS', 'NULL', 'TRUE', 'FALSE', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AS'];
+const COMPARISONS = ['=', '!=', '<>', '<', '<=', '>', '>='];
+
+// The source_details property, shared by the adapters that support it.
+const CALCULATED_COLUMNS_SCHEMA = {
+    type: 'array',
+    title: 'Calculated columns',
+    description: 'Columns computed from the table\'s columns, e.g. DATE_TRUNC(order_date, MONTH) or COALESCE(net_amount, 0) * 1.19.',
+    maxItems: MAX_CALCULATED_COLUMNS,
+    items: {
+        type: 'object',
+        required: ['name', 'type', 'expression'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', title: 'Name', pattern: NAME_PATTERN },
+            type: { type: 'string', title: 'Type', enum: CALCULATED_COLUMN_TYPES },
+            expression: { type: 'string', title: 'Expression', maxLength: MAX_EXPRESSION_LENGTH },
+            description: { type: 'string', title: 'Description' },
+        },
+    },
+};
+
+class CalculatedColumnError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CalculatedColumnError';
+        this.status = status;
+    }
+}
+
+// Numbers, 'strings', names and operators; whitespace between them is skipped.
+const TOKEN_REGEX = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|'((?:[^']|'')*)'|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|<>|!=|\|\||[-+*/(),=<>]))/y;
+
+const tokenize = (text) => {
+    const tokens = [];
+    TOKEN_REGEX.lastIndex = 0;
+    while (TOKEN_REGEX.lastIndex < text.length) {
+        const start = TOKEN_REGEX.lastIndex;
+        if (/^\s*$/.test(text.slice(start))) break;
+        const match = TOKEN_REGEX.exec(text);
+        if (!match) {
+            const position = start + text.slice(start).search(/\S/) + 1;
+            throw new CalculatedColumnError(text[position - 1] === '\''
+                ? `The string at position ${position} is not closed.`
+                : `Unexpected "${text[position - 1]}" at position ${position}.`);
+        }
+        const [, number, string, word, symbol] = match;
+        const position = start + match[0].search(/\S/) + 1;
+        if (number !== undefined) {
+            tokens.push({ kind: 'number', text: number, position });
+        } else if (string !== undefined) {
+            tokens.push({ kind: 'string', value: string.replace(/''/g, '\''), position });
+        } else if (word !== undefined) {
+            const upper = word.toUpperCase();
+            tokens.push(KEYWORDS.includes(upper)
+                ? { kind: 'keyword', text: upper, position }
+                : { kind: 'name', text: word, position });
+        } else {
+            tokens.push({ kind: 'symbol', text: symbol, position });
+        }
+    }
+    return tokens;
+};
+
+const childNodes = node => (node.case
+    ? node.case.flatMap(branch => [branch.when, branch.then]).concat(node.else ? [node.else] : [])
+    : node.args || []);
+
+// Counted the way the query function counts it when compiling the tree.
+const treeDepth = node => 1 + Math.max(0, ...childNodes(node).map(treeDepth));
+
+const describeToken = token => (token ? `"${token.kind === 'string' ? `'${token.value}'` : token.text}" at position ${token.position}` : 'the end of the expression');
+
+/**
+ * Parses an expression into its JSON tree. Throws a CalculatedColumnError
+ * saying where the expression goes wrong.
+ */
+const parseExpression = (text) => {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new CalculatedColumnError('The expression is empty.');
+    }
+    if (text.length > MAX_EXPRESSION_LENGTH) {
+        throw new CalculatedColumnError(`The expression may have at most ${MAX_EXPRESSION_LENGTH} characters.`);
+    }
+    const tokens = tokenize(text);
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const isAt = (kind, value) => !!peek() && peek().kind === kind && (value === undefined || peek().text === value);
+    const accept = (kind, value) => (isAt(kind, value) ? tokens[index++] : null);
+    const expect = (kind, value, what) => {
+        const token = accept(kind, value);
+        if (!token) throw new CalculatedColumnError(`Expected ${what} but found ${describeToken(peek())}.`);
+        return token;
+    };
+    // Nested operands go through here, so deep parentheses fail early too.
+    const nested = (build) => {
+        depth += 1;
+        if (depth > MAX_EXPRESSION_DEPTH) {
+            throw new CalculatedColumnError(`The expression may be nested at most ${MAX_EXPRESSION_DEPTH} levels deep.`);
+        }
+        const node = build();
+        depth -= 1;
+        return node;
+    };
+
+    const binary = (parseOperand, operators) => () => {
+        let left = parseOperand();
+        for (;;) {
+            const token = peek();
+            const operator = token && (token.kind === 'symbol' || token.kind === 'keyword') && operators.includes(token.text) ? token.text : null;
+            if (!operator) return left;
+            index += 1;
+            const right = nested(parseOperand);
+            left = { operator: operator === '<>' ? '!=' : operator, args: [left, right] };
+        }
+    };
+
+    let parseOr;
+
+    const parseCase = () => {
+        const branches = [];
+        while (accept('keyword', 'WHEN')) {
+            const when = nested(parseOr);
+            expect('keyword', 'THEN', 'THEN');
+            branches.push({ when, then: nested(parseOr) });
+        }
+        if (branches.length === 0) {
+            throw new CalculatedColumnError(`Expected WHEN but found ${describeToken(peek())}.`);
+        }
+        const otherwise = accept('keyword', 'ELSE') ? nested(parseOr) : null;
+        expect('keyword', 'END', 'END');
+        return { case: branches, else: otherwise };
+    };
+
+    const parseCall = (nameToken) => {
+        const name = nameToken.text.toUpperCase();
+        if (name === 'CAST') {
+            const arg = nested(parseOr);
+            expect('keyword', 'AS', 'AS');
+            const typeToken = expect('name', undefined, 'a type');
+            const type = typeToken.text.toUpperCase();
+            if (!CALCULATED_COLUMN_TYPES.includes(type)) {
+                throw new CalculatedColumnError(`Cannot CAST to ${typeToken.text}. Use one of: ${CALCULATED_COLUMN_TYPES.join(', ')}.`);
+            }
+            expect('symbol', ')', '")"');
+            return { function: 'CAST', args: [arg], as: type };
+        }
+        if (!FUNCTIONS[name]) {
+            throw new CalculatedColumnError(`Unknown function ${nameToken.text} at position ${nameToken.position}. Use one of: CAST, ${Object.keys(FUNCTIONS).join(', ')}.`);
+        }
+        const args = [];
+        let part = null;
+        if (!isAt('symbol', ')')) {
+            do {
+                if (TRUNC_PARTS[name] && args.length === 1) {
+                    const partToken = expect('name', undefined, 'a date part');
+                    part = partToken.text.toUpperCase();
+                    if (!TRUNC_PARTS[name].includes(part)) {
+                        throw new CalculatedColumnError(`${name} cannot truncate to ${partToken.text}. Use one of: ${TRUNC_PARTS[name].join(', ')}.`);
+                    }
+                    break;
+                }
+                args.push(nested(parseOr));
+            } while (accept('symbol', ','));
+        }
+        expect('symbol', ')', '")"');
+        const [min, max] = FUNCTIONS[name];
+        if (args.length < min || (max !== null && args.length > max)) {
+            const count = max === null ? `at least ${min}` : (min === max ? `${min}` : `${min} or ${max}`);
+            throw new CalculatedColumnError(`${name} takes ${count} argument(s), not ${args.length}.`);
+        }
+        if (TRUNC_PARTS[name] && !part) {
+            throw new CalculatedColumnError(`${name} needs a date part, e.g. ${name}(column, MONTH).`);
+        }
+        return part ? { function: name, args, part } : { function: name, args };
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) throw new CalculatedColumnError('The expression ends too early.');
+        index += 1;
+        if (token.kind === 'number') {
+            const value = Number(token.text);
+            const integer = /^\d+$/.test(token.text);
+            if (!Number.isFinite(value) || (integer && !Number.isSafeInteger(value))) {
+                throw new CalculatedColumnError(`The number ${token.text} at position ${token.position} is too large.`);
+            }
+            return { value, type: integer ? 'INT64' : 'FLOAT64' };
+        }
+        if (token.kind === 'string') return { value: token.value, type: 'STRING' };
+        if (token.kind === 'name') {
+            return accept('symbol', '(') ? nested(() => parseCall(token)) : { column: token.text };
+        }
+        if (token.kind === 'keyword') {
+            if (token.text === 'TRUE' || token.text === 'FALSE') return { value: token.text === 'TRUE', type: 'BOOL' };
+            if (token.text === 'NULL') return { value: null };
+            if (token.text === 'CASE') return nested(parseCase);
+        }
+        if (token.kind === 'symbol' && token.text === '(') {
+            const inner = nested(parseOr);
+            expect('symbol', ')', '")"');
+            return inner;
+        }
+        throw new CalculatedColumnError(`Unexpected ${describeToken(token)}.`);
+    };
+
+    const parseUnary = () => (accept('symbol', '-')
+        ? { operator: 'NEG', args: [nested(parseUnary)] }
+        : parsePrimary());
+    const parseMultiplicative = binary(parseUnary, ['*', '/']);
+    const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+    const parseConcat = binary(parseAdditive, ['||']);
+    const parseComparison = () => {
+        const left = parseConcat();
+        if (accept('keyword', 'IS')) {
+            const negated = !!accept('keyword', 'NOT');
+            expect('keyword', 'NULL', 'NULL');
+            return { operator: negated ? 'IS NOT NULL' : 'IS NULL', args: [left] };
+        }
+        const token = peek();
+        if (token && token.kind === 'symbol' && COMPARISONS.includes(token.text)) {
+            index += 1;
+            return { operator: token.text === '<>' ? '!=' : token.text, args: [left, nested(parseConcat)] };
+        }
+        return left;
+    };
+    const parseNot = () => (accept('keyword', 'NOT')
+        ? { operator: 'NOT', args: [nested(parseNot)] }
+        : parseComparison());
+    const parseAnd = binary(parseNot, ['AND']);
+    parseOr = binary(parseAnd, ['OR']);
+
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw new CalculatedColumnError(`Unexpected ${describeToken(peek())}.`);
+    }
+    if (treeDepth(tree) > MAX_EXPRESSION_DEPTH) {
+        throw new CalculatedColumnError(`The expression may be nested at most ${MAX_EXPRESSION_DEPTH} levels deep.`);
+    }
+    return tree;
+};
+
+/**
+ * The names of the columns an expression tree reads.
+ */
+const referencedColumns = (node) => (node.column !== undefined
+    ? [node.column]
+    : [...new Set(childNodes(node).flatMap(referencedColumns))]);
+
+/**
+ * The calculated columns of a source_details object, parsed:
+ * [{ name, type, description, expression, tree, columns }], where `columns`
+ * lists the source columns each one reads.
+ */
+const readCalculatedColumns = (sourceDetails) => ((sourceDetails && sourceDetails.calculatedColumns) || [])
+    .map(({ name, type, description, expression }) => {
+        let tree;
+        try {
+            tree = parseExpression(expression);
+        } catch (error) {
+            throw new CalculatedColumnError(`Calculated column '${name}': ${error.message}`, error.status);
+        }
+        return { name, type, description: description || null, expression, tree, columns: referencedColumns(tree) };
+    });
+
+/**
+ * Returns an error message when a calculated column of `sourceDetails` has
+ * an expression that does not parse, a duplicate name or reads another
+ * calculated column, or null. The shape of each entry is checked by
+ * sourceDetails.js beforehand.
+ */
+const validateCalculatedColumns = (sourceDetails) => {
+    let calculated;
+    try {
+        calculated = readCalculatedColumns(sourceDetails);
+    } catch (error) {
+        return `source_details.calculatedColumns: ${error.message}`;
+    }
+    const names = calculated.map(column => column.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+        return `source_details.calculatedColumns: '${duplicate}' is defined more than once.`;
+    }
+    for (const column of calculated) {
+        // A column reading its own name reads the source column of that name,
+        // which withCalculatedColumns reports.
+        const chained = column.columns.filter(name => name !== column.name && names.includes(name));
+        if (chained.length > 0) {
+            return `source_details.calculatedColumns: '${column.name}' reads calculated column(s) ${chained.join(', ')}; use their expressions instead.`;
+        }
+    }
+    return null;
+};
+
+/**
+ * The source's `columns` followed by the calculated columns of
+ * `sourceDetails`, described like source columns plus `calculated: true` and
+ * their `expression`. Throws a CalculatedColumnError when a calculated column
+ * reuses a source column's name or reads a column the source does not have.
+ */
+const withCalculatedColumns = (columns, sourceDetails) => {
+    const calculated = readCalculatedColumns(sourceDetails);
+    if (calculated.length === 0) return columns;
+    const sourceNames = new Set(columns.map(column => column.name));
+    return [
+        ...columns,
+        ...calculated.map(({ name, type, description, expression, columns: reads }) => {
+            if (sourceNames.has(name)) {
+                throw new CalculatedColumnError(`Calculated column '${name}' has the name of a column of the source.`);
+            }
+            const unknown = reads.filter(column => !sourceNames.has(column));
+            if (unknown.length > 0) {
+                throw new CalculatedColumnError(`Calculated column '${name}' reads unknown column(s): ${unknown.join(', ')}.`);
+            }
+            return { name, data_type: type, description, nullable: true, calculated: true, expression };
+        }),
+    ];
+};
+
+/**
+ * The calculated columns as the query function expects them:
+ * [{ name, type, expression }] with `expression` the parsed tree.
+ */
+const calculatedColumnsPayload = (sourceDetails) =>
+    readCalculatedColumns(sourceDetails).map(({ name, type, tree }) => ({ name, type, expression: tree }));
+
+module.exports = {
+    CALCULATED_COLUMNS_SCHEMA,
+    parseExpression,
+    readCalculatedColumns,
+    validateCalculatedColumns,
+    withCalculatedColumns,
+    calculatedColumnsPayload,
+    CalculatedColumnError,
+};
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const YAML = require('yaml');
+
+// Entity configuration bundles for moving the catalog between projects.
+// GET /api/config/export writes one and POST /api/config/import reads one:
+//
+//   {
+//     "format": "data-explorer-config",
+//     "version": 1,
+//     "exported_at": "2024-05-01T12:00:00.000Z",
+//     "entities": [
+//       { "entity_name": "...", "display_name": "...", "source_of_system": "...",
+//         "source_details": { ... }, "access_policy": { ... } }
+//     ]
+//   }
+//
+// as JSON or YAML. Version numbers are not part of a bundle; imported
+// entities get new versions in the target project's history.
+//
+// An import is planned before anything is written: every entity is
+// validated and compared with the existing one, and `conflict` decides what
+// happens to entities that already exist with a different configuration:
+// 'skip' leaves them alone, 'overwrite' updates them and 'fail' refuses the
+// whole import. Entities whose configuration is unchanged are skipped.
+
+const BUNDLE_FORMAT = 'data-explorer-config';
+const BUNDLE_VERSION = 1;
+const CONFLICT_MODES = ['skip', 'overwrite', 'fail'];
+const YAML_CONTENT_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'];
+
+const FORMATS = {
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    yaml: { extension: 'yaml', contentType: 'application/yaml; charset=utf-8' },
+};
+
+class ConfigBundleError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ConfigBundleError';
+        this.status = status;
+    }
+}
+
+const parseJson = (value, field) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new ConfigBundleError(`${field} is not valid JSON: ${error.message}`);
+    }
+};
+
+// The fields of an entity that go into a bundle, with JSON columns as objects.
+const toBundleEntity = (entity) => ({
+    entity_name: entity.entity_name,
+    display_name: entity.display_name,
+    source_of_system: entity.source_of_system,
+    source_details: parseJson(entity.source_details, 'source_details') || {},
+    access_policy: parseJson(entity.access_policy, 'access_policy') || {},
+});
+
+/**
+ * Serializes entities as a bundle. Returns { body, contentType, filename }.
+ */
+const serializeBundle = (entities, format) => {
+    if (!FORMATS[format]) {
+        throw new ConfigBundleError(`Unsupported format '${format}'. Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exported_at: new Date().toISOString(),
+        entities: entities.map(toBundleEntity),
+    };
+    const timestamp = bundle.exported_at.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    return {
+        body: format === 'yaml' ? YAML.stringify(bundle) : JSON.stringify(bundle, null, 2),
+        contentType: FORMATS[format].contentType,
+        filename: `entities_${timestamp}.${FORMATS[format].extension}`,
+    };
+};
+
+/**
+ * Reads a bundle from a request body: an object parsed by express.json(), or
+ * YAML text (which also covers JSON). Returns the list of entities.
+ */
+const parseBundle = (body) => {
+    let bundle = body;
+    if (typeof body === 'string') {
+        try {
+            bundle = YAML.parse(body);
+        } catch (error) {
+            throw new ConfigBundleError(`The bundle is not valid YAML or JSON: ${error.message}`);
+        }
+    }
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        throw new ConfigBundleError('The bundle must be an object with an "entities" list.');
+    }
+    if (bundle.format !== undefined && bundle.format !== BUNDLE_FORMAT) {
+        throw new ConfigBundleError(`Unknown bundle format '${bundle.format}'.`);
+    }
+    if (bundle.version !== undefined && bundle.version !== BUNDLE_VERSION) {
+        throw new ConfigBundleError(`Unsupported bundle version ${bundle.version}. This backend reads version ${BUNDLE_VERSION}.`);
+    }
+    if (!Array.isArray(bundle.entities)) {
+        throw new ConfigBundleError('The bundle must have an "entities" list.');
+    }
+    return bundle.entities;
+};
+
+/**
+ * Reads the entities of a bundle file, to be checked with planImport. Used
+ * for LOCAL_CATALOG_FILE.
+ */
+const readBundleFile = (file) => parseBundle(fs.readFileSync(file, 'utf8'));
+
+/**
+ * Reads the import options from a query string: dry_run and conflict.
+ */
+const readImportOptions = (params) => {
+    const conflict = params.conflict === undefined ? 'fail' : params.conflict;
+    if (!CONFLICT_MODES.includes(conflict)) {
+        throw new ConfigBundleError(`Invalid conflict mode '${conflict}'. Use one of: ${CONFLICT_MODES.join(', ')}.`);
+    }
+    return { dryRun: params.dry_run === 'true', conflict };
+};
+
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+const sameConfig = (a, b) => stableStringify(toBundleEntity(a)) === stableStringify(toBundleEntity(b));
+
+/**
+ * Decides what to do with each entity of a bundle. `validate(entity)` returns
+ * an error message or null; `existing` maps entity names to the current rows.
+ * Returns { results, invalid, conflicts }, where each result is
+ * { entity_name, action: 'create' | 'update' | 'skip', reason?, error?,
+ * entity, current }. Nothing should be written when `invalid` is set, or when
+ * `conflicts` is set and the mode is 'fail'.
+ */
+const planImport = (entities, existing, { conflict }, validate) => {
+    const seen = new Set();
+    let invalid = false;
+    let conflicts = false;
+
+    const results = entities.map((raw, index) => {
+        const name = raw && typeof raw.entity_name === 'string' ? raw.entity_name : null;
+        const fail = (error) => {
+            invalid = true;
+            return { entity_name: name || `#${index + 1}`, action: 'skip', error };
+        };
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail('Not an entity object.');
+        if (!name) return fail('Missing "entity_name".');
+        if (seen.has(name)) return fail(`Entity '${name}' appears more than once in the bundle.`);
+        seen.add(name);
+        if (!raw.display_name || !raw.source_of_system || !raw.source_details) {
+            return fail('Missing required fields: display_name, source_of_system, source_details.');
+        }
+
+        let entity;
+        try {
+            entity = toBundleEntity(raw);
+        } catch (error) {
+            return fail(error.message);
+        }
+        const error = validate(entity);
+        if (error) return fail(error);
+
+        const current = existing.get(name);
+        if (!current) return { entity_name: name, action: 'create', entity };
+        if (sameConfig(entity, current)) {
+            return { entity_name: name, action: 'skip', reason: 'Unchanged.', entity, current };
+        }
+        conflicts = true;
+        if (conflict === 'overwrite') return { entity_name: name, action: 'update', entity, current };
+        return {
+            entity_name: name,
+            action: 'skip',
+            reason: conflict === 'fail' ? 'Exists with a different configuration.' : 'Exists; skipped.',
+            entity,
+            current,
+        };
+    });
+    return { results, invalid, conflicts };
+};
+
+/**
+ * The public view of an import plan or its outcome.
+ */
+const describeImport = (results) => ({
+    summary: {
+        create: results.filter(r => r.action === 'create').length,
+        update: results.filter(r => r.action === 'update').length,
+        skip: results.filter(r => r.action === 'skip').length,
+    },
+    results: results.map(({ entity_name, action, reason, error, version, written }) =>
+        ({ entity_name, action, reason, error, version, written })),
+});
+
+module.exports = {
+    CONFLICT_MODES,
+    YAML_CONTENT_TYPES,
+    serializeBundle,
+    parseBundle,
+    readBundleFile,
+    readImportOptions,
+    planImport,
+    describeImport,
+    ConfigBundleError,
+};
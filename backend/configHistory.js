@@ -0,0 +1,205 @@
+// Version history of entity configurations. Every create, update, delete and
+// rollback through /api/config adds a row to
+// data_explorer_config.entity_versions:
+//
+//   entity_name STRING, version INT64, action STRING, author STRING,
+//   timestamp TIMESTAMP, change_note STRING, display_name STRING,
+//   source_of_system STRING, source_details JSON, access_policy JSON
+//
+// `action` is 'create', 'update', 'delete' or 'rollback'. Each row holds the
+// configuration as it was after the change; a 'delete' row keeps the last
+// configuration before the entity was removed. Version numbers count up per
+// entity and continue after a delete, so a re-created entity keeps its history.
+//
+// The entities table carries the current version in its `version` column. Its
+// ETag is that number in quotes, and updates must send it back in If-Match so
+// an update based on an outdated copy is refused with 412.
+
+// In the same project as the entities table (see BQ_PROJECT in index.js).
+const versionsTable = (bigquery) => `\`${process.env.GCP_PROJECT || bigquery.projectId}.data_explorer_config.entity_versions\``;
+const CONFIG_FIELDS = ['display_name', 'source_of_system', 'source_details', 'access_policy'];
+const JSON_FIELDS = ['source_details', 'access_policy'];
+const MAX_CHANGE_NOTE_LENGTH = 500;
+const ETAG_REGEX = /^(?:W\/)?"(\d+)"$/;
+
+class ConfigHistoryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ConfigHistoryError';
+        this.status = status;
+    }
+}
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * The version of a row from the entities table; rows written before
+ * versioning count as version 0.
+ */
+const currentVersion = (entity) => Number(entity.version) || 0;
+
+const toEtag = (version) => `"${version}"`;
+
+/**
+ * Reads an If-Match header. Returns null when it is absent, '*' for any
+ * version, or the version number. Throws a ConfigHistoryError when it is not
+ * an ETag issued by this API.
+ */
+const readIfMatch = (header) => {
+    if (header === undefined || header === '') return null;
+    if (header.trim() === '*') return '*';
+    const match = ETAG_REGEX.exec(header.trim());
+    if (!match) {
+        throw new ConfigHistoryError('Invalid If-Match header. Send the ETag you received with the entity.');
+    }
+    return Number(match[1]);
+};
+
+/**
+ * Throws a 412 ConfigHistoryError unless `expected` (from readIfMatch) matches
+ * the entity's current version.
+ */
+const checkVersion = (entity, expected) => {
+    if (expected !== '*' && expected !== currentVersion(entity)) {
+        throw new ConfigHistoryError(
+            `Entity '${entity.entity_name}' was changed by someone else since you loaded it (now at version `
+            + `${currentVersion(entity)}). Reload it and apply your changes again.`,
+            412,
+        );
+    }
+};
+
+/**
+ * Validates an optional change note and returns it trimmed, or null.
+ */
+const readChangeNote = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') throw new ConfigHistoryError('"change_note" must be a string.');
+    if (value.length > MAX_CHANGE_NOTE_LENGTH) {
+        throw new ConfigHistoryError(`"change_note" must be at most ${MAX_CHANGE_NOTE_LENGTH} characters long.`);
+    }
+    return value.trim() || null;
+};
+
+/**
+ * The number the next version of an entity gets: one more than the highest
+ * version in its history or of the current row, whichever is higher.
+ */
+const nextVersion = async (bigquery, entityName, entity = null) => {
+    const query = `SELECT MAX(version) AS version FROM ${versionsTable(bigquery)} WHERE entity_name = @entity_name`;
+    const [rows] = await bigquery.query({ query, params: { entity_name: entityName } });
+    const recorded = Number(rows[0] && rows[0].version) || 0;
+    return Math.max(recorded, entity ? currentVersion(entity) : 0) + 1;
+};
+
+/**
+ * Adds a version to an entity's history. `config` holds the configuration
+ * fields, with source_details and access_policy as objects or JSON strings.
+ */
+const recordVersion = async (bigquery, { entityName, version, action, author, changeNote, config }) => {
+    const query = `
+        INSERT INTO ${versionsTable(bigquery)}
+            (entity_name, version, action, author, timestamp, change_note,
+             display_name, source_of_system, source_details, access_policy)
+        VALUES
+            (@entity_name, @version, @action, @author, CURRENT_TIMESTAMP(), @change_note,
+             @display_name, @source_of_system, JSON @source_details_json, JSON @access_policy_json)
+    `;
+    await bigquery.query({
+        query,
+        params: {
+            entity_name: entityName,
+            version,
+            action,
+            author,
+            change_note: changeNote,
+            display_name: config.display_name,
+            source_of_system: config.source_of_system,
+            source_details_json: JSON.stringify(parseJson(config.source_details) || {}),
+            access_policy_json: JSON.stringify(parseJson(config.access_policy) || {}),
+        },
+        types: { change_note: 'STRING' },
+    });
+};
+
+// BigQuery returns timestamps as objects and JSON columns as strings.
+const toVersionRecord = (row) => ({
+    ...row,
+    version: Number(row.version),
+    timestamp: row.timestamp ? row.timestamp.value : null,
+    source_details: parseJson(row.source_details),
+    access_policy: parseJson(row.access_policy),
+});
+
+/**
+ * An entity's history, newest version first.
+ */
+const listVersions = async (bigquery, entityName) => {
+    const query = `SELECT * FROM ${versionsTable(bigquery)} WHERE entity_name = @entity_name ORDER BY version DESC`;
+    const [rows] = await bigquery.query({ query, params: { entity_name: entityName } });
+    return rows.map(toVersionRecord);
+};
+
+/**
+ * One version of an entity; a 404 ConfigHistoryError when it does not exist.
+ */
+const getVersion = async (bigquery, entityName, version) => {
+    const query = `SELECT * FROM ${versionsTable(bigquery)} WHERE entity_name = @entity_name AND version = @version`;
+    const [rows] = await bigquery.query({ query, params: { entity_name: entityName, version } });
+    if (rows.length === 0) {
+        throw new ConfigHistoryError(`Entity '${entityName}' has no version ${version}.`, 404);
+    }
+    return toVersionRecord(rows[0]);
+};
+
+/**
+ * Validates a version number from a request.
+ */
+const readVersionNumber = (value, name = 'version') => {
+    const version = Number(value);
+    if (!Number.isSafeInteger(version) || version < 1) {
+        throw new ConfigHistoryError(`"${name}" must be a version number of at least 1.`);
+    }
+    return version;
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const diffValues = (before, after, path, changes) => {
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+        for (const key of keys) diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes);
+        return;
+    }
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ path, from: before === undefined ? null : before, to: after === undefined ? null : after });
+    }
+};
+
+/**
+ * The differences between two configurations as a list of
+ * { path, from, to }, where path names a field such as
+ * "source_details.maximumBytesBilled". Arrays are compared as a whole.
+ */
+const diffConfigs = (before, after) => {
+    const pick = (config) => Object.fromEntries(CONFIG_FIELDS.map(field =>
+        [field, JSON_FIELDS.includes(field) ? parseJson(config[field]) : config[field]]));
+    const changes = [];
+    diffValues(pick(before), pick(after), '', changes);
+    return changes;
+};
+
+module.exports = {
+    currentVersion,
+    toEtag,
+    readIfMatch,
+    checkVersion,
+    readChangeNote,
+    readVersionNumber,
+    nextVersion,
+    recordVersion,
+    listVersions,
+    getVersion,
+    diffConfigs,
+    ConfigHistoryError,
+};
@@ -0,0 +1,294 @@
+const { GoogleAuth } = require('google-auth-library');
+const { FILTER_OPERATORS } = require('../queryModel');
+const { maximumBytesBilledFor } = require('../costControls');
+const { CALCULATED_COLUMNS_SCHEMA, calculatedColumnsPayload } = require('../calculatedColumns');
+const { RATE_LIMITS_SCHEMA } = require('../rateLimits');
+
+// BigQuery connector. Queries for SCM-BQ entities are executed by the
+// query-bigquery Cloud Function, which the backend calls with an OIDC token.
+// Column metadata is read by the backend itself from INFORMATION_SCHEMA.
+//
+// Expected `source_details` for a SCM-BQ entity:
+// { "projectId": "my-project", "datasetId": "scm", "tableId": "inventory_levels" }
+//
+// plus optional calculatedColumns (see calculatedColumns.js), which the Cloud
+// Function computes in a subquery over the table.
+
+const FUNCTION_URL = process.env.FUNCTION_URL;
+
+const IDENTIFIER_PATTERN = '^[a-zA-Z0-9_-]+$';
+const IDENTIFIER_REGEX = new RegExp(IDENTIFIER_PATTERN);
+
+// Legacy SQL-style aliases BigQuery may still report for older tables.
+const BQ_TYPE_ALIASES = {
+    INTEGER: 'INT64',
+    FLOAT: 'FLOAT64',
+    BOOLEAN: 'BOOL',
+    BIGNUMERIC: 'NUMERIC',
+};
+
+// The shape of `source_details`, enforced by sourceDetails.js and used by the
+// admin UI to render its form.
+const SOURCE_DETAILS_SCHEMA = {
+    type: 'object',
+    required: ['projectId', 'datasetId', 'tableId'],
+    additionalProperties: false,
+    properties: {
+        projectId: { type: 'string', title: 'Project ID', pattern: IDENTIFIER_PATTERN },
+        datasetId: { type: 'string', title: 'Dataset ID', pattern: IDENTIFIER_PATTERN },
+        tableId: { type: 'string', title: 'Table ID', pattern: IDENTIFIER_PATTERN },
+        maximumBytesBilled: {
+            type: 'integer',
+            title: 'Maximum bytes billed',
+            minimum: 1,
+            description: 'Refuse queries that would scan more than this many bytes.',
+        },
+        cacheTtlSeconds: {
+            type: 'integer',
+            title: 'Result cache TTL (seconds)',
+            minimum: 0,
+            description: '0 turns result caching off for this entity.',
+        },
+        rateLimits: RATE_LIMITS_SCHEMA,
+        calculatedColumns: CALCULATED_COLUMNS_SCHEMA,
+    },
+};
+
+const auth = new GoogleAuth();
+
+class BigQueryError extends Error {
+    constructor(message, status = 500) {
+        super(message);
+        this.name = 'BigQueryError';
+        this.status = status;
+    }
+}
+
+// The table and its calculated columns always come from the entity config,
+// so the query cannot override them.
+const withTable = (sourceDetails, query) => ({
+    ...query,
+    projectId: sourceDetails.projectId,
+    datasetId: sourceDetails.datasetId,
+    tableId: sourceDetails.tableId,
+    calculatedColumns: calculatedColumnsPayload(sourceDetails),
+});
+
+// Sends a payload to the Cloud Function and returns its response body.
+const callQueryFunction = async (functionPayload) => {
+    if (!FUNCTION_URL) {
+        throw new BigQueryError('Query function URL is not configured on the backend.');
+    }
+
+    let response;
+    try {
+        const client = await auth.getIdTokenClient(FUNCTION_URL);
+        response = await client.request({
+            url: FUNCTION_URL,
+            method: 'POST',
+            data: functionPayload,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    } catch (error) {
+        console.error('Error proxying to Cloud Function:', error.response ? error.response.data : error.message);
+        if (error.response && error.response.data && error.response.data.error) {
+            throw new BigQueryError(error.response.data.error, error.response.status);
+        }
+        throw new BigQueryError('Failed to execute BigQuery query via proxy.', error.response ? error.response.status : 500);
+    }
+
+    if (!response.data || !response.data.success) {
+        throw new BigQueryError((response.data && response.data.error) || 'The query failed, but the query function did not say why.', response.status);
+    }
+    return response.data;
+};
+
+/**
+ * Runs a query (or reads a later page of an earlier query job) through the
+ * Cloud Function. `query` carries columns/filters plus pageSize, offset and,
+ * when resuming, jobId/location; maximumBytesBilled makes BigQuery refuse a
+ * job that would bill more. Returns
+ * { rows, totalRows, offset, jobId, location, schema, bytesProcessed }.
+ * bytesProcessed is what the whole query job scanned, also when resuming.
+ */
+const queryBigQuery = async (sourceDetails, query) => {
+    const { data, totalRows, offset, jobId, location, schema, bytesProcessed } = await callQueryFunction(withTable(sourceDetails, query));
+    return { rows: data, totalRows, offset, jobId, location, schema, bytesProcessed };
+};
+
+/**
+ * Dry-runs a query and returns the number of bytes it would scan.
+ */
+const estimateBigQuery = async (sourceDetails, query) => {
+    const { pageToken, jobId, location, ...rest } = query;
+    const { bytesProcessed } = await callQueryFunction(withTable(sourceDetails, { ...rest, dryRun: true }));
+    return Number(bytesProcessed) || 0;
+};
+
+/**
+ * Up to `limit` distinct non-NULL values of a column in ascending order, read
+ * with a bounded SELECT DISTINCT under the entity's byte cap. With `prefix`,
+ * only values whose text starts with it, in any case. `filters` are the
+ * caller's row filters. Returns { values, bytesProcessed }.
+ */
+const distinctBigQueryValues = async (sourceDetails, { column, prefix, limit, filters }) => {
+    const { rows, bytesProcessed } = await queryBigQuery(sourceDetails, {
+        columns: [column],
+        filters,
+        orderBy: [{ column, direction: 'ASC' }],
+        distinct: true,
+        ...(prefix ? { prefix } : {}),
+        limit,
+        pageSize: limit,
+        offset: 0,
+        maximumBytesBilled: maximumBytesBilledFor(sourceDetails),
+    });
+    return { values: rows.map(row => row[column]), bytesProcessed };
+};
+
+/**
+ * Column statistics and sample rows in one aggregate query, with
+ * APPROX_COUNT_DISTINCT and APPROX_TOP_COUNT, on a TABLESAMPLE of large
+ * tables and under the entity's byte cap. `columns` lists { name, stats }
+ * (see profiling.js). Returns { rowCount, totalRows, samplePercent,
+ * distinctApproximate, columns, sample, bytesProcessed }.
+ */
+const profileBigQuery = async (sourceDetails, { columns, sampleColumns, filters, topN, sampleRows }) => {
+    const result = await callQueryFunction(withTable(sourceDetails, {
+        action: 'profile',
+        profileColumns: columns.map(({ name, stats }) => ({ column: name, stats })),
+        sampleColumns,
+        filters,
+        topN,
+        sampleRows,
+        maximumBytesBilled: maximumBytesBilledFor(sourceDetails),
+    }));
+    return {
+        rowCount: Number(result.rowCount),
+        totalRows: result.tableRows === null || result.tableRows === undefined ? null : Number(result.tableRows),
+        samplePercent: result.samplePercent,
+        distinctApproximate: true,
+        columns: columns.map(({ name }) => {
+            const stats = result.columns[name] || {};
+            return {
+                name,
+                nullCount: stats.nulls === undefined ? null : Number(stats.nulls),
+                distinctCount: stats.distinct === undefined ? null : Number(stats.distinct),
+                min: stats.min === undefined ? null : stats.min,
+                max: stats.max === undefined ? null : stats.max,
+                topValues: (stats.top || []).filter(top => top.value !== null).map(top => ({ value: top.value, count: Number(top.count) })),
+            };
+        }),
+        sample: result.sample,
+        bytesProcessed: result.bytesProcessed,
+    };
+};
+
+// Job state as reported by the Cloud Function.
+const toJobStatus = ({ jobId, location, state, progress, bytesProcessed, jobError, jobErrorReason }) =>
+    ({ jobId, location, state, progress, bytesProcessed, error: jobError, errorReason: jobErrorReason });
+
+/**
+ * Starts a query job without waiting for it. Returns
+ * { jobId, location, state, progress, bytesProcessed, error, errorReason }.
+ */
+const submitBigQueryJob = async (sourceDetails, query) => {
+    const { pageToken, jobId, location, ...rest } = query;
+    return toJobStatus(await callQueryFunction(withTable(sourceDetails, { ...rest, action: 'submit' })));
+};
+
+/**
+ * The current state of a query job (PENDING, RUNNING or DONE), in the same
+ * shape as submitBigQueryJob. A finished job that failed has `error` set.
+ */
+const getBigQueryJob = async ({ jobId, location }) =>
+    toJobStatus(await callQueryFunction({ action: 'status', jobId, location }));
+
+/**
+ * Asks BigQuery to cancel a query job and returns its state afterwards.
+ */
+const cancelBigQueryJob = async ({ jobId, location }) =>
+    toJobStatus(await callQueryFunction({ action: 'cancel', jobId, location }));
+
+const normalizeBigQueryType = (dataType) => {
+    // Parameterized types such as NUMERIC(10, 2) or STRING(64) keep their base name.
+    const base = dataType.replace(/\(.*\)$/, '').toUpperCase();
+    if (base.startsWith('ARRAY<')) return 'ARRAY';
+    if (base.startsWith('STRUCT<')) return 'STRUCT';
+    return BQ_TYPE_ALIASES[base] || base;
+};
+
+/**
+ * The columns of the entity's table, read with the backend's own BigQuery
+ * client from the dataset's INFORMATION_SCHEMA.
+ */
+const getBigQuerySchema = async (bigquery, details) => {
+    const { projectId, datasetId, tableId } = details || {};
+    for (const [key, value] of Object.entries({ projectId, datasetId, tableId })) {
+        if (typeof value !== 'string' || !IDENTIFIER_REGEX.test(value)) {
+            throw new BigQueryError(`Entity source_details has an invalid or missing "${key}".`);
+        }
+    }
+
+    const infoSchema = `\`${projectId}.${datasetId}.INFORMATION_SCHEMA`;
+    const query = `
+        SELECT c.column_name, c.data_type, c.is_nullable, p.description
+        FROM ${infoSchema}.COLUMNS\` c
+        LEFT JOIN ${infoSchema}.COLUMN_FIELD_PATHS\` p
+            ON p.table_name = c.table_name
+            AND p.column_name = c.column_name
+            AND p.field_path = c.column_name
+        WHERE c.table_name = @table_id
+        ORDER BY c.ordinal_position
+    `;
+    const [rows] = await bigquery.query({ query, params: { table_id: tableId } });
+    if (rows.length === 0) {
+        throw new BigQueryError(`Table '${projectId}.${datasetId}.${tableId}' was not found or has no columns.`, 404);
+    }
+
+    return rows.map(row => ({
+        name: row.column_name,
+        data_type: normalizeBigQueryType(row.data_type),
+        description: row.description || null,
+        nullable: row.is_nullable === 'YES',
+    }));
+};
+
+// The SCM-BQ source adapter (see connectors/index.js). New queries carry the
+// entity's byte cap, so BigQuery refuses a job that would bill more.
+const adapter = {
+    name: 'SCM-BQ',
+    title: 'BigQuery table',
+    schema: SOURCE_DETAILS_SCHEMA,
+    capabilities: {
+        filters: true,
+        operators: FILTER_OPERATORS,
+        aggregation: true,
+        paging: true,
+        costEstimates: true,
+        jobs: true,
+    },
+    query: (sourceDetails, query) =>
+        queryBigQuery(sourceDetails, { ...query, maximumBytesBilled: maximumBytesBilledFor(sourceDetails) }),
+    readSchema: (sourceDetails, { bigquery }) => getBigQuerySchema(bigquery, sourceDetails),
+    estimate: estimateBigQuery,
+    submitJob: (sourceDetails, query) =>
+        submitBigQueryJob(sourceDetails, { ...query, maximumBytesBilled: maximumBytesBilledFor(sourceDetails) }),
+    getJob: getBigQueryJob,
+    cancelJob: cancelBigQueryJob,
+    distinctValues: distinctBigQueryValues,
+    profile: profileBigQuery,
+};
+
+module.exports = {
+    adapter,
+    SOURCE_DETAILS_SCHEMA,
+    queryBigQuery,
+    estimateBigQuery,
+    distinctBigQueryValues,
+    profileBigQuery,
+    submitBigQueryJob,
+    getBigQueryJob,
+    cancelBigQueryJob,
+    BigQueryError,
+};
@@ -0,0 +1,178 @@
+// Source adapter registry. Every source system an entity can use
+// (`source_of_system`) is an adapter:
+//
+//   {
+//     name: 'SCM-BQ',                // the source_of_system value
+//     title: 'BigQuery table',       // shown in the admin UI
+//     schema: { ... },               // source_details schema (see sourceDetails.js)
+//     capabilities: {
+//       filters: true,               // accepts `filters`
+//       operators: ['=', ...],       // filter operators it can evaluate
+//       aggregation: true,           // accepts `groupBy` and `aggregations`
+//       paging: true,                // honours pageSize/offset
+//       costEstimates: true,         // has estimate()
+//       jobs: true,                  // has submitJob/getJob/cancelJob
+//     },
+//     query(sourceDetails, query),   // one page: { rows, totalRows, offset, ... }
+//     readSchema(sourceDetails, { bigquery }),
+//     estimate(sourceDetails, query),              // optional: bytes scanned
+//     submitJob(sourceDetails, query),             // optional: { jobId, location, ... }
+//     getJob(submitted), cancelJob(submitted),     // optional: { state, progress, error }
+//     distinctValues(sourceDetails, { column, prefix, limit, filters }),
+//                                                  // optional: { values, bytesProcessed }, or null
+//     profile(sourceDetails, request),             // optional: column statistics, see profiling.js
+//   }
+//
+// `query` receives the normalized query (see queryModel.js) plus pageSize and
+// offset, and jobId/location when reading a later page of a submitted job.
+// Adapters without distinctValues, or whose distinctValues returns null, get
+// filter suggestions from a query for the column alone (see
+// readDistinctValues); those without profile are
+// profiled from a page of rows. Adapters that compute calculated columns put
+// CALCULATED_COLUMNS_SCHEMA into their schema (see calculatedColumns.js).
+// The capabilities are checked before a query reaches the adapter and are
+// sent to the frontend, which only offers what the source supports.
+
+const bigQuery = require('./bigQuery');
+const sapBw = require('./sapBw');
+const localFile = require('./localFile');
+
+const REQUIRED_FIELDS = ['name', 'title', 'schema', 'capabilities', 'query', 'readSchema'];
+
+class AdapterError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AdapterError';
+        this.status = status;
+    }
+}
+
+const adapters = new Map();
+
+/**
+ * Adds a source adapter. Throws when it lacks a required field or its name
+ * is already taken.
+ */
+const registerAdapter = (adapter) => {
+    const missing = REQUIRED_FIELDS.filter(field => !adapter[field]);
+    if (missing.length > 0) {
+        throw new Error(`Source adapter '${adapter.name}' is missing: ${missing.join(', ')}.`);
+    }
+    if (adapters.has(adapter.name)) {
+        throw new Error(`Source adapter '${adapter.name}' is already registered.`);
+    }
+    if (adapter.capabilities.costEstimates && !adapter.estimate) {
+        throw new Error(`Source adapter '${adapter.name}' claims cost estimates but has no estimate().`);
+    }
+    if (adapter.capabilities.jobs && !(adapter.submitJob && adapter.getJob && adapter.cancelJob)) {
+        throw new Error(`Source adapter '${adapter.name}' claims jobs but lacks submitJob, getJob or cancelJob.`);
+    }
+    adapters.set(adapter.name, adapter);
+};
+
+/**
+ * The adapter for a source system, or null when there is none.
+ */
+const findAdapter = (name) => adapters.get(name) || null;
+
+/**
+ * The adapter for a source system; a 400 AdapterError when there is none.
+ */
+const getAdapter = (name) => {
+    const adapter = findAdapter(name);
+    if (!adapter) {
+        throw new AdapterError(`Unsupported source system: ${name}`);
+    }
+    return adapter;
+};
+
+const filterOperators = (filters) =>
+    filters.flatMap(f => (f.filters !== undefined ? filterOperators(f.filters) : [f.operator]));
+
+/**
+ * Refuses, with a 400 AdapterError, a normalized query that uses something
+ * the adapter's capabilities do not include.
+ */
+const checkCapabilities = (adapter, query) => {
+    const { capabilities } = adapter;
+    const filters = query.filters || [];
+    if (filters.length > 0 && !capabilities.filters) {
+        throw new AdapterError(`${adapter.name} entities cannot be filtered.`);
+    }
+    const unsupported = filterOperators(filters).find(operator => !capabilities.operators.includes(operator));
+    if (unsupported) {
+        throw new AdapterError(`The ${unsupported} operator is not supported for ${adapter.name} entities.`);
+    }
+    const grouped = (query.groupBy || []).length > 0 || (query.aggregations || []).length > 0;
+    if (grouped && !capabilities.aggregation) {
+        throw new AdapterError(`${adapter.name} entities do not support grouping or aggregations.`);
+    }
+};
+
+// Page size for reading a column when looking up its distinct values; the
+// source systems allow at most 5000.
+const DISTINCT_PAGE_SIZE = 5000;
+
+/**
+ * Up to `limit` distinct non-NULL values of `column` in ascending order,
+ * those starting with `prefix` (in any case) when it is given, that pass the
+ * caller's row `filters`. Returns { values, bytesProcessed }.
+ */
+const readDistinctValues = async (adapter, sourceDetails, request) => {
+    if (adapter.distinctValues) {
+        const result = await adapter.distinctValues(sourceDetails, request);
+        if (result) return result;
+    }
+    const { column, prefix, limit, filters } = request;
+    const query = {
+        columns: [column],
+        filters: [...filters, { column, operator: 'IS NOT NULL' }],
+        groupBy: adapter.capabilities.aggregation ? [column] : [],
+        aggregations: [],
+        orderBy: [{ column, direction: 'ASC' }],
+    };
+    // The prefix is matched here, since STARTS WITH filters are case-sensitive,
+    // and values are collected page by page until there are `limit` distinct
+    // ones, since sources that cannot group return a value once per row.
+    const values = new Map();
+    let page = null;
+    let offset = 0;
+    do {
+        page = await adapter.query(sourceDetails, {
+            ...query,
+            pageSize: DISTINCT_PAGE_SIZE,
+            offset,
+            ...(page ? { jobId: page.jobId, location: page.location } : {}),
+        });
+        for (const row of page.rows) {
+            const value = row[column];
+            if (prefix && !String(value).toLowerCase().startsWith(prefix.toLowerCase())) continue;
+            values.set(JSON.stringify(value), value);
+        }
+        offset += page.rows.length;
+    } while (values.size < limit && page.rows.length > 0 && offset < page.totalRows);
+    // Later pages of a BigQuery job report the bytes of the whole job again.
+    return { values: [...values.values()].slice(0, limit), bytesProcessed: page.bytesProcessed };
+};
+
+/**
+ * The registered source systems, for the frontend.
+ */
+const listAdapters = () =>
+    [...adapters.values()].map(({ name, title, schema, capabilities }) => ({ name, title, schema, capabilities }));
+
+registerAdapter(bigQuery.adapter);
+registerAdapter(sapBw.adapter);
+// Local files are for offline development and demos, so they are only
+// available when a data directory is configured.
+if (localFile.LOCAL_DATA_DIR) registerAdapter(localFile.adapter);
+
+module.exports = {
+    registerAdapter,
+    findAdapter,
+    getAdapter,
+    listAdapters,
+    checkCapabilities,
+    readDistinctValues,
+    AdapterError,
+};
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { parse: parseCsv } = require('csv-parse/sync');
+const initSqlJs = require('sql.js');
+const { FILTER_OPERATORS } = require('../queryModel');
+const { runRowQuery } = require('../rowQuery');
+const { RATE_LIMITS_SCHEMA } = require('../rateLimits');
+
+// Local file connector, for developing and demoing the app without GCP or
+// SAP access. A LOCAL-FILE entity reads a CSV, Parquet or SQLite file below
+// LOCAL_DATA_DIR; the adapter is only registered when that is set. Files are
+// loaded into memory whole (up to LOCAL_FILE_MAX_ROWS rows, default 100000)
+// and queried there (see rowQuery.js). A loaded file is kept until it
+// changes on disk.
+//
+// Expected `source_details` for a LOCAL-FILE entity:
+// {
+//   "path": "inventory_levels.csv",  // relative to LOCAL_DATA_DIR (required)
+//   "format": "csv",                 // optional: csv, parquet or sqlite; from the extension otherwise
+//   "table": "stock",                // SQLite only: the table to read
+//   "delimiter": ";"                 // CSV only; defaults to ',' (a tab for .tsv)
+// }
+//
+// Column types are inferred from the values: whole numbers become INT64,
+// other numbers FLOAT64, true/false BOOL, YYYY-MM-DD dates DATE, ISO 8601
+// date-times TIMESTAMP and everything else STRING. Empty CSV fields are NULL.
+
+const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR ? path.resolve(process.env.LOCAL_DATA_DIR) : null;
+const MAX_ROWS = Number(process.env.LOCAL_FILE_MAX_ROWS) || 100000;
+
+const FORMATS_BY_EXTENSION = {
+    '.csv': 'csv',
+    '.tsv': 'csv',
+    '.parquet': 'parquet',
+    '.sqlite': 'sqlite',
+    '.sqlite3': 'sqlite',
+    '.db': 'sqlite',
+};
+
+const IDENTIFIER_PATTERN = '^[a-zA-Z_][a-zA-Z0-9_]*$';
+
+// The shape of `source_details`, enforced by sourceDetails.js and used by the
+// admin UI to render its form.
+const SOURCE_DETAILS_SCHEMA = {
+    type: 'object',
+    required: ['path'],
+    additionalProperties: false,
+    properties: {
+        path: { type: 'string', title: 'File path', pattern: '^[\\w][\\w./ -]*$', description: 'Relative to the backend\'s LOCAL_DATA_DIR.' },
+        format: { type: 'string', title: 'Format', enum: ['csv', 'parquet', 'sqlite'], description: 'Taken from the file extension when empty.' },
+        table: { type: 'string', title: 'SQLite table', pattern: IDENTIFIER_PATTERN },
+        delimiter: { type: 'string', title: 'CSV delimiter', pattern: '^.$' },
+        cacheTtlSeconds: {
+            type: 'integer',
+            title: 'Result cache TTL (seconds)',
+            minimum: 0,
+            description: '0 turns result caching off for this entity.',
+        },
+        rateLimits: RATE_LIMITS_SCHEMA,
+    },
+};
+
+class LocalFileError extends Error {
+    constructor(message, status = 500) {
+        super(message);
+        this.name = 'LocalFileError';
+        this.status = status;
+    }
+}
+
+// Loaded files by path and table: { mtimeMs, columns, rows }.
+const loadedFiles = new Map();
+let sqlJs = null;
+
+// The file's absolute path. Refuses paths that lead out of LOCAL_DATA_DIR.
+const resolveFile = (details) => {
+    if (!LOCAL_DATA_DIR) {
+        throw new LocalFileError('Local files are not enabled on the backend (LOCAL_DATA_DIR is not set).');
+    }
+    if (!details || typeof details.path !== 'string' || !details.path) {
+        throw new LocalFileError('LOCAL-FILE source_details must include a "path".', 400);
+    }
+    const file = path.resolve(LOCAL_DATA_DIR, details.path);
+    if (!file.startsWith(LOCAL_DATA_DIR + path.sep)) {
+        throw new LocalFileError(`The path '${details.path}' is outside the data directory.`, 400);
+    }
+    return file;
+};
+
+const tooManyRows = (details) =>
+    new LocalFileError(`'${details.path}' has more than ${MAX_ROWS} rows, the most LOCAL_FILE_MAX_ROWS allows.`, 400);
+
+const readCsv = (file, details) => {
+    const delimiter = details.delimiter || (path.extname(file).toLowerCase() === '.tsv' ? '\t' : ',');
+    const records = parseCsv(fs.readFileSync(file), {
+        bom: true,
+        delimiter,
+        skip_empty_lines: true,
+        to: MAX_ROWS + 2,
+    });
+    const [header = [], ...rows] = records;
+    if (rows.length > MAX_ROWS) throw tooManyRows(details);
+    return {
+        names: header,
+        rows: rows.map(record => Object.fromEntries(header.map((name, i) => [name, record[i] === '' ? null : record[i]]))),
+    };
+};
+
+const readParquet = async (file, details) => {
+    // hyparquet is only published as an ES module.
+    const { asyncBufferFromFile, parquetMetadataAsync, parquetSchema, parquetReadObjects } = await import('hyparquet');
+    const buffer = await asyncBufferFromFile(file);
+    const metadata = await parquetMetadataAsync(buffer);
+    if (Number(metadata.num_rows) > MAX_ROWS) throw tooManyRows(details);
+    return {
+        names: parquetSchema(metadata).children.map(child => child.element.name),
+        rows: await parquetReadObjects({ file: buffer, metadata }),
+    };
+};
+
+const readSqlite = async (file, details) => {
+    if (!details.table) {
+        throw new LocalFileError('LOCAL-FILE source_details must name the SQLite "table" to read.', 400);
+    }
+    sqlJs = sqlJs || initSqlJs();
+    const SQL = await sqlJs;
+    const db = new SQL.Database(fs.readFileSync(file));
+    try {
+        // The table name was checked against IDENTIFIER_PATTERN.
+        const statement = db.prepare(`SELECT * FROM "${details.table}" LIMIT ${MAX_ROWS + 1}`);
+        const names = statement.getColumnNames();
+        const rows = [];
+        while (statement.step()) rows.push(statement.getAsObject());
+        statement.free();
+        if (rows.length > MAX_ROWS) throw tooManyRows(details);
+        return { names, rows };
+    } catch (error) {
+        if (/no such table/.test(error.message)) {
+            throw new LocalFileError(`Table '${details.table}' was not found in '${details.path}'.`, 404);
+        }
+        throw error;
+    } finally {
+        db.close();
+    }
+};
+
+const READERS = { csv: readCsv, parquet: readParquet, sqlite: readSqlite };
+
+// Brings a value read from a file to a string, number, boolean or null.
+const toPlainValue = (value) => {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'bigint') return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof Uint8Array) return Buffer.from(value).toString('base64');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+const TYPE_TESTS = [
+    ['INT64', value => /^-?(0|[1-9]\d{0,15})$/.test(value)],
+    ['FLOAT64', value => /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(value) && Number.isFinite(Number(value))],
+    ['BOOL', value => /^(true|false)$/i.test(value)],
+    ['DATE', value => /^\d{4}-\d{2}-\d{2}$/.test(value)],
+    ['TIMESTAMP', value => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value)
+        && !Number.isNaN(new Date(value).getTime())],
+];
+
+const typeOfValue = (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) ? 'INT64' : 'FLOAT64';
+    if (typeof value === 'boolean') return 'BOOL';
+    const match = TYPE_TESTS.find(([, test]) => test(value));
+    return match ? match[0] : 'STRING';
+};
+
+// The narrowest type that fits every value of a column.
+const inferType = (values) => {
+    const types = new Set(values.filter(v => v !== null).map(typeOfValue));
+    if (types.size === 0) return 'STRING';
+    if (types.size === 1) return [...types][0];
+    if (types.size === 2 && types.has('INT64') && types.has('FLOAT64')) return 'FLOAT64';
+    return 'STRING';
+};
+
+const convertValue = (value, type) => {
+    if (value === null) return null;
+    switch (type) {
+        case 'INT64':
+        case 'FLOAT64':
+            return Number(value);
+        case 'BOOL':
+            return value === true || String(value).toLowerCase() === 'true';
+        default:
+            return typeof value === 'string' ? value : String(value);
+    }
+};
+
+// Reads a file (or a SQLite table) into memory, or returns it from the cache
+// when it has not changed since.
+const loadTable = async (details) => {
+    const file = resolveFile(details);
+    const format = details.format || FORMATS_BY_EXTENSION[path.extname(file).toLowerCase()];
+    if (!READERS[format]) {
+        throw new LocalFileError(`Cannot tell the format of '${details.path}'. Set "format" to csv, parquet or sqlite.`, 400);
+    }
+
+    let stats;
+    try {
+        stats = fs.statSync(file);
+    } catch (error) {
+        throw new LocalFileError(`File '${details.path}' was not found in the data directory.`, 404);
+    }
+    const key = `${file}\n${format}\n${details.table || ''}\n${details.delimiter || ''}`;
+    const loaded = loadedFiles.get(key);
+    if (loaded && loaded.mtimeMs === stats.mtimeMs) return loaded;
+
+    let read;
+    try {
+        read = await READERS[format](file, details);
+    } catch (error) {
+        if (error instanceof LocalFileError) throw error;
+        throw new LocalFileError(`Could not read '${details.path}' as ${format}: ${error.message}`, 400);
+    }
+    const plainRows = read.rows.map(row => read.names.map(name => toPlainValue(row[name])));
+    const columns = read.names.map((name, i) => ({
+        name,
+        data_type: inferType(plainRows.map(values => values[i])),
+        description: null,
+        nullable: true,
+    }));
+    const table = {
+        mtimeMs: stats.mtimeMs,
+        columns,
+        rows: plainRows.map(values =>
+            Object.fromEntries(columns.map((column, i) => [column.name, convertValue(values[i], column.data_type)]))),
+    };
+    loadedFiles.set(key, table);
+    return table;
+};
+
+// The LOCAL-FILE source adapter (see connectors/index.js).
+const adapter = {
+    name: 'LOCAL-FILE',
+    title: 'Local CSV, Parquet or SQLite file',
+    schema: SOURCE_DETAILS_SCHEMA,
+    capabilities: {
+        filters: true,
+        operators: FILTER_OPERATORS,
+        aggregation: true,
+        paging: true,
+        costEstimates: false,
+        jobs: false,
+    },
+    query: async (sourceDetails, query) => {
+        const { columns, rows } = await loadTable(sourceDetails);
+        return runRowQuery(rows, columns, query);
+    },
+    readSchema: async (sourceDetails) => (await loadTable(sourceDetails)).columns,
+};
+
+module.exports = {
+    adapter,
+    LOCAL_DATA_DIR,
+    SOURCE_DETAILS_SCHEMA,
+    LocalFileError,
+};
@@ -0,0 +1,555 @@
+const fetch = require('node-fetch');
+const { FILTER_OPERATORS } = require('../queryModel');
+const { RATE_LIMITS_SCHEMA } = require('../rateLimits');
+
+// SAP-BW connector. Queries go through the Apigee proxy to the OData service
+// that BW generates for an OData-enabled BEx query (or an InfoProvider).
+//
+// Expected `source_details` for a SAP-BW entity:
+// {
+//   "endpoint": "https://apigee.example.com/sap-bw",   // Apigee base URL (required)
+//   "queryName": "ZFIN_Q001",                          // BEx query name, or...
+//   "infoProvider": "ZFIN_C01",                        // ...InfoProvider name
+//   "servicePath": "/sap/opu/odata/sap/ZFIN_Q001_SRV", // optional, derived from the name
+//   "entitySet": "ZFIN_Q001Results",                   // optional, derived from the name
+//   "sapClient": "100",                                // optional sap-client
+//   "timeoutMs": 30000,                                // optional
+//   "masterDataEntitySet": "{column}Values",           // optional, see distinctSapBwValues
+//   "auth": { "type": "apiKey", "headerName": "x-apikey", "keyEnv": "SAP_BW_API_KEY" }
+// }
+//
+// Secrets never live in the config table: `auth` only names the environment
+// variables holding them. Supported auth types are 'none', 'apiKey', 'basic'
+// and 'oauth2' (client credentials).
+
+const IDENTIFIER_REGEX = /^[a-zA-Z0-9_-]+$/;
+const MAX_PAGE_SIZE = 5000;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const IDENTIFIER_PATTERN = '^[a-zA-Z0-9_-]+$';
+const DEFAULT_MASTER_DATA_ENTITY_SET = '{column}Values';
+// How long the entity sets listed in $metadata are remembered.
+const METADATA_TTL_MS = 10 * 60 * 1000;
+// Names of environment variables, never the secrets themselves.
+const ENV_NAME_PATTERN = '^[A-Z_][A-Z0-9_]*$';
+
+// The shape of `source_details`, enforced by sourceDetails.js and used by the
+// admin UI to render its form.
+const SOURCE_DETAILS_SCHEMA = {
+    type: 'object',
+    required: ['endpoint'],
+    anyOf: [{ required: ['queryName'] }, { required: ['infoProvider'] }, { required: ['entitySet'] }],
+    additionalProperties: false,
+    properties: {
+        endpoint: { type: 'string', title: 'Apigee endpoint', pattern: '^https?://\\S+$', description: 'Base URL of the Apigee proxy.' },
+        queryName: { type: 'string', title: 'BEx query name', pattern: IDENTIFIER_PATTERN },
+        infoProvider: { type: 'string', title: 'InfoProvider', pattern: IDENTIFIER_PATTERN, description: 'Instead of a BEx query.' },
+        servicePath: { type: 'string', title: 'Service path', pattern: '^\\S+$', description: 'Derived from the query or InfoProvider name when empty.' },
+        entitySet: { type: 'string', title: 'Entity set', pattern: IDENTIFIER_PATTERN, description: 'Derived from the query or InfoProvider name when empty.' },
+        sapClient: { type: 'string', title: 'SAP client', pattern: '^\\d{3}$' },
+        timeoutMs: { type: 'integer', title: 'Timeout (ms)', minimum: 1000, maximum: 300000 },
+        masterDataEntitySet: {
+            type: 'string',
+            title: 'Master data entity set',
+            pattern: '^[a-zA-Z0-9_-]*\\{column\\}[a-zA-Z0-9_-]*$',
+            description: 'Where filter suggestions for a characteristic come from, {column} standing for its name. Defaults to {column}Values.',
+        },
+        cacheTtlSeconds: {
+            type: 'integer',
+            title: 'Result cache TTL (seconds)',
+            minimum: 0,
+            description: '0 turns result caching off for this entity.',
+        },
+        rateLimits: RATE_LIMITS_SCHEMA,
+        auth: {
+            type: 'object',
+            title: 'Authentication',
+            required: ['type'],
+            additionalProperties: false,
+            properties: {
+                type: { type: 'string', title: 'Type', enum: ['none', 'apiKey', 'basic', 'oauth2'] },
+                headerName: { type: 'string', title: 'API key header', description: 'apiKey only; defaults to x-apikey.' },
+                keyEnv: { type: 'string', title: 'API key variable', pattern: ENV_NAME_PATTERN },
+                usernameEnv: { type: 'string', title: 'Username variable', pattern: ENV_NAME_PATTERN },
+                passwordEnv: { type: 'string', title: 'Password variable', pattern: ENV_NAME_PATTERN },
+                tokenUrl: { type: 'string', title: 'Token URL', pattern: '^https?://\\S+$' },
+                clientIdEnv: { type: 'string', title: 'Client ID variable', pattern: ENV_NAME_PATTERN },
+                clientSecretEnv: { type: 'string', title: 'Client secret variable', pattern: ENV_NAME_PATTERN },
+                scope: { type: 'string', title: 'Scope' },
+            },
+        },
+    },
+};
+
+const ODATA_OPERATORS = {
+    '=': 'eq',
+    '!=': 'ne',
+    '>': 'gt',
+    '>=': 'ge',
+    '<': 'lt',
+    '<=': 'le',
+};
+
+class SapBwError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'SapBwError';
+        this.status = status;
+    }
+}
+
+const sanitizeIdentifier = (identifier) => {
+    if (typeof identifier !== 'string' || !IDENTIFIER_REGEX.test(identifier)) {
+        throw new SapBwError(`Invalid identifier: ${identifier}`, 400);
+    }
+    return identifier;
+};
+
+// Formats a filter value as an OData v2 literal. `type` is the column's data
+// type from the schema endpoint, when the client knows it.
+const formatODataValue = (value, type) => {
+    switch (type) {
+        case 'INT64':
+        case 'NUMERIC':
+        case 'FLOAT64': {
+            const number = Number(value);
+            if (value === '' || !Number.isFinite(number)) {
+                throw new SapBwError(`Invalid numeric filter value: ${value}`, 400);
+            }
+            return String(number);
+        }
+        case 'BOOL':
+            return value === true || value === 'true' ? 'true' : 'false';
+        case 'DATE':
+        case 'DATETIME': {
+            const date = String(value);
+            if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/.test(date)) {
+                throw new SapBwError(`Invalid date filter value: ${value}`, 400);
+            }
+            return `datetime'${date.length === 10 ? `${date}T00:00:00` : date}'`;
+        }
+        case 'TIMESTAMP': {
+            const timestamp = new Date(value);
+            if (Number.isNaN(timestamp.getTime())) {
+                throw new SapBwError(`Invalid timestamp filter value: ${value}`, 400);
+            }
+            return `datetimeoffset'${timestamp.toISOString()}'`;
+        }
+        default:
+            break;
+    }
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    return `'${String(value).replace(/'/g, "''")}'`;
+};
+
+// Turns one normalized filter node (see queryModel.js) into an OData V2
+// expression. Groups become parenthesized and/or chains.
+const buildFilterNode = (f) => {
+    if (f.filters !== undefined) {
+        const joiner = f.logic === 'OR' ? ' or ' : ' and ';
+        return `(${f.filters.map(buildFilterNode).join(joiner)})`;
+    }
+
+    const column = sanitizeIdentifier(f.column);
+    const operator = String(f.operator || '').toUpperCase();
+
+    switch (operator) {
+        case 'IN':
+        case 'NOT IN': {
+            const values = typeof f.value === 'string' ? f.value.split(',').map(v => v.trim()) : f.value;
+            if (!Array.isArray(values) || values.length === 0) {
+                throw new SapBwError(`Value for ${operator} must be a non-empty list.`, 400);
+            }
+            const comparison = operator === 'IN' ? 'eq' : 'ne';
+            const joiner = operator === 'IN' ? ' or ' : ' and ';
+            return `(${values.map(v => `${column} ${comparison} ${formatODataValue(v, f.type)}`).join(joiner)})`;
+        }
+        case 'BETWEEN':
+            if (!Array.isArray(f.value) || f.value.length !== 2) {
+                throw new SapBwError('Value for BETWEEN must be a list of two values.', 400);
+            }
+            return `(${column} ge ${formatODataValue(f.value[0], f.type)} and ${column} le ${formatODataValue(f.value[1], f.type)})`;
+        case 'IS NULL':
+            return `${column} eq null`;
+        case 'IS NOT NULL':
+            return `${column} ne null`;
+        case 'CONTAINS':
+            return `substringof(${formatODataValue(String(f.value))}, ${column})`;
+        case 'STARTS WITH':
+            // ignoreCase is only set by distinctSapBwValues, not by users' filters.
+            return f.ignoreCase
+                ? `startswith(tolower(${column}), ${formatODataValue(String(f.value).toLowerCase())})`
+                : `startswith(${column}, ${formatODataValue(String(f.value))})`;
+        case 'LIKE':
+            throw new SapBwError('LIKE patterns are not supported for SAP-BW entities. Use CONTAINS or STARTS WITH instead.', 400);
+        default: {
+            const odataOperator = ODATA_OPERATORS[operator];
+            if (!odataOperator) {
+                throw new SapBwError(`Invalid operator: ${f.operator}`, 400);
+            }
+            return `${column} ${odataOperator} ${formatODataValue(f.value, f.type)}`;
+        }
+    }
+};
+
+const buildFilterExpression = (filters = []) => {
+    if (!Array.isArray(filters)) {
+        throw new SapBwError('Filters must be an array.', 400);
+    }
+    return filters.map(buildFilterNode).join(' and ');
+};
+
+const resolveTarget = (details) => {
+    if (!details || !details.endpoint) {
+        throw new SapBwError('SAP-BW source_details must include an "endpoint".', 500);
+    }
+    const name = details.queryName || details.infoProvider;
+    if (!name && !details.entitySet) {
+        throw new SapBwError('SAP-BW source_details must include a "queryName" or "infoProvider".', 500);
+    }
+
+    const servicePath = details.servicePath || `/sap/opu/odata/sap/${sanitizeIdentifier(name)}_SRV`;
+    const entitySet = sanitizeIdentifier(details.entitySet || `${name}Results`);
+    const baseUrl = details.endpoint.replace(/\/+$/, '') + '/' + servicePath.replace(/^\/+|\/+$/g, '');
+    return { baseUrl, entitySet };
+};
+
+const readSecret = (envName, label) => {
+    const value = envName && process.env[envName];
+    if (!value) {
+        throw new SapBwError(`SAP-BW ${label} is not configured on the backend (missing environment variable ${envName || '<unset>'}).`, 500);
+    }
+    return value;
+};
+
+// Client-credential tokens are cached per token URL until shortly before they expire.
+const oauthTokenCache = new Map();
+
+const fetchOAuthToken = async (auth, timeoutMs) => {
+    const cached = oauthTokenCache.get(auth.tokenUrl);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.token;
+    }
+
+    const body = new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: readSecret(auth.clientIdEnv, 'OAuth client id'),
+        client_secret: readSecret(auth.clientSecretEnv, 'OAuth client secret'),
+    });
+    if (auth.scope) body.set('scope', auth.scope);
+
+    const response = await fetchWithTimeout(auth.tokenUrl, { method: 'POST', body }, timeoutMs);
+    if (!response.ok) {
+        throw new SapBwError(`Apigee token request failed with status ${response.status}.`);
+    }
+    const data = await response.json();
+    const expiresIn = Number(data.expires_in) || 300;
+    oauthTokenCache.set(auth.tokenUrl, { token: data.access_token, expiresAt: Date.now() + (expiresIn - 30) * 1000 });
+    return data.access_token;
+};
+
+const buildAuthHeaders = async (auth = { type: 'none' }, timeoutMs) => {
+    switch (auth.type || 'none') {
+        case 'none':
+            return {};
+        case 'apiKey':
+            return { [auth.headerName || 'x-apikey']: readSecret(auth.keyEnv, 'API key') };
+        case 'basic': {
+            const user = readSecret(auth.usernameEnv, 'username');
+            const password = readSecret(auth.passwordEnv, 'password');
+            return { Authorization: `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}` };
+        }
+        case 'oauth2':
+            return { Authorization: `Bearer ${await fetchOAuthToken(auth, timeoutMs)}` };
+        default:
+            throw new SapBwError(`Unsupported SAP-BW auth type: ${auth.type}`, 500);
+    }
+};
+
+const fetchWithTimeout = async (url, options, timeoutMs) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new SapBwError(`SAP-BW did not respond within ${timeoutMs / 1000}s.`, 504);
+        }
+        throw new SapBwError(`Could not reach SAP-BW through Apigee: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Pulls the human-readable message out of an OData (v2 or v4) or Apigee fault body.
+const extractUpstreamError = (text) => {
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        // $metadata failures come back as OData XML errors.
+        const match = /<message[^>]*>([\s\S]*?)<\/message>/.exec(text || '');
+        return match ? match[1].trim() : null;
+    }
+    if (!body || typeof body !== 'object') return null;
+    if (body.error) {
+        const message = body.error.message;
+        if (message && typeof message === 'object') return message.value;
+        return message || null;
+    }
+    if (body.fault) return body.fault.faultstring;
+    return null;
+};
+
+// Sends an authenticated GET to a resource of the entity's OData service and
+// returns the raw response text, turning upstream failures into SapBwErrors.
+const sapBwGet = async (sourceDetails, resource, params, accept) => {
+    const { baseUrl } = resolveTarget(sourceDetails);
+    const timeoutMs = Number(sourceDetails.timeoutMs) || DEFAULT_TIMEOUT_MS;
+
+    if (sourceDetails.sapClient) params.set('sap-client', String(sourceDetails.sapClient));
+    const query = params.toString();
+    const url = `${baseUrl}/${resource}${query ? `?${query}` : ''}`;
+    const headers = {
+        Accept: accept,
+        ...(await buildAuthHeaders(sourceDetails.auth, timeoutMs)),
+    };
+
+    console.log(`Executing SAP-BW request: GET ${url}`);
+    const response = await fetchWithTimeout(url, { method: 'GET', headers }, timeoutMs);
+    const text = await response.text();
+
+    if (!response.ok) {
+        const detail = extractUpstreamError(text) || response.statusText;
+        if (response.status === 401 || response.status === 403) {
+            throw new SapBwError(`SAP-BW rejected the backend's credentials (${response.status}): ${detail}`);
+        }
+        if (response.status === 404) {
+            throw new SapBwError(`SAP-BW query or entity set not found: ${detail}`);
+        }
+        throw new SapBwError(`SAP-BW request failed with status ${response.status}: ${detail}`);
+    }
+    return text;
+};
+
+const extractRows = (text) => {
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        body = null;
+    }
+    if (body && body.d) {
+        return Array.isArray(body.d.results) ? body.d.results : [body.d];
+    }
+    if (body && Array.isArray(body.value)) {
+        return body.value;
+    }
+    throw new SapBwError('SAP-BW returned a response in an unexpected format.');
+};
+
+// Total row count from $inlinecount (v2: d.__count, v4: @odata.count).
+const extractCount = (text, fallback) => {
+    const body = JSON.parse(text);
+    const count = body.d ? body.d.__count : body['@odata.count'];
+    return count === undefined ? fallback : Number(count);
+};
+
+// OData v2 serializes Edm.DateTime as "/Date(<epoch ms>)/". Convert those to the
+// ISO strings BigQuery returns: a plain date at midnight UTC, a timestamp otherwise.
+const normalizeODataValue = (value) => {
+    if (value === undefined) return null;
+    const match = typeof value === 'string' && /^\/Date\((-?\d+)(?:[+-]\d{4})?\)\/$/.exec(value);
+    if (!match) return value;
+    const iso = new Date(Number(match[1])).toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+};
+
+// Keeps only the requested columns, in the requested order, and drops OData metadata.
+const mapRow = (row, columns) => {
+    const mapped = {};
+    for (const column of columns) {
+        mapped[column] = normalizeODataValue(row[column]);
+    }
+    return mapped;
+};
+
+/**
+ * Executes a Query Builder query ({ columns, filters, pageSize, offset }) against
+ * SAP-BW and returns { rows, totalRows } in the shape the BigQuery path produces.
+ */
+const querySapBw = async (sourceDetails, query) => {
+    const columns = (query.columns || []).map(sanitizeIdentifier);
+    const pageSize = parseInt(query.pageSize || query.limit || 1000, 10);
+    const offset = parseInt(query.offset || 0, 10);
+
+    if (columns.length === 0) {
+        throw new SapBwError('At least one column must be selected.', 400);
+    }
+    // BW already aggregates key figures over the selected characteristics, and
+    // OData V2 has no way to ask for a different aggregation.
+    if ((query.aggregations || []).length > 0 || (query.groupBy || []).length > 0) {
+        throw new SapBwError('SAP-BW entities do not support custom aggregations or grouping. BW aggregates key figures by the selected characteristics.', 400);
+    }
+    if (!(pageSize > 0 && pageSize <= MAX_PAGE_SIZE)) {
+        throw new SapBwError(`Page size must be between 1 and ${MAX_PAGE_SIZE}.`, 400);
+    }
+    if (!(offset >= 0)) {
+        throw new SapBwError('Offset must not be negative.', 400);
+    }
+
+    const { entitySet } = resolveTarget(sourceDetails);
+    const params = new URLSearchParams({
+        $select: columns.join(','),
+        $top: String(pageSize),
+        $skip: String(offset),
+        $inlinecount: 'allpages',
+        $format: 'json',
+    });
+    const filterExpression = buildFilterExpression(query.filters);
+    if (filterExpression) params.set('$filter', filterExpression);
+    const orderBy = (query.orderBy || [])
+        .map(sort => `${sanitizeIdentifier(sort.column)} ${sort.direction === 'DESC' ? 'desc' : 'asc'}`);
+    if (orderBy.length > 0) params.set('$orderby', orderBy.join(','));
+
+    const text = await sapBwGet(sourceDetails, entitySet, params, 'application/json');
+    const rows = extractRows(text).map(row => mapRow(row, columns));
+    return { rows, totalRows: extractCount(text, offset + rows.length) };
+};
+
+// EDM primitive types mapped onto the BigQuery type names the rest of the app uses.
+const EDM_TYPES = {
+    'Edm.String': 'STRING',
+    'Edm.Guid': 'STRING',
+    'Edm.Byte': 'INT64',
+    'Edm.SByte': 'INT64',
+    'Edm.Int16': 'INT64',
+    'Edm.Int32': 'INT64',
+    'Edm.Int64': 'INT64',
+    'Edm.Decimal': 'NUMERIC',
+    'Edm.Single': 'FLOAT64',
+    'Edm.Double': 'FLOAT64',
+    'Edm.Boolean': 'BOOL',
+    'Edm.Date': 'DATE',
+    'Edm.DateTime': 'DATETIME',
+    'Edm.DateTimeOffset': 'TIMESTAMP',
+    'Edm.Time': 'TIME',
+    'Edm.TimeOfDay': 'TIME',
+    'Edm.Binary': 'BYTES',
+};
+
+const readXmlAttributes = (tag) => {
+    const attributes = {};
+    const regex = /([\w:.-]+)="([^"]*)"/g;
+    let match;
+    while ((match = regex.exec(tag))) {
+        attributes[match[1]] = match[2]
+            .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    }
+    return attributes;
+};
+
+/**
+ * Reads the OData $metadata document of the entity's query and returns its
+ * columns as [{ name, data_type, description, nullable }].
+ */
+const getSapBwSchema = async (sourceDetails) => {
+    const { entitySet } = resolveTarget(sourceDetails);
+    const xml = await sapBwGet(sourceDetails, '$metadata', new URLSearchParams(), 'application/xml');
+
+    const setTag = (xml.match(/<EntitySet\b[^>]*>/g) || [])
+        .map(readXmlAttributes)
+        .find(attrs => attrs.Name === entitySet);
+    if (!setTag) {
+        throw new SapBwError(`SAP-BW metadata does not describe entity set '${entitySet}'.`);
+    }
+
+    const typeName = setTag.EntityType.split('.').pop();
+    const typeBlock = (xml.match(/<EntityType\b[\s\S]*?<\/EntityType>/g) || [])
+        .find(block => readXmlAttributes(block.match(/<EntityType\b[^>]*>/)[0]).Name === typeName);
+    if (!typeBlock) {
+        throw new SapBwError(`SAP-BW metadata does not define entity type '${typeName}'.`);
+    }
+
+    return (typeBlock.match(/<Property\b[^>]*>/g) || [])
+        .map(readXmlAttributes)
+        .map(attrs => ({
+            name: attrs.Name,
+            // BW exposes calendar days as Edm.DateTime with sap:display-format="Date".
+            data_type: attrs['sap:display-format'] === 'Date' ? 'DATE' : (EDM_TYPES[attrs.Type] || 'STRING'),
+            description: attrs['sap:label'] || attrs['sap:quickinfo'] || null,
+            nullable: attrs.Nullable !== 'false',
+        }));
+};
+
+const entitySetCache = new Map();
+
+// The names of the entity sets the service's $metadata lists.
+const listEntitySets = async (sourceDetails) => {
+    const { baseUrl } = resolveTarget(sourceDetails);
+    const cached = entitySetCache.get(baseUrl);
+    if (cached && cached.expiresAt > Date.now()) return cached.names;
+    const xml = await sapBwGet(sourceDetails, '$metadata', new URLSearchParams(), 'application/xml');
+    const names = new Set((xml.match(/<EntitySet\b[^>]*>/g) || []).map(tag => readXmlAttributes(tag).Name));
+    entitySetCache.set(baseUrl, { names, expiresAt: Date.now() + METADATA_TTL_MS });
+    return names;
+};
+
+/**
+ * Up to `limit` distinct values of a characteristic in ascending order, those
+ * starting with `prefix` (in any case) when it is given, from the
+ * characteristic's master data entity set. Returns { values }, or null when
+ * the service has no such entity set or the caller has row filters, since
+ * master data knows nothing of row-level security; the values are then read
+ * with a query for the column (see readDistinctValues).
+ */
+const distinctSapBwValues = async (sourceDetails, { column, prefix, limit, filters }) => {
+    const name = sanitizeIdentifier(column);
+    const masterDataSet = (sourceDetails.masterDataEntitySet || DEFAULT_MASTER_DATA_ENTITY_SET).replace('{column}', name);
+    if (filters.length > 0 || !(await listEntitySets(sourceDetails)).has(masterDataSet)) return null;
+    const params = new URLSearchParams({
+        $select: name,
+        $top: String(limit),
+        $orderby: `${name} asc`,
+        $format: 'json',
+    });
+    if (prefix) {
+        params.set('$filter', buildFilterExpression([{ column: name, operator: 'STARTS WITH', value: prefix, ignoreCase: true }]));
+    }
+    const text = await sapBwGet(sourceDetails, sanitizeIdentifier(masterDataSet), params, 'application/json');
+    return { values: extractRows(text).map(row => normalizeODataValue(row[name])) };
+};
+
+// The SAP-BW source adapter (see connectors/index.js). OData cannot evaluate
+// LIKE patterns or custom aggregations, and requests cannot be cancelled at
+// the source.
+const adapter = {
+    name: 'SAP-BW',
+    title: 'SAP-BW query via Apigee',
+    schema: SOURCE_DETAILS_SCHEMA,
+    capabilities: {
+        filters: true,
+        operators: FILTER_OPERATORS.filter(operator => operator !== 'LIKE'),
+        aggregation: false,
+        paging: true,
+        costEstimates: false,
+        jobs: false,
+    },
+    query: async (sourceDetails, query) => {
+        const { rows, totalRows } = await querySapBw(sourceDetails, query);
+        return { rows, totalRows, offset: query.offset };
+    },
+    readSchema: (sourceDetails) => getSapBwSchema(sourceDetails),
+    distinctValues: distinctSapBwValues,
+};
+
+module.exports = {
+    adapter,
+    SOURCE_DETAILS_SCHEMA,
+    querySapBw,
+    getSapBwSchema,
+    distinctSapBwValues,
+    SapBwError,
+};
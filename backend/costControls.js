@@ -0,0 +1,130 @@
+const { getDailyBytesProcessed } = require('./audit');
+
+// Cost guardrails for BigQuery entities. Before a query runs, the backend
+// dry-runs it and refuses it when it would scan more than
+//
+//   - the entity's cap, `maximumBytesBilled` in its source_details:
+//     { "projectId": "...", "datasetId": "...", "tableId": "...", "maximumBytesBilled": 107374182400 }
+//     The cap is also passed on to BigQuery, which refuses a job that would
+//     bill more, or
+//   - what is left of the user's daily quota, USER_DAILY_QUOTA_BYTES (unset
+//     means no quota). Usage is the sum of bytes_processed in the audit log
+//     since midnight UTC.
+//
+// Usage is cached per user for a minute and counted up locally in between,
+// so the audit log is not queried for every request.
+
+const USER_DAILY_QUOTA_BYTES = Number(process.env.USER_DAILY_QUOTA_BYTES) || null;
+const USAGE_CACHE_TTL_MS = 60 * 1000;
+
+class CostLimitError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CostLimitError';
+        this.status = status;
+    }
+}
+
+const usageCache = new Map();
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+/**
+ * Returns an error message when source_details.maximumBytesBilled is set but
+ * is not a positive whole number of bytes, or null when it is fine.
+ */
+const validateCostControls = (sourceDetails) => {
+    const cap = sourceDetails && sourceDetails.maximumBytesBilled;
+    if (cap === undefined || cap === null) return null;
+    if (!Number.isSafeInteger(cap) || cap <= 0) {
+        return 'source_details.maximumBytesBilled must be a positive whole number of bytes.';
+    }
+    return null;
+};
+
+/**
+ * The entity's byte cap, or null when it has none.
+ */
+const maximumBytesBilledFor = (sourceDetails) =>
+    (sourceDetails && Number.isSafeInteger(sourceDetails.maximumBytesBilled) ? sourceDetails.maximumBytesBilled : null);
+
+/**
+ * Whether queries on an entity need a dry run before they may run.
+ */
+const needsCostCheck = (sourceDetails) => maximumBytesBilledFor(sourceDetails) !== null || USER_DAILY_QUOTA_BYTES !== null;
+
+/**
+ * Bytes the user has processed today, from the cache when it is fresh.
+ */
+const getDailyUsage = async (bigquery, user) => {
+    const cached = usageCache.get(user.email);
+    if (cached && cached.day === today() && Date.now() - cached.loadedAt < USAGE_CACHE_TTL_MS) {
+        return cached.bytes;
+    }
+    const bytes = await getDailyBytesProcessed(bigquery, user.email);
+    usageCache.set(user.email, { day: today(), bytes, loadedAt: Date.now() });
+    return bytes;
+};
+
+/**
+ * Counts bytes a query just processed towards the user's cached usage.
+ */
+const recordUsage = (user, bytes) => {
+    const cached = usageCache.get(user.email);
+    if (cached && cached.day === today() && bytes > 0) {
+        cached.bytes += bytes;
+    }
+};
+
+/**
+ * The user's quota as { limit, used, remaining }, or null without a quota.
+ */
+const getQuota = async (bigquery, user) => {
+    if (USER_DAILY_QUOTA_BYTES === null) return null;
+    const used = await getDailyUsage(bigquery, user);
+    return { limit: USER_DAILY_QUOTA_BYTES, used, remaining: Math.max(0, USER_DAILY_QUOTA_BYTES - used) };
+};
+
+/**
+ * Throws a CostLimitError explaining why a query that would scan
+ * `estimatedBytes` may not run, if it may not.
+ */
+const checkCostLimits = async (bigquery, { user, entity, sourceDetails, estimatedBytes }) => {
+    const cap = maximumBytesBilledFor(sourceDetails);
+    if (cap !== null && estimatedBytes > cap) {
+        throw new CostLimitError(
+            `This query would scan ~${formatBytes(estimatedBytes)}, more than the ${formatBytes(cap)} allowed for `
+            + `entity '${entity.entity_name}'. Add filters or select fewer columns to scan less data.`,
+        );
+    }
+
+    const quota = await getQuota(bigquery, user);
+    if (quota && estimatedBytes > quota.remaining) {
+        throw new CostLimitError(
+            `This query would scan ~${formatBytes(estimatedBytes)}, but only ${formatBytes(quota.remaining)} of your `
+            + `daily quota of ${formatBytes(quota.limit)} is left. The quota resets at midnight UTC.`,
+            403,
+        );
+    }
+};
+
+module.exports = {
+    validateCostControls,
+    maximumBytesBilledFor,
+    needsCostCheck,
+    getQuota,
+    checkCostLimits,
+    recordUsage,
+    CostLimitError,
+};
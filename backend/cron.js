@@ -0,0 +1,184 @@
+// Cron schedules for scheduled queries. An expression has the five classic
+// fields, evaluated in an IANA time zone:
+//
+//   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12 or JAN-DEC)  day of week (0-7 or SUN-SAT, 0 and 7 are Sunday)
+//
+// Each field is '*', a value, a range ('1-5'), a step ('*/15', '0-30/10') or
+// a comma-separated list of those. As in classic cron, when both the day of
+// month and the day of week are restricted, a day matching either one runs.
+// '0 7 * * MON' runs every Monday at 07:00.
+//
+// Wall-clock times that do not exist because of a daylight saving change are
+// skipped; times that occur twice run at the first one.
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+// How many days ahead nextRun looks; far enough for '0 0 29 2 *'.
+const MAX_SEARCH_DAYS = 366 * 8 + 2;
+
+class CronError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CronError';
+        this.status = status;
+    }
+}
+
+const parseValue = (text, field) => {
+    const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+    const value = index >= 0 ? index + field.nameOffset : (/^\d+$/.test(text) ? Number(text) : NaN);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new CronError(`Invalid ${field.name} '${text}' in the schedule.`);
+    }
+    return value;
+};
+
+// The set of values a field allows.
+const parseField = (text, field) => {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^([^/]+)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new CronError(`Invalid ${field.name} '${part}' in the schedule.`);
+        }
+        const [, range, stepText] = match;
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (step < 1) {
+            throw new CronError(`Invalid step '${stepText}' for the ${field.name} in the schedule.`);
+        }
+        let low;
+        let high;
+        if (range === '*') {
+            [low, high] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            [low, high] = range.split('-').map(value => parseValue(value, field));
+            if (low > high) {
+                throw new CronError(`Invalid ${field.name} range '${range}' in the schedule.`);
+            }
+        } else {
+            low = parseValue(range, field);
+            high = stepText === undefined ? low : field.max;
+        }
+        for (let value = low; value <= high; value += step) values.add(value);
+    }
+    return values;
+};
+
+/**
+ * Parses a five-field cron expression. Throws a CronError when it is invalid.
+ */
+const parseCron = (expression) => {
+    const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+    if (parts.length !== FIELDS.length) {
+        throw new CronError('A schedule needs five fields: minute, hour, day of month, month and day of week.');
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+    return {
+        minutes, hours, days, months, weekdays,
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*',
+    };
+};
+
+/**
+ * Throws a CronError unless `timeZone` is an IANA time zone name.
+ */
+const checkTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+        throw new CronError(`Unknown time zone '${timeZone}'.`);
+    }
+};
+
+const partFormatters = new Map();
+
+// The wall-clock time of an instant in a time zone, as a UTC timestamp.
+const wallClock = (time, timeZone) => {
+    if (!partFormatters.has(timeZone)) {
+        partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+        }));
+    }
+    const parts = Object.fromEntries(partFormatters.get(timeZone).formatToParts(new Date(time)).map(p => [p.type, Number(p.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+// The instant at which a time zone's clock shows `wall` (a UTC timestamp of
+// the wall-clock time), or null when it never does.
+const instantOf = (wall, timeZone) => {
+    // Around a daylight saving change the offsets half a day either side
+    // differ, so both are tried and the earlier instant that shows the time wins.
+    const offsetAt = time => wallClock(time, timeZone) - time;
+    const candidates = [wall - offsetAt(wall - 43200000), wall - offsetAt(wall + 43200000)];
+    const matching = candidates.filter(time => wallClock(time, timeZone) === wall).sort((a, b) => a - b);
+    return matching.length > 0 ? matching[0] : null;
+};
+
+const dayMatches = (schedule, date) => {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) return false;
+    const dayOfMonth = schedule.days.has(date.getUTCDate());
+    const dayOfWeek = schedule.weekdays.has(date.getUTCDay());
+    if (schedule.anyDay || schedule.anyWeekday) return dayOfMonth && dayOfWeek;
+    return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * The first time after `after` (a Date) at which a parsed schedule runs in
+ * `timeZone`, as a Date; null when it never runs (e.g. on 31 February).
+ */
+const nextRun = (schedule, timeZone, after) => {
+    const start = wallClock(after.getTime(), timeZone);
+    const startDay = Math.floor(start / 86400000) * 86400000;
+    const minutes = [...schedule.minutes].sort((a, b) => a - b);
+    const hours = [...schedule.hours].sort((a, b) => a - b);
+    for (let day = 0; day < MAX_SEARCH_DAYS; day += 1) {
+        const date = new Date(startDay + day * 86400000);
+        if (!dayMatches(schedule, date)) continue;
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                const wall = date.getTime() + (hour * 60 + minute) * 60000;
+                if (wall <= start - (start % 60000) && day === 0) continue;
+                const time = instantOf(wall, timeZone);
+                if (time !== null && time > after.getTime()) return new Date(time);
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * The shortest gap, in minutes, between the next `count` runs of a parsed
+ * schedule; Infinity when it runs at most once.
+ */
+const shortestInterval = (schedule, timeZone, count = 10) => {
+    let shortest = Infinity;
+    let previous = nextRun(schedule, timeZone, new Date());
+    for (let i = 1; previous && i < count; i += 1) {
+        const next = nextRun(schedule, timeZone, previous);
+        if (!next) break;
+        shortest = Math.min(shortest, (next - previous) / 60000);
+        previous = next;
+    }
+    return shortest;
+};
+
+module.exports = {
+    parseCron,
+    checkTimeZone,
+    nextRun,
+    shortestInterval,
+    CronError,
+};
@@ -0,0 +1,130 @@
+const { readDistinctValues } = require('./connectors');
+const { cacheTtlFor } = require('./resultCache');
+
+// Filter suggestions: the distinct values of one column of an entity, for
+// the type-ahead and the IN / NOT IN pickers of the query builder.
+//
+// The first lookup of a column reads up to DISTINCT_SCAN_LIMIT values without
+// a prefix and caches them (BigQuery scans the whole column either way, so
+// one scan serves every prefix). When the column has no more values than
+// that, prefixes are matched against the cached list; otherwise each prefix
+// is sent to the source and its answer cached on its own. Entries go into the
+// result cache under the entity's prefix, so they are dropped with the
+// entity's results when its config changes, and they are keyed by the
+// caller's row filters, so users never see values they may not query.
+//
+// The TTL is the entity's cacheTtlSeconds when it sets one (0 turns caching
+// off), and DISTINCT_VALUES_TTL_SECONDS (default 3600) otherwise.
+
+const DISTINCT_SCAN_LIMIT = 1000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const MAX_PREFIX_LENGTH = 100;
+const DEFAULT_TTL_SECONDS = process.env.DISTINCT_VALUES_TTL_SECONDS !== undefined
+    ? Number(process.env.DISTINCT_VALUES_TTL_SECONDS)
+    : 3600;
+// Values of these types cannot be picked as filter values.
+const UNSUGGESTED_TYPES = ['ARRAY', 'STRUCT', 'RECORD', 'JSON', 'BYTES', 'GEOGRAPHY'];
+
+class DistinctValuesError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DistinctValuesError';
+        this.status = status;
+    }
+}
+
+/**
+ * Reads ?prefix=&limit=&refresh= of a values request. Returns { error } or
+ * { value: { prefix, limit, refresh } }.
+ */
+const readValuesRequest = (query) => {
+    const { prefix = '', limit = String(DEFAULT_LIMIT), refresh } = query || {};
+    if (typeof prefix !== 'string' || prefix.length > MAX_PREFIX_LENGTH) {
+        return { error: `The prefix may have at most ${MAX_PREFIX_LENGTH} characters.` };
+    }
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_LIMIT) {
+        return { error: `The limit must be a whole number between 1 and ${MAX_LIMIT}.` };
+    }
+    return { value: { prefix, limit: count, refresh: refresh === 'true' } };
+};
+
+/**
+ * Throws a DistinctValuesError when values of a column of `dataType` cannot
+ * be suggested.
+ */
+const checkSuggestable = (column, dataType) => {
+    const type = String(dataType || '').toUpperCase();
+    if (UNSUGGESTED_TYPES.some(name => type.startsWith(name))) {
+        throw new DistinctValuesError(`Column '${column}' is of type ${type} and has no values to suggest.`);
+    }
+};
+
+// BigQuery returns dates and timestamps as { value } objects.
+const plainValue = (value) => (value && typeof value === 'object' && 'value' in value ? value.value : value);
+
+const uniqueValues = (values) => [...new Set(values.map(plainValue).filter(value => value !== null && value !== undefined))];
+
+const startsWith = (value, prefix) => String(value).toLowerCase().startsWith(prefix.toLowerCase());
+
+// One cached read: { values, complete, cachedAt, cached, bytesProcessed }.
+const readCached = async ({ cache, key, ttlMs, refresh, read }) => {
+    const entry = refresh || ttlMs === 0 ? null : await cache.get(key);
+    if (entry) {
+        return { ...entry.page, cachedAt: entry.cachedAt, cached: true, bytesProcessed: 0 };
+    }
+    const { page, bytesProcessed } = await read();
+    if (ttlMs > 0) await cache.set(key, page, ttlMs);
+    return { ...page, cachedAt: new Date().toISOString(), cached: false, bytesProcessed };
+};
+
+/**
+ * Up to `limit` distinct values of `column` starting with `prefix` (in any
+ * case), within the caller's `rowFilters`. Returns { values, complete,
+ * cached, computedAt, bytesProcessed }; `complete` is false when there are
+ * more matching values than were returned.
+ */
+const lookupDistinctValues = async ({ cache, adapter, entity, sourceDetails, column, rowFilters, prefix, limit, refresh }) => {
+    const ttlMs = cacheTtlFor(sourceDetails, DEFAULT_TTL_SECONDS);
+    const read = async (request, max) => {
+        const { values, bytesProcessed } = await readDistinctValues(adapter, sourceDetails, {
+            column, filters: rowFilters, limit: max + 1, ...request,
+        });
+        const unique = uniqueValues(values);
+        return { page: { values: unique.slice(0, max), complete: unique.length <= max }, bytesProcessed: Number(bytesProcessed) || 0 };
+    };
+
+    const all = await readCached({
+        cache,
+        key: cache.keyFor(entity.entity_name, { distinctValues: column, filters: rowFilters }, { pageSize: DISTINCT_SCAN_LIMIT, offset: 0 }),
+        ttlMs,
+        refresh,
+        read: () => read({}, DISTINCT_SCAN_LIMIT),
+    });
+    let result = all;
+    if (prefix && !all.complete) {
+        result = await readCached({
+            cache,
+            key: cache.keyFor(entity.entity_name, { distinctValues: column, prefix: prefix.toLowerCase(), filters: rowFilters }, { pageSize: limit, offset: 0 }),
+            ttlMs,
+            refresh,
+            read: () => read({ prefix }, limit),
+        });
+    }
+    const matching = prefix ? result.values.filter(value => startsWith(value, prefix)) : result.values;
+    return {
+        values: matching.slice(0, limit),
+        complete: result.complete && matching.length <= limit,
+        cached: result.cached,
+        computedAt: result.cachedAt,
+        bytesProcessed: all.bytesProcessed + (result === all ? 0 : result.bytesProcessed),
+    };
+};
+
+module.exports = {
+    readValuesRequest,
+    checkSuggestable,
+    lookupDistinctValues,
+    DistinctValuesError,
+};
@@ -0,0 +1,143 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+// Streaming writers for query exports. Rows arrive one page at a time and are
+// written straight to the HTTP response, so an export never holds more than a
+// single page in memory. Column types (BigQuery type names) decide how values
+// are written: numbers stay numbers, dates become real dates in Excel, and
+// nulls stay empty (CSV, Excel) or null (JSON Lines).
+
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+};
+
+const NUMERIC_TYPES = ['INT64', 'FLOAT64', 'NUMERIC'];
+
+const exportFilename = (entityName, format) => {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const safeName = String(entityName).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return `${safeName}_${timestamp}.${FORMATS[format].extension}`;
+};
+
+// Writes a chunk and waits for the socket to drain when its buffer is full.
+const write = async (res, chunk) => {
+    if (!res.write(chunk)) {
+        await once(res, 'drain');
+    }
+};
+
+const toNumber = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+};
+
+// Keeps NUMERIC values as JSON numbers when a double holds them exactly
+// (up to 15 significant digits); longer ones stay strings.
+const toJsonNumber = (value) => {
+    if (typeof value !== 'string') return value;
+    const number = Number(value);
+    const significantDigits = value.replace(/^[-+]?0*|\./g, '').replace(/0+$/, '').length;
+    return Number.isFinite(number) && significantDigits <= 15 ? number : value;
+};
+
+const toExcelDate = (value) => {
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+    return Number.isNaN(date.getTime()) ? value : date;
+};
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvWriter = (res, columns) => ({
+    // The byte order mark makes Excel open the file as UTF-8.
+    start: () => write(res, '\uFEFF' + columns.map(csvCell).join(',') + '\r\n'),
+    writeRows: (rows) => write(res, rows.map(row => columns.map(c => csvCell(row[c])).join(',') + '\r\n').join('')),
+    end: async () => res.end(),
+});
+
+const jsonlWriter = (res, columns, types) => ({
+    start: async () => {},
+    writeRows: (rows) => write(res, rows.map((row) => {
+        const line = {};
+        for (const column of columns) {
+            const value = row[column] === undefined ? null : row[column];
+            line[column] = value !== null && NUMERIC_TYPES.includes(types[column]) ? toJsonNumber(value) : value;
+        }
+        return JSON.stringify(line) + '\n';
+    }).join('')),
+    end: async () => res.end(),
+});
+
+const xlsxWriter = (res, columns, types) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Results');
+    worksheet.columns = columns.map((column) => {
+        let numFmt;
+        if (types[column] === 'DATE') numFmt = 'yyyy-mm-dd';
+        if (types[column] === 'DATETIME' || types[column] === 'TIMESTAMP') numFmt = 'yyyy-mm-dd hh:mm:ss';
+        return { header: column, key: column, width: Math.max(12, column.length + 2), style: numFmt ? { numFmt } : {} };
+    });
+
+    const toCell = (value, type) => {
+        if (value === null || value === undefined) return null;
+        if (NUMERIC_TYPES.includes(type)) return toNumber(value);
+        if (type === 'DATE' || type === 'DATETIME' || type === 'TIMESTAMP') return toExcelDate(value);
+        if (type === 'BOOL') return value === true || value === 'true';
+        return typeof value === 'object' ? JSON.stringify(value) : value;
+    };
+
+    return {
+        start: async () => {},
+        writeRows: async (rows) => {
+            for (const row of rows) {
+                const values = {};
+                for (const column of columns) {
+                    values[column] = toCell(row[column], types[column]);
+                }
+                worksheet.addRow(values).commit();
+            }
+            // exceljs writes into the response itself; honour its back-pressure too.
+            if (res.writableNeedDrain) {
+                await once(res, 'drain');
+            }
+        },
+        end: async () => {
+            worksheet.commit();
+            await workbook.commit();
+        },
+    };
+};
+
+const WRITERS = { csv: csvWriter, jsonl: jsonlWriter, xlsx: xlsxWriter };
+
+/**
+ * Sets the download headers on the response and returns a writer with
+ * start(), writeRows(rows) and end().
+ */
+const createExportWriter = (format, res, { entityName, columns, types }) => {
+    res.status(200);
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(entityName, format)}"`);
+    return WRITERS[format](res, columns, types);
+};
+
+/**
+ * Like createExportWriter, for any writable stream (a scheduled report is
+ * collected in memory). Returns { name, contentType, writer }.
+ */
+const createFileWriter = (format, stream, { entityName, columns, types }) => ({
+    name: exportFilename(entityName, format),
+    contentType: FORMATS[format].contentType,
+    writer: WRITERS[format](stream, columns, types),
+});
+
+module.exports = {
+    EXPORT_FORMATS: Object.keys(FORMATS),
+    createExportWriter,
+    createFileWriter,
+};
@@ -1,7 +1,36 @@
+const crypto = require('crypto');
+const { once } = require('events');
+const { PassThrough } = require('stream');
 const express = require('express');
 const { BigQuery } = require('@google-cloud/bigquery');
-const { GoogleAuth } = require('google-auth-library');
 const cors = require('cors');
+const { findAdapter, getAdapter, listAdapters, checkCapabilities } = require('./connectors');
+const { getEntitySchema, readSourceColumns, invalidateEntitySchema } = require('./schema');
+const { validateSourceDetails } = require('./sourceDetails');
+const {
+    YAML_CONTENT_TYPES, serializeBundle, parseBundle, readBundleFile, readImportOptions, planImport, describeImport,
+} = require('./configBundle');
+const { checkAuth, requireAdmin, resolveUser, canAccessEntity, validateAccessPolicy } = require('./auth');
+const { resolveDataPolicies, secureQuery, secureJoin, mergeJoinPolicies, applyColumnPolicies, applySchemaPolicies, validateDataPolicies } = require('./policies');
+const { normalizeQuery, outputColumns } = require('./queryModel');
+const { createPageToken, readPageToken, readPaging } = require('./paging');
+const { EXPORT_FORMATS, createExportWriter, createFileWriter } = require('./export');
+const { validateSavedQuery, canReadSavedQuery, findSavedQueryIssues } = require('./savedQueries');
+const { AUDIT_COLUMNS, AUDIT_COLUMN_TYPES, auditQuery, recordQueryAudit, readAuditFilters, listAuditRecords, streamAuditRecords, toAuditRecord } = require('./audit');
+const { validateCostControls, maximumBytesBilledFor, needsCostCheck, getQuota, checkCostLimits, recordUsage } = require('./costControls');
+const { createResultCache, createConfiguredStore, createMemoryStore, cacheTtlFor, validateCacheSettings } = require('./resultCache');
+const { createJob, completeJob, failJob, getJob, refreshJob, cancelJob, describeJob } = require('./jobs');
+const { MAX_JOIN_ROWS, joinSideQueries, checkJoinSide, joinRows, JoinError } = require('./joins');
+const { validateSchedule, nextRunOf, toSchedule, toScheduleRun } = require('./schedules');
+const { listDeliveryTargets, deliverReport, deliverFailure } = require('./delivery');
+const { readValuesRequest, checkSuggestable, lookupDistinctValues, DistinctValuesError } = require('./distinctValues');
+const { profileEntity } = require('./profiling');
+const { validateCalculatedColumns } = require('./calculatedColumns');
+const { acquireQuerySlot, RateLimitError } = require('./rateLimits');
+const {
+    currentVersion, toEtag, readIfMatch, checkVersion, readChangeNote, readVersionNumber,
+    nextVersion, recordVersion, listVersions, getVersion, diffConfigs, ConfigHistoryError,
+} = require('./configHistory');
 
 const app = express();
 app.use(express.json());
@@ -33,58 +62,342 @@ const corsOptions = {
     // This will NOT throw an error or crash the server.
     callback(null, false);
   },
+  // Lets the frontend read the filename of export downloads, the version
+  // of an entity configuration and how long to wait after a 429.
+  exposedHeaders: ['Content-Disposition', 'ETag', 'Retry-After'],
 };
 
 app.use(cors(corsOptions));
 
 
 const bigquery = new BigQuery();
-const auth = new GoogleAuth();
+const resultCache = createResultCache(createConfiguredStore());
+// Whole joined results, so that paging through one reads and bills both
+// sides only once. Kept apart from the result cache, since they are needed
+// whatever the entity's cacheTtlSeconds or RESULT_CACHE_STORE say.
+const joinedResults = createResultCache(createMemoryStore({ maxEntries: 10 }));
+const JOINED_RESULT_TTL_MS = 15 * 60 * 1000;
 
 const BQ_PROJECT = process.env.GCP_PROJECT || bigquery.projectId;
 const BQ_DATASET = 'data_explorer_config';
 const BQ_TABLE = 'entities';
 const FUNCTION_URL = process.env.FUNCTION_URL;
+const MAX_EXPORT_ROWS = Number(process.env.MAX_EXPORT_ROWS) || 1000000;
+const EXPORT_PAGE_SIZE = 5000;
+// Page size for reading each side of a join; the source systems allow at most 5000.
+const JOIN_PAGE_SIZE = 5000;
 
 if (!FUNCTION_URL) {
     console.warn("FATAL: FUNCTION_URL environment variable is not set. The query proxy will not work.");
 }
 
 const CONFIG_TABLE = `\`${BQ_PROJECT}.${BQ_DATASET}.${BQ_TABLE}\``;
+const SAVED_QUERIES_TABLE = `\`${BQ_PROJECT}.${BQ_DATASET}.saved_queries\``;
+const SCHEDULES_TABLE = `\`${BQ_PROJECT}.${BQ_DATASET}.schedules\``;
+const SCHEDULE_RUNS_TABLE = `\`${BQ_PROJECT}.${BQ_DATASET}.schedule_runs\``;
 
-// No-op middleware. IAP handles authentication. The user's identity is in the
-// 'x-goog-authenticated-user-email' header, which can be used for authorization.
-const checkAuth = (req, res, next) => {
-    // Example: console.log('Authenticated user:', req.header('x-goog-authenticated-user-email'));
+const parseSourceDetails = (sourceDetails) =>
+    typeof sourceDetails === 'string' ? JSON.parse(sourceDetails) : sourceDetails;
+
+// With LOCAL_CATALOG_FILE set, entities are read from that bundle file (see
+// configBundle.js) instead of the entities table, and cannot be changed
+// through the API. Together with LOCAL-FILE entities this runs the app
+// without GCP.
+const LOCAL_CATALOG_FILE = process.env.LOCAL_CATALOG_FILE;
+let localCatalog = null;
+
+const getEntityConfig = async (entityName) => {
+    if (localCatalog) return localCatalog.find(entity => entity.entity_name === entityName) || null;
+    const query = `SELECT * FROM ${CONFIG_TABLE} WHERE entity_name = @entity_name`;
+    const [rows] = await bigquery.query({ query, params: { entity_name: entityName } });
+    return rows[0] || null;
+};
+
+// Every entity, ordered by `orderBy` (a column of the entities table).
+const listEntityConfigs = async (orderBy = 'entity_name') => {
+    if (localCatalog) return [...localCatalog].sort((a, b) => String(a[orderBy]).localeCompare(String(b[orderBy])));
+    const [rows] = await bigquery.query(`SELECT * FROM ${CONFIG_TABLE} ORDER BY ${orderBy}`);
+    return rows;
+};
+
+// Refuses changes to the entity catalog while it is read from a file.
+const requireWritableCatalog = (req, res, next) => {
+    if (localCatalog) {
+        return res.status(409).json({ error: `Entities are read from ${LOCAL_CATALOG_FILE} on this backend. Edit that file and restart instead.` });
+    }
     next();
 };
 
+// The caller's identity and roles, as resolved from the IAP headers.
+app.get('/api/me', checkAuth, (req, res) => {
+    const { email, id, groups, roles, isAdmin } = req.user;
+    res.status(200).json({ email, id, groups, roles, is_admin: isAdmin });
+});
+
+// Lists the entities the caller is allowed to query (admins see all of them).
 app.get('/api/config', checkAuth, async (req, res) => {
     try {
-        const query = `SELECT * FROM ${CONFIG_TABLE} ORDER BY display_name`;
-        const [rows] = await bigquery.query(query);
-        res.status(200).json(rows);
+        const rows = await listEntityConfigs('display_name');
+        res.status(200).json(rows.filter(entity => canAccessEntity(req.user, entity)));
     } catch (error) {
         console.error('ERROR fetching config:', error);
         res.status(500).json({ error: 'Failed to fetch configuration from BigQuery.' });
     }
 });
 
-app.post('/api/config', checkAuth, async (req, res) => {
+// source_details and access_policy of a config request must be JSON objects,
+// or strings holding one. Returns an error message, or null when they are.
+const checkEntityJsonFields = (body) => {
+    for (const field of ['source_details', 'access_policy']) {
+        let value = body[field];
+        if (value === undefined || value === null) continue;
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return `${field} is not valid JSON: ${error.message}`;
+            }
+        }
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            return `${field} must be a JSON object.`;
+        }
+    }
+    return null;
+};
+
+// Everything but the name of an entity, as stored in the entities table and
+// in each version of its history, with the JSON fields as objects.
+const entityConfigFrom = ({ display_name, source_of_system, source_details, access_policy }) => ({
+    display_name,
+    source_of_system,
+    source_details: parseSourceDetails(source_details),
+    access_policy: (typeof access_policy === 'string' ? JSON.parse(access_policy) : access_policy) || {},
+});
+
+const validateEntityFields = ({ source_of_system, source_details, access_policy }) =>
+    validateAccessPolicy(access_policy) || validateDataPolicies(access_policy)
+    || validateCostControls(source_details) || validateCacheSettings(source_details)
+    || validateSourceDetails(source_of_system, source_details) || validateCalculatedColumns(source_details);
+
+const validateEntityConfig = (config) => checkEntityJsonFields(config) || validateEntityFields(config);
+
+if (LOCAL_CATALOG_FILE) {
+    const { results, invalid } = planImport(readBundleFile(LOCAL_CATALOG_FILE), new Map(), { conflict: 'fail' }, validateEntityConfig);
+    if (invalid) {
+        const errors = results.filter(result => result.error).map(result => `${result.entity_name}: ${result.error}`);
+        throw new Error(`${LOCAL_CATALOG_FILE} has invalid entities:\n${errors.join('\n')}`);
+    }
+    localCatalog = results.map(result => result.entity);
+    console.warn(`Reading ${localCatalog.length} entities from ${LOCAL_CATALOG_FILE}.`);
+}
+
+// Runs a DML statement and returns the number of rows it changed.
+const runDml = async (options) => {
+    const [, , response] = await bigquery.query(options);
+    return Number(response && response.numDmlAffectedRows) || 0;
+};
+
+// Adds a version to an entity's history. The change itself has already been
+// made by then, so a failure is logged with the version rather than reported.
+const writeHistory = async (record) => {
+    try {
+        await recordVersion(bigquery, record);
+    } catch (error) {
+        console.error(`ERROR recording version ${record.version} of ${record.entityName}:`, error.message, JSON.stringify(record));
+    }
+};
+
+// Reads If-Match and change_note from a request that changes an entity.
+// Sends a 400 and returns null when either is invalid.
+const readChangeRequest = (req, res) => {
+    try {
+        return {
+            expected: readIfMatch(req.get('If-Match')),
+            changeNote: readChangeNote((req.body && req.body.change_note) ?? req.query.change_note),
+        };
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+        return null;
+    }
+};
+
+// Overwrites an entity's configuration if it is still at the version the
+// caller expects (a version number or '*'). Returns the new version number.
+const updateEntityConfig = async (entityName, config, expected) => {
+    const entity = await getEntityConfig(entityName);
+    if (!entity) {
+        throw new ConfigHistoryError(`Entity '${entityName}' not found.`, 404);
+    }
+    checkVersion(entity, expected);
+
+    const version = await nextVersion(bigquery, entityName, entity);
+    const query = `
+        UPDATE ${CONFIG_TABLE}
+        SET display_name = @display_name,
+            source_of_system = @source_of_system,
+            source_details = JSON @source_details_json,
+            access_policy = JSON @access_policy_json,
+            version = @version
+        WHERE entity_name = @entity_name AND COALESCE(version, 0) = @current_version
+    `;
+    const updated = await runDml({
+        query,
+        params: {
+            entity_name: entityName,
+            display_name: config.display_name,
+            source_of_system: config.source_of_system,
+            source_details_json: JSON.stringify(config.source_details),
+            access_policy_json: JSON.stringify(config.access_policy),
+            version,
+            current_version: currentVersion(entity),
+        },
+    });
+    // The version check above and the UPDATE are not atomic; the WHERE clause
+    // catches an update that got in between.
+    if (updated === 0) {
+        throw new ConfigHistoryError(`Entity '${entityName}' was changed by someone else while saving. Reload it and apply your changes again.`, 412);
+    }
+    invalidateEntitySchema(entityName);
+    await resultCache.invalidateEntity(entityName);
+    await joinedResults.invalidateEntity(entityName);
+    return version;
+};
+
+// Adds an entity to the entities table. Returns the stored row.
+const insertEntityConfig = async (entityName, config) => {
+    const row = {
+        entity_name: entityName,
+        display_name: config.display_name,
+        source_of_system: config.source_of_system,
+        source_details: JSON.stringify(config.source_details),
+        access_policy: JSON.stringify(config.access_policy),
+        version: await nextVersion(bigquery, entityName),
+    };
+    await bigquery.dataset(BQ_DATASET).table(BQ_TABLE).insert(row);
+    return row;
+};
+
+// Downloads every entity as a bundle for POST /api/config/import, in
+// ?format=json (default) or yaml. See configBundle.js.
+app.get('/api/config/export', checkAuth, requireAdmin, async (req, res) => {
+    try {
+        const rows = await listEntityConfigs();
+        const { body, contentType, filename } = serializeBundle(rows, req.query.format || 'json');
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.status(200).send(body);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('ERROR exporting config:', error);
+        res.status(500).json({ error: 'Failed to export the configuration.' });
+    }
+});
+
+// Creates and updates entities from a bundle (JSON, or YAML with a YAML
+// content type). ?conflict=skip|overwrite|fail (default fail) decides what
+// happens to entities that exist with a different configuration, and
+// ?dry_run=true only reports what would happen. Every entity is validated
+// before the first one is written.
+app.post('/api/config/import', checkAuth, requireAdmin, requireWritableCatalog, express.text({ type: YAML_CONTENT_TYPES, limit: '5mb' }), async (req, res) => {
+    let entities, options, changeNote;
+    try {
+        entities = parseBundle(req.body);
+        options = readImportOptions(req.query);
+        changeNote = readChangeNote(req.query.change_note) || 'Imported from a configuration bundle.';
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    try {
+        const rows = await listEntityConfigs();
+        const existing = new Map(rows.map(row => [row.entity_name, row]));
+        const { results, invalid, conflicts } = planImport(entities, existing, options, validateEntityConfig);
+        const report = { dry_run: options.dryRun, conflict: options.conflict };
+
+        if (invalid) {
+            return res.status(400).json({ error: 'The bundle has invalid entities. Nothing was imported.', ...report, ...describeImport(results) });
+        }
+        if (conflicts && options.conflict === 'fail') {
+            return res.status(409).json({
+                error: 'Some entities already exist with a different configuration. Nothing was imported; use conflict=skip or conflict=overwrite.',
+                ...report,
+                ...describeImport(results),
+            });
+        }
+        if (options.dryRun) {
+            return res.status(200).json({ ...report, ...describeImport(results) });
+        }
+
+        // Entities are written one by one; a failure stops the import and the
+        // report says which ones were written.
+        for (const result of results) {
+            if (result.action === 'skip') continue;
+            try {
+                const config = entityConfigFrom(result.entity);
+                result.version = result.action === 'create'
+                    ? (await insertEntityConfig(result.entity_name, config)).version
+                    : await updateEntityConfig(result.entity_name, config, currentVersion(result.current));
+                result.written = true;
+                await writeHistory({ entityName: result.entity_name, version: result.version, action: result.action, author: req.user.email, changeNote, config });
+            } catch (error) {
+                console.error(`ERROR importing ${result.entity_name}:`, error);
+                result.error = error.status ? error.message : 'Failed to write the entity.';
+                return res.status(error.status || 500).json({
+                    error: `The import stopped at entity '${result.entity_name}'. Entities before it were written.`,
+                    ...report,
+                    ...describeImport(results),
+                });
+            }
+        }
+        res.status(200).json({ ...report, ...describeImport(results) });
+    } catch (error) {
+        console.error('ERROR importing config:', error);
+        res.status(500).json({ error: 'Failed to import the configuration.' });
+    }
+});
+
+// A single entity configuration, with its version as the ETag to send back
+// in If-Match when updating it.
+app.get('/api/config/:entity_name', checkAuth, requireAdmin, async (req, res) => {
+    const { entity_name } = req.params;
+    try {
+        const entity = await getEntityConfig(entity_name);
+        if (!entity) {
+            return res.status(404).json({ error: `Entity '${entity_name}' not found.` });
+        }
+        res.set('ETag', toEtag(currentVersion(entity))).status(200).json({ ...entity, version: currentVersion(entity) });
+    } catch (error) {
+        console.error(`ERROR fetching config for ${entity_name}:`, error);
+        res.status(500).json({ error: 'Failed to fetch configuration from BigQuery.' });
+    }
+});
+
+app.post('/api/config', checkAuth, requireAdmin, requireWritableCatalog, async (req, res) => {
     const { entity_name, display_name, source_of_system, source_details } = req.body;
     if (!entity_name || !display_name || !source_of_system || !source_details) {
         return res.status(400).json({ error: 'Missing required fields: entity_name, display_name, source_of_system, source_details.' });
     }
+    const jsonError = checkEntityJsonFields(req.body);
+    if (jsonError) {
+        return res.status(400).json({ error: jsonError });
+    }
+    const config = entityConfigFrom(req.body);
+    const policyError = validateEntityConfig(config);
+    if (policyError) {
+        return res.status(400).json({ error: policyError });
+    }
+    const change = readChangeRequest(req, res);
+    if (!change) return;
 
     try {
-        const newEntity = {
-            entity_name,
-            display_name,
-            source_of_system,
-            source_details: JSON.stringify(source_details),
-        };
-        await bigquery.dataset(BQ_DATASET).table(BQ_TABLE).insert(newEntity);
-        res.status(201).json(newEntity);
+        if (await getEntityConfig(entity_name)) {
+            return res.status(409).json({ error: `Configuration entity '${entity_name}' already exists.` });
+        }
+        const newEntity = await insertEntityConfig(entity_name, config);
+        await writeHistory({ entityName: entity_name, version: newEntity.version, action: 'create', author: req.user.email, changeNote: change.changeNote, config });
+        res.set('ETag', toEtag(newEntity.version)).status(201).json(newEntity);
     } catch (error) {
         console.error('ERROR creating config:', error);
         if (error.code === 6) { // ALREADY_EXISTS
@@ -94,108 +407,1479 @@ app.post('/api/config', checkAuth, async (req, res) => {
     }
 });
 
-app.put('/api/config/:entity_name', checkAuth, async (req, res) => {
+// Updates need If-Match with the entity's ETag, so an admin cannot overwrite
+// a change they have not seen. An optional change_note goes into the history.
+app.put('/api/config/:entity_name', checkAuth, requireAdmin, requireWritableCatalog, async (req, res) => {
     const { entity_name } = req.params;
     const { display_name, source_of_system, source_details } = req.body;
 
     if (!display_name || !source_of_system || !source_details) {
         return res.status(400).json({ error: 'Missing required fields for update.' });
     }
+    const jsonError = checkEntityJsonFields(req.body);
+    if (jsonError) {
+        return res.status(400).json({ error: jsonError });
+    }
+    const config = entityConfigFrom(req.body);
+    const policyError = validateEntityConfig(config);
+    if (policyError) {
+        return res.status(400).json({ error: policyError });
+    }
+    const change = readChangeRequest(req, res);
+    if (!change) return;
+    if (change.expected === null) {
+        return res.status(428).json({ error: 'Updates need an If-Match header with the ETag of the entity being edited.' });
+    }
 
     try {
-        const query = `
-            UPDATE ${CONFIG_TABLE}
-            SET display_name = @display_name,
-                source_of_system = @source_of_system,
-                source_details = JSON @source_details_json
-            WHERE entity_name = @entity_name
-        `;
-        const options = {
-            query: query,
-            params: {
-                entity_name,
-                display_name,
-                source_of_system,
-                source_details_json: JSON.stringify(source_details),
-            },
-        };
-
-        const [job] = await bigquery.query(options);
-        if (job.numDmlAffectedRows === '0') {
-             return res.status(404).json({ error: `Entity '${entity_name}' not found.`});
-        }
-        res.status(200).json({ message: `Entity '${entity_name}' updated successfully.`});
+        const version = await updateEntityConfig(entity_name, config, change.expected);
+        await writeHistory({ entityName: entity_name, version, action: 'update', author: req.user.email, changeNote: change.changeNote, config });
+        res.set('ETag', toEtag(version)).status(200).json({ message: `Entity '${entity_name}' updated successfully.`, version });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error(`ERROR updating config for ${entity_name}:`, error);
         res.status(500).json({ error: 'Failed to update configuration entity.' });
     }
 });
 
-app.delete('/api/config/:entity_name', checkAuth, async (req, res) => {
+// Deletes an entity. Its history is kept, ending with a 'delete' version, so
+// it can be restored with a rollback. If-Match is honoured when sent.
+app.delete('/api/config/:entity_name', checkAuth, requireAdmin, requireWritableCatalog, async (req, res) => {
     const { entity_name } = req.params;
-    try {
-        const query = `DELETE FROM ${CONFIG_TABLE} WHERE entity_name = @entity_name`;
-        const options = { query: query, params: { entity_name } };
+    const change = readChangeRequest(req, res);
+    if (!change) return;
 
-        const [job] = await bigquery.query(options);
-        if (job.numDmlAffectedRows === '0') {
+    try {
+        const entity = await getEntityConfig(entity_name);
+        if (!entity) {
             return res.status(404).json({ error: `Entity '${entity_name}' not found.`});
         }
+        if (change.expected !== null) checkVersion(entity, change.expected);
+
+        const version = await nextVersion(bigquery, entity_name, entity);
+        const query = `DELETE FROM ${CONFIG_TABLE} WHERE entity_name = @entity_name AND COALESCE(version, 0) = @current_version`;
+        const deleted = await runDml({ query, params: { entity_name, current_version: currentVersion(entity) } });
+        if (deleted === 0) {
+            return res.status(412).json({ error: `Entity '${entity_name}' was changed by someone else while deleting. Reload it and try again.` });
+        }
+        invalidateEntitySchema(entity_name);
+        await resultCache.invalidateEntity(entity_name);
+        await joinedResults.invalidateEntity(entity_name);
+        await writeHistory({ entityName: entity_name, version, action: 'delete', author: req.user.email, changeNote: change.changeNote, config: entityConfigFrom(entity) });
         res.status(204).send();
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error(`ERROR deleting config for ${entity_name}:`, error);
         res.status(500).json({ error: 'Failed to delete configuration entity.' });
     }
 });
 
-// Proxy endpoint for querying data
-app.post('/api/query', checkAuth, async (req, res) => {
-    const { entity, query } = req.body;
+// --- Configuration history --------------------------------------------------
 
-    if (!entity || !query) {
-        return res.status(400).json({ error: 'Invalid payload. "entity" and "query" are required.' });
+// Every version of an entity, newest first. Also works for deleted entities.
+app.get('/api/config/:entity_name/history', checkAuth, requireAdmin, async (req, res) => {
+    const { entity_name } = req.params;
+    try {
+        const versions = await listVersions(bigquery, entity_name);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: `Entity '${entity_name}' has no recorded history.` });
+        }
+        res.status(200).json({ entity_name, versions });
+    } catch (error) {
+        console.error(`ERROR fetching history for ${entity_name}:`, error);
+        res.status(500).json({ error: 'Failed to fetch the configuration history.' });
     }
+});
 
-    if (entity.source_of_system === 'SCM-BQ') {
-        if (!FUNCTION_URL) {
-            return res.status(500).json({ error: 'Query function URL is not configured on the backend.' });
+// What changed between two versions: ?from= and ?to= (the latest version
+// when left out), as a list of { path, from, to }.
+app.get('/api/config/:entity_name/diff', checkAuth, requireAdmin, async (req, res) => {
+    const { entity_name } = req.params;
+    try {
+        const from = await getVersion(bigquery, entity_name, readVersionNumber(req.query.from, 'from'));
+        const to = req.query.to === undefined
+            ? (await listVersions(bigquery, entity_name))[0]
+            : await getVersion(bigquery, entity_name, readVersionNumber(req.query.to, 'to'));
+        res.status(200).json({ entity_name, from: from.version, to: to.version, changes: diffConfigs(from, to) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
         }
+        console.error(`ERROR diffing versions of ${entity_name}:`, error);
+        res.status(500).json({ error: 'Failed to compare the versions.' });
+    }
+});
 
-        try {
-            const sourceDetails = typeof entity.source_details === 'string'
-                ? JSON.parse(entity.source_details)
-                : entity.source_details;
-
-            const functionPayload = {
-                projectId: sourceDetails.projectId,
-                datasetId: sourceDetails.datasetId,
-                tableId: sourceDetails.tableId,
-                ...query
-            };
-
-            const client = await auth.getIdTokenClient(FUNCTION_URL);
-            const response = await client.request({
-                url: FUNCTION_URL,
-                method: 'POST',
-                data: functionPayload,
-                headers: { 'Content-Type': 'application/json' }
+// Restores the configuration of an earlier version as a new version. Takes
+// { version, change_note }; needs If-Match unless the entity was deleted, in
+// which case it is created again.
+app.post('/api/config/:entity_name/rollback', checkAuth, requireAdmin, requireWritableCatalog, async (req, res) => {
+    const { entity_name } = req.params;
+    const change = readChangeRequest(req, res);
+    if (!change) return;
+
+    try {
+        const target = await getVersion(bigquery, entity_name, readVersionNumber(req.body.version));
+        if (target.action === 'delete') {
+            return res.status(400).json({ error: `Version ${target.version} deleted the entity. Roll back to the version before it instead.` });
+        }
+        const config = entityConfigFrom(target);
+        // The configuration may no longer pass validation that was added since.
+        const policyError = validateEntityConfig(config);
+        if (policyError) {
+            return res.status(400).json({ error: `Version ${target.version} cannot be restored: ${policyError}` });
+        }
+        const changeNote = change.changeNote || `Rolled back to version ${target.version}.`;
+
+        let version;
+        if (await getEntityConfig(entity_name)) {
+            if (change.expected === null) {
+                return res.status(428).json({ error: 'Rollbacks need an If-Match header with the ETag of the entity.' });
+            }
+            version = await updateEntityConfig(entity_name, config, change.expected);
+        } else {
+            ({ version } = await insertEntityConfig(entity_name, config));
+        }
+        await writeHistory({ entityName: entity_name, version, action: 'rollback', author: req.user.email, changeNote, config });
+        res.set('ETag', toEtag(version)).status(200).json({ message: `Entity '${entity_name}' rolled back to version ${target.version}.`, version });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`ERROR rolling back ${entity_name}:`, error);
+        res.status(500).json({ error: 'Failed to roll back the configuration.' });
+    }
+});
+
+// --- Source systems ---------------------------------------------------------
+
+// The registered source systems with the schema of their source_details and
+// their capabilities, which decide what the query builder offers.
+app.get('/api/source-systems', checkAuth, (req, res) => {
+    res.status(200).json(listAdapters());
+});
+
+// Checks that a source_details configuration is valid and that the table or
+// BW query it points to can be read, before the entity is saved. Responds
+// with the columns found, including calculated columns, whose expressions
+// must only read columns the source has.
+app.post('/api/source-systems/:name/test', checkAuth, requireAdmin, async (req, res) => {
+    const { name } = req.params;
+    const sourceDetails = req.body && req.body.source_details;
+    const validationError = validateSourceDetails(name, sourceDetails) || validateCalculatedColumns(sourceDetails);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const columns = await readSourceColumns(bigquery, name, sourceDetails);
+        res.status(200).json({ success: true, message: `Connected. Found ${columns.length} column(s).`, columns });
+    } catch (error) {
+        console.error(`Connection test for ${name} failed:`, error.message);
+        // Admins need the underlying reason to fix the configuration.
+        res.status(error.status && error.status < 500 ? error.status : 502)
+            .json({ error: `Connection failed: ${error.message}` });
+    }
+});
+
+// Column names, types, descriptions and nullability for an entity, cached per entity.
+// Pass ?refresh=true to bypass the cache.
+app.get('/api/entities/:entity_name/schema', checkAuth, async (req, res) => {
+    const { entity_name } = req.params;
+    try {
+        const entity = await getEntityConfig(entity_name);
+        if (!entity) {
+            return res.status(404).json({ error: `Entity '${entity_name}' not found.` });
+        }
+        if (!canAccessEntity(req.user, entity)) {
+            return res.status(403).json({ error: `You are not allowed to query entity '${entity_name}'.` });
+        }
+        const policies = resolveDataPolicies(req.user, entity);
+        const schema = await getEntitySchema(bigquery, entity, { refresh: req.query.refresh === 'true' });
+        res.status(200).json({ entity_name, ...schema, columns: applySchemaPolicies(schema.columns, policies) });
+    } catch (error) {
+        console.error(`ERROR fetching schema for ${entity_name}:`, error.message);
+        const status = error.status || 500;
+        res.status(status).json({ error: error.status ? error.message : `Failed to read the schema of entity '${entity_name}'.` });
+    }
+});
+
+// Distinct values of a column for filter suggestions, within the caller's row
+// filters: ?prefix= narrows them to values starting with it (in any case),
+// ?limit= (default 50, at most 500) caps them and ?refresh=true bypasses the
+// cache. Protected columns have no suggestions, since they cannot be
+// filtered on either. See distinctValues.js.
+app.get('/api/entities/:entity_name/columns/:column/values', checkAuth, auditQuery(bigquery, 'values'), async (req, res) => {
+    const { entity_name, column } = req.params;
+    const audit = res.locals.audit;
+    audit.entity_name = entity_name;
+    const { error: requestError, value: request } = readValuesRequest(req.query);
+    if (requestError) {
+        return res.status(400).json({ error: requestError });
+    }
+    let releaseSlot = null;
+    try {
+        const entity = await getEntityConfig(entity_name);
+        if (!entity) {
+            return res.status(404).json({ error: `Entity '${entity_name}' not found.` });
+        }
+        audit.source_system = entity.source_of_system;
+        if (!canAccessEntity(req.user, entity)) {
+            return res.status(403).json({ error: `You are not allowed to query entity '${entity_name}'.` });
+        }
+        const policies = resolveDataPolicies(req.user, entity);
+        audit.query = { columns: [column], filters: policies.rowFilters, prefix: request.prefix, limit: request.limit };
+        if (policies.columnActions.has(column)) {
+            return res.status(403).json({ error: `You are not allowed to filter on protected column '${column}'.` });
+        }
+        const schema = await getEntitySchema(bigquery, entity);
+        const schemaColumn = schema.columns.find(c => c.name === column);
+        if (!schemaColumn) {
+            return res.status(404).json({ error: `Column '${column}' not found in entity '${entity_name}'.` });
+        }
+        checkSuggestable(column, schemaColumn.data_type);
+
+        const adapter = getAdapter(entity.source_of_system);
+        if (adapter.capabilities.costEstimates) {
+            const quota = await getQuota(bigquery, req.user);
+            if (quota && quota.remaining <= 0) {
+                throw new DistinctValuesError('Your daily query quota is used up, so no values can be suggested.', 403);
+            }
+        }
+        releaseSlot = takeQuerySlot(req, res, entity);
+        if (!releaseSlot) return;
+        const result = await lookupDistinctValues({
+            cache: resultCache,
+            adapter,
+            entity,
+            sourceDetails: parseSourceDetails(entity.source_details),
+            column,
+            rowFilters: policies.rowFilters,
+            ...request,
+        });
+        Object.assign(audit, { row_count: result.values.length, bytes_processed: result.bytesProcessed });
+        recordUsage(req.user, result.bytesProcessed);
+        const { values, complete, cached, computedAt } = result;
+        res.status(200).json({ entity_name, column, values, complete, cached, computedAt });
+    } catch (error) {
+        if (!error.status) console.error(`ERROR reading values of ${entity_name}.${column}:`, error.message);
+        const status = error.status || 500;
+        res.status(status).json({ error: error.status ? error.message : `Failed to read the values of column '${column}'.` });
+    } finally {
+        if (releaseSlot) releaseSlot();
+    }
+});
+
+// Column statistics and sample rows of an entity, within the caller's row
+// filters and with their column policies applied: hidden columns are left
+// out and masked ones only get NULL and distinct counts. Cached per entity;
+// ?refresh=true computes the profile again. See profiling.js.
+app.get('/api/entities/:entity_name/profile', checkAuth, auditQuery(bigquery, 'profile'), async (req, res) => {
+    const { entity_name } = req.params;
+    const audit = res.locals.audit;
+    audit.entity_name = entity_name;
+    let releaseSlot = null;
+    try {
+        const entity = await getEntityConfig(entity_name);
+        if (!entity) {
+            return res.status(404).json({ error: `Entity '${entity_name}' not found.` });
+        }
+        audit.source_system = entity.source_of_system;
+        if (!canAccessEntity(req.user, entity)) {
+            return res.status(403).json({ error: `You are not allowed to query entity '${entity_name}'.` });
+        }
+        const policies = resolveDataPolicies(req.user, entity);
+        const schema = await getEntitySchema(bigquery, entity);
+        const columns = applySchemaPolicies(schema.columns, policies);
+        audit.query = { columns: columns.map(c => c.name), filters: policies.rowFilters };
+
+        const adapter = getAdapter(entity.source_of_system);
+        if (adapter.capabilities.costEstimates) {
+            const quota = await getQuota(bigquery, req.user);
+            if (quota && quota.remaining <= 0) {
+                return res.status(403).json({ error: 'Your daily query quota is used up, so the entity cannot be profiled.' });
+            }
+        }
+        releaseSlot = takeQuerySlot(req, res, entity);
+        if (!releaseSlot) return;
+        const { bytesProcessed, sample, ...profile } = await profileEntity({
+            cache: resultCache,
+            adapter,
+            entity,
+            sourceDetails: parseSourceDetails(entity.source_details),
+            columns,
+            rowFilters: policies.rowFilters,
+            refresh: req.query.refresh === 'true',
+        });
+        Object.assign(audit, { row_count: sample.length, total_rows: profile.totalRows, bytes_processed: bytesProcessed });
+        recordUsage(req.user, bytesProcessed);
+
+        const byName = new Map(columns.map(c => [c.name, c]));
+        res.status(200).json({
+            entity_name,
+            ...profile,
+            columns: profile.columns.map(stats => ({
+                ...stats,
+                data_type: byName.get(stats.name).data_type,
+                ...(byName.get(stats.name).masking ? { masking: byName.get(stats.name).masking } : {}),
+            })),
+            sample: applyColumnPolicies(sample, policies),
+        });
+    } catch (error) {
+        if (!error.status) console.error(`ERROR profiling ${entity_name}:`, error.message);
+        const status = error.status || 500;
+        res.status(status).json({ error: error.status ? error.message : `Failed to profile entity '${entity_name}'.` });
+    } finally {
+        if (releaseSlot) releaseSlot();
+    }
+});
+
+// Loads the entity a query joins with and applies the same access checks as
+// to the queried entity. Throws a JoinError when it cannot be used.
+const loadJoinEntity = async (user, entityName) => {
+    const entity = await getEntityConfig(entityName);
+    if (!entity) {
+        throw new JoinError(`Entity '${entityName}' not found.`, 404);
+    }
+    if (!canAccessEntity(user, entity)) {
+        throw new JoinError(`You are not allowed to query entity '${entity.entity_name}'.`, 403);
+    }
+    if (!findAdapter(entity.source_of_system)) {
+        throw new JoinError(`Unsupported source system: ${entity.source_of_system}`);
+    }
+    return entity;
+};
+
+class QueryRequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'QueryRequestError';
+        this.status = status;
+    }
+}
+
+// Loads the stored entity config for a query ({ entity, query } as sent to
+// /api/query) and applies access checks and security policies for `user`.
+// Throws an error with a status when the query cannot go ahead. What it
+// learns goes into `audit`.
+const resolveQuery = async (user, body, audit = {}) => {
+    const { query } = body || {};
+    if (!body || !body.entity || !query) {
+        throw new QueryRequestError('Invalid payload. "entity" and "query" are required.');
+    }
+
+    // Route on the stored configuration, never on the copy the client sent.
+    let entity;
+    try {
+        entity = await getEntityConfig(body.entity.entity_name);
+    } catch (error) {
+        console.error('ERROR loading entity config for query:', error);
+        throw new QueryRequestError('Failed to load the entity configuration.', 500);
+    }
+    if (!entity) {
+        throw new QueryRequestError(`Entity '${body.entity.entity_name}' not found.`, 404);
+    }
+    audit.source_system = entity.source_of_system;
+    if (!canAccessEntity(user, entity)) {
+        throw new QueryRequestError(`You are not allowed to query entity '${entity.entity_name}'.`, 403);
+    }
+    const adapter = getAdapter(entity.source_of_system);
+
+    // Column and row security policies are enforced here, before anything is forwarded.
+    const policies = resolveDataPolicies(user, entity);
+    const { pageToken, pageSize, offset, ...clientQuery } = query;
+    // Queries that fail validation are recorded as the client sent them.
+    audit.query = clientQuery;
+    audit.query = normalizeQuery(clientQuery);
+    const securedQuery = secureQuery(audit.query, policies);
+    checkCapabilities(adapter, securedQuery);
+    // Paging is read from the request on its own (see readPaging).
+    const pageRequest = { pageSize, offset };
+    if (!securedQuery.join) {
+        return { entity, policies, securedQuery, pageToken, pageRequest };
+    }
+
+    // The joined entity brings its own row filters and column policies.
+    const joinEntity = await loadJoinEntity(user, securedQuery.join.entity);
+    const joinPolicies = resolveDataPolicies(user, joinEntity);
+    securedQuery.join = secureJoin(securedQuery, joinPolicies);
+    checkCapabilities(getAdapter(joinEntity.source_of_system), { filters: securedQuery.join.filters });
+    return { entity, policies: mergeJoinPolicies(securedQuery, policies, joinPolicies), securedQuery, pageToken, pageRequest };
+};
+
+// resolveQuery for a request. Sends the error response itself and returns
+// null when the request cannot go ahead.
+const prepareQuery = async (req, res) => {
+    try {
+        return await resolveQuery(req.user, req.body, res.locals.audit || {});
+    } catch (error) {
+        if (!error.status) console.error('ERROR preparing query:', error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to prepare the query.' });
+        return null;
+    }
+};
+
+// Takes a query slot for the caller on `entity` (see rateLimits.js) and
+// returns the function that gives it back. Sends the 429 response itself,
+// with Retry-After, and returns null when the caller has to slow down; any
+// other error is thrown.
+const takeQuerySlot = (req, res, entity) => {
+    try {
+        return acquireQuerySlot(req.user, entity);
+    } catch (error) {
+        if (!(error instanceof RateLimitError)) throw error;
+        res.set('Retry-After', String(error.retryAfterSeconds));
+        res.status(error.status).json({ success: false, error: error.message, retryAfterSeconds: error.retryAfterSeconds });
+        return null;
+    }
+};
+
+// Fetches one page of rows through the entity's source adapter. `paging`
+// holds pageSize and offset, plus jobId/location when resuming a job.
+const fetchQueryPage = async (entity, securedQuery, paging) => {
+    if (securedQuery.join) return fetchJoinedPage(entity, securedQuery, paging);
+    const sourceDetails = parseSourceDetails(entity.source_details);
+    const { pageSize, offset, jobId, location } = paging;
+    return getAdapter(entity.source_of_system).query(sourceDetails, { ...securedQuery, pageSize, offset, jobId, location });
+};
+
+// Reads every row of one side of a join, page by page.
+const fetchJoinSide = async (entity, query) => {
+    let page = await fetchQueryPage(entity, query, { pageSize: JOIN_PAGE_SIZE, offset: 0 });
+    checkJoinSide(entity.entity_name, page.totalRows);
+    const rows = [...page.rows];
+    while (page.rows.length > 0 && rows.length < page.totalRows) {
+        page = await fetchQueryPage(entity, query, { pageSize: JOIN_PAGE_SIZE, offset: rows.length, jobId: page.jobId, location: page.location });
+        rows.push(...page.rows);
+    }
+    // Later pages of a BigQuery job report the bytes of the whole job again.
+    return { rows, bytesProcessed: Number(page.bytesProcessed) || 0 };
+};
+
+// Reads both sides of a joined query, joins them and returns one page of the
+// joined rows. The first page keeps the whole joined result in joinedResults
+// and hands out its key as the jobId, so later pages are sliced from it and,
+// like later pages of a BigQuery job, are neither cost-checked nor billed
+// again. A later page whose result has expired is joined afresh.
+const fetchJoinedPage = async (entity, securedQuery, paging) => {
+    const key = joinedResults.keyFor(entity.entity_name, securedQuery, { pageSize: MAX_JOIN_ROWS, offset: 0 });
+    const entry = paging.jobId === key ? await joinedResults.get(key) : null;
+    let joined = entry && entry.page;
+    if (!joined) {
+        const joinEntity = await getEntityConfig(securedQuery.join.entity);
+        if (!joinEntity) {
+            throw new JoinError(`Entity '${securedQuery.join.entity}' not found.`, 404);
+        }
+        const sides = joinSideQueries(securedQuery);
+        const [left, right] = await Promise.all([
+            fetchJoinSide(entity, sides.left),
+            fetchJoinSide(joinEntity, sides.right),
+        ]);
+        joined = { ...joinRows(left.rows, right.rows, securedQuery), bytesProcessed: left.bytesProcessed + right.bytesProcessed };
+        await joinedResults.set(key, joined, JOINED_RESULT_TTL_MS);
+    }
+    return {
+        rows: joined.rows.slice(paging.offset, paging.offset + paging.pageSize),
+        totalRows: joined.rows.length,
+        offset: paging.offset,
+        jobId: key,
+        bytesProcessed: joined.bytesProcessed,
+        truncated: joined.truncated,
+    };
+};
+
+// Estimates a new query on a source with cost estimates (BigQuery) and refuses
+// it (with a CostLimitError) when it would exceed the entity's byte cap or the
+// user's daily quota.
+const enforceCostLimits = async (user, entity, securedQuery) => {
+    if (securedQuery.join) {
+        // Each side of a join is checked on its own.
+        const sides = joinSideQueries(securedQuery);
+        const joinEntity = await getEntityConfig(securedQuery.join.entity);
+        await enforceCostLimits(user, entity, sides.left);
+        if (joinEntity) await enforceCostLimits(user, joinEntity, sides.right);
+        return;
+    }
+    const sourceDetails = parseSourceDetails(entity.source_details);
+    const adapter = getAdapter(entity.source_of_system);
+    if (!adapter.capabilities.costEstimates || !needsCostCheck(sourceDetails)) return;
+    const estimatedBytes = await adapter.estimate(sourceDetails, securedQuery);
+    await checkCostLimits(bigquery, { user, entity, sourceDetails, estimatedBytes });
+};
+
+// Looks a page up in the result cache. Returns { cached, store }: the cache
+// entry or null, and a function that caches a freshly fetched page.
+const lookupCachedPage = async (entity, securedQuery, paging, refresh) => {
+    const ttlMs = cacheTtlFor(parseSourceDetails(entity.source_details));
+    const cacheKey = ttlMs > 0 ? resultCache.keyFor(entity.entity_name, securedQuery, paging) : null;
+    return {
+        cached: cacheKey && !refresh ? await resultCache.get(cacheKey) : null,
+        store: async (page) => {
+            if (cacheKey) await resultCache.set(cacheKey, page, ttlMs);
+        },
+    };
+};
+
+// The /api/query response body for a page, with signed tokens to re-read it
+// and to read the one after it. `cached` is the cache entry it came from, if any.
+const toQueryResponse = ({ user, entity, policies, securedQuery, pageSize, page, cached }) => {
+    const { rows, totalRows, offset, jobId, location } = page;
+    const nextOffset = offset + rows.length;
+    return {
+        success: true,
+        data: applyColumnPolicies(rows, policies),
+        totalRows,
+        offset,
+        pageSize,
+        pageToken: createPageToken({ user, entity, query: securedQuery, offset, jobId, location }),
+        nextPageToken: rows.length > 0 && nextOffset < totalRows
+            ? createPageToken({ user, entity, query: securedQuery, offset: nextOffset, jobId, location })
+            : null,
+        cached: !!cached,
+        cachedAt: cached ? cached.cachedAt : null,
+        cacheAgeSeconds: cached ? Math.round((Date.now() - Date.parse(cached.cachedAt)) / 1000) : null,
+        // A joined result cut off at MAX_JOIN_ROWS.
+        truncated: !!page.truncated,
+    };
+};
+
+// Proxy endpoint for querying data. Pages are served from the result cache
+// when possible; ?refresh=true skips the cache and stores a fresh result.
+app.post('/api/query', checkAuth, auditQuery(bigquery, 'query'), async (req, res) => {
+    const context = await prepareQuery(req, res);
+    if (!context) return;
+    const { entity, policies, securedQuery, pageToken, pageRequest } = context;
+
+    let paging;
+    try {
+        paging = readPaging(pageRequest);
+        if (pageToken) {
+            paging = { ...paging, ...readPageToken(pageToken, { user: req.user, entity, query: securedQuery }) };
+        }
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+    let releaseSlot = null;
+    try {
+        releaseSlot = takeQuerySlot(req, res, entity);
+        if (!releaseSlot) return;
+        const { cached, store } = await lookupCachedPage(entity, securedQuery, paging, req.query.refresh === 'true');
+
+        let page;
+        if (cached) {
+            page = cached.page;
+        } else {
+            // Later pages of a BigQuery job are not billed again.
+            if (!paging.jobId) await enforceCostLimits(req.user, entity, securedQuery);
+            page = await fetchQueryPage(entity, securedQuery, paging);
+            await store(page);
+        }
+        const billed = !cached && !paging.jobId;
+        Object.assign(res.locals.audit, {
+            row_count: page.rows.length,
+            total_rows: page.totalRows,
+            bytes_processed: billed ? page.bytesProcessed : 0,
+            job_id: page.jobId,
+        });
+        if (billed) recordUsage(req.user, Number(page.bytesProcessed) || 0);
+
+        res.status(200).json(toQueryResponse({ user: req.user, entity, policies, securedQuery, pageSize: paging.pageSize, page, cached }));
+    } catch (error) {
+        console.error(`Error querying ${entity.source_of_system}:`, error.message);
+        const status = error.status || 500;
+        res.status(status).json({ success: false, error: error.status ? error.message : `Failed to execute ${entity.source_of_system} query.` });
+    } finally {
+        if (releaseSlot) releaseSlot();
+    }
+});
+
+// What a query would scan, from a dry run, together with the entity's byte cap
+// and the caller's daily quota ({ limit, used, remaining } or null). Only for
+// sources with cost estimates (BigQuery); for a join, the joined entity is
+// estimated too when its source has them.
+app.post('/api/query/estimate', checkAuth, async (req, res) => {
+    const context = await prepareQuery(req, res);
+    if (!context) return;
+    const { entity, securedQuery } = context;
+    const adapter = getAdapter(entity.source_of_system);
+    if (!adapter.capabilities.costEstimates) {
+        return res.status(400).json({ error: `Cost estimates are not available for ${entity.source_of_system} entities.` });
+    }
+
+    try {
+        const sourceDetails = parseSourceDetails(entity.source_details);
+        const estimates = [];
+        if (securedQuery.join) {
+            const sides = joinSideQueries(securedQuery);
+            const joinEntity = await getEntityConfig(securedQuery.join.entity);
+            estimates.push(adapter.estimate(sourceDetails, sides.left));
+            const joinAdapter = joinEntity && findAdapter(joinEntity.source_of_system);
+            if (joinAdapter && joinAdapter.capabilities.costEstimates) {
+                estimates.push(joinAdapter.estimate(parseSourceDetails(joinEntity.source_details), sides.right));
+            }
+        } else {
+            estimates.push(adapter.estimate(sourceDetails, securedQuery));
+        }
+        const [quota, ...bytes] = await Promise.all([getQuota(bigquery, req.user), ...estimates]);
+        const bytesProcessed = bytes.reduce((sum, b) => sum + b, 0);
+        res.status(200).json({ bytesProcessed, maximumBytesBilled: maximumBytesBilledFor(sourceDetails), quota });
+    } catch (error) {
+        console.error(`Error estimating query on ${entity.entity_name}:`, error.message);
+        const status = error.status || 500;
+        res.status(status).json({ error: error.status ? error.message : 'Failed to estimate the query cost.' });
+    }
+});
+
+// Column types for writing a query's results to a file: from the query result
+// when the source reports them, otherwise from the entity schema. Masked
+// columns are always written as text.
+const exportColumnTypes = async (entity, policies, page) => {
+    const types = {};
+    try {
+        const schema = page.schema || (await getEntitySchema(bigquery, entity)).columns.map(c => ({ name: c.name, type: c.data_type }));
+        for (const field of schema) types[field.name] = field.type;
+    } catch (error) {
+        console.warn(`Could not read column types for export of ${entity.entity_name}:`, error.message);
+    }
+    for (const column of policies.columnActions.keys()) types[column] = 'STRING';
+    return types;
+};
+
+// Writes a query's result to an export writer page by page, starting with the
+// already fetched first `page`, up to `maxRows` rows or until isAborted()
+// says so. Keeps audit.row_count up to date and returns the rows written.
+const writeResultPages = async ({ entity, policies, securedQuery, page: firstPage, writer, maxRows, audit, isAborted = () => false }) => {
+    let page = firstPage;
+    let written = 0;
+    for (;;) {
+        const rows = page.rows.slice(0, maxRows - written);
+        await writer.writeRows(applyColumnPolicies(rows, policies));
+        written += rows.length;
+        audit.row_count = written;
+
+        const nextOffset = page.offset + page.rows.length;
+        if (isAborted() || page.rows.length === 0 || nextOffset >= page.totalRows || written >= maxRows) return written;
+        page = await fetchQueryPage(entity, securedQuery, {
+            pageSize: EXPORT_PAGE_SIZE,
+            offset: nextOffset,
+            jobId: page.jobId,
+            location: page.location,
+        });
+    }
+};
+
+// Streams the complete result set of a query as a file download. Pages are
+// fetched and written one at a time, up to MAX_EXPORT_ROWS rows.
+app.post('/api/query/export', checkAuth, auditQuery(bigquery, 'export'), async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unsupported export format '${format}'. Use one of: ${EXPORT_FORMATS.join(', ')}.` });
+    }
+
+    const context = await prepareQuery(req, res);
+    if (!context) return;
+    const { entity, policies, securedQuery } = context;
+    const { audit } = res.locals;
+    // The slot is held until the whole file has been written.
+    let releaseSlot = null;
+    let page;
+    try {
+        releaseSlot = takeQuerySlot(req, res, entity);
+        if (!releaseSlot) return;
+        await enforceCostLimits(req.user, entity, securedQuery);
+        // A join is read in one go rather than joined again for every page.
+        page = await fetchQueryPage(entity, securedQuery, { pageSize: securedQuery.join ? MAX_JOIN_ROWS : EXPORT_PAGE_SIZE, offset: 0 });
+        Object.assign(audit, { total_rows: page.totalRows, bytes_processed: page.bytesProcessed, job_id: page.jobId });
+        recordUsage(req.user, Number(page.bytesProcessed) || 0);
+    } catch (error) {
+        console.error(`Error exporting ${entity.source_of_system} query:`, error.message);
+        if (releaseSlot) releaseSlot();
+        const status = error.status || 500;
+        return res.status(status).json({ success: false, error: error.status ? error.message : 'Failed to export the query results.' });
+    }
+
+    const types = await exportColumnTypes(entity, policies, page);
+
+    let aborted = false;
+    res.on('close', () => { aborted = !res.writableFinished; });
+
+    const writer = createExportWriter(format, res, { entityName: entity.entity_name, columns: outputColumns(securedQuery), types });
+    try {
+        await writer.start();
+        await writeResultPages({ entity, policies, securedQuery, page, writer, maxRows: MAX_EXPORT_ROWS, audit, isAborted: () => aborted });
+        if (!aborted) await writer.end();
+    } catch (error) {
+        // The download has already started, so the status can no longer change.
+        // Cutting the connection makes the browser report the download as failed.
+        console.error(`Error while streaming export of ${entity.entity_name} after ${audit.row_count || 0} rows:`, error.message);
+        Object.assign(audit, { outcome: 'error', error_message: error.message });
+        res.destroy(error);
+    } finally {
+        releaseSlot();
+    }
+});
+
+// --- Query jobs -------------------------------------------------------------
+
+// Submits a query as an asynchronous job and answers 202 with the job right
+// away. Takes the same payload as /api/query (without a pageToken) and
+// ?refresh=true; the finished job's result is the first page, and later pages
+// are read from /api/query with its nextPageToken as usual.
+app.post('/api/jobs', checkAuth, auditQuery(bigquery, 'job'), async (req, res) => {
+    const context = await prepareQuery(req, res);
+    if (!context) return;
+    const { entity, policies, securedQuery, pageToken, pageRequest } = context;
+    const { audit } = res.locals;
+
+    if (pageToken) {
+        return res.status(400).json({ success: false, error: 'Jobs always start at the first page; read later pages from /api/query.' });
+    }
+    let paging;
+    try {
+        paging = readPaging(pageRequest);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+    // The slot is held until the job has ended, not just until the 202.
+    let releaseSlot = null;
+    try {
+        releaseSlot = takeQuerySlot(req, res, entity);
+        if (!releaseSlot) return;
+        const { cached, store } = await lookupCachedPage(entity, securedQuery, paging, req.query.refresh === 'true');
+        const sourceDetails = parseSourceDetails(entity.source_details);
+
+        const adapter = getAdapter(entity.source_of_system);
+        let submitted = null;
+        if (!cached) {
+            await enforceCostLimits(req.user, entity, securedQuery);
+        }
+        if (!cached && !securedQuery.join && adapter.capabilities.jobs) {
+            submitted = await adapter.submitJob(sourceDetails, securedQuery);
+            audit.job_id = submitted.jobId;
+        }
+
+        const finish = (page, fromCache) => {
+            const billed = !fromCache;
+            Object.assign(audit, {
+                row_count: page.rows.length,
+                total_rows: page.totalRows,
+                bytes_processed: billed ? page.bytesProcessed : 0,
+                job_id: page.jobId,
             });
+            if (billed) recordUsage(req.user, Number(page.bytesProcessed) || 0);
+            return toQueryResponse({ user: req.user, entity, policies, securedQuery, pageSize: paging.pageSize, page, cached: fromCache });
+        };
+
+        // The audit record is written once the job has ended.
+        const finishAudit = audit.defer();
+        const job = createJob({ owner: req.user.email, entityName: entity.entity_name, sourceSystem: entity.source_of_system }, {
+            // Source jobs (BigQuery) are checked on the job's timer and whenever
+            // the client polls; the first page is fetched once the source
+            // reports the job as done.
+            poll: submitted && (async (current) => {
+                let status;
+                try {
+                    status = await adapter.getJob(submitted);
+                } catch (error) {
+                    // Try again on the next poll rather than failing a job that may still succeed.
+                    console.warn(`Could not check ${entity.source_of_system} job ${submitted.jobId}:`, error.message);
+                    return;
+                }
+                current.progress = status.progress;
+                if (status.state !== 'DONE') return;
+                if (status.error) {
+                    failJob(current, { message: status.error, status: 400 });
+                    return;
+                }
+                const page = await fetchQueryPage(entity, securedQuery, { ...paging, jobId: submitted.jobId, location: submitted.location });
+                await store(page);
+                completeJob(current, finish(page, null));
+            }),
+            cancel: submitted && (() => adapter.cancelJob(submitted)),
+            onSettled: (settled) => {
+                releaseSlot();
+                if (settled.state === 'cancelled') audit.outcome = 'aborted';
+                if (settled.error) audit.error_message = settled.error;
+                finishAudit(settled.state === 'failed' ? settled.errorStatus : 200);
+            },
+        });
+
+        if (cached) {
+            completeJob(job, finish(cached.page, cached));
+        } else if (!submitted) {
+            // Sources without jobs, and joins, are queried here in the background.
+            fetchQueryPage(entity, securedQuery, paging)
+                .then(async (page) => {
+                    await store(page);
+                    completeJob(job, finish(page, null));
+                })
+                .catch((error) => {
+                    console.error(`Error querying ${entity.source_of_system} for job ${job.id}:`, error.message);
+                    failJob(job, error.status ? error : { message: `Failed to execute ${entity.source_of_system} query.`, status: 500 });
+                });
+        }
+        res.status(202).location(`/api/jobs/${job.id}`).json(describeJob(job));
+    } catch (error) {
+        if (releaseSlot) releaseSlot();
+        console.error(`Error submitting ${entity.source_of_system} job:`, error.message);
+        const status = error.status || 500;
+        res.status(status).json({ success: false, error: error.status ? error.message : `Failed to submit the ${entity.source_of_system} query.` });
+    }
+});
+
+// A job's state and progress, and its result once it is done.
+app.get('/api/jobs/:id', checkAuth, async (req, res) => {
+    try {
+        const job = await refreshJob(getJob(req.params.id, req.user));
+        res.status(200).json(describeJob(job));
+    } catch (error) {
+        console.error(`ERROR reading job ${req.params.id}:`, error.message);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to read the job.' });
+    }
+});
+
+// Cancels a running job, and the BigQuery job behind it.
+app.delete('/api/jobs/:id', checkAuth, async (req, res) => {
+    try {
+        const job = getJob(req.params.id, req.user);
+        await cancelJob(job);
+        res.status(200).json(describeJob(job));
+    } catch (error) {
+        console.error(`ERROR cancelling job ${req.params.id}:`, error.message);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to cancel the job.' });
+    }
+});
+
+// --- Saved queries ----------------------------------------------------------
+
+// BigQuery returns JSON columns as strings and timestamps as objects.
+const toSavedQuery = (row, user) => ({
+    id: row.id,
+    owner: row.owner,
+    name: row.name,
+    description: row.description,
+    visibility: row.visibility,
+    entity_name: row.entity_name,
+    query: typeof row.query === 'string' ? JSON.parse(row.query) : row.query,
+    visualization: (typeof row.visualization === 'string' ? JSON.parse(row.visualization) : row.visualization) || null,
+    created_at: row.created_at ? row.created_at.value : null,
+    updated_at: row.updated_at ? row.updated_at.value : null,
+    is_owner: row.owner === user.email,
+});
+
+const getSavedQueryRow = async (id) => {
+    const query = `SELECT * FROM ${SAVED_QUERIES_TABLE} WHERE id = @id`;
+    const [rows] = await bigquery.query({ query, params: { id } });
+    return rows[0] || null;
+};
+
+// The entity a saved query refers to, or null when it is gone or the user may not use it.
+const getAccessibleEntity = async (user, entityName) => {
+    const entity = await getEntityConfig(entityName);
+    return entity && canAccessEntity(user, entity) ? entity : null;
+};
+
+// The caller's own saved queries plus the shared ones on entities they can access.
+app.get('/api/saved-queries', checkAuth, async (req, res) => {
+    try {
+        const [[rows], entities] = await Promise.all([
+            bigquery.query({
+                query: `SELECT * FROM ${SAVED_QUERIES_TABLE} WHERE owner = @owner OR visibility = 'shared' ORDER BY name`,
+                params: { owner: req.user.email },
+            }),
+            listEntityConfigs(),
+        ]);
+        const accessible = new Map(entities
+            .filter(entity => canAccessEntity(req.user, entity))
+            .map(entity => [entity.entity_name, entity]));
+
+        const savedQueries = rows
+            .map(row => toSavedQuery(row, req.user))
+            .filter(saved => canReadSavedQuery(req.user, saved, accessible.get(saved.entity_name)))
+            .map(saved => ({ ...saved, issues: findSavedQueryIssues(saved, accessible.get(saved.entity_name), null) }));
+        res.status(200).json(savedQueries);
+    } catch (error) {
+        console.error('ERROR listing saved queries:', error);
+        res.status(500).json({ error: 'Failed to load saved queries.' });
+    }
+});
+
+// A single saved query, with `issues` listing anything that no longer matches
+// the entity configuration or schema.
+app.get('/api/saved-queries/:id', checkAuth, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const row = await getSavedQueryRow(id);
+        const saved = row && toSavedQuery(row, req.user);
+        const entity = saved && await getAccessibleEntity(req.user, saved.entity_name);
+        if (!saved || !canReadSavedQuery(req.user, saved, entity)) {
+            return res.status(404).json({ error: `Saved query '${id}' not found.` });
+        }
+
+        let columns = null;
+        if (entity) {
+            try {
+                const schema = await getEntitySchema(bigquery, entity);
+                columns = applySchemaPolicies(schema.columns, resolveDataPolicies(req.user, entity));
+            } catch (error) {
+                console.warn(`Could not check the columns of saved query ${id}:`, error.message);
+            }
+        }
+        res.status(200).json({ ...saved, issues: findSavedQueryIssues(saved, entity, columns) });
+    } catch (error) {
+        console.error(`ERROR fetching saved query ${id}:`, error);
+        res.status(500).json({ error: 'Failed to load the saved query.' });
+    }
+});
+
+// Saved queries are written with DML rather than streaming inserts, so they
+// can be updated or deleted right after they are created.
+app.post('/api/saved-queries', checkAuth, async (req, res) => {
+    const { error: validationError, value } = validateSavedQuery(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        if (!await getAccessibleEntity(req.user, value.entity_name)) {
+            return res.status(404).json({ error: `Entity '${value.entity_name}' not found.` });
+        }
+        const id = crypto.randomUUID();
+        const query = `
+            INSERT INTO ${SAVED_QUERIES_TABLE}
+                (id, owner, name, description, visibility, entity_name, query, visualization, created_at, updated_at)
+            VALUES
+                (@id, @owner, @name, @description, @visibility, @entity_name, PARSE_JSON(@query_json),
+                 PARSE_JSON(@visualization_json), CURRENT_TIMESTAMP(), CURRENT_TIMESTAMP())
+        `;
+        await bigquery.query({
+            query,
+            params: {
+                id,
+                owner: req.user.email,
+                name: value.name,
+                description: value.description,
+                visibility: value.visibility,
+                entity_name: value.entity_name,
+                query_json: JSON.stringify(value.query),
+                visualization_json: JSON.stringify(value.visualization),
+            },
+        });
+        res.status(201).json({ id, owner: req.user.email, ...value, is_owner: true, issues: [] });
+    } catch (error) {
+        console.error('ERROR creating saved query:', error);
+        res.status(500).json({ error: 'Failed to save the query.' });
+    }
+});
+
+// Only the owner can change a saved query.
+app.put('/api/saved-queries/:id', checkAuth, async (req, res) => {
+    const { id } = req.params;
+    const { error: validationError, value } = validateSavedQuery(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const row = await getSavedQueryRow(id);
+        if (!row || (row.owner !== req.user.email && row.visibility !== 'shared')) {
+            return res.status(404).json({ error: `Saved query '${id}' not found.` });
+        }
+        if (row.owner !== req.user.email) {
+            return res.status(403).json({ error: 'Only the owner can change a saved query.' });
+        }
+        if (!await getAccessibleEntity(req.user, value.entity_name)) {
+            return res.status(404).json({ error: `Entity '${value.entity_name}' not found.` });
+        }
+
+        const query = `
+            UPDATE ${SAVED_QUERIES_TABLE}
+            SET name = @name,
+                description = @description,
+                visibility = @visibility,
+                entity_name = @entity_name,
+                query = PARSE_JSON(@query_json),
+                visualization = PARSE_JSON(@visualization_json),
+                updated_at = CURRENT_TIMESTAMP()
+            WHERE id = @id AND owner = @owner
+        `;
+        await bigquery.query({
+            query,
+            params: {
+                id,
+                owner: req.user.email,
+                name: value.name,
+                description: value.description,
+                visibility: value.visibility,
+                entity_name: value.entity_name,
+                query_json: JSON.stringify(value.query),
+                visualization_json: JSON.stringify(value.visualization),
+            },
+        });
+        res.status(200).json({ id, owner: req.user.email, ...value, is_owner: true, issues: [] });
+    } catch (error) {
+        console.error(`ERROR updating saved query ${id}:`, error);
+        res.status(500).json({ error: 'Failed to update the saved query.' });
+    }
+});
+
+// Owners can delete their saved queries; admins can delete any.
+app.delete('/api/saved-queries/:id', checkAuth, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const row = await getSavedQueryRow(id);
+        if (!row || (row.owner !== req.user.email && row.visibility !== 'shared' && !req.user.isAdmin)) {
+            return res.status(404).json({ error: `Saved query '${id}' not found.` });
+        }
+        if (row.owner !== req.user.email && !req.user.isAdmin) {
+            return res.status(403).json({ error: 'Only the owner can delete a saved query.' });
+        }
+        const query = `DELETE FROM ${SAVED_QUERIES_TABLE} WHERE id = @id`;
+        await bigquery.query({ query, params: { id } });
+        res.status(204).send();
+    } catch (error) {
+        console.error(`ERROR deleting saved query ${id}:`, error);
+        res.status(500).json({ error: 'Failed to delete the saved query.' });
+    }
+});
+
+// --- Scheduled queries ------------------------------------------------------
+
+// Scheduled reports are collected in memory before they are sent, so they are
+// capped in rows and in size.
+const SCHEDULE_MAX_ROWS = Number(process.env.SCHEDULE_MAX_ROWS) || 100000;
+const SCHEDULE_MAX_FILE_MB = Number(process.env.SCHEDULE_MAX_FILE_MB) || 20;
+// How often the backend looks for due schedules; 0 leaves it to POST /api/schedules/run-due.
+const SCHEDULER_INTERVAL_SECONDS = process.env.SCHEDULER_INTERVAL_SECONDS !== undefined
+    ? Number(process.env.SCHEDULER_INTERVAL_SECONDS)
+    : 60;
+const SCHEDULE_RUNS_LISTED = 50;
 
-            res.status(response.status).json(response.data);
+const getScheduleRow = async (id) => {
+    const query = `SELECT * FROM ${SCHEDULES_TABLE} WHERE id = @id`;
+    const [rows] = await bigquery.query({ query, params: { id } });
+    return rows[0] || null;
+};
+
+// The schedule `id` if `user` owns it or is an admin; a 404 otherwise.
+const getVisibleSchedule = async (id, user) => {
+    const row = await getScheduleRow(id);
+    if (!row || (row.owner !== user.email && !user.isAdmin)) {
+        throw new QueryRequestError(`Schedule '${id}' not found.`, 404);
+    }
+    return toSchedule(row);
+};
+
+// Runs a schedule's query as its owner and collects the whole result as a
+// file: { file: { name, contentType, content }, totalRows }. The run takes a
+// query slot as its owner, like an interactive query, and fails with the
+// RateLimitError when it cannot get one.
+const runScheduledQuery = async (schedule, audit) => {
+    const user = await resolveUser(schedule.owner);
+    const { entity, policies, securedQuery } = await resolveQuery(user, { entity: { entity_name: schedule.entity_name }, query: schedule.query }, audit);
+    const releaseSlot = acquireQuerySlot(user, entity);
+    try {
+        await enforceCostLimits(user, entity, securedQuery);
+        const page = await fetchQueryPage(entity, securedQuery, { pageSize: securedQuery.join ? MAX_JOIN_ROWS : EXPORT_PAGE_SIZE, offset: 0 });
+        Object.assign(audit, { total_rows: page.totalRows, bytes_processed: page.bytesProcessed, job_id: page.jobId });
+        recordUsage(user, Number(page.bytesProcessed) || 0);
+
+        const maxBytes = SCHEDULE_MAX_FILE_MB * 1024 * 1024;
+        const stream = new PassThrough();
+        const chunks = [];
+        let size = 0;
+        stream.on('data', (chunk) => {
+            chunks.push(chunk);
+            size += chunk.length;
+        });
+        const ended = once(stream, 'end');
+        const types = await exportColumnTypes(entity, policies, page);
+        const { name, contentType, writer } = createFileWriter(schedule.format, stream, { entityName: entity.entity_name, columns: outputColumns(securedQuery), types });
+        await writer.start();
+        await writeResultPages({ entity, policies, securedQuery, page, writer, maxRows: SCHEDULE_MAX_ROWS, audit, isAborted: () => size > maxBytes });
+        await writer.end();
+        await ended;
+        if (size > maxBytes) {
+            throw new QueryRequestError(`The report is larger than ${SCHEDULE_MAX_FILE_MB} MB. Add filters or select fewer columns.`, 413);
+        }
+        return { file: { name, contentType, content: Buffer.concat(chunks) }, totalRows: page.totalRows };
+    } finally {
+        releaseSlot();
+    }
+};
+
+// Runs a schedule now: queries, delivers the file, and records the run, its
+// audit record and a failure notice when it fails. Never throws.
+const executeSchedule = async (schedule, trigger, runId = crypto.randomUUID()) => {
+    const startedAt = new Date();
+    const audit = { entity_name: schedule.entity_name };
+    const run = {
+        id: runId,
+        schedule_id: schedule.id,
+        trigger,
+        status: 'success',
+        started_at: startedAt.toISOString(),
+        finished_at: null,
+        row_count: null,
+        total_rows: null,
+        bytes_processed: null,
+        file_name: null,
+        error_message: null,
+    };
+    const fail = (error, what) => {
+        if (!error.status) console.error(`ERROR ${what} schedule ${schedule.id}:`, error);
+        Object.assign(run, { status: 'failed', error_message: error.status ? error.message : `The scheduled query failed while ${what} it.` });
+    };
+
+    let result = null;
+    let auditStatus = 200;
+    try {
+        result = await runScheduledQuery(schedule, audit);
+        Object.assign(run, {
+            row_count: audit.row_count,
+            total_rows: result.totalRows,
+            bytes_processed: Number(audit.bytes_processed) || 0,
+            file_name: result.file.name,
+        });
+    } catch (error) {
+        auditStatus = error.status || 500;
+        fail(error, 'running');
+        audit.error_message = run.error_message;
+    }
+    recordQueryAudit(bigquery, { userEmail: schedule.owner, action: 'schedule', startedAt, audit, status: auditStatus });
+
+    if (result) {
+        run.finished_at = new Date().toISOString();
+        try {
+            await deliverReport(schedule, run, result.file);
+        } catch (error) {
+            fail(error, 'delivering');
+        }
+    }
+    run.finished_at = new Date().toISOString();
+
+    try {
+        await runDml({
+            query: `
+                INSERT INTO ${SCHEDULE_RUNS_TABLE}
+                    (id, schedule_id, trigger, status, started_at, finished_at, row_count, total_rows, bytes_processed, file_name, error_message)
+                VALUES
+                    (@id, @schedule_id, @trigger, @status, @started_at, @finished_at, @row_count, @total_rows, @bytes_processed, @file_name, @error_message)
+            `,
+            params: { ...run, started_at: startedAt, finished_at: new Date(run.finished_at) },
+            types: { row_count: 'INT64', total_rows: 'INT64', bytes_processed: 'INT64', file_name: 'STRING', error_message: 'STRING' },
+        });
+        await runDml({
+            query: `UPDATE ${SCHEDULES_TABLE} SET last_run_at = @started_at, last_status = @status WHERE id = @id`,
+            params: { id: schedule.id, started_at: startedAt, status: run.status },
+        });
+    } catch (error) {
+        console.error(`ERROR recording run ${run.id} of schedule ${schedule.id}:`, error.message, JSON.stringify(run));
+    }
+
+    if (run.status === 'failed' && schedule.notify_on_failure) {
+        try {
+            await deliverFailure(schedule, run);
         } catch (error) {
-            console.error('Error proxying to Cloud Function:', error.response ? error.response.data : error.message);
-            const status = error.response ? error.response.status : 500;
-            const data = error.response ? error.response.data : { error: 'Failed to execute BigQuery query via proxy.' };
-            res.status(status).json(data);
+            console.error(`ERROR sending the failure notice for schedule ${schedule.id}:`, error.message);
         }
     }
-    // The prompt mentions Apigee for SAP-BW but provides no implementation details.
-    // This is a placeholder for that functionality.
-    else if (entity.source_of_system === 'SAP-BW') {
-        res.status(501).json({ error: "SAP-BW querying is not implemented yet." });
+    return run;
+};
+
+// Runs every schedule that is due, one after the other. Each run is claimed
+// by moving next_run_at on with a conditional UPDATE, so that it starts only
+// once when several backend instances look at the same time. A schedule that
+// was due more than once while nobody looked runs once.
+const runDueSchedules = async () => {
+    const [rows] = await bigquery.query(`SELECT * FROM ${SCHEDULES_TABLE} WHERE NOT paused AND next_run_at <= CURRENT_TIMESTAMP() ORDER BY next_run_at`);
+    let started = 0;
+    for (const row of rows) {
+        const schedule = toSchedule(row);
+        const claimed = await runDml({
+            query: `UPDATE ${SCHEDULES_TABLE} SET next_run_at = @next_run_at WHERE id = @id AND next_run_at = @due AND NOT paused`,
+            params: { id: schedule.id, due: new Date(schedule.next_run_at), next_run_at: nextRunOf(schedule) },
+            types: { next_run_at: 'TIMESTAMP' },
+        });
+        if (claimed === 0) continue;
+        started += 1;
+        await executeSchedule(schedule, 'schedule');
+    }
+    return started;
+};
+
+let schedulerRunning = false;
+const schedulerTick = async () => {
+    if (schedulerRunning) return 0;
+    schedulerRunning = true;
+    try {
+        return await runDueSchedules();
+    } finally {
+        schedulerRunning = false;
+    }
+};
+
+// Writes a validated schedule (see validateSchedule) over the stored one.
+const scheduleParams = (id, owner, value) => ({
+    params: {
+        id,
+        owner,
+        name: value.name,
+        entity_name: value.entity_name,
+        query_json: JSON.stringify(value.query),
+        cron: value.cron,
+        time_zone: value.time_zone,
+        format: value.format,
+        target: value.target,
+        recipients: value.recipients,
+        notify_on_failure: value.notify_on_failure,
+        paused: value.paused,
+        next_run_at: nextRunOf(value),
+    },
+    types: { recipients: ['STRING'], next_run_at: 'TIMESTAMP' },
+});
+
+// The caller's schedules, or with ?all=true (admins only) everybody's.
+app.get('/api/schedules', checkAuth, async (req, res) => {
+    const all = req.query.all === 'true';
+    if (all && !req.user.isAdmin) {
+        return res.status(403).json({ error: 'This action requires the admin role.' });
+    }
+    try {
+        const [rows] = await bigquery.query({
+            query: `SELECT * FROM ${SCHEDULES_TABLE} ${all ? '' : 'WHERE owner = @owner'} ORDER BY name`,
+            params: all ? {} : { owner: req.user.email },
+        });
+        res.status(200).json(rows.map(toSchedule));
+    } catch (error) {
+        console.error('ERROR listing schedules:', error);
+        res.status(500).json({ error: 'Failed to load the schedules.' });
+    }
+});
+
+// Where reports can be delivered (see delivery.js).
+app.get('/api/schedules/targets', checkAuth, (req, res) => {
+    res.status(200).json(listDeliveryTargets());
+});
+
+// Creates a schedule for the caller. The query is checked against the
+// entity and the caller's access right away, as /api/query would.
+app.post('/api/schedules', checkAuth, async (req, res) => {
+    const { error: validationError, value } = validateSchedule(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        await resolveQuery(req.user, { entity: { entity_name: value.entity_name }, query: value.query });
+        const id = crypto.randomUUID();
+        const query = `
+            INSERT INTO ${SCHEDULES_TABLE}
+                (id, owner, name, entity_name, query, cron, time_zone, format, target, recipients,
+                 notify_on_failure, paused, next_run_at, created_at, updated_at)
+            VALUES
+                (@id, @owner, @name, @entity_name, PARSE_JSON(@query_json), @cron, @time_zone, @format, @target, @recipients,
+                 @notify_on_failure, @paused, @next_run_at, CURRENT_TIMESTAMP(), CURRENT_TIMESTAMP())
+        `;
+        const { params, types } = scheduleParams(id, req.user.email, value);
+        await runDml({ query, params, types });
+        res.status(201).json(toSchedule({ ...params, query: value.query, next_run_at: params.next_run_at && params.next_run_at.toISOString() }));
+    } catch (error) {
+        if (!error.status) console.error('ERROR creating schedule:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create the schedule.' });
+    }
+});
+
+// Only the owner can change a schedule, since it runs with their access.
+app.put('/api/schedules/:id', checkAuth, async (req, res) => {
+    const { id } = req.params;
+    const { error: validationError, value } = validateSchedule(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
     }
-    else {
-        return res.status(400).json({ error: `Unsupported source system: ${entity.source_of_system}` });
+    try {
+        const schedule = await getVisibleSchedule(id, req.user);
+        if (schedule.owner !== req.user.email) {
+            return res.status(403).json({ error: 'Only the owner can change a schedule.' });
+        }
+        await resolveQuery(req.user, { entity: { entity_name: value.entity_name }, query: value.query });
+        const query = `
+            UPDATE ${SCHEDULES_TABLE}
+            SET name = @name,
+                entity_name = @entity_name,
+                query = PARSE_JSON(@query_json),
+                cron = @cron,
+                time_zone = @time_zone,
+                format = @format,
+                target = @target,
+                recipients = @recipients,
+                notify_on_failure = @notify_on_failure,
+                paused = @paused,
+                next_run_at = @next_run_at,
+                updated_at = CURRENT_TIMESTAMP()
+            WHERE id = @id AND owner = @owner
+        `;
+        const { params, types } = scheduleParams(id, req.user.email, value);
+        await runDml({ query, params, types });
+        res.status(200).json({ ...schedule, ...value, next_run_at: params.next_run_at && params.next_run_at.toISOString() });
+    } catch (error) {
+        if (!error.status) console.error(`ERROR updating schedule ${id}:`, error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update the schedule.' });
+    }
+});
+
+// Pauses or resumes a schedule (owner or admin). A resumed schedule runs at
+// its next time from now on; runs missed while paused are skipped.
+const setSchedulePaused = (paused) => async (req, res) => {
+    const { id } = req.params;
+    try {
+        const schedule = await getVisibleSchedule(id, req.user);
+        const nextRunAt = nextRunOf(schedule);
+        await runDml({
+            query: `UPDATE ${SCHEDULES_TABLE} SET paused = @paused, next_run_at = @next_run_at, updated_at = CURRENT_TIMESTAMP() WHERE id = @id`,
+            params: { id, paused, next_run_at: nextRunAt },
+            types: { next_run_at: 'TIMESTAMP' },
+        });
+        res.status(200).json({ ...schedule, paused, next_run_at: nextRunAt && nextRunAt.toISOString() });
+    } catch (error) {
+        if (!error.status) console.error(`ERROR ${paused ? 'pausing' : 'resuming'} schedule ${id}:`, error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to change the schedule.' });
+    }
+};
+
+app.post('/api/schedules/:id/pause', checkAuth, setSchedulePaused(true));
+app.post('/api/schedules/:id/resume', checkAuth, setSchedulePaused(false));
+
+// Owners can delete their schedules, admins any; the run history goes too.
+app.delete('/api/schedules/:id', checkAuth, async (req, res) => {
+    const { id } = req.params;
+    try {
+        await getVisibleSchedule(id, req.user);
+        await runDml({ query: `DELETE FROM ${SCHEDULES_TABLE} WHERE id = @id`, params: { id } });
+        await runDml({ query: `DELETE FROM ${SCHEDULE_RUNS_TABLE} WHERE schedule_id = @id`, params: { id } });
+        res.status(204).send();
+    } catch (error) {
+        if (!error.status) console.error(`ERROR deleting schedule ${id}:`, error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete the schedule.' });
+    }
+});
+
+// The latest runs of a schedule, newest first.
+app.get('/api/schedules/:id/runs', checkAuth, async (req, res) => {
+    const { id } = req.params;
+    try {
+        await getVisibleSchedule(id, req.user);
+        const [rows] = await bigquery.query({
+            query: `SELECT * FROM ${SCHEDULE_RUNS_TABLE} WHERE schedule_id = @id ORDER BY started_at DESC LIMIT ${SCHEDULE_RUNS_LISTED}`,
+            params: { id },
+        });
+        res.status(200).json(rows.map(toScheduleRun));
+    } catch (error) {
+        if (!error.status) console.error(`ERROR listing runs of schedule ${id}:`, error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to load the run history.' });
+    }
+});
+
+// Runs a schedule right away, in the background, and answers 202 with the
+// run's id. The run shows up in the history once it has finished.
+app.post('/api/schedules/:id/run', checkAuth, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const schedule = await getVisibleSchedule(id, req.user);
+        if (schedule.owner !== req.user.email) {
+            return res.status(403).json({ error: 'Only the owner can run a schedule.' });
+        }
+        const runId = crypto.randomUUID();
+        executeSchedule(schedule, 'manual', runId);
+        res.status(202).json({ id: runId, schedule_id: id, status: 'running' });
+    } catch (error) {
+        if (!error.status) console.error(`ERROR starting schedule ${id}:`, error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to start the schedule.' });
+    }
+});
+
+// Runs the due schedules and answers once they are done. For deployments
+// that scale to zero: call it from Cloud Scheduler (through IAP, as a
+// service account listed in ADMIN_PRINCIPALS) instead of the built-in timer.
+app.post('/api/schedules/run-due', checkAuth, requireAdmin, async (req, res) => {
+    try {
+        const started = await schedulerTick();
+        res.status(200).json({ started });
+    } catch (error) {
+        console.error('ERROR running due schedules:', error);
+        res.status(500).json({ error: 'Failed to run the due schedules.' });
+    }
+});
+
+if (SCHEDULER_INTERVAL_SECONDS > 0) {
+    setInterval(() => {
+        schedulerTick().catch(error => console.error('ERROR running due schedules:', error.message));
+    }, SCHEDULER_INTERVAL_SECONDS * 1000);
+}
+
+// --- Audit log --------------------------------------------------------------
+
+// Audit records, newest first, filtered by ?user=, ?entity=, ?outcome= and a
+// ?from=/?to= date range (YYYY-MM-DD, inclusive). Paged with ?limit= and ?offset=.
+app.get('/api/audit-log', checkAuth, requireAdmin, async (req, res) => {
+    let filters;
+    try {
+        filters = readAuditFilters(req.query);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    try {
+        const { records, hasMore } = await listAuditRecords(bigquery, filters);
+        res.status(200).json({ records, limit: filters.limit, offset: filters.offset, hasMore });
+    } catch (error) {
+        console.error('ERROR listing audit records:', error);
+        res.status(500).json({ error: 'Failed to load the audit log.' });
+    }
+});
+
+// Every audit record matching the same filters as /api/audit-log, as a file
+// download in ?format= csv, xlsx or jsonl.
+app.get('/api/audit-log/export', checkAuth, requireAdmin, async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unsupported export format '${format}'. Use one of: ${EXPORT_FORMATS.join(', ')}.` });
+    }
+    let filters;
+    try {
+        filters = readAuditFilters(req.query);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    // The download only starts once the first rows (or the end of the result)
+    // arrive, so a failing query can still answer with an error status.
+    let writer = null;
+    let batch = [];
+    const flush = async () => {
+        if (!writer) {
+            writer = createExportWriter(format, res, { entityName: 'query_audit_log', columns: AUDIT_COLUMNS, types: AUDIT_COLUMN_TYPES });
+            await writer.start();
+        }
+        await writer.writeRows(batch);
+        batch = [];
+    };
+    try {
+        for await (const row of streamAuditRecords(bigquery, filters)) {
+            batch.push(toAuditRecord(row));
+            if (batch.length >= EXPORT_PAGE_SIZE) await flush();
+            if (res.destroyed) return;
+        }
+        await flush();
+        await writer.end();
+    } catch (error) {
+        console.error('ERROR exporting audit records:', error);
+        if (!writer) {
+            return res.status(500).json({ error: 'Failed to export the audit log.' });
+        }
+        res.destroy(error);
     }
 });
 
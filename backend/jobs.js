@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+// Asynchronous query jobs for /api/jobs. A job is submitted, polled and
+// cancelled by the user who started it. BigQuery queries run as BigQuery jobs
+// whose state is checked every JOB_POLL_INTERVAL_MS and whenever the job is
+// polled, so a job settles even when nobody asks for it; SAP-BW requests run
+// inside the backend and cannot be stopped at the source, so cancelling one
+// only discards its result.
+//
+// Jobs live in the memory of the backend instance that accepted them, so the
+// backend needs session affinity when it runs on more than one instance.
+// Jobs still running after JOB_TIMEOUT_MS are cancelled and fail. Finished
+// jobs are forgotten after JOB_RETENTION_MS.
+//
+// States: 'running', then 'done', 'failed' or 'cancelled'.
+
+const JOB_RETENTION_MS = 15 * 60 * 1000;
+const JOB_POLL_INTERVAL_MS = 5 * 1000;
+// Below the longest time a query slot is held (see rateLimits.js), so a job
+// always gives its slot back itself.
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
+
+class JobError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+    }
+}
+
+const jobs = new Map();
+
+/**
+ * Registers a running job. `hooks` may contain:
+ *   poll(job)      - brings the job up to date when its status is read
+ *   cancel(job)    - stops the work at the source
+ *   onSettled(job) - called once the job is done, failed or cancelled
+ */
+const createJob = ({ owner, entityName, sourceSystem }, hooks = {}) => {
+    const job = {
+        id: crypto.randomUUID(),
+        owner,
+        entity_name: entityName,
+        source_system: sourceSystem,
+        state: 'running',
+        createdAt: Date.now(),
+        finishedAt: null,
+        progress: null,
+        result: null,
+        error: null,
+        errorStatus: null,
+        hooks,
+        polling: null,
+        timer: null,
+    };
+    job.timer = setInterval(() => {
+        checkJob(job).catch(error => console.error(`Error checking job ${job.id}:`, error.message));
+    }, JOB_POLL_INTERVAL_MS);
+    job.timer.unref();
+    jobs.set(job.id, job);
+    return job;
+};
+
+// Moves a running job to its final state. Later calls are ignored, so a job
+// cancelled while its result arrives stays cancelled.
+const settleJob = (job, state, fields) => {
+    if (job.state !== 'running') return;
+    Object.assign(job, fields, { state, finishedAt: Date.now() });
+    clearInterval(job.timer);
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+    if (job.hooks.onSettled) job.hooks.onSettled(job);
+};
+
+const completeJob = (job, result) => settleJob(job, 'done', { result, progress: 1 });
+
+const failJob = (job, error) => settleJob(job, 'failed', { error: error.message, errorStatus: error.status || 500 });
+
+/**
+ * The caller's job. Other users' jobs are reported as not found.
+ */
+const getJob = (id, user) => {
+    const job = jobs.get(id);
+    if (!job || job.owner !== user.email) {
+        throw new JobError(`Job '${id}' not found.`, 404);
+    }
+    return job;
+};
+
+/**
+ * Brings a running job up to date. Concurrent polls share one check, and a
+ * check that throws fails the job.
+ */
+const refreshJob = async (job) => {
+    if (job.state !== 'running' || !job.hooks.poll) return job;
+    if (!job.polling) {
+        job.polling = Promise.resolve()
+            .then(() => job.hooks.poll(job))
+            .catch(error => failJob(job, error))
+            .finally(() => { job.polling = null; });
+    }
+    await job.polling;
+    return job;
+};
+
+// Runs on the job's timer: fails the job once it has run for too long, and
+// otherwise brings it up to date.
+const checkJob = async (job) => {
+    if (Date.now() - job.createdAt < JOB_TIMEOUT_MS) {
+        await refreshJob(job);
+        return;
+    }
+    try {
+        if (job.hooks.cancel) await job.hooks.cancel(job);
+    } catch (error) {
+        console.warn(`Could not cancel job ${job.id} after it timed out:`, error.message);
+    }
+    settleJob(job, 'failed', {
+        error: `The job did not finish within ${JOB_TIMEOUT_MS / 60000} minutes.`,
+        errorStatus: 504,
+    });
+};
+
+/**
+ * Cancels a running job; a 409 JobError when it has already ended.
+ */
+const cancelJob = async (job) => {
+    if (job.state !== 'running') {
+        throw new JobError(`Job '${job.id}' is already ${job.state}.`, 409);
+    }
+    if (job.hooks.cancel) await job.hooks.cancel(job);
+    settleJob(job, 'cancelled', {});
+};
+
+/**
+ * The public view of a job. `result` is the /api/query response body and is
+ * only present once the job is done.
+ */
+const describeJob = (job) => ({
+    id: job.id,
+    state: job.state,
+    entity_name: job.entity_name,
+    source_system: job.source_system,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    elapsedMs: (job.finishedAt || Date.now()) - job.createdAt,
+    progress: job.progress,
+    error: job.error,
+    ...(job.state === 'done' ? { result: job.result } : {}),
+});
+
+module.exports = {
+    createJob,
+    completeJob,
+    failJob,
+    getJob,
+    refreshJob,
+    cancelJob,
+    describeJob,
+    JobError,
+};
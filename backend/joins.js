@@ -0,0 +1,116 @@
+const { joinedColumnName } = require('./queryModel');
+const { sortRows } = require('./rowQuery');
+
+// Joins between two entities, possibly from different source systems (see
+// "join" in queryModel.js). Each side is read as a plain query of its own
+// columns plus the join keys, with its own filters and row policies, and the
+// rows are joined here with a hash join. Like SQL, NULL keys never match.
+//
+// Both sides and the joined result are capped at JOIN_MAX_ROWS rows (default
+// 50000). A side with more rows is refused, because joining only part of it
+// would give wrong results; a joined result with more rows is cut off and
+// reported as truncated. ORDER BY is applied to the joined rows, so a sorted
+// join that would be cut off is refused too: its first rows would not be the
+// first rows of the whole result.
+
+const MAX_JOIN_ROWS = Number(process.env.JOIN_MAX_ROWS) || 50000;
+
+class JoinError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JoinError';
+        this.status = status;
+    }
+}
+
+const unique = (values) => [...new Set(values)];
+
+/**
+ * The plain queries to read each side of a joined query with:
+ * { left, right }.
+ */
+const joinSideQueries = (query) => {
+    const { join } = query;
+    const side = (columns, keys, filters) => ({
+        columns: unique([...columns, ...keys]),
+        filters,
+        groupBy: [],
+        aggregations: [],
+        orderBy: [],
+    });
+    return {
+        left: side(query.columns, join.on.map(key => key.left), query.filters),
+        right: side(join.columns, join.on.map(key => key.right), join.filters),
+    };
+};
+
+/**
+ * Refuses the rows of one side when there are more than a join can use.
+ */
+const checkJoinSide = (entityName, totalRows) => {
+    if (totalRows > MAX_JOIN_ROWS) {
+        throw new JoinError(
+            `Entity '${entityName}' has ${totalRows} matching rows, more than the ${MAX_JOIN_ROWS} a join can use. `
+            + 'Add filters to narrow it down.',
+        );
+    }
+};
+
+const keyOf = (row, columns) => {
+    const values = columns.map(c => row[c]);
+    return values.some(v => v === null || v === undefined) ? null : JSON.stringify(values.map(String));
+};
+
+/**
+ * Joins the rows of both sides of a query and sorts them. Returns
+ * { rows, truncated }, with each row holding the query's output columns.
+ * Throws a JoinError when a sorted join has more rows than MAX_JOIN_ROWS.
+ */
+const joinRows = (leftRows, rightRows, query) => {
+    const { join } = query;
+    const leftKeys = join.on.map(key => key.left);
+    const rightKeys = join.on.map(key => key.right);
+
+    const rightByKey = new Map();
+    for (const row of rightRows) {
+        const key = keyOf(row, rightKeys);
+        if (key === null) continue;
+        if (!rightByKey.has(key)) rightByKey.set(key, []);
+        rightByKey.get(key).push(row);
+    }
+
+    const pick = (row, columns, name) => Object.fromEntries(columns.map(c => [name(c), row ? row[c] ?? null : null]));
+    const rows = [];
+    let truncated = false;
+    for (const left of leftRows) {
+        const key = keyOf(left, leftKeys);
+        const matches = (key !== null && rightByKey.get(key)) || (join.type === 'LEFT' ? [null] : []);
+        for (const right of matches) {
+            if (rows.length >= MAX_JOIN_ROWS) {
+                truncated = true;
+                break;
+            }
+            rows.push({
+                ...pick(left, query.columns, c => c),
+                ...pick(right, join.columns, c => joinedColumnName(query, c)),
+            });
+        }
+        if (truncated) break;
+    }
+    const orderBy = query.orderBy || [];
+    if (truncated && orderBy.length > 0) {
+        throw new JoinError(
+            `The join has more than ${MAX_JOIN_ROWS} rows, which is too many to sort. `
+            + 'Add filters to join fewer rows, or remove the sort.',
+        );
+    }
+    return { rows: sortRows(rows, orderBy), truncated };
+};
+
+module.exports = {
+    MAX_JOIN_ROWS,
+    joinSideQueries,
+    checkJoinSide,
+    joinRows,
+    JoinError,
+};
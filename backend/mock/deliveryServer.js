@@ -0,0 +1,119 @@
+const net = require('net');
+const express = require('express');
+
+// Local stand-ins for the delivery targets of scheduled queries: a webhook
+// receiver and a minimal SMTP server. Both log what they receive and keep it
+// in memory, so schedules can be exercised without real endpoints.
+//
+//   npm run mock:delivery
+//
+// Then start the backend with:
+//   DELIVERY_TARGETS='{
+//     "local-hook": { "type": "webhook", "url": "http://localhost:8091/hooks/reports" },
+//     "local-mail": { "type": "smtp", "url": "smtp://localhost:2525", "from": "data-explorer@example.com" }
+//   }'
+//
+// Everything received is listed at GET http://localhost:8091/deliveries.
+// A webhook URL ending in /fail answers 500, to exercise failure handling.
+
+const HTTP_PORT = process.env.MOCK_DELIVERY_PORT || 8091;
+const SMTP_PORT = process.env.MOCK_SMTP_PORT || 2525;
+const MAX_DELIVERIES = 100;
+
+const deliveries = [];
+
+const remember = (delivery) => {
+    deliveries.push({ received_at: new Date().toISOString(), ...delivery });
+    if (deliveries.length > MAX_DELIVERIES) deliveries.shift();
+};
+
+const app = express();
+app.use(express.json({ limit: '100mb' }));
+
+app.get('/deliveries', (req, res) => {
+    res.status(200).json(deliveries);
+});
+
+app.post('/hooks/*', (req, res) => {
+    const { event, schedule = {}, run = {}, file } = req.body || {};
+    const summary = file ? `${file.name} (${file.size} bytes)` : run.error_message;
+    console.log(`[webhook] ${req.path} ${event} "${schedule.name}" run ${run.id}: ${summary}`);
+    remember({ channel: 'webhook', path: req.path, event, schedule, run, file: file && { name: file.name, content_type: file.content_type, size: file.size } });
+    if (req.path.endsWith('/fail')) {
+        return res.status(500).json({ error: 'Mock webhook failure.' });
+    }
+    res.status(204).send();
+});
+
+app.listen(HTTP_PORT, () => {
+    console.log(`Mock webhook receiver listening on port ${HTTP_PORT}...`);
+});
+
+// Just enough SMTP for nodemailer: no TLS, no authentication.
+const smtp = net.createServer((socket) => {
+    const reply = line => socket.write(`${line}\r\n`);
+    let buffer = '';
+    let message = null;
+    let data = null;
+
+    reply('220 localhost mock SMTP ready');
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('binary');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) >= 0) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            if (data !== null) {
+                if (line !== '.') {
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                    continue;
+                }
+                const raw = data.join('\r\n');
+                const subject = (/^Subject: (.*)$/mi.exec(raw) || [])[1];
+                const attachments = [...raw.matchAll(/filename="?([^"\r\n;]+)"?/gi)].map(m => m[1]);
+                console.log(`[smtp] ${message.from} -> ${message.to.join(', ')}: ${subject}${attachments.length ? ` [${attachments.join(', ')}]` : ''}`);
+                remember({ channel: 'smtp', from: message.from, to: message.to, subject, attachments, size: raw.length });
+                data = null;
+                message = null;
+                reply('250 OK: queued');
+                continue;
+            }
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                reply('250 localhost');
+            } else if (command === 'MAIL') {
+                message = { from: (/<([^>]*)>/.exec(line) || [])[1], to: [] };
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                if (!message) {
+                    reply('503 MAIL first');
+                } else {
+                    message.to.push((/<([^>]*)>/.exec(line) || [])[1]);
+                    reply('250 OK');
+                }
+            } else if (command === 'DATA') {
+                if (!message || message.to.length === 0) {
+                    reply('503 RCPT first');
+                } else {
+                    data = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                }
+            } else if (command === 'RSET') {
+                message = null;
+                reply('250 OK');
+            } else if (command === 'NOOP') {
+                reply('250 OK');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('502 Command not implemented');
+            }
+        }
+    });
+    socket.on('error', () => {});
+});
+
+smtp.listen(SMTP_PORT, () => {
+    console.log(`Mock SMTP server listening on port ${SMTP_PORT}...`);
+});
@@ -0,0 +1,255 @@
+const express = require('express');
+
+// Local stand-in for the Apigee proxy in front of SAP-BW. It serves the
+// OData v2 shape that BW generates for OData-enabled BEx queries, so the
+// SAP-BW connector can be exercised without the real system.
+//
+//   npm run mock:sap-bw
+//
+// Then point a SAP-BW entity at it:
+//   { "endpoint": "http://localhost:8090", "queryName": "ZFIN_Q001",
+//     "auth": { "type": "apiKey", "keyEnv": "SAP_BW_API_KEY" } }
+// and start the backend with SAP_BW_API_KEY=local-dev-key.
+//
+// Special query names:
+//   ZSLOW_Q001   - answers after MOCK_SLOW_MS (default 60s), to exercise timeouts
+//   ZBROKEN_Q001 - answers with an OData error, to exercise error mapping
+//
+// Every service also has the cost_centerValues entity set with the master
+// data of the cost_center characteristic, for filter suggestions.
+
+const PORT = process.env.MOCK_SAP_BW_PORT || 8090;
+const API_KEY = process.env.MOCK_SAP_BW_API_KEY || 'local-dev-key';
+const SLOW_MS = Number(process.env.MOCK_SLOW_MS) || 60000;
+
+const COST_CENTERS = ['CC1000', 'CC2000', 'CC3000', 'CC4000'];
+
+// Master data knows cost centers that have no postings yet.
+const COST_CENTER_MASTER_DATA = [...COST_CENTERS, 'CC5000', 'CC6000'].map(cost_center => ({ cost_center }));
+const MASTER_DATA = { cost_centerValues: COST_CENTER_MASTER_DATA };
+
+// Edm.DateTime values are kept as epoch milliseconds and serialized the OData v2 way.
+const FINANCE_ROWS = Array.from({ length: 250 }, (_, i) => ({
+    document_id: `49000${String(i + 1).padStart(5, '0')}`,
+    posting_date: Date.UTC(2024, 0, 1 + i),
+    amount_in_local_currency: Math.round(((i * 7919) % 100000) + 0.5) / 100,
+    cost_center: COST_CENTERS[i % COST_CENTERS.length],
+}));
+
+const FINANCE_PROPERTIES = [
+    { name: 'document_id', type: 'Edm.String', nullable: false, label: 'Accounting Document' },
+    { name: 'posting_date', type: 'Edm.DateTime', nullable: false, label: 'Posting Date', displayFormat: 'Date' },
+    { name: 'amount_in_local_currency', type: 'Edm.Decimal', nullable: true, label: 'Amount in Local Currency' },
+    { name: 'cost_center', type: 'Edm.String', nullable: true, label: 'Cost Center' },
+];
+
+const DATE_COLUMNS = new Set(FINANCE_PROPERTIES.filter(p => p.type === 'Edm.DateTime').map(p => p.name));
+
+const buildMetadata = (queryName) => `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="1.0" xmlns:edmx="http://schemas.microsoft.com/ado/2007/06/edmx" xmlns:sap="http://www.sap.com/Protocols/SAPData">
+  <edmx:DataServices m:DataServiceVersion="2.0" xmlns:m="http://schemas.microsoft.com/ado/2007/08/dataservices/metadata">
+    <Schema Namespace="${queryName}_SRV" xmlns="http://schemas.microsoft.com/ado/2008/09/edm">
+      <EntityType Name="${queryName}Result" sap:semantics="aggregate">
+        <Key><PropertyRef Name="document_id"/></Key>
+${FINANCE_PROPERTIES.map(p => `        <Property Name="${p.name}" Type="${p.type}" Nullable="${p.nullable}" sap:label="${p.label}"${p.displayFormat ? ` sap:display-format="${p.displayFormat}"` : ''}/>`).join('\n')}
+      </EntityType>
+      <EntityType Name="cost_centerValue">
+        <Key><PropertyRef Name="cost_center"/></Key>
+        <Property Name="cost_center" Type="Edm.String" Nullable="false" sap:label="Cost Center"/>
+      </EntityType>
+      <EntityContainer Name="${queryName}_SRV_Entities" m:IsDefaultEntityContainer="true">
+        <EntitySet Name="${queryName}Results" EntityType="${queryName}_SRV.${queryName}Result"/>
+        <EntitySet Name="cost_centerValues" EntityType="${queryName}_SRV.cost_centerValue"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+
+const QUERIES = {
+    ZFIN_Q001: FINANCE_ROWS,
+    ZSLOW_Q001: FINANCE_ROWS,
+};
+
+// --- Minimal $filter parser for the subset the connector generates ---------
+
+const tokenize = (input) => {
+    const tokens = [];
+    const regex = /\s*(\(|\)|,|(?:datetime(?:offset)?)?'(?:[^']|'')*'|[A-Za-z0-9_.-]+)/y;
+    let match;
+    while (regex.lastIndex < input.length && (match = regex.exec(input))) {
+        tokens.push(match[1]);
+    }
+    if (regex.lastIndex < input.length && input.slice(regex.lastIndex).trim()) {
+        throw new Error(`Unexpected input near '${input.slice(regex.lastIndex)}'`);
+    }
+    return tokens;
+};
+
+const parseFilter = (input) => {
+    const tokens = tokenize(input);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+
+    const parseValue = (token) => {
+        const dateMatch = /^datetime(offset)?'(.*)'$/.exec(token);
+        if (dateMatch) return Date.parse(dateMatch[1] ? dateMatch[2] : `${dateMatch[2]}Z`);
+        if (token.startsWith("'")) return token.slice(1, -1).replace(/''/g, "'");
+        if (token === 'true' || token === 'false') return token === 'true';
+        if (token === 'null') return null;
+        return Number(token);
+    };
+
+    const parsePrimary = () => {
+        if (peek() === '(') {
+            next();
+            const expr = parseOr();
+            if (next() !== ')') throw new Error('Expected )');
+            return expr;
+        }
+        if (peek() === 'substringof' || peek() === 'startswith') {
+            const fn = next();
+            if (next() !== '(') throw new Error(`Expected ( after ${fn}`);
+            // startswith(tolower(Column), 'value') matches in any case.
+            const lower = peek() === 'tolower' && next() && next() === '(';
+            const first = next();
+            if (lower && next() !== ')') throw new Error('Expected ) after tolower');
+            if (next() !== ',') throw new Error(`Expected , in ${fn}`);
+            const second = next();
+            if (next() !== ')') throw new Error(`Expected ) after ${fn}`);
+            const text = (value) => (lower ? String(value).toLowerCase() : String(value));
+            return fn === 'substringof'
+                ? (row) => row[second] != null && String(row[second]).includes(parseValue(first))
+                : (row) => row[first] != null && text(row[first]).startsWith(parseValue(second));
+        }
+        const column = next();
+        const op = next();
+        const value = parseValue(next());
+        return (row) => {
+            const actual = row[column];
+            switch (op) {
+                case 'eq': return actual == value;
+                case 'ne': return actual != value;
+                case 'gt': return actual > value;
+                case 'ge': return actual >= value;
+                case 'lt': return actual < value;
+                case 'le': return actual <= value;
+                default: throw new Error(`Unsupported operator ${op}`);
+            }
+        };
+    };
+
+    const parseAnd = () => {
+        let left = parsePrimary();
+        while (peek() === 'and') {
+            next();
+            const l = left, r = parsePrimary();
+            left = (row) => l(row) && r(row);
+        }
+        return left;
+    };
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (peek() === 'or') {
+            next();
+            const l = left, r = parseAnd();
+            left = (row) => l(row) || r(row);
+        }
+        return left;
+    };
+
+    const predicate = parseOr();
+    if (pos !== tokens.length) throw new Error(`Unexpected token '${peek()}'`);
+    return predicate;
+};
+
+// --- Server ----------------------------------------------------------------
+
+const odataError = (res, status, message) =>
+    res.status(status).json({ error: { code: String(status), message: { lang: 'en', value: message } } });
+
+const app = express();
+
+app.use((req, res, next) => {
+    if (req.header('x-apikey') !== API_KEY) {
+        return res.status(401).json({ fault: { faultstring: 'Invalid ApiKey', detail: { errorcode: 'oauth.v2.InvalidApiKey' } } });
+    }
+    next();
+});
+
+app.get('/sap/opu/odata/sap/:service/\\$metadata', (req, res) => {
+    const queryName = req.params.service.replace(/_SRV$/, '');
+    if (!QUERIES[queryName]) {
+        return res.status(404).type('application/xml')
+            .send(`<error><code>/IWFND/MED/170</code><message xml:lang="en">No service found for namespace '', name '${req.params.service}'</message></error>`);
+    }
+    res.type('application/xml').send(buildMetadata(queryName));
+});
+
+app.get('/sap/opu/odata/sap/:service/:entitySet', (req, res) => {
+    const queryName = req.params.service.replace(/_SRV$/, '');
+    if (queryName === 'ZBROKEN_Q001') {
+        return odataError(res, 500, 'Query ZBROKEN_Q001: InfoProvider ZBROKEN is not active.');
+    }
+
+    const rows = QUERIES[queryName] && (MASTER_DATA[req.params.entitySet]
+        || (req.params.entitySet === `${queryName}Results` ? QUERIES[queryName] : null));
+    if (!rows) {
+        return odataError(res, 404, `Resource not found for segment '${req.params.entitySet}'.`);
+    }
+
+    let result = rows;
+    try {
+        if (req.query.$filter) {
+            result = result.filter(parseFilter(req.query.$filter));
+        }
+    } catch (error) {
+        return odataError(res, 400, `Invalid $filter: ${error.message}`);
+    }
+
+    if (req.query.$orderby) {
+        const keys = req.query.$orderby.split(',').map((part) => {
+            const [column, direction] = part.trim().split(/\s+/);
+            return { column, sign: direction === 'desc' ? -1 : 1 };
+        });
+        result = [...result].sort((a, b) => {
+            for (const { column, sign } of keys) {
+                if (a[column] < b[column]) return -sign;
+                if (a[column] > b[column]) return sign;
+            }
+            return 0;
+        });
+    }
+
+    const skip = req.query.$skip ? parseInt(req.query.$skip, 10) : 0;
+    const top = req.query.$top ? parseInt(req.query.$top, 10) : result.length;
+    const select = req.query.$select ? req.query.$select.split(',') : null;
+
+    const results = result.slice(skip, skip + top).map((row, i) => {
+        const entry = {
+            __metadata: {
+                uri: `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}('${skip + i}')`,
+                type: `${queryName}.${queryName}Result`,
+            },
+        };
+        for (const key of select || Object.keys(row)) {
+            entry[key] = DATE_COLUMNS.has(key) ? `/Date(${row[key]})/` : row[key];
+        }
+        return entry;
+    });
+
+    const body = req.query.$inlinecount === 'allpages'
+        ? { d: { __count: String(result.length), results } }
+        : { d: { results } };
+    const respond = () => res.status(200).json(body);
+    if (queryName === 'ZSLOW_Q001') {
+        setTimeout(respond, SLOW_MS);
+    } else {
+        respond();
+    }
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock SAP-BW/Apigee server listening on port ${PORT}...`);
+});
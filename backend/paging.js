@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Opaque page tokens for /api/query. A token records where the next page
+// starts (and, for BigQuery, which job holds the results) and is bound to the
+// user, the entity and the exact query that produced it. Tokens are signed so
+// a client cannot point one at somebody else's query job.
+
+const DEFAULT_PAGE_SIZE = 1000;
+const MAX_PAGE_SIZE = 5000;
+// BigQuery keeps anonymous query results for 24 hours.
+const TOKEN_TTL_MS = 23 * 60 * 60 * 1000;
+
+let tokenSecret = process.env.PAGE_TOKEN_SECRET;
+if (!tokenSecret) {
+    console.warn('WARNING: PAGE_TOKEN_SECRET is not set. Page tokens will not survive a backend restart.');
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+class PagingError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PagingError';
+        this.status = status;
+    }
+}
+
+const sign = (payload) => crypto.createHmac('sha256', tokenSecret).update(payload).digest('base64url');
+
+// Everything in a query except the paging fields identifies "the same query".
+const fingerprintQuery = (query) => {
+    const { pageSize, pageToken, offset, ...rest } = query;
+    return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('base64url');
+};
+
+const createPageToken = ({ user, entity, query, offset, jobId, location }) => {
+    const payload = Buffer.from(JSON.stringify({
+        u: user.email,
+        e: entity.entity_name,
+        q: fingerprintQuery(query),
+        o: offset,
+        j: jobId,
+        l: location,
+        x: Date.now() + TOKEN_TTL_MS,
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verifies a page token against the current request and returns
+ * { offset, jobId, location }.
+ */
+const readPageToken = (token, { user, entity, query }) => {
+    const [payload, signature] = String(token).split('.');
+    const expected = payload ? sign(payload) : '';
+    if (!signature || signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new PagingError('Invalid page token.');
+    }
+
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (data.u !== user.email || data.e !== entity.entity_name || data.q !== fingerprintQuery(query)) {
+        throw new PagingError('The page token does not belong to this query.');
+    }
+    if (data.x < Date.now()) {
+        throw new PagingError('The page token has expired. Please run the query again.', 410);
+    }
+    return { offset: data.o, jobId: data.j, location: data.l };
+};
+
+/**
+ * Validates the paging fields of a query and returns { pageSize, offset }.
+ */
+const readPaging = (query) => {
+    const pageSize = parseInt(query.pageSize === undefined ? DEFAULT_PAGE_SIZE : query.pageSize, 10);
+    const offset = parseInt(query.offset === undefined ? 0 : query.offset, 10);
+    if (!(pageSize > 0 && pageSize <= MAX_PAGE_SIZE)) {
+        throw new PagingError(`Page size must be between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+    if (!(offset >= 0)) {
+        throw new PagingError('Offset must not be negative.');
+    }
+    return { pageSize, offset };
+};
+
+module.exports = {
+    createPageToken,
+    readPageToken,
+    readPaging,
+    PagingError,
+};
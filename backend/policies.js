@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const { hasPrincipal } = require('./auth');
+const { filterColumns, joinedColumnName } = require('./queryModel');
+const { readCalculatedColumns } = require('./calculatedColumns');
+
+// Column- and row-level security policies, stored next to the allow-list in an
+// entity's access_policy:
+//
+// {
+//   "allowed_principals": ["group:finance@example.com"],
+//   "column_policies": [
+//     { "column": "customer_id", "action": "hash", "exempt_principals": ["group:finance-admins@example.com"] },
+//     { "column": "amount_in_local_currency", "action": "mask", "visible_chars": 0 },
+//     { "column": "internal_note", "action": "hide" }
+//   ],
+//   "row_policies": [
+//     { "column": "region", "grants": [
+//         { "principals": ["group:emea-planners@example.com"], "values": ["EMEA"] },
+//         { "principals": ["group:global-planners@example.com"], "values": "*" }
+//     ] }
+//   ]
+// }
+//
+// Column actions: 'hide' removes the column, 'hash' replaces values with a keyed
+// SHA-256 digest (stable, so hashed values can still be compared), 'mask'
+// replaces them with asterisks, keeping the last `visible_chars` characters.
+//
+// Row policies: for every policy, the caller may only see rows whose `column`
+// holds one of the values granted to any of their principals ("*" lifts the
+// restriction). A caller matched by no grant sees nothing. Policies are
+// enforced server-side by appending mandatory filters to the query, which the
+// client's own filters can only narrow further.
+//
+// A calculated column (see calculatedColumns.js) is computed from the clear
+// values of the columns it reads, so it is protected at least like the most
+// strictly protected of them: hidden if one is hidden, else hashed, else
+// masked (without visible characters).
+
+// In order of strictness.
+const COLUMN_ACTIONS = ['hide', 'hash', 'mask'];
+const IDENTIFIER_REGEX = /^[a-zA-Z0-9_-]+$/;
+
+let hashKey = process.env.MASKING_HASH_KEY;
+if (!hashKey) {
+    console.warn('WARNING: MASKING_HASH_KEY is not set. Hashed columns will change whenever the backend restarts.');
+    hashKey = crypto.randomBytes(32).toString('hex');
+}
+
+class PolicyError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'PolicyError';
+        this.status = status;
+    }
+}
+
+const parsePolicy = (entity) => {
+    const policy = typeof entity.access_policy === 'string'
+        ? JSON.parse(entity.access_policy)
+        : entity.access_policy;
+    return policy || {};
+};
+
+const isPrincipalList = (list) => Array.isArray(list) && list.every(p => typeof p === 'string');
+
+/**
+ * Returns an error message when the column/row policies of an access policy
+ * are malformed, or null.
+ */
+const validateDataPolicies = (policy) => {
+    const { column_policies: columnPolicies = [], row_policies: rowPolicies = [] } = policy;
+    if (!Array.isArray(columnPolicies) || !Array.isArray(rowPolicies)) {
+        return 'access_policy.column_policies and access_policy.row_policies must be arrays.';
+    }
+
+    for (const p of columnPolicies) {
+        if (!p || !IDENTIFIER_REGEX.test(p.column || '')) {
+            return `Invalid column in column policy: ${p && p.column}`;
+        }
+        if (!COLUMN_ACTIONS.includes(p.action)) {
+            return `Invalid action '${p.action}' for column '${p.column}'. Use one of: ${COLUMN_ACTIONS.join(', ')}.`;
+        }
+        if (p.exempt_principals !== undefined && !isPrincipalList(p.exempt_principals)) {
+            return `exempt_principals of column '${p.column}' must be an array of principals.`;
+        }
+    }
+
+    for (const p of rowPolicies) {
+        if (!p || !IDENTIFIER_REGEX.test(p.column || '')) {
+            return `Invalid column in row policy: ${p && p.column}`;
+        }
+        if (!Array.isArray(p.grants) || p.grants.length === 0) {
+            return `Row policy on '${p.column}' must have at least one grant.`;
+        }
+        for (const grant of p.grants) {
+            if (!grant || !isPrincipalList(grant.principals)) {
+                return `Every grant of the row policy on '${p.column}' needs a principals array.`;
+            }
+            const values = grant.values;
+            const validValues = values === '*'
+                || (Array.isArray(values) && values.every(v => typeof v === 'string'));
+            if (!validValues) {
+                return `Grant values for '${p.column}' must be "*" or an array of strings.`;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Works out which column actions and row filters apply to this user.
+ * Returns { columnActions: Map<column, policy>, rowFilters: [...] }.
+ */
+const resolveDataPolicies = (user, entity) => {
+    const policy = parsePolicy(entity);
+
+    const columnActions = new Map();
+    for (const p of policy.column_policies || []) {
+        if (!hasPrincipal(user, p.exempt_principals || [])) {
+            columnActions.set(p.column, p);
+        }
+    }
+    const sourceDetails = typeof entity.source_details === 'string'
+        ? JSON.parse(entity.source_details)
+        : entity.source_details;
+    for (const calculated of readCalculatedColumns(sourceDetails)) {
+        const actions = [calculated.name, ...calculated.columns]
+            .filter(column => columnActions.has(column))
+            .map(column => columnActions.get(column).action);
+        const action = COLUMN_ACTIONS.find(name => actions.includes(name));
+        if (action && action !== (columnActions.get(calculated.name) || {}).action) {
+            columnActions.set(calculated.name, { column: calculated.name, action });
+        }
+    }
+
+    const rowFilters = [];
+    for (const p of policy.row_policies || []) {
+        const grants = p.grants.filter(grant => hasPrincipal(user, grant.principals));
+        if (grants.some(grant => grant.values === '*')) continue;
+
+        const values = [...new Set(grants.flatMap(grant => grant.values))];
+        if (values.length === 0) {
+            throw new PolicyError(`You have no row-level access to entity '${entity.entity_name}'.`);
+        }
+        rowFilters.push({ column: p.column, operator: 'IN', value: values, ...(p.type ? { type: p.type } : {}) });
+    }
+
+    return { columnActions, rowFilters };
+};
+
+const checkJoinKeys = (keys, policies) => {
+    const protectedKeys = [...new Set(keys.filter(c => policies.columnActions.has(c)))];
+    if (protectedKeys.length > 0) {
+        throw new PolicyError(`You are not allowed to join on protected column(s): ${protectedKeys.join(', ')}.`);
+    }
+};
+
+/**
+ * Validates a normalized client query against the resolved policies and
+ * returns the query to execute, with the mandatory row filters appended.
+ */
+const secureQuery = (query, policies) => {
+    const { columnActions, rowFilters } = policies;
+    const columns = query.columns || [];
+    const filters = query.filters || [];
+    const aggregations = query.aggregations || [];
+
+    const referenced = [...columns, ...(query.groupBy || []), ...aggregations.map(a => a.column)];
+    const hidden = [...new Set(referenced.filter(c => columnActions.has(c) && columnActions.get(c).action === 'hide'))];
+    if (hidden.length > 0) {
+        throw new PolicyError(`You are not allowed to query column(s): ${hidden.join(', ')}.`);
+    }
+    // Counting a protected column is harmless; SUM, MIN, MAX and AVG would compute on the clear values.
+    const protectedAggregates = aggregations.filter(a => columnActions.has(a.column) && !a.function.startsWith('COUNT'));
+    if (protectedAggregates.length > 0) {
+        throw new PolicyError(`Protected column(s) can only be counted: ${protectedAggregates.map(a => `${a.function}(${a.column})`).join(', ')}.`);
+    }
+    // Sorting on a protected column would reveal the order of its clear values.
+    const protectedSorts = (query.orderBy || []).filter(s => columnActions.has(s.column) && columns.includes(s.column));
+    if (protectedSorts.length > 0) {
+        throw new PolicyError(`You are not allowed to sort on protected column(s): ${protectedSorts.map(s => s.column).join(', ')}.`);
+    }
+    // Filtering on a protected column would reveal its values one guess at a time.
+    const protectedFilters = [...new Set(filterColumns(filters).filter(c => columnActions.has(c)))];
+    if (protectedFilters.length > 0) {
+        throw new PolicyError(`You are not allowed to filter on protected column(s): ${protectedFilters.join(', ')}.`);
+    }
+    // Joining on a protected column would reveal which of its values match, just like filtering.
+    checkJoinKeys(query.join ? query.join.on.map(key => key.left) : [], policies);
+
+    // Row filters sit at the top level, which is always combined with AND, so
+    // OR groups in the client's filters cannot widen them.
+    return { ...query, filters: [...filters, ...rowFilters] };
+};
+
+/**
+ * The joined-entity counterpart of secureQuery: validates the `join` of a
+ * query against the joined entity's policies and returns it with that
+ * entity's mandatory row filters appended.
+ */
+const secureJoin = (query, policies) => {
+    const { join } = query;
+    checkJoinKeys(join.on.map(key => key.right), policies);
+    const protectedSorts = join.columns.filter(c => policies.columnActions.has(c)
+        && (query.orderBy || []).some(s => s.column === joinedColumnName(query, c)));
+    if (protectedSorts.length > 0) {
+        throw new PolicyError(`You are not allowed to sort on protected column(s): ${protectedSorts.join(', ')}.`);
+    }
+    const { filters } = secureQuery({ columns: join.columns, filters: join.filters }, policies);
+    return { ...join, filters };
+};
+
+/**
+ * Column policies for the rows of a joined query: the query's own policies
+ * for its columns and the joined entity's policies for the joined columns,
+ * under the names they are returned as. Row filters have already been applied
+ * to each side.
+ */
+const mergeJoinPolicies = (query, policies, joinPolicies) => {
+    const columnActions = new Map();
+    for (const column of query.columns) {
+        if (policies.columnActions.has(column)) columnActions.set(column, policies.columnActions.get(column));
+    }
+    for (const column of query.join.columns) {
+        if (joinPolicies.columnActions.has(column)) {
+            columnActions.set(joinedColumnName(query, column), joinPolicies.columnActions.get(column));
+        }
+    }
+    return { columnActions, rowFilters: policies.rowFilters };
+};
+
+const hashValue = (value) =>
+    crypto.createHmac('sha256', hashKey).update(String(value)).digest('hex').slice(0, 16);
+
+const maskValue = (value, visibleChars = 0) => {
+    const text = String(value);
+    const visible = visibleChars > 0 ? text.slice(-visibleChars) : '';
+    return '****' + visible;
+};
+
+const applyColumnAction = (value, policy) => {
+    if (value === null || value === undefined) return value;
+    return policy.action === 'hash' ? hashValue(value) : maskValue(value, policy.visible_chars);
+};
+
+/**
+ * Applies hash/mask actions to result rows. Hidden columns never reach this
+ * point because secureQuery rejects them.
+ */
+const applyColumnPolicies = (rows, policies) => {
+    if (!Array.isArray(rows) || policies.columnActions.size === 0) return rows;
+    return rows.map((row) => {
+        const secured = { ...row };
+        for (const [column, policy] of policies.columnActions) {
+            if (column in secured) {
+                secured[column] = applyColumnAction(secured[column], policy);
+            }
+        }
+        return secured;
+    });
+};
+
+/**
+ * Drops hidden columns from a schema and flags the masked ones.
+ */
+const applySchemaPolicies = (columns, policies) => columns
+    .filter(c => !(policies.columnActions.has(c.name) && policies.columnActions.get(c.name).action === 'hide'))
+    .map(c => (policies.columnActions.has(c.name)
+        ? { ...c, masking: policies.columnActions.get(c.name).action }
+        : c));
+
+module.exports = {
+    resolveDataPolicies,
+    secureQuery,
+    secureJoin,
+    mergeJoinPolicies,
+    applyColumnPolicies,
+    applySchemaPolicies,
+    validateDataPolicies,
+    PolicyError,
+};
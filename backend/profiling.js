@@ -0,0 +1,130 @@
+const { cacheTtlFor } = require('./resultCache');
+
+// Column profiles: for every column of an entity the caller may see, the
+// share of NULLs, the number of distinct values, MIN/MAX and the most
+// frequent values, plus a few sample rows.
+//
+// Sources with a `profile` adapter method compute the statistics themselves;
+// BigQuery does it in one query with APPROX_COUNT_DISTINCT and
+// APPROX_TOP_COUNT, on a TABLESAMPLE of large tables. Other sources are
+// profiled from their first PROFILE_SCAN_ROWS rows, with exact counts for
+// those rows. Either way the caller's row filters apply.
+//
+// Masked and hashed columns only get their NULL and distinct counts, since
+// MIN/MAX and frequent values would show their clear values; sample rows are
+// masked like query results. Profiles go into the result cache under the
+// entity's prefix for the entity's cacheTtlSeconds when it sets one (0 turns
+// caching off), and PROFILE_CACHE_TTL_SECONDS (default 86400) otherwise.
+
+const TOP_VALUES = 5;
+const SAMPLE_ROWS = 10;
+// Rows read to profile a source that cannot compute statistics itself.
+const PROFILE_SCAN_ROWS = 1000;
+const DEFAULT_TTL_SECONDS = process.env.PROFILE_CACHE_TTL_SECONDS !== undefined
+    ? Number(process.env.PROFILE_CACHE_TTL_SECONDS)
+    : 86400;
+// Types without an order or a meaningful equality only get a NULL count.
+const NULLS_ONLY_TYPES = ['ARRAY', 'STRUCT', 'RECORD', 'JSON', 'GEOGRAPHY'];
+
+// Which statistics a column gets: nulls, distinct, range (MIN/MAX) and top.
+const statsFor = (column) => {
+    const type = String(column.data_type || '').toUpperCase();
+    if (NULLS_ONLY_TYPES.some(name => type.startsWith(name))) return ['nulls'];
+    if (column.masking || type === 'BYTES') return ['nulls', 'distinct'];
+    if (type === 'BOOL') return ['nulls', 'distinct', 'top'];
+    return ['nulls', 'distinct', 'range', 'top'];
+};
+
+const isMissing = value => value === null || value === undefined || value === '';
+
+const compareValues = (a, b) => (typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b)));
+
+// The statistics of one column over `rows`, counted exactly.
+const columnStats = (rows, { name, stats }) => {
+    const values = rows.map(row => row[name]).filter(value => !isMissing(value));
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    const sorted = stats.includes('range') ? [...counts.keys()].sort(compareValues) : [];
+    return {
+        name,
+        nullCount: rows.length - values.length,
+        distinctCount: stats.includes('distinct') ? counts.size : null,
+        min: sorted.length > 0 ? sorted[0] : null,
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+        topValues: stats.includes('top')
+            ? [...counts].sort((a, b) => b[1] - a[1] || compareValues(a[0], b[0]))
+                .slice(0, TOP_VALUES)
+                .map(([value, count]) => ({ value, count }))
+            : [],
+    };
+};
+
+// Profiles a source without a `profile` adapter method from a page of rows.
+const profileFromRows = async (adapter, sourceDetails, { columns, sampleColumns, filters }) => {
+    const { rows, totalRows, bytesProcessed } = await adapter.query(sourceDetails, {
+        columns: sampleColumns,
+        filters,
+        groupBy: [],
+        aggregations: [],
+        orderBy: [],
+        pageSize: PROFILE_SCAN_ROWS,
+        offset: 0,
+    });
+    return {
+        rowCount: rows.length,
+        totalRows: totalRows === undefined ? null : totalRows,
+        samplePercent: null,
+        distinctApproximate: false,
+        columns: columns.map(column => columnStats(rows, column)),
+        sample: rows.slice(0, SAMPLE_ROWS),
+        bytesProcessed,
+    };
+};
+
+/**
+ * Profiles the `columns` (from the entity's schema, with column policies
+ * applied) within the caller's `rowFilters`. Returns { rowCount, totalRows,
+ * sampled, samplePercent, distinctApproximate, columns, sample, cached,
+ * computedAt, bytesProcessed }, where each column has { name, nullPercent,
+ * distinctCount, min, max, topValues: [{ value, count }] }. Sample rows are
+ * not masked yet.
+ */
+const profileEntity = async ({ cache, adapter, entity, sourceDetails, columns, rowFilters, refresh }) => {
+    const request = {
+        columns: columns.map(column => ({ name: column.name, stats: statsFor(column) })),
+        sampleColumns: columns.map(column => column.name),
+        filters: rowFilters,
+        topN: TOP_VALUES,
+        sampleRows: SAMPLE_ROWS,
+    };
+    const ttlMs = cacheTtlFor(sourceDetails, DEFAULT_TTL_SECONDS);
+    const key = cache.keyFor(entity.entity_name, { profile: request.columns, filters: rowFilters }, { pageSize: SAMPLE_ROWS, offset: 0 });
+
+    const entry = refresh || ttlMs === 0 ? null : await cache.get(key);
+    if (entry) {
+        return { ...entry.page, cached: true, computedAt: entry.cachedAt, bytesProcessed: 0 };
+    }
+    const { bytesProcessed, ...profile } = adapter.profile
+        ? await adapter.profile(sourceDetails, request)
+        : await profileFromRows(adapter, sourceDetails, request);
+    const page = {
+        rowCount: profile.rowCount,
+        totalRows: profile.totalRows,
+        sampled: profile.samplePercent !== null || (profile.totalRows !== null && profile.totalRows > profile.rowCount),
+        samplePercent: profile.samplePercent,
+        distinctApproximate: profile.distinctApproximate,
+        columns: profile.columns.map(({ nullCount, ...stats }) => ({
+            ...stats,
+            nullPercent: profile.rowCount > 0 ? (100 * nullCount) / profile.rowCount : null,
+        })),
+        sample: profile.sample,
+    };
+    if (ttlMs > 0) await cache.set(key, page, ttlMs);
+    return { ...page, cached: false, computedAt: new Date().toISOString(), bytesProcessed: Number(bytesProcessed) || 0 };
+};
+
+module.exports = {
+    profileEntity,
+};
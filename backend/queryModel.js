@@ -0,0 +1,263 @@
+// The query model shared by every source system. Besides `columns` and
+// `filters`, a query may summarize rows:
+//
+// {
+//   "columns": ["region"],
+//   "groupBy": ["region"],
+//   "aggregations": [
+//     { "function": "SUM", "column": "amount", "alias": "total_amount" },
+//     { "function": "COUNT", "column": "*" }
+//   ],
+//   "orderBy": [{ "column": "total_amount", "direction": "DESC" }, { "column": "region" }]
+// }
+//
+// Aggregations without an alias are named "<function>_<column>", e.g.
+// "count_distinct_customer_id" or "count_rows" for COUNT(*). When a query
+// groups or aggregates, every plain column must also be a group-by column;
+// without `columns` the group-by columns are returned. ORDER BY may refer to
+// any output column, including aggregate aliases.
+//
+// `filters` is a list of conditions and groups, combined with AND. A group
+// combines its own filters with AND or OR and may contain further groups:
+//
+// [
+//   { "column": "plant", "operator": "IN", "value": ["1000", "2000"], "type": "STRING" },
+//   { "logic": "OR", "filters": [
+//       { "column": "quantity_on_hand", "operator": "BETWEEN", "value": [0, 10], "type": "INT64" },
+//       { "column": "last_counted", "operator": "IS NULL" }
+//   ] }
+// ]
+//
+// IN and NOT IN take a list (a comma-separated string is accepted as well),
+// BETWEEN takes [low, high], IS NULL and IS NOT NULL take no value. LIKE,
+// CONTAINS and STARTS WITH match text.
+//
+// A query may join a second entity on matching key columns:
+//
+// "join": {
+//   "entity": "fin_cost_centers",
+//   "type": "LEFT",
+//   "on": [{ "left": "cost_center", "right": "cost_center_id" }],
+//   "columns": ["cost_center_name"],
+//   "filters": [...]
+// }
+//
+// `type` is INNER (default) or LEFT; `columns` and `filters` apply to the
+// joined entity. Its columns follow the query's own columns; one whose name is
+// already taken is returned as "<entity>__<column>". Both entities are read
+// separately and joined in the backend (see joins.js), so a BigQuery entity can
+// be joined with an SAP-BW one. Joined queries cannot group or aggregate.
+
+const AGGREGATE_FUNCTIONS = ['SUM', 'COUNT', 'COUNT DISTINCT', 'AVG', 'MIN', 'MAX'];
+const SORT_DIRECTIONS = ['ASC', 'DESC'];
+const FILTER_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'IN', 'NOT IN', 'BETWEEN',
+    'LIKE', 'CONTAINS', 'STARTS WITH', 'IS NULL', 'IS NOT NULL'];
+const FILTER_LOGIC = ['AND', 'OR'];
+const JOIN_TYPES = ['INNER', 'LEFT'];
+// How deeply filter groups may nest.
+const MAX_FILTER_DEPTH = 5;
+const IDENTIFIER_REGEX = /^[a-zA-Z0-9_-]+$/;
+
+class QueryModelError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'QueryModelError';
+        this.status = status;
+    }
+}
+
+const identifier = (value, what) => {
+    if (typeof value !== 'string' || !IDENTIFIER_REGEX.test(value)) {
+        throw new QueryModelError(`Invalid ${what}: ${value}`);
+    }
+    return value;
+};
+
+const list = (value, what) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        throw new QueryModelError(`"${what}" must be an array.`);
+    }
+    return value;
+};
+
+const normalizeAggregation = (aggregation) => {
+    if (!aggregation || typeof aggregation !== 'object') {
+        throw new QueryModelError('Every aggregation needs a function and a column.');
+    }
+    const fn = String(aggregation.function || '').trim().replace(/\s+/g, ' ').toUpperCase();
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+        throw new QueryModelError(`Invalid aggregate function: ${aggregation.function}. Use one of: ${AGGREGATE_FUNCTIONS.join(', ')}.`);
+    }
+    const column = aggregation.column === '*' && fn === 'COUNT'
+        ? '*'
+        : identifier(aggregation.column, `column for ${fn}`);
+    const defaultAlias = `${fn.toLowerCase().replace(' ', '_')}_${column === '*' ? 'rows' : column}`;
+    const alias = aggregation.alias ? identifier(aggregation.alias, 'aggregate alias') : defaultAlias;
+    return { function: fn, column, alias };
+};
+
+const normalizeSort = (sort) => {
+    if (!sort || typeof sort !== 'object') {
+        throw new QueryModelError('Every ORDER BY entry needs a column.');
+    }
+    const direction = String(sort.direction || 'ASC').toUpperCase();
+    if (!SORT_DIRECTIONS.includes(direction)) {
+        throw new QueryModelError(`Invalid sort direction: ${sort.direction}. Use ASC or DESC.`);
+    }
+    return { column: identifier(sort.column, 'ORDER BY column'), direction };
+};
+
+const normalizeFilter = (filter, depth) => {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new QueryModelError('Every filter must be a condition or a group.');
+    }
+    if (depth > MAX_FILTER_DEPTH) {
+        throw new QueryModelError(`Filter groups may be nested at most ${MAX_FILTER_DEPTH} levels deep.`);
+    }
+
+    if (filter.filters !== undefined) {
+        const logic = String(filter.logic || 'AND').toUpperCase();
+        if (!FILTER_LOGIC.includes(logic)) {
+            throw new QueryModelError(`Invalid filter group logic: ${filter.logic}. Use AND or OR.`);
+        }
+        if (!Array.isArray(filter.filters) || filter.filters.length === 0) {
+            throw new QueryModelError('A filter group needs at least one filter.');
+        }
+        return { logic, filters: filter.filters.map(f => normalizeFilter(f, depth + 1)) };
+    }
+
+    const column = identifier(filter.column, 'filter column');
+    const operator = String(filter.operator || '').trim().replace(/\s+/g, ' ').toUpperCase();
+    if (!FILTER_OPERATORS.includes(operator)) {
+        throw new QueryModelError(`Invalid operator: ${filter.operator}`);
+    }
+    const normalized = { column, operator, ...(filter.type ? { type: String(filter.type).toUpperCase() } : {}) };
+
+    if (operator === 'IS NULL' || operator === 'IS NOT NULL') {
+        return normalized;
+    }
+    let { value } = filter;
+    if (operator === 'IN' || operator === 'NOT IN') {
+        value = typeof value === 'string' ? value.split(',').map(v => v.trim()) : value;
+        if (!Array.isArray(value) || value.length === 0) {
+            throw new QueryModelError(`Value for ${operator} on '${column}' must be a non-empty list.`);
+        }
+    } else if (operator === 'BETWEEN') {
+        if (!Array.isArray(value) || value.length !== 2) {
+            throw new QueryModelError(`Value for BETWEEN on '${column}' must be a list of two values.`);
+        }
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some(v => v === undefined || v === null || typeof v === 'object')) {
+        throw new QueryModelError(`Missing or invalid value for the filter on '${column}'.`);
+    }
+    return { ...normalized, value };
+};
+
+const normalizeJoin = (join) => {
+    if (!join || typeof join !== 'object' || Array.isArray(join)) {
+        throw new QueryModelError('"join" must be an object.');
+    }
+    if (typeof join.entity !== 'string' || join.entity.trim() === '') {
+        throw new QueryModelError('A join needs the name of the entity to join.');
+    }
+    const type = String(join.type || 'INNER').toUpperCase();
+    if (!JOIN_TYPES.includes(type)) {
+        throw new QueryModelError(`Invalid join type: ${join.type}. Use one of: ${JOIN_TYPES.join(', ')}.`);
+    }
+    const on = list(join.on, 'join.on').map((key) => {
+        if (!key || typeof key !== 'object') {
+            throw new QueryModelError('Every join key needs a "left" and a "right" column.');
+        }
+        return { left: identifier(key.left, 'join column'), right: identifier(key.right, 'join column') };
+    });
+    if (on.length === 0) {
+        throw new QueryModelError('A join needs at least one pair of key columns.');
+    }
+    return {
+        entity: join.entity.trim(),
+        type,
+        on,
+        columns: list(join.columns, 'join.columns').map(c => identifier(c, 'join column')),
+        filters: list(join.filters, 'join.filters').map(f => normalizeFilter(f, 1)),
+    };
+};
+
+/**
+ * The name a column of the joined entity is returned under.
+ */
+const joinedColumnName = (query, column) =>
+    ((query.columns || []).includes(column) ? `${query.join.entity}__${column}` : column);
+
+/**
+ * Every column a filter list refers to, at any depth.
+ */
+const filterColumns = (filters) => (filters || []).flatMap(f =>
+    (f.filters !== undefined ? filterColumns(f.filters) : [f.column]));
+
+/**
+ * Names of the columns a query returns, in order: plain columns first, then
+ * aggregate aliases or the columns of a joined entity.
+ */
+const outputColumns = (query) => [
+    ...(query.columns || []),
+    ...(query.aggregations || []).map(a => a.alias),
+    ...(query.join ? query.join.columns.map(c => joinedColumnName(query, c)) : []),
+];
+
+/**
+ * Validates the shape of a client query and returns it in canonical form
+ * (upper-case functions and directions, default aliases filled in). Only the
+ * fields of the query model are kept: paging and anything else the client
+ * sent is left out, so it can never reach a source adapter.
+ */
+const normalizeQuery = (query) => {
+    const aggregations = list(query.aggregations, 'aggregations').map(normalizeAggregation);
+    const groupBy = list(query.groupBy, 'groupBy').map(c => identifier(c, 'group-by column'));
+    let columns = list(query.columns, 'columns').map(c => identifier(c, 'column'));
+    const orderBy = list(query.orderBy, 'orderBy').map(normalizeSort);
+    const filters = list(query.filters, 'filters').map(f => normalizeFilter(f, 1));
+
+    const join = query.join === undefined || query.join === null ? undefined : normalizeJoin(query.join);
+
+    const summarizing = aggregations.length > 0 || groupBy.length > 0;
+    if (summarizing && join) {
+        throw new QueryModelError('Joined queries cannot group or aggregate.');
+    }
+    if (summarizing) {
+        if (new Set(groupBy).size !== groupBy.length) {
+            throw new QueryModelError('Each group-by column may only be listed once.');
+        }
+        if (columns.length === 0) columns = groupBy;
+        const ungrouped = columns.filter(c => !groupBy.includes(c));
+        if (ungrouped.length > 0) {
+            throw new QueryModelError(`Column(s) ${ungrouped.join(', ')} must be grouped or aggregated.`);
+        }
+    } else if (columns.length === 0) {
+        throw new QueryModelError('At least one column must be selected.');
+    }
+
+    const normalized = { columns, filters, aggregations, groupBy, orderBy, join };
+    const outputs = outputColumns(normalized);
+    const duplicate = outputs.find((c, i) => outputs.indexOf(c) !== i);
+    if (duplicate) {
+        throw new QueryModelError(`The output column '${duplicate}' appears more than once. Give the aggregation a different alias.`);
+    }
+    const unknownSort = orderBy.find(s => !outputs.includes(s.column));
+    if (unknownSort) {
+        throw new QueryModelError(`Cannot sort by '${unknownSort.column}': it is not one of the returned columns.`);
+    }
+    return normalized;
+};
+
+module.exports = {
+    AGGREGATE_FUNCTIONS,
+    FILTER_OPERATORS,
+    JOIN_TYPES,
+    normalizeQuery,
+    joinedColumnName,
+    filterColumns,
+    outputColumns,
+    QueryModelError,
+};
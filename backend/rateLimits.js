@@ -0,0 +1,194 @@
+// Rate limits on the routes that run queries (/api/query, /api/query/export,
+// /api/jobs, entity profiles and filter suggestions) and on scheduled runs,
+// keyed on the caller's IAP identity (a schedule's owner for its runs):
+//
+//   - RATE_LIMIT_REQUESTS_PER_MINUTE: queries a user may send within any
+//     minute, over all entities (default 60),
+//   - RATE_LIMIT_CONCURRENT_QUERIES: queries a user may have running at
+//     once, over all entities (default 5), and
+//   - SOURCE_CONCURRENCY_LIMITS: queries running at once per source system
+//     over all users, e.g. "SCM-BQ=50,SAP-BW=10" (unset means no cap).
+//
+// Setting either per-user limit to 0 turns it off. An entity can add tighter
+// limits of its own in source_details, which count only the user's queries
+// on that entity, on top of the ones above:
+// { ..., "rateLimits": { "requestsPerMinute": 10, "concurrentQueries": 2 } }.
+//
+// A refused query gets a RateLimitError with status 429 and the number of
+// seconds to wait before trying again. The counts are kept in memory, so
+// with several backend instances each one enforces the limits on its own.
+
+const WINDOW_MS = 60 * 1000;
+// What a caller held back by a concurrency cap is told to wait, since nobody
+// knows when a running query will finish.
+const CONCURRENCY_RETRY_AFTER_SECONDS = 5;
+// Request times are swept of idle users once this many are tracked.
+const MAX_TRACKED_KEYS = 10000;
+// A slot is given back after this long at the latest, so that a request that
+// never ends does not hold it forever. Jobs time out before that (see jobs.js).
+const MAX_SLOT_HOLD_MS = 15 * 60 * 1000;
+
+const defaultFromEnv = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+const USER_REQUESTS_PER_MINUTE = defaultFromEnv('RATE_LIMIT_REQUESTS_PER_MINUTE', 60);
+const USER_CONCURRENT_QUERIES = defaultFromEnv('RATE_LIMIT_CONCURRENT_QUERIES', 5);
+
+// "SCM-BQ=50,SAP-BW=10" as a Map of source system to cap.
+const parseSourceLimits = (value) => {
+    const limits = new Map();
+    for (const entry of String(value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const [system, cap] = entry.split('=').map(part => part.trim());
+        if (!system || !Number.isSafeInteger(Number(cap)) || Number(cap) < 1) {
+            console.warn(`WARNING: Ignoring invalid SOURCE_CONCURRENCY_LIMITS entry '${entry}'.`);
+            continue;
+        }
+        limits.set(system, Number(cap));
+    }
+    return limits;
+};
+const SOURCE_CONCURRENCY_LIMITS = parseSourceLimits(process.env.SOURCE_CONCURRENCY_LIMITS);
+
+// The source_details property, shared by every source adapter.
+const RATE_LIMITS_SCHEMA = {
+    type: 'object',
+    title: 'Rate limits per user',
+    additionalProperties: false,
+    properties: {
+        requestsPerMinute: {
+            type: 'integer',
+            title: 'Queries per minute',
+            minimum: 1,
+            description: `On this entity. Each user may send ${USER_REQUESTS_PER_MINUTE || 'any number of'} queries per minute over all entities.`,
+        },
+        concurrentQueries: {
+            type: 'integer',
+            title: 'Queries running at once',
+            minimum: 1,
+            description: `On this entity. Each user may run ${USER_CONCURRENT_QUERIES || 'any number of'} queries at once over all entities.`,
+        },
+    },
+};
+
+class RateLimitError extends Error {
+    constructor(message, retryAfterSeconds) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+// Times of admitted requests within the window, keyed on the user's email
+// and on `${email}\n${entity}`.
+const requestTimes = new Map();
+// Running queries, keyed the same way.
+const running = new Map();
+const runningBySource = new Map();
+
+const recentTimes = (key, now) => {
+    const times = (requestTimes.get(key) || []).filter(time => now - time < WINDOW_MS);
+    if (times.length > 0) {
+        requestTimes.set(key, times);
+    } else {
+        requestTimes.delete(key);
+    }
+    return times;
+};
+
+const sweepIdleKeys = (now) => {
+    for (const key of requestTimes.keys()) recentTimes(key, now);
+};
+
+const increment = (counts, key, by) => {
+    const count = (counts.get(key) || 0) + by;
+    if (count > 0) {
+        counts.set(key, count);
+    } else {
+        counts.delete(key);
+    }
+};
+
+// Seconds until the oldest of the last `limit` requests leaves the window.
+const secondsUntilFree = (times, limit, now) =>
+    Math.max(1, Math.ceil((times[times.length - limit] + WINDOW_MS - now) / 1000));
+
+/**
+ * Takes a query slot for `user` on `entity`, or throws a RateLimitError when
+ * the user is over their own or the entity's rate or concurrency limit, or
+ * the entity's source system is at its cap. Returns a function that gives the
+ * slot back once the query has finished; calling it again does nothing.
+ */
+const acquireQuerySlot = (user, entity) => {
+    const sourceDetails = typeof entity.source_details === 'string'
+        ? JSON.parse(entity.source_details)
+        : entity.source_details;
+    const entityLimits = (sourceDetails && sourceDetails.rateLimits) || {};
+    const name = entity.entity_name;
+    const system = entity.source_of_system;
+    const now = Date.now();
+    if (requestTimes.size > MAX_TRACKED_KEYS) sweepIdleKeys(now);
+
+    const userKey = user.email;
+    const entityKey = `${user.email}\n${name}`;
+    const userTimes = recentTimes(userKey, now);
+    const entityTimes = recentTimes(entityKey, now);
+    if (USER_REQUESTS_PER_MINUTE && userTimes.length >= USER_REQUESTS_PER_MINUTE) {
+        const retryAfterSeconds = secondsUntilFree(userTimes, USER_REQUESTS_PER_MINUTE, now);
+        throw new RateLimitError(
+            `You have run ${userTimes.length} queries in the last minute, which is the limit. Please slow down and try again in ${retryAfterSeconds} seconds.`,
+            retryAfterSeconds,
+        );
+    }
+    if (entityLimits.requestsPerMinute && entityTimes.length >= entityLimits.requestsPerMinute) {
+        const retryAfterSeconds = secondsUntilFree(entityTimes, entityLimits.requestsPerMinute, now);
+        throw new RateLimitError(
+            `You have run ${entityTimes.length} queries on '${name}' in the last minute, which is its limit. Please slow down and try again in ${retryAfterSeconds} seconds.`,
+            retryAfterSeconds,
+        );
+    }
+    const userRunning = running.get(userKey) || 0;
+    if (USER_CONCURRENT_QUERIES && userRunning >= USER_CONCURRENT_QUERIES) {
+        throw new RateLimitError(
+            `You already have ${userRunning} queries running, which is as many as you may run at once. Please wait for one to finish.`,
+            CONCURRENCY_RETRY_AFTER_SECONDS,
+        );
+    }
+    const entityRunning = running.get(entityKey) || 0;
+    if (entityLimits.concurrentQueries && entityRunning >= entityLimits.concurrentQueries) {
+        throw new RateLimitError(
+            `You already have ${entityRunning} queries running on '${name}', which is as many as it allows at once. Please wait for one to finish.`,
+            CONCURRENCY_RETRY_AFTER_SECONDS,
+        );
+    }
+    const sourceCap = SOURCE_CONCURRENCY_LIMITS.get(system);
+    if (sourceCap && (runningBySource.get(system) || 0) >= sourceCap) {
+        throw new RateLimitError(
+            `${system} is busy with ${sourceCap} queries from all users right now. Please try again in a few seconds.`,
+            CONCURRENCY_RETRY_AFTER_SECONDS,
+        );
+    }
+
+    requestTimes.set(userKey, [...userTimes, now]);
+    requestTimes.set(entityKey, [...entityTimes, now]);
+    const count = (by) => {
+        increment(running, userKey, by);
+        increment(running, entityKey, by);
+        increment(runningBySource, system, by);
+    };
+    count(1);
+    let released = false;
+    const release = () => {
+        if (released) return;
+        released = true;
+        clearTimeout(timeout);
+        count(-1);
+    };
+    const timeout = setTimeout(release, MAX_SLOT_HOLD_MS);
+    timeout.unref();
+    return release;
+};
+
+module.exports = {
+    RATE_LIMITS_SCHEMA,
+    acquireQuerySlot,
+    RateLimitError,
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// Result cache for /api/query. Pages are cached as the source returned them,
+// before column policies are applied, so masking still happens per user. The
+// key covers the entity and the secured query (columns, filters including the
+// caller's row filters, grouping, sorting, limit) plus the page, so users with
+// different row grants never share an entry. Later pages are keyed by the
+// query job they belong to, so a result is never stitched together from pages
+// of different jobs.
+//
+// The TTL comes from `cacheTtlSeconds` in an entity's source_details (0 turns
+// caching off for the entity), falling back to RESULT_CACHE_TTL_SECONDS
+// (default 300). Entries of an entity are dropped when its config changes.
+// Joined results depend on a second entity that their key prefix cannot name,
+// so they are kept under a prefix of their own and any config change drops
+// all of them.
+//
+// A store implements:
+//   get(key)                 -> entry or null
+//   set(key, entry, ttlMs)
+//   deleteByPrefix(prefix)
+// All three may return promises. RESULT_CACHE_STORE picks the store: 'memory'
+// (default) or 'none'; other stores can be passed to createResultCache.
+
+const DEFAULT_TTL_SECONDS = process.env.RESULT_CACHE_TTL_SECONDS !== undefined
+    ? Number(process.env.RESULT_CACHE_TTL_SECONDS)
+    : 300;
+const MAX_MEMORY_ENTRIES = Number(process.env.RESULT_CACHE_MAX_ENTRIES) || 500;
+
+/**
+ * In-process store. Evicts the least recently used entry beyond maxEntries.
+ */
+const createMemoryStore = ({ maxEntries = MAX_MEMORY_ENTRIES } = {}) => {
+    const entries = new Map();
+    return {
+        get: (key) => {
+            const item = entries.get(key);
+            if (!item) return null;
+            if (item.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            // Re-inserting keeps the Map in least-recently-used order.
+            entries.delete(key);
+            entries.set(key, item);
+            return item.entry;
+        },
+        set: (key, entry, ttlMs) => {
+            entries.delete(key);
+            entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        deleteByPrefix: (prefix) => {
+            for (const key of entries.keys()) {
+                if (key.startsWith(prefix)) entries.delete(key);
+            }
+        },
+    };
+};
+
+const createNoopStore = () => ({
+    get: () => null,
+    set: () => {},
+    deleteByPrefix: () => {},
+});
+
+// JSON with sorted object keys, so equal queries always serialize the same way.
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+const entityPrefix = (entityName) => `${entityName}:`;
+const JOINS_PREFIX = '~joins:';
+
+/**
+ * The TTL for an entity's results in milliseconds; 0 means "do not cache".
+ * Without cacheTtlSeconds, `defaultSeconds` applies.
+ */
+const cacheTtlFor = (sourceDetails, defaultSeconds = DEFAULT_TTL_SECONDS) => {
+    const seconds = sourceDetails && sourceDetails.cacheTtlSeconds !== undefined
+        ? sourceDetails.cacheTtlSeconds
+        : defaultSeconds;
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+};
+
+/**
+ * Returns an error message when source_details.cacheTtlSeconds is set but is
+ * not a whole number of seconds (0 or more), or null when it is fine.
+ */
+const validateCacheSettings = (sourceDetails) => {
+    const ttl = sourceDetails && sourceDetails.cacheTtlSeconds;
+    if (ttl === undefined || ttl === null) return null;
+    if (!Number.isSafeInteger(ttl) || ttl < 0) {
+        return 'source_details.cacheTtlSeconds must be a whole number of seconds (0 turns caching off).';
+    }
+    return null;
+};
+
+/**
+ * Wraps a store with the key scheme. Returns
+ * { keyFor, get, set, invalidateEntity }. A failing store never fails a
+ * query: reads miss and writes are skipped.
+ */
+const createResultCache = (store) => ({
+    keyFor: (entityName, query, paging) => {
+        const { pageToken, ...rest } = query;
+        const digest = crypto.createHash('sha256')
+            .update(stableStringify({ query: rest, pageSize: paging.pageSize, offset: paging.offset, jobId: paging.jobId }))
+            .digest('base64url');
+        return `${query.join ? JOINS_PREFIX : ''}${entityPrefix(entityName)}${digest}`;
+    },
+    get: async (key) => {
+        try {
+            return (await store.get(key)) || null;
+        } catch (error) {
+            console.warn('Result cache read failed:', error.message);
+            return null;
+        }
+    },
+    set: async (key, page, ttlMs) => {
+        try {
+            await store.set(key, { page, cachedAt: new Date().toISOString() }, ttlMs);
+        } catch (error) {
+            console.warn('Result cache write failed:', error.message);
+        }
+    },
+    invalidateEntity: async (entityName) => {
+        await store.deleteByPrefix(entityPrefix(entityName));
+        await store.deleteByPrefix(JOINS_PREFIX);
+    },
+});
+
+const STORES = { memory: createMemoryStore, none: createNoopStore };
+
+/**
+ * The store named by RESULT_CACHE_STORE.
+ */
+const createConfiguredStore = () => {
+    const name = process.env.RESULT_CACHE_STORE || 'memory';
+    if (!STORES[name]) {
+        console.warn(`WARNING: Unknown RESULT_CACHE_STORE '${name}'. Falling back to the in-memory store.`);
+        return createMemoryStore();
+    }
+    return STORES[name]();
+};
+
+module.exports = {
+    createResultCache,
+    createConfiguredStore,
+    createMemoryStore,
+    cacheTtlFor,
+    validateCacheSettings,
+};
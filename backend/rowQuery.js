@@ -0,0 +1,206 @@
+// Evaluates a normalized query (see queryModel.js) against rows held in
+// memory, for sources that cannot run queries themselves (local files) and
+// for sorting joined rows. It follows BigQuery where the difference would
+// show: a comparison with NULL is never true, aggregates skip NULLs, SUM and
+// AVG of no values are NULL, and NULLs sort first in ascending order. Text
+// matching is case-sensitive.
+
+const NUMERIC_TYPES = ['INT64', 'FLOAT64', 'NUMERIC'];
+
+class RowQueryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RowQueryError';
+        this.status = status;
+    }
+}
+
+const isNull = (value) => value === null || value === undefined;
+
+/**
+ * Orders two values, NULLs first. Numbers compare as numbers, anything else
+ * as text with embedded numbers in numeric order.
+ */
+const compareValues = (a, b) => {
+    if (a === b) return 0;
+    if (isNull(a)) return -1;
+    if (isNull(b)) return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * Sorts rows by a normalized ORDER BY list; returns a new array.
+ */
+const sortRows = (rows, orderBy) => {
+    if (orderBy.length === 0) return rows;
+    return [...rows].sort((a, b) => {
+        for (const { column, direction } of orderBy) {
+            const order = compareValues(a[column], b[column]);
+            if (order !== 0) return direction === 'DESC' ? -order : order;
+        }
+        return 0;
+    });
+};
+
+// Brings a row or filter value into a form that compares correctly for the
+// column's type.
+const toComparable = (value, type) => {
+    if (isNull(value)) return null;
+    if (NUMERIC_TYPES.includes(type)) {
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) {
+            throw new RowQueryError(`Invalid numeric filter value: ${value}`);
+        }
+        return number;
+    }
+    if (type === 'BOOL') return value === true || value === 'true';
+    if (type === 'TIMESTAMP') {
+        const time = new Date(value).getTime();
+        if (Number.isNaN(time)) throw new RowQueryError(`Invalid timestamp filter value: ${value}`);
+        return time;
+    }
+    return String(value);
+};
+
+const likeToRegExp = (pattern) => new RegExp(
+    `^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`,
+    's',
+);
+
+// Turns a filter node into a predicate on rows. Values are converted once,
+// up front, so invalid ones are reported even when no row reaches them.
+const compileFilter = (node, types) => {
+    if (node.filters !== undefined) {
+        const children = node.filters.map(child => compileFilter(child, types));
+        return node.logic === 'OR'
+            ? row => children.some(test => test(row))
+            : row => children.every(test => test(row));
+    }
+
+    const { column, operator, value } = node;
+    const type = types[column];
+    const cell = row => toComparable(row[column], type);
+    switch (operator) {
+        case 'IS NULL':
+            return row => isNull(row[column]);
+        case 'IS NOT NULL':
+            return row => !isNull(row[column]);
+        case 'IN':
+        case 'NOT IN': {
+            const values = new Set(value.map(v => toComparable(v, type)));
+            return operator === 'IN'
+                ? row => !isNull(row[column]) && values.has(cell(row))
+                : row => !isNull(row[column]) && !values.has(cell(row));
+        }
+        case 'BETWEEN': {
+            const [low, high] = value.map(v => toComparable(v, type));
+            return row => !isNull(row[column]) && compareValues(cell(row), low) >= 0 && compareValues(cell(row), high) <= 0;
+        }
+        case 'LIKE': {
+            const regExp = likeToRegExp(value);
+            return row => !isNull(row[column]) && regExp.test(String(row[column]));
+        }
+        case 'CONTAINS':
+            return row => !isNull(row[column]) && String(row[column]).includes(String(value));
+        case 'STARTS WITH':
+            return row => !isNull(row[column]) && String(row[column]).startsWith(String(value));
+        default: {
+            const target = toComparable(value, type);
+            const tests = {
+                '=': order => order === 0,
+                '!=': order => order !== 0,
+                '>': order => order > 0,
+                '>=': order => order >= 0,
+                '<': order => order < 0,
+                '<=': order => order <= 0,
+            };
+            return row => !isNull(row[column]) && tests[operator](compareValues(cell(row), target));
+        }
+    }
+};
+
+const AGGREGATES = {
+    SUM: values => (values.length === 0 ? null : values.reduce((sum, v) => sum + Number(v), 0)),
+    COUNT: values => values.length,
+    'COUNT DISTINCT': values => new Set(values.map(v => JSON.stringify(v))).size,
+    AVG: values => (values.length === 0 ? null : values.reduce((sum, v) => sum + Number(v), 0) / values.length),
+    MIN: values => (values.length === 0 ? null : values.reduce((min, v) => (compareValues(v, min) < 0 ? v : min))),
+    MAX: values => (values.length === 0 ? null : values.reduce((max, v) => (compareValues(v, max) > 0 ? v : max))),
+};
+
+const aggregateType = ({ function: fn, column }, types) => {
+    if (fn === 'COUNT' || fn === 'COUNT DISTINCT') return 'INT64';
+    if (fn === 'AVG') return 'FLOAT64';
+    return column === '*' ? 'INT64' : types[column];
+};
+
+// Groups rows and computes the query's aggregations for each group. Without
+// GROUP BY, all rows form one group, which exists even when there are none.
+const summarizeRows = (rows, query) => {
+    const groups = new Map();
+    if (query.groupBy.length === 0) groups.set('', rows);
+    for (const row of rows) {
+        if (query.groupBy.length === 0) break;
+        const key = JSON.stringify(query.groupBy.map(column => row[column] ?? null));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+    return [...groups.values()].map((groupRows) => {
+        const result = Object.fromEntries(query.columns.map(column => [column, groupRows[0] ? groupRows[0][column] ?? null : null]));
+        for (const aggregation of query.aggregations) {
+            const values = aggregation.column === '*'
+                ? groupRows
+                : groupRows.map(row => row[aggregation.column]).filter(v => !isNull(v));
+            result[aggregation.alias] = AGGREGATES[aggregation.function](values);
+        }
+        return result;
+    });
+};
+
+/**
+ * Runs a normalized query with pageSize and offset over `rows`, whose columns
+ * are described by `columns` ([{ name, data_type }]). Returns
+ * { rows, totalRows, offset, schema }, where schema lists the output columns
+ * as [{ name, type }].
+ */
+const runRowQuery = (rows, columns, query) => {
+    const types = Object.fromEntries(columns.map(c => [c.name, c.data_type]));
+    const referenced = [
+        ...query.columns,
+        ...query.groupBy,
+        ...query.aggregations.filter(a => a.column !== '*').map(a => a.column),
+    ];
+    const collectFilterColumns = (filters) => filters.flatMap(f => (f.filters !== undefined ? collectFilterColumns(f.filters) : [f.column]));
+    const unknown = [...referenced, ...collectFilterColumns(query.filters)].find(column => !(column in types));
+    if (unknown) {
+        throw new RowQueryError(`Unknown column '${unknown}'.`);
+    }
+
+    const filter = compileFilter({ logic: 'AND', filters: query.filters }, types);
+    const matching = rows.filter(filter);
+    const summarizing = query.groupBy.length > 0 || query.aggregations.length > 0;
+    const results = summarizing
+        ? summarizeRows(matching, query)
+        : matching.map(row => Object.fromEntries(query.columns.map(column => [column, row[column] ?? null])));
+
+    const sorted = sortRows(results, query.orderBy || []);
+    const offset = Number(query.offset) || 0;
+    const pageSize = Number(query.pageSize) || sorted.length;
+    return {
+        rows: sorted.slice(offset, offset + pageSize),
+        totalRows: sorted.length,
+        offset,
+        schema: [
+            ...query.columns.map(name => ({ name, type: types[name] })),
+            ...query.aggregations.map(a => ({ name: a.alias, type: aggregateType(a, types) })),
+        ],
+    };
+};
+
+module.exports = {
+    compareValues,
+    sortRows,
+    runRowQuery,
+    RowQueryError,
+};
@@ -0,0 +1,149 @@
+const { canAccessEntity } = require('./auth');
+const { normalizeQuery, filterColumns, outputColumns } = require('./queryModel');
+
+// Saved queries live in data_explorer_config.saved_queries:
+//
+//   id STRING, owner STRING, name STRING, description STRING,
+//   visibility STRING, entity_name STRING, query JSON,
+//   visualization JSON, created_at TIMESTAMP, updated_at TIMESTAMP
+//
+// `query` holds the normalized query model (columns, filters, groupBy,
+// aggregations, orderBy) without paging fields. 'private' queries are only
+// visible to their owner; 'shared' ones to every user who can access the
+// entity.
+//
+// `visualization` is how the results are shown, so that opening the query
+// restores the same view, or null for the plain table:
+//
+//   { type: 'bar' | 'line' | 'area' | 'pie' | 'pivot' | 'table',
+//     dimension: 'region',           // categories, pie slices or pivot rows
+//     measures: ['revenue', ...],    // one series each; pie and pivot use the first
+//     pivotColumn: 'month',          // pivot only: the column across
+//     aggregate: 'SUM' }             // how rows with the same categories are combined
+
+const VISIBILITIES = ['private', 'shared'];
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const VISUALIZATION_TYPES = ['table', 'bar', 'line', 'area', 'pie', 'pivot'];
+const VISUALIZATION_AGGREGATES = ['SUM', 'AVG', 'MIN', 'MAX', 'COUNT'];
+const MAX_MEASURES = 10;
+
+
+const isColumnName = (value) => typeof value === 'string' && value.length > 0 && value.length <= 300;
+
+// Returns { error } or { value } with the visualization in canonical form.
+const validateVisualization = (visualization) => {
+    if (visualization === undefined || visualization === null) return { value: null };
+    if (typeof visualization !== 'object' || Array.isArray(visualization)) {
+        return { error: 'The visualization must be an object.' };
+    }
+    const { type, dimension = null, measures = [], pivotColumn = null, aggregate = 'SUM' } = visualization;
+    if (!VISUALIZATION_TYPES.includes(type)) {
+        return { error: `Invalid visualization type '${type}'. Use one of: ${VISUALIZATION_TYPES.join(', ')}.` };
+    }
+    if (dimension !== null && !isColumnName(dimension)) {
+        return { error: 'The visualization dimension must be a column name.' };
+    }
+    if (pivotColumn !== null && !isColumnName(pivotColumn)) {
+        return { error: 'The visualization pivot column must be a column name.' };
+    }
+    if (!Array.isArray(measures) || measures.length > MAX_MEASURES || !measures.every(isColumnName)) {
+        return { error: `The visualization measures must be a list of at most ${MAX_MEASURES} column names.` };
+    }
+    if (!VISUALIZATION_AGGREGATES.includes(aggregate)) {
+        return { error: `Invalid visualization aggregate '${aggregate}'. Use one of: ${VISUALIZATION_AGGREGATES.join(', ')}.` };
+    }
+    return { value: { type, dimension, measures, pivotColumn, aggregate } };
+};
+
+/**
+ * Validates the body of a create/update request. Returns { error } or
+ * { value: { name, description, visibility, entity_name, query, visualization } }
+ * with the query and visualization in canonical form.
+ */
+const validateSavedQuery = (body) => {
+    const { name, description = '', visibility = 'private', entity_name: entityName, query } = body || {};
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        return { error: `A saved query needs a name of at most ${MAX_NAME_LENGTH} characters.` };
+    }
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+        return { error: `The description may be at most ${MAX_DESCRIPTION_LENGTH} characters.` };
+    }
+    if (!VISIBILITIES.includes(visibility)) {
+        return { error: `Invalid visibility '${visibility}'. Use one of: ${VISIBILITIES.join(', ')}.` };
+    }
+    if (typeof entityName !== 'string' || !entityName) {
+        return { error: 'A saved query needs an entity_name.' };
+    }
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        return { error: 'A saved query needs a query object.' };
+    }
+
+    const { error: visualizationError, value: visualization } = validateVisualization(body.visualization);
+    if (visualizationError) {
+        return { error: visualizationError };
+    }
+
+    try {
+        return {
+            value: { name: name.trim(), description, visibility, entity_name: entityName, query: normalizeQuery(query), visualization },
+        };
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+/**
+ * Owners can always open their saved queries (so they can see what broke);
+ * anybody else only shared ones on an entity they can access.
+ */
+const canReadSavedQuery = (user, savedQuery, entity) =>
+    savedQuery.owner === user.email
+    || (savedQuery.visibility === 'shared' && !!entity && canAccessEntity(user, entity));
+
+/**
+ * Every column of the queried entity a query refers to. Aggregate aliases and
+ * columns of a joined entity used for sorting are left out.
+ */
+const referencedColumns = (query) => {
+    const own = query.columns || [];
+    const derived = outputColumns(query).filter(c => !own.includes(c));
+    return [...new Set([
+        ...own,
+        ...(query.groupBy || []),
+        ...(query.aggregations || []).map(a => a.column).filter(c => c !== '*'),
+        ...filterColumns(query.filters),
+        ...(query.join ? query.join.on.map(key => key.left) : []),
+        ...(query.orderBy || []).map(s => s.column).filter(c => !derived.includes(c)),
+    ])];
+};
+
+/**
+ * Lists what no longer matches the current configuration: a missing (or no
+ * longer accessible) entity, or columns that are gone from its schema.
+ * `columns` is the caller's view of the entity schema, or null when unknown.
+ */
+const findSavedQueryIssues = (savedQuery, entity, columns) => {
+    if (!entity) {
+        return [{
+            type: 'missing_entity',
+            message: `Entity '${savedQuery.entity_name}' no longer exists or you no longer have access to it.`,
+        }];
+    }
+    if (!columns) return [];
+
+    const available = new Set(columns.map(c => c.name));
+    return referencedColumns(savedQuery.query)
+        .filter(column => !available.has(column))
+        .map(column => ({
+            type: 'missing_column',
+            column,
+            message: `Column '${column}' no longer exists in entity '${entity.entity_name}'.`,
+        }));
+};
+
+module.exports = {
+    validateSavedQuery,
+    canReadSavedQuery,
+    findSavedQueryIssues,
+};
@@ -0,0 +1,139 @@
+const { normalizeQuery } = require('./queryModel');
+const { parseCron, checkTimeZone, nextRun, shortestInterval } = require('./cron');
+const { checkDelivery } = require('./delivery');
+const { EXPORT_FORMATS } = require('./export');
+
+// Scheduled queries live in data_explorer_config.schedules:
+//
+//   id STRING, owner STRING, name STRING, entity_name STRING, query JSON,
+//   cron STRING, time_zone STRING, format STRING, target STRING,
+//   recipients ARRAY<STRING>, notify_on_failure BOOL, paused BOOL,
+//   next_run_at TIMESTAMP, last_run_at TIMESTAMP, last_status STRING,
+//   created_at TIMESTAMP, updated_at TIMESTAMP
+//
+// and every run in data_explorer_config.schedule_runs:
+//
+//   id STRING, schedule_id STRING, trigger STRING, status STRING,
+//   started_at TIMESTAMP, finished_at TIMESTAMP, row_count INT64,
+//   total_rows INT64, bytes_processed INT64, file_name STRING,
+//   error_message STRING
+//
+// A schedule runs its query as its owner, with the owner's current access
+// and security policies, and sends the whole result as a file in `format`
+// (csv, xlsx or jsonl) to a delivery target (see delivery.js). `cron` is a
+// five-field expression in `time_zone` (see cron.js). A run's trigger is
+// 'schedule' or 'manual'; its status 'success' or 'failed'.
+
+const MAX_NAME_LENGTH = 200;
+const MIN_INTERVAL_MINUTES = Number(process.env.SCHEDULE_MIN_INTERVAL_MINUTES) || 15;
+
+/**
+ * Validates the body of a create/update request. Returns { error } or
+ * { value: { name, entity_name, query, cron, time_zone, format, target,
+ * recipients, notify_on_failure, paused } } with the query in canonical form.
+ */
+const validateSchedule = (body) => {
+    const {
+        name, entity_name: entityName, query, cron, time_zone: timeZone = 'UTC', format = 'csv', target,
+        recipients = [], notify_on_failure: notifyOnFailure = true, paused = false,
+    } = body || {};
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        return { error: `A schedule needs a name of at most ${MAX_NAME_LENGTH} characters.` };
+    }
+    if (typeof entityName !== 'string' || !entityName) {
+        return { error: 'A schedule needs an entity_name.' };
+    }
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        return { error: 'A schedule needs a query object.' };
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `Unsupported format '${format}'. Use one of: ${EXPORT_FORMATS.join(', ')}.` };
+    }
+    if (!Array.isArray(recipients) || !recipients.every(r => typeof r === 'string')) {
+        return { error: 'The recipients must be a list of email addresses.' };
+    }
+    if (typeof notifyOnFailure !== 'boolean' || typeof paused !== 'boolean') {
+        return { error: 'notify_on_failure and paused must be true or false.' };
+    }
+    const addresses = recipients.map(r => r.trim()).filter(Boolean);
+    const deliveryError = checkDelivery(target, addresses);
+    if (deliveryError) {
+        return { error: deliveryError };
+    }
+
+    try {
+        checkTimeZone(timeZone);
+        const parsed = parseCron(cron);
+        if (!nextRun(parsed, timeZone, new Date())) {
+            return { error: `The schedule '${cron}' never runs.` };
+        }
+        if (shortestInterval(parsed, timeZone) < MIN_INTERVAL_MINUTES) {
+            return { error: `Schedules may run at most every ${MIN_INTERVAL_MINUTES} minutes.` };
+        }
+        return {
+            value: {
+                name: name.trim(),
+                entity_name: entityName,
+                query: normalizeQuery(query),
+                cron: cron.trim().split(/\s+/).join(' '),
+                time_zone: timeZone,
+                format,
+                target,
+                recipients: addresses,
+                notify_on_failure: notifyOnFailure,
+                paused,
+            },
+        };
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+/**
+ * When a schedule runs next after `after` (a Date), or null when it never does.
+ */
+const nextRunOf = (schedule, after = new Date()) => nextRun(parseCron(schedule.cron), schedule.time_zone, after);
+
+const timestampValue = (value) => (value ? value.value || value : null);
+
+// BigQuery returns JSON columns as strings and timestamps as objects.
+const toSchedule = (row) => ({
+    id: row.id,
+    owner: row.owner,
+    name: row.name,
+    entity_name: row.entity_name,
+    query: typeof row.query === 'string' ? JSON.parse(row.query) : row.query,
+    cron: row.cron,
+    time_zone: row.time_zone,
+    format: row.format,
+    target: row.target,
+    recipients: row.recipients || [],
+    notify_on_failure: row.notify_on_failure !== false,
+    paused: !!row.paused,
+    next_run_at: timestampValue(row.next_run_at),
+    last_run_at: timestampValue(row.last_run_at),
+    last_status: row.last_status || null,
+    created_at: timestampValue(row.created_at),
+    updated_at: timestampValue(row.updated_at),
+});
+
+const toScheduleRun = (row) => ({
+    id: row.id,
+    schedule_id: row.schedule_id,
+    trigger: row.trigger,
+    status: row.status,
+    started_at: timestampValue(row.started_at),
+    finished_at: timestampValue(row.finished_at),
+    row_count: row.row_count === null || row.row_count === undefined ? null : Number(row.row_count),
+    total_rows: row.total_rows === null || row.total_rows === undefined ? null : Number(row.total_rows),
+    bytes_processed: row.bytes_processed === null || row.bytes_processed === undefined ? null : Number(row.bytes_processed),
+    file_name: row.file_name || null,
+    error_message: row.error_message || null,
+});
+
+module.exports = {
+    validateSchedule,
+    nextRunOf,
+    toSchedule,
+    toScheduleRun,
+};
@@ -0,0 +1,51 @@
+const { getAdapter } = require('./connectors');
+const { withCalculatedColumns } = require('./calculatedColumns');
+
+// Schema discovery for configured entities. Every source reports its columns
+// as [{ name, data_type, description, nullable }], with data_type expressed in
+// BigQuery type names (STRING, INT64, NUMERIC, FLOAT64, BOOL, DATE, ...). The
+// columns come from the entity's source adapter (see connectors/index.js),
+// followed by the entity's calculated columns, which also have
+// `calculated: true` and their `expression` (see calculatedColumns.js).
+
+const SCHEMA_CACHE_TTL_MS = (Number(process.env.SCHEMA_CACHE_TTL_SECONDS) || 600) * 1000;
+
+const schemaCache = new Map();
+
+/**
+ * Returns { columns, cached_at } for a configured entity, reading the source
+ * only when there is no fresh cache entry (or `refresh` is set).
+ */
+const getEntitySchema = async (bigquery, entity, { refresh = false } = {}) => {
+    const cached = schemaCache.get(entity.entity_name);
+    if (!refresh && cached && Date.now() - cached.cachedAt < SCHEMA_CACHE_TTL_MS) {
+        return { columns: cached.columns, cached_at: new Date(cached.cachedAt).toISOString() };
+    }
+
+    const adapter = getAdapter(entity.source_of_system);
+    const details = typeof entity.source_details === 'string'
+        ? JSON.parse(entity.source_details)
+        : entity.source_details;
+
+    const columns = withCalculatedColumns(await adapter.readSchema(details, { bigquery }), details);
+    const cachedAt = Date.now();
+    schemaCache.set(entity.entity_name, { columns, cachedAt });
+    return { columns, cached_at: new Date(cachedAt).toISOString() };
+};
+
+/**
+ * Reads the columns of a source directly, without the cache, and adds the
+ * calculated columns. Used to check a configuration before it is saved.
+ */
+const readSourceColumns = async (bigquery, sourceOfSystem, details) =>
+    withCalculatedColumns(await getAdapter(sourceOfSystem).readSchema(details, { bigquery }), details);
+
+const invalidateEntitySchema = (entityName) => {
+    schemaCache.delete(entityName);
+};
+
+module.exports = {
+    getEntitySchema,
+    readSourceColumns,
+    invalidateEntitySchema,
+};
@@ -0,0 +1,105 @@
+const { findAdapter, listAdapters } = require('./connectors');
+
+// What `source_details` must look like for each source system. The schemas
+// are declared by the source adapters (see connectors/index.js) and use a small subset of JSON
+// Schema, which is all the validator below understands:
+//
+//   type ('object', 'array', 'string', 'integer', 'number', 'boolean'),
+//   title, description, enum, pattern, maxLength, minimum, maximum, for
+//   arrays items and maxItems, and for objects properties, required,
+//   additionalProperties: false and anyOf (a list of { required: [...] }
+//   alternatives, at least one of which must hold).
+//
+// The admin UI renders its entity form from the same schemas.
+
+const TYPE_CHECKS = {
+    object: value => !!value && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    integer: value => Number.isSafeInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+};
+
+const TYPE_NAMES = {
+    object: 'an object',
+    array: 'a list',
+    string: 'a string',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'true or false',
+};
+
+const quoteList = (names) => names.map(name => `"${name}"`).join(', ');
+
+// Returns the first problem with `value` as a message, or null.
+const checkValue = (schema, value, path) => {
+    if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+        return `${path} must be ${TYPE_NAMES[schema.type]}.`;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of: ${schema.enum.join(', ')}.`;
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        return `${path} has an invalid format.`;
+    }
+    if (schema.maxLength !== undefined && typeof value === 'string' && value.length > schema.maxLength) {
+        return `${path} may have at most ${schema.maxLength} characters.`;
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return `${path} must be at least ${schema.minimum}.`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return `${path} must be at most ${schema.maximum}.`;
+    }
+    if (schema.type === 'array') {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return `${path} may have at most ${schema.maxItems} entries.`;
+        }
+        for (const [index, item] of value.entries()) {
+            const error = schema.items ? checkValue(schema.items, item, `${path}[${index}]`) : null;
+            if (error) return error;
+        }
+        return null;
+    }
+    if (schema.type !== 'object') return null;
+
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null || value[key] === '') {
+            return `${path}.${key} is required.`;
+        }
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => option.required.every(key => value[key]))) {
+        return `${path} needs one of ${quoteList(schema.anyOf.flatMap(option => option.required))}.`;
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+        if (!properties[key]) {
+            if (schema.additionalProperties === false) {
+                return `${path} has an unknown field "${key}". Known fields: ${quoteList(Object.keys(properties))}.`;
+            }
+            continue;
+        }
+        if (propertyValue === undefined || propertyValue === null) continue;
+        const error = checkValue(properties[key], propertyValue, `${path}.${key}`);
+        if (error) return error;
+    }
+    return null;
+};
+
+/**
+ * Returns an error message when `sourceDetails` does not match the schema of
+ * its source system (or the system is unknown), or null when it is fine.
+ */
+const validateSourceDetails = (sourceOfSystem, sourceDetails) => {
+    const adapter = findAdapter(sourceOfSystem);
+    if (!adapter) {
+        const names = listAdapters().map(system => system.name);
+        return `Unsupported source system '${sourceOfSystem}'. Use one of: ${names.join(', ')}.`;
+    }
+    return checkValue(adapter.schema, sourceDetails, 'source_details');
+};
+
+module.exports = {
+    validateSourceDetails,
+};
@@ -1,12 +1,60 @@
 import functions_framework
 from flask import jsonify
+from google.api_core.exceptions import BadRequest, NotFound
 from google.cloud import bigquery
 import re
+import base64
+import datetime
+import decimal
 
 client = bigquery.Client()
 
 IDENTIFIER_REGEX = re.compile(r"^[a-zA-Z0-9_-]+$")
-OPERATOR_REGEX = re.compile(r"^(>|>=|<|<=|=|!=|IN|NOT IN)$")
+OPERATOR_REGEX = re.compile(r"^(>|>=|<|<=|=|!=|IN|NOT IN|BETWEEN|LIKE|CONTAINS|STARTS WITH|IS NULL|IS NOT NULL)$")
+LOGIC_REGEX = re.compile(r"^(AND|OR)$")
+AGGREGATE_REGEX = re.compile(r"^(SUM|COUNT|COUNT DISTINCT|AVG|MIN|MAX)$")
+DIRECTION_REGEX = re.compile(r"^(ASC|DESC)$")
+
+MAX_PAGE_SIZE = 5000
+# 'query' runs a query and returns its first page; 'submit' starts it and
+# returns the job id at once; 'status' and 'cancel' act on a submitted job;
+# 'profile' computes column statistics and a few sample rows of a table.
+ACTIONS = {"query", "submit", "status", "cancel", "profile"}
+# How deeply filter groups may nest.
+MAX_FILTER_DEPTH = 5
+
+# Statistics a profile can compute per column: NULL count, approximate
+# distinct count, MIN/MAX and the most frequent values.
+PROFILE_STATS = {"nulls", "distinct", "range", "top"}
+MAX_PROFILE_TOP = 20
+MAX_PROFILE_SAMPLE_ROWS = 100
+# Tables with more rows are profiled on a TABLESAMPLE of about this many rows.
+PROFILE_TARGET_ROWS = 1000000
+
+# Column types the client may declare on a filter (taken from the schema endpoint).
+PARAM_TYPES = {"STRING", "INT64", "FLOAT64", "NUMERIC", "BOOL", "DATE", "DATETIME", "TIMESTAMP", "TIME"}
+
+# Calculated columns (see backend/calculatedColumns.js) arrive as expression
+# trees. Only these operators, functions, date parts and types reach the SQL
+# text; column names are sanitized and literals are bound as parameters.
+MAX_CALCULATED_COLUMNS = 50
+MAX_EXPRESSION_DEPTH = 32
+CALCULATED_TYPES = {"STRING", "INT64", "FLOAT64", "NUMERIC", "BOOL", "DATE", "DATETIME", "TIMESTAMP"}
+BINARY_OPERATORS = {"+", "-", "*", "/", "||", "=", "!=", "<", "<=", ">", ">=", "AND", "OR"}
+# Unary operators as the text before and after their operand.
+UNARY_OPERATORS = {"NEG": ("-", ""), "NOT": ("NOT ", ""), "IS NULL": ("", " IS NULL"), "IS NOT NULL": ("", " IS NOT NULL")}
+# Functions with their (minimum, maximum) number of arguments, None for any.
+EXPRESSION_FUNCTIONS = {
+    "COALESCE": (2, None), "CONCAT": (1, None), "SAFE_DIVIDE": (2, 2), "ROUND": (1, 2),
+    "ABS": (1, 1), "UPPER": (1, 1), "LOWER": (1, 1), "CAST": (1, 1),
+    "DATE_TRUNC": (1, 1), "DATETIME_TRUNC": (1, 1), "TIMESTAMP_TRUNC": (1, 1),
+}
+DATE_PARTS = {"DAY", "WEEK", "ISOWEEK", "MONTH", "QUARTER", "YEAR", "ISOYEAR"}
+TRUNC_PARTS = {
+    "DATE_TRUNC": DATE_PARTS,
+    "DATETIME_TRUNC": DATE_PARTS | {"HOUR", "MINUTE", "SECOND"},
+    "TIMESTAMP_TRUNC": DATE_PARTS | {"HOUR", "MINUTE", "SECOND"},
+}
 
 def sanitize_identifier(identifier):
     """Validates that an identifier contains only allowed characters."""
@@ -16,9 +64,404 @@ def sanitize_identifier(identifier):
 
 def sanitize_operator(operator):
     """Validates that an operator is in the allowed list."""
-    if not OPERATOR_REGEX.match(operator.upper()):
+    normalized = " ".join(str(operator).split()).upper()
+    if not OPERATOR_REGEX.match(normalized):
         raise ValueError(f"Invalid operator: {operator}")
-    return operator.upper()
+    return normalized
+
+def sanitize_logic(logic):
+    """Validates the connective of a filter group (AND or OR)."""
+    if not LOGIC_REGEX.match(str(logic).upper()):
+        raise ValueError(f"Invalid filter group logic: {logic}")
+    return str(logic).upper()
+
+def sanitize_aggregate(function):
+    """Validates that an aggregate function is in the allowed list."""
+    normalized = " ".join(str(function).split()).upper()
+    if not AGGREGATE_REGEX.match(normalized):
+        raise ValueError(f"Invalid aggregate function: {function}")
+    return normalized
+
+def sanitize_direction(direction):
+    """Validates a sort direction (ASC or DESC)."""
+    if not DIRECTION_REGEX.match(str(direction).upper()):
+        raise ValueError(f"Invalid sort direction: {direction}")
+    return str(direction).upper()
+
+def aggregate_expression(aggregation):
+    """Builds `FN(col) AS alias` for a validated aggregation and returns (expression, alias)."""
+    function = sanitize_aggregate(aggregation['function'])
+    column = aggregation['column']
+    if column == '*' and function == "COUNT":
+        argument = "*"
+        default_alias = "count_rows"
+    else:
+        column = sanitize_identifier(column)
+        argument = f"DISTINCT `{column}`" if function == "COUNT DISTINCT" else f"`{column}`"
+        default_alias = f"{function.lower().replace(' ', '_')}_{column}"
+    alias = sanitize_identifier(aggregation.get('alias') or default_alias)
+    sql_function = "COUNT" if function == "COUNT DISTINCT" else function
+    return f"{sql_function}({argument}) AS `{alias}`", alias
+
+def sanitize_param_type(param_type):
+    """Validates that a declared filter type is one of the supported scalar types."""
+    if not isinstance(param_type, str) or param_type.upper() not in PARAM_TYPES:
+        raise ValueError(f"Invalid filter type: {param_type}")
+    return param_type.upper()
+
+def coerce_param_value(value, param_type):
+    """Converts a filter value to the Python type BigQuery expects for param_type."""
+    if param_type == "STRING":
+        return str(value)
+    if param_type == "INT64":
+        return int(value)
+    if param_type == "FLOAT64":
+        return float(value)
+    if param_type == "NUMERIC":
+        return decimal.Decimal(str(value))
+    if param_type == "BOOL":
+        if isinstance(value, bool):
+            return value
+        if str(value).lower() not in ("true", "false"):
+            raise ValueError(f"Invalid boolean value: {value}")
+        return str(value).lower() == "true"
+    if param_type == "DATE":
+        return datetime.date.fromisoformat(str(value))
+    if param_type == "DATETIME":
+        return datetime.datetime.fromisoformat(str(value))
+    if param_type == "TIMESTAMP":
+        return datetime.datetime.fromisoformat(str(value).replace("Z", "+00:00"))
+    return datetime.time.fromisoformat(str(value))
+
+def scalar_param(name, value, declared_type):
+    """Builds a query parameter, typed by the declared column type or else by the JSON value."""
+    if declared_type:
+        return bigquery.ScalarQueryParameter(name, declared_type, coerce_param_value(value, declared_type))
+    param_type = "STRING"
+    if isinstance(value, bool): param_type = "BOOL"
+    elif isinstance(value, int): param_type = "INT64"
+    elif isinstance(value, float): param_type = "FLOAT64"
+    return bigquery.ScalarQueryParameter(name, param_type, value)
+
+def build_filter_clause(node, query_params, depth=1):
+    """
+    Turns a filter node into a SQL condition, appending its parameters to
+    query_params. A node is either a condition {column, operator, value, type}
+    or a group {logic: AND|OR, filters: [nodes]}. Only validated identifiers
+    and operators reach the SQL text; every value is bound as a parameter.
+    """
+    if not isinstance(node, dict):
+        raise ValueError("Every filter must be a condition or a group.")
+    if depth > MAX_FILTER_DEPTH:
+        raise ValueError(f"Filter groups may be nested at most {MAX_FILTER_DEPTH} levels deep.")
+
+    if 'filters' in node:
+        logic = sanitize_logic(node.get('logic') or "AND")
+        children = node['filters']
+        if not isinstance(children, list) or not children:
+            raise ValueError("A filter group needs at least one filter.")
+        return "(" + f" {logic} ".join(build_filter_clause(child, query_params, depth + 1) for child in children) + ")"
+
+    col = sanitize_identifier(node['column'])
+    op = sanitize_operator(node['operator'])
+    val = node.get('value')
+    declared_type = sanitize_param_type(node['type']) if node.get('type') else None
+
+    def param(value, param_type=None):
+        name = f"param_{len(query_params)}"
+        query_params.append(scalar_param(name, value, param_type or declared_type))
+        return f"@{name}"
+
+    if op in ["IS NULL", "IS NOT NULL"]:
+        return f"`{col}` {op}"
+
+    if op in ["IN", "NOT IN"]:
+        items = val.split(',') if isinstance(val, str) else val
+        if not isinstance(items, list) or not items:
+            raise ValueError("Value for IN/NOT IN must be a list or a comma-separated string.")
+        item_type = declared_type or "STRING"
+        placeholders = ", ".join(param(v.strip() if isinstance(v, str) else v, item_type) for v in items)
+        return f"`{col}` {op} ({placeholders})"
+
+    if op == "BETWEEN":
+        if not isinstance(val, list) or len(val) != 2:
+            raise ValueError("Value for BETWEEN must be a list of two values.")
+        return f"`{col}` BETWEEN {param(val[0])} AND {param(val[1])}"
+
+    # Text matching always binds a STRING parameter, whatever the column type claims.
+    if op == "LIKE":
+        return f"`{col}` LIKE {param(val, 'STRING')}"
+    if op == "CONTAINS":
+        return f"STRPOS(`{col}`, {param(val, 'STRING')}) > 0"
+    if op == "STARTS WITH":
+        return f"STARTS_WITH(`{col}`, {param(val, 'STRING')})"
+
+    return f"`{col}` {op} {param(val)}"
+
+def sanitize_calculated_type(type_name):
+    """Validates the type a calculated column or CAST converts to."""
+    if not isinstance(type_name, str) or type_name.upper() not in CALCULATED_TYPES:
+        raise ValueError(f"Invalid calculated column type: {type_name}")
+    return type_name.upper()
+
+def compile_expression(node, query_params, depth=1):
+    """
+    Turns the expression tree of a calculated column into SQL, appending its
+    literals to query_params. A node is a column {column}, a literal {value,
+    type}, an operator {operator, args}, a function {function, args} (with
+    `part` for the *_TRUNC functions and `as` for CAST) or {case: [{when,
+    then}], else}. Every compound node is parenthesized, so the tree alone
+    decides the order of evaluation.
+    """
+    if not isinstance(node, dict):
+        raise ValueError("Every expression node must be an object.")
+    if depth > MAX_EXPRESSION_DEPTH:
+        raise ValueError(f"Expressions may be nested at most {MAX_EXPRESSION_DEPTH} levels deep.")
+
+    if 'column' in node:
+        return f"`{sanitize_identifier(node['column'])}`"
+    if 'value' in node:
+        if node['value'] is None:
+            # A typed literal without a value is a number JSON could not hold.
+            if node.get('type') is not None:
+                raise ValueError(f"Invalid {node.get('type')} literal: it has no value.")
+            return "NULL"
+        literal_type = node.get('type')
+        if not isinstance(literal_type, str) or literal_type.upper() not in PARAM_TYPES:
+            raise ValueError(f"Invalid literal type: {literal_type}")
+        name = f"param_{len(query_params)}"
+        query_params.append(scalar_param(name, node['value'], literal_type.upper()))
+        return f"@{name}"
+    if 'case' in node:
+        branches = node['case']
+        if not isinstance(branches, list) or not branches:
+            raise ValueError("CASE needs at least one WHEN.")
+        parts = [
+            f"WHEN {compile_expression(branch['when'], query_params, depth + 1)} THEN {compile_expression(branch['then'], query_params, depth + 1)}"
+            for branch in branches
+        ]
+        if node.get('else') is not None:
+            parts.append(f"ELSE {compile_expression(node['else'], query_params, depth + 1)}")
+        return f"(CASE {' '.join(parts)} END)"
+
+    args = node.get('args')
+    if not isinstance(args, list):
+        raise ValueError("Operators and functions need a list of arguments.")
+    compiled = [compile_expression(arg, query_params, depth + 1) for arg in args]
+
+    if 'operator' in node:
+        operator = node['operator']
+        if operator in BINARY_OPERATORS and len(compiled) == 2:
+            return f"({compiled[0]} {operator} {compiled[1]})"
+        if operator in UNARY_OPERATORS and len(compiled) == 1:
+            before, after = UNARY_OPERATORS[operator]
+            return f"({before}{compiled[0]}{after})"
+        raise ValueError(f"Invalid expression operator: {operator}")
+
+    function = node.get('function')
+    if function not in EXPRESSION_FUNCTIONS:
+        raise ValueError(f"Invalid expression function: {function}")
+    least, most = EXPRESSION_FUNCTIONS[function]
+    if len(compiled) < least or (most is not None and len(compiled) > most):
+        raise ValueError(f"Wrong number of arguments for {function}.")
+    if function == "CAST":
+        return f"CAST({compiled[0]} AS {sanitize_calculated_type(node.get('as'))})"
+    if function in TRUNC_PARTS:
+        if node.get('part') not in TRUNC_PARTS[function]:
+            raise ValueError(f"Invalid date part for {function}: {node.get('part')}")
+        compiled.append(node['part'])
+    return f"{function}({', '.join(compiled)})"
+
+def compile_calculated_columns(request_json, query_params):
+    """Builds `CAST(expression AS type) AS name` for each calculated column of the request."""
+    calculated = request_json.get('calculatedColumns') or []
+    if not isinstance(calculated, list) or len(calculated) > MAX_CALCULATED_COLUMNS:
+        raise ValueError(f"calculatedColumns must be a list of at most {MAX_CALCULATED_COLUMNS} columns.")
+    return [
+        f"CAST({compile_expression(column['expression'], query_params)} AS {sanitize_calculated_type(column['type'])}) AS `{sanitize_identifier(column['name'])}`"
+        for column in calculated
+    ]
+
+def from_source(table_ref, calculated):
+    """
+    What a query reads FROM: the table, or with calculated columns a subquery
+    adding them to the table's columns, so they can be selected, filtered,
+    grouped and sorted on like the others. BigQuery still only scans the
+    columns the outer query uses.
+    """
+    if not calculated:
+        return table_ref
+    return f"(SELECT *, {', '.join(calculated)} FROM {table_ref})"
+
+# Legacy field type names reported by the result schema, mapped to standard SQL names.
+LEGACY_TYPES = {"INTEGER": "INT64", "FLOAT": "FLOAT64", "BOOLEAN": "BOOL", "RECORD": "STRUCT"}
+
+def serialize_value(value):
+    """Makes a BigQuery value JSON-friendly without changing its meaning."""
+    if isinstance(value, (datetime.date, datetime.time)):
+        return value.isoformat()
+    if isinstance(value, decimal.Decimal):
+        return str(value)
+    if isinstance(value, bytes):
+        return base64.b64encode(value).decode("ascii")
+    if isinstance(value, dict):
+        return {k: serialize_value(v) for k, v in value.items()}
+    if isinstance(value, list):
+        return [serialize_value(v) for v in value]
+    return value
+
+def describe_schema(schema):
+    """Lists the result columns with their standard SQL type names."""
+    return [
+        {"name": field.name, "type": "ARRAY" if field.mode == "REPEATED" else LEGACY_TYPES.get(field.field_type, field.field_type)}
+        for field in schema
+    ]
+
+def fetch_page(query_job, offset, page_size):
+    """Reads one page of a finished query job's results."""
+    rows = query_job.result(start_index=offset, max_results=page_size)
+    data = [{key: serialize_value(value) for key, value in row.items()} for row in rows]
+    return {
+        "success": True,
+        "data": data,
+        "schema": describe_schema(rows.schema),
+        "totalRows": rows.total_rows,
+        "offset": offset,
+        "pageSize": page_size,
+        "jobId": query_job.job_id,
+        "location": query_job.location,
+        "bytesProcessed": query_job.total_bytes_processed,
+    }
+
+def build_profile_query(request_json, query_params):
+    """
+    Builds the single aggregate query of a profile. `profileColumns` lists
+    {column, stats} with stats from PROFILE_STATS; `sampleColumns` the columns
+    of the sample rows. Returns (select, aliases, where_clauses): the SELECT
+    list, which is completed once the table is known to need a TABLESAMPLE,
+    and aliases mapping each column to the output names of its statistics.
+    """
+    top_n = int(request_json.get('topN') or 5)
+    sample_rows = int(request_json.get('sampleRows') or 0)
+    if top_n < 1 or top_n > MAX_PROFILE_TOP:
+        raise ValueError(f"topN must be between 1 and {MAX_PROFILE_TOP}.")
+    if sample_rows < 0 or sample_rows > MAX_PROFILE_SAMPLE_ROWS:
+        raise ValueError(f"sampleRows must be between 0 and {MAX_PROFILE_SAMPLE_ROWS}.")
+
+    expressions = ["COUNT(*) AS `row_count`"]
+    aliases = {}
+    for i, entry in enumerate(request_json.get('profileColumns') or []):
+        col = sanitize_identifier(entry['column'])
+        stats = entry.get('stats') or []
+        if not isinstance(stats, list) or any(stat not in PROFILE_STATS for stat in stats):
+            raise ValueError(f"Invalid statistics for column {col}. Use: {', '.join(sorted(PROFILE_STATS))}.")
+        # Positional aliases, so that no column name can clash with another's.
+        names = {}
+        if "nulls" in stats:
+            names["nulls"] = f"c{i}_nulls"
+            expressions.append(f"COUNTIF(`{col}` IS NULL) AS `c{i}_nulls`")
+        if "distinct" in stats:
+            names["distinct"] = f"c{i}_distinct"
+            expressions.append(f"APPROX_COUNT_DISTINCT(`{col}`) AS `c{i}_distinct`")
+        if "range" in stats:
+            names["min"], names["max"] = f"c{i}_min", f"c{i}_max"
+            expressions.append(f"MIN(`{col}`) AS `c{i}_min`")
+            expressions.append(f"MAX(`{col}`) AS `c{i}_max`")
+        if "top" in stats:
+            names["top"] = f"c{i}_top"
+            expressions.append(f"APPROX_TOP_COUNT(`{col}`, {top_n}) AS `c{i}_top`")
+        aliases[col] = names
+
+    sample_columns = [sanitize_identifier(col) for col in request_json.get('sampleColumns') or []]
+    if sample_rows and sample_columns:
+        fields = ", ".join(f"`{col}`" for col in sample_columns)
+        expressions.append(f"ARRAY_AGG(STRUCT({fields}) LIMIT {sample_rows}) AS `sample_rows`")
+
+    filters = request_json.get('filters', [])
+    if not isinstance(filters, list):
+        raise ValueError("Filters must be a list.")
+    where_clauses = [build_filter_clause(f, query_params) for f in filters]
+    return f"SELECT {', '.join(expressions)}", aliases, where_clauses
+
+def run_profile(request_json, maximum_bytes_billed, headers):
+    """
+    Profiles a table in one query. Large tables (by their metadata, which costs
+    nothing to read) are read through TABLESAMPLE SYSTEM, so the scan stays
+    near PROFILE_TARGET_ROWS rows; views cannot be sampled and are bounded by
+    maximumBytesBilled alone. Calculated columns are computed over the sample.
+    """
+    query_params = []
+    try:
+        project_id = sanitize_identifier(request_json['projectId'])
+        dataset_id = sanitize_identifier(request_json['datasetId'])
+        table_id = sanitize_identifier(request_json['tableId'])
+        calculated = compile_calculated_columns(request_json, query_params)
+        query, aliases, where_clauses = build_profile_query(request_json, query_params)
+    except (ValueError, KeyError, TypeError, AttributeError, decimal.InvalidOperation) as e:
+        return jsonify({"success": False, "error": f"Invalid profile request: {e}"}), 400, headers
+
+    try:
+        table = client.get_table(f"{project_id}.{dataset_id}.{table_id}")
+        table_rows = table.num_rows if table.table_type == "TABLE" else None
+        sample_percent = None
+        table_ref = f"`{project_id}.{dataset_id}.{table_id}`"
+        if table_rows and table_rows > PROFILE_TARGET_ROWS:
+            sample_percent = max(round(100 * PROFILE_TARGET_ROWS / table_rows, 4), 0.0001)
+            table_ref += f" TABLESAMPLE SYSTEM ({sample_percent} PERCENT)"
+        query += f" FROM {from_source(table_ref, calculated)}"
+        if where_clauses:
+            query += " WHERE " + " AND ".join(where_clauses)
+
+        job_config = bigquery.QueryJobConfig(query_parameters=query_params)
+        if maximum_bytes_billed is not None:
+            job_config.maximum_bytes_billed = maximum_bytes_billed
+        print(f"Executing profile query: {query}")
+        query_job = client.query(query, job_config=job_config)
+        row = next(iter(query_job.result()))
+    except NotFound:
+        return jsonify({"success": False, "error": "The table was not found."}), 404, headers
+    except BadRequest as e:
+        if any(error.get('reason') == 'bytesBilledLimitExceeded' for error in e.errors or []):
+            return jsonify({"success": False, "error": f"The profile was refused because it would bill more than the limit of {maximum_bytes_billed} bytes."}), 400, headers
+        print(f"An error occurred: {e}")
+        return jsonify({"success": False, "error": f"BigQuery profile failed: {e}"}), 500, headers
+    except Exception as e:
+        print(f"An error occurred: {e}")
+        return jsonify({"success": False, "error": f"BigQuery profile failed: {e}"}), 500, headers
+
+    columns = {
+        col: {stat: serialize_value(row[alias]) for stat, alias in names.items()}
+        for col, names in aliases.items()
+    }
+    sample = serialize_value(row["sample_rows"]) if "sample_rows" in row.keys() else []
+    return jsonify({
+        "success": True,
+        "rowCount": row["row_count"],
+        "tableRows": table_rows,
+        "samplePercent": sample_percent,
+        "columns": columns,
+        "sample": sample or [],
+        "bytesProcessed": query_job.total_bytes_processed,
+    }), 200, headers
+
+def job_status(query_job):
+    """Reports the state of a query job, with a rough progress from its query plan."""
+    stages = query_job.query_plan or []
+    completed = sum(1 for stage in stages if stage.status == "COMPLETE")
+    error = query_job.error_result
+    message = error.get("message") if error else None
+    if error and error.get("reason") == "bytesBilledLimitExceeded":
+        message = f"The query was refused because it would bill more than the limit of {query_job.maximum_bytes_billed} bytes."
+    return {
+        "success": True,
+        "jobId": query_job.job_id,
+        "location": query_job.location,
+        "state": query_job.state,
+        "progress": completed / len(stages) if stages else None,
+        "bytesProcessed": query_job.total_bytes_processed,
+        "jobError": message,
+        "jobErrorReason": error.get("reason") if error else None,
+    }
 
 @functions_framework.http
 def query_bigquery(request):
@@ -43,70 +486,168 @@ def query_bigquery(request):
     if not request_json:
         return jsonify({"success": False, "error": "Invalid JSON payload."}), 400, headers
 
+    action = request_json.get('action', 'query')
+    if action not in ACTIONS:
+        return jsonify({"success": False, "error": f"Invalid action: {action}"}), 400, headers
+
+    if action in ("status", "cancel"):
+        try:
+            job_id = sanitize_identifier(request_json['jobId'])
+            location = sanitize_identifier(request_json.get('location', 'US'))
+            if action == "cancel":
+                client.cancel_job(job_id, location=location)
+            query_job = client.get_job(job_id, location=location)
+            return jsonify(job_status(query_job)), 200, headers
+        except (ValueError, KeyError, TypeError) as e:
+            return jsonify({"success": False, "error": f"Invalid or missing parameter: {e}"}), 400, headers
+        except NotFound:
+            return jsonify({"success": False, "error": "The query job was not found."}), 404, headers
+        except Exception as e:
+            print(f"An error occurred: {e}")
+            return jsonify({"success": False, "error": f"BigQuery job {action} failed: {e}"}), 500, headers
+
+    try:
+        limit = int(request_json['limit']) if request_json.get('limit') is not None else None
+        page_size = int(request_json.get('pageSize') or min(limit or 1000, MAX_PAGE_SIZE))
+        offset = int(request_json.get('offset', 0))
+
+        if limit is not None and limit <= 0:
+            return jsonify({"success": False, "error": "Limit must be a positive number."}), 400, headers
+
+        if page_size <= 0 or page_size > MAX_PAGE_SIZE:
+            return jsonify({"success": False, "error": f"Page size must be between 1 and {MAX_PAGE_SIZE}."}), 400, headers
+
+        if offset < 0:
+            return jsonify({"success": False, "error": "Offset must not be negative."}), 400, headers
+
+    except (ValueError, TypeError) as e:
+        return jsonify({"success": False, "error": f"Invalid paging parameter: {e}"}), 400, headers
+
+    # A dry run only reports how many bytes the query would scan. The byte cap
+    # makes BigQuery refuse the job instead of billing more than that.
+    dry_run = request_json.get('dryRun') is True
+    try:
+        maximum_bytes_billed = int(request_json['maximumBytesBilled']) if request_json.get('maximumBytesBilled') is not None else None
+        if maximum_bytes_billed is not None and maximum_bytes_billed <= 0:
+            raise ValueError("must be a positive number of bytes")
+    except (ValueError, TypeError) as e:
+        return jsonify({"success": False, "error": f"Invalid maximumBytesBilled: {e}"}), 400, headers
+
+    if action == "profile":
+        return run_profile(request_json, maximum_bytes_billed, headers)
+
+    # Later pages are read from the results table of the job that ran the first
+    # page, so the query is not executed (or billed) again.
+    if request_json.get('jobId'):
+        try:
+            job_id = sanitize_identifier(request_json['jobId'])
+            location = sanitize_identifier(request_json.get('location', 'US'))
+            query_job = client.get_job(job_id, location=location)
+            return jsonify(fetch_page(query_job, offset, page_size)), 200, headers
+        except ValueError as e:
+            return jsonify({"success": False, "error": f"Invalid or missing parameter: {e}"}), 400, headers
+        except NotFound:
+            return jsonify({"success": False, "error": "These query results have expired. Please run the query again."}), 410, headers
+        except Exception as e:
+            print(f"An error occurred: {e}")
+            return jsonify({"success": False, "error": f"BigQuery query failed: {e}"}), 500, headers
+
     try:
         project_id = sanitize_identifier(request_json['projectId'])
         dataset_id = sanitize_identifier(request_json['datasetId'])
         table_id = sanitize_identifier(request_json['tableId'])
-        columns = [sanitize_identifier(col) for col in request_json.get('columns', [])]
+        columns = [sanitize_identifier(col) for col in request_json.get('columns') or []]
         filters = request_json.get('filters', [])
-        limit = int(request_json.get('limit', 1000))
+        group_by = [sanitize_identifier(col) for col in request_json.get('groupBy') or []]
+        aggregates = [aggregate_expression(a) for a in request_json.get('aggregations') or []]
+        order_by = [(sanitize_identifier(s['column']), sanitize_direction(s.get('direction') or "ASC"))
+                    for s in request_json.get('orderBy') or []]
+        # A distinct-values lookup (filter suggestions) reads the non-NULL values
+        # of one column, optionally those starting with `prefix` in any case.
+        distinct = request_json.get('distinct') is True
+        prefix = request_json.get('prefix')
+        if distinct and (aggregates or group_by or len(columns) != 1):
+            return jsonify({"success": False, "error": "A distinct-values query takes exactly one column and no grouping."}), 400, headers
+        if prefix is not None and not (distinct and isinstance(prefix, str)):
+            return jsonify({"success": False, "error": "A prefix needs a distinct-values query and must be a string."}), 400, headers
 
-        if not columns:
+        if aggregates or group_by:
+            if not columns:
+                columns = group_by
+            ungrouped = [col for col in columns if col not in group_by]
+            if ungrouped:
+                return jsonify({"success": False, "error": f"Column(s) {', '.join(ungrouped)} must be grouped or aggregated."}), 400, headers
+        elif not columns:
             return jsonify({"success": False, "error": "At least one column must be selected."}), 400, headers
-        
-        if limit <= 0 or limit > 5000:
-             return jsonify({"success": False, "error": "Limit must be between 1 and 5000."}), 400, headers
+
+        output_columns = columns + [alias for _, alias in aggregates]
+        if len(set(output_columns)) != len(output_columns):
+            return jsonify({"success": False, "error": "Every output column and aggregate alias must be unique."}), 400, headers
+        unknown_sorts = [col for col, _ in order_by if col not in output_columns]
+        if unknown_sorts:
+            return jsonify({"success": False, "error": f"Cannot sort by {', '.join(unknown_sorts)}: not a returned column."}), 400, headers
 
     except (ValueError, KeyError, TypeError) as e:
         return jsonify({"success": False, "error": f"Invalid or missing parameter: {e}"}), 400, headers
 
-    table_ref = f"`{project_id}.{dataset_id}.{table_id}`"
-    select_clause = ", ".join([f"`{col}`" for col in columns])
-    query = f"SELECT {select_clause} FROM {table_ref}"
-    
     query_params = []
-    where_clauses = []
-
-    if filters:
-        for i, f in enumerate(filters):
-            try:
-                col = sanitize_identifier(f['column'])
-                op = sanitize_operator(f['operator'])
-                val = f['value']
-
-                if op in ["IN", "NOT IN"]:
-                    if isinstance(val, str):
-                        placeholders = ", ".join([f"@param_{i}_{j}" for j in range(len(val.split(',')))])
-                        where_clauses.append(f"`{col}` {op} ({placeholders})")
-                        for j, v in enumerate(val.split(',')):
-                           query_params.append(bigquery.ScalarQueryParameter(f'param_{i}_{j}', 'STRING', v.strip()))
-                    else:
-                         return jsonify({"success": False, "error": f"Value for IN/NOT IN operator must be a comma-separated string."}), 400, headers
-                else:
-                    where_clauses.append(f"`{col}` {op} @param_{i}")
-                    param_type = "STRING"
-                    if isinstance(val, bool): param_type = "BOOL"
-                    elif isinstance(val, int): param_type = "INT64"
-                    elif isinstance(val, float): param_type = "FLOAT64"
-                    query_params.append(bigquery.ScalarQueryParameter(f'param_{i}', param_type, val))
-
-            except (ValueError, KeyError, TypeError) as e:
-                return jsonify({"success": False, "error": f"Invalid filter configuration: {e}"}), 400, headers
+    try:
+        calculated = compile_calculated_columns(request_json, query_params)
+    except (ValueError, KeyError, TypeError, AttributeError, decimal.InvalidOperation) as e:
+        return jsonify({"success": False, "error": f"Invalid calculated column: {e}"}), 400, headers
+
+    table_ref = f"`{project_id}.{dataset_id}.{table_id}`"
+    select_clause = ", ".join([f"`{col}`" for col in columns] + [expression for expression, _ in aggregates])
+    query = f"SELECT {'DISTINCT ' if distinct else ''}{select_clause} FROM {from_source(table_ref, calculated)}"
+
+    # Top-level filters are combined with AND; groups inside them may use OR.
+    try:
+        if not isinstance(filters, list):
+            raise ValueError("Filters must be a list.")
+        where_clauses = [build_filter_clause(f, query_params) for f in filters]
+        if distinct:
+            where_clauses.append(f"`{columns[0]}` IS NOT NULL")
+        if prefix:
+            query_params.append(bigquery.ScalarQueryParameter("prefix", "STRING", prefix))
+            where_clauses.append(f"STARTS_WITH(LOWER(CAST(`{columns[0]}` AS STRING)), LOWER(@prefix))")
+    except (ValueError, KeyError, TypeError, AttributeError, decimal.InvalidOperation) as e:
+        return jsonify({"success": False, "error": f"Invalid filter configuration: {e}"}), 400, headers
     
     if where_clauses:
         query += " WHERE " + " AND ".join(where_clauses)
+
+    if group_by:
+        query += " GROUP BY " + ", ".join([f"`{col}`" for col in group_by])
+
+    if order_by:
+        query += " ORDER BY " + ", ".join([f"`{col}` {direction}" for col, direction in order_by])
         
-    query += f" LIMIT {limit}"
+    if limit is not None:
+        query += f" LIMIT {limit}"
 
     job_config = bigquery.QueryJobConfig(query_parameters=query_params)
+    if maximum_bytes_billed is not None:
+        job_config.maximum_bytes_billed = maximum_bytes_billed
 
     try:
+        if dry_run:
+            # Without the cache the estimate is what the query scans at most.
+            job_config.dry_run = True
+            job_config.use_query_cache = False
+            query_job = client.query(query, job_config=job_config)
+            return jsonify({"success": True, "dryRun": True, "bytesProcessed": query_job.total_bytes_processed}), 200, headers
+
         print(f"Executing query: {query}")
         query_job = client.query(query, job_config=job_config)
-        results = query_job.result()
-        data = [dict(row) for row in results]
-        return jsonify({"success": True, "data": data}), 200, headers
+        if action == "submit":
+            return jsonify(job_status(query_job)), 200, headers
+        return jsonify(fetch_page(query_job, offset, page_size)), 200, headers
 
+    except BadRequest as e:
+        if any(error.get('reason') == 'bytesBilledLimitExceeded' for error in e.errors or []):
+            return jsonify({"success": False, "error": f"The query was refused because it would bill more than the limit of {maximum_bytes_billed} bytes."}), 400, headers
+        print(f"An error occurred: {e}")
+        return jsonify({"success": False, "error": f"BigQuery query failed: {e}"}), 500, headers
     except Exception as e:
         print(f"An error occurred: {e}")
         return jsonify({"success": False, "error": f"BigQuery query failed: {e}"}), 500, headers
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { HelpCircle, Settings, ArrowRight, Plus, Trash2, Edit } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { HelpCircle, Settings, ArrowRight, Plus, Trash2, Edit, RefreshCw, ChevronLeft, ChevronRight, Download, Save, FolderOpen, Link, AlertTriangle, Loader2, XCircle, History, Upload, ArrowUp, ArrowDown, Pin, PinOff, Copy, Search, MoreVertical, Clock, Play, Pause, BarChart3 } from 'lucide-react';
 
 const getBackendUrl = () => {
     if (window.location.hostname.includes('run.app')) {
@@ -13,28 +13,1299 @@ const getBackendUrl = () => {
 
 const API_BASE_URL = getBackendUrl();
 
+// Column data types (as reported by the schema endpoint) grouped by the kind of
+// filter input they need.
+const NUMERIC_TYPES = ['INT64', 'NUMERIC', 'FLOAT64'];
+const FILTERABLE_TYPES = ['STRING', 'INT64', 'FLOAT64', 'NUMERIC', 'BOOL', 'DATE', 'DATETIME', 'TIMESTAMP', 'TIME'];
+
+const getInputKind = (dataType) => {
+    if (NUMERIC_TYPES.includes(dataType)) return 'number';
+    if (dataType === 'BOOL') return 'boolean';
+    if (dataType === 'DATE') return 'date';
+    if (dataType === 'DATETIME' || dataType === 'TIMESTAMP') return 'datetime-local';
+    if (dataType === 'TIME') return 'time';
+    return 'text';
+};
+
+// BigQuery returns JSON columns (source_details, access_policy) as strings.
+const parseJsonField = (value) => (typeof value === 'string' ? JSON.parse(value || 'null') : value) || {};
+
+// Filters form a tree: a group has `logic` (AND/OR) and `filters`, a condition
+// has column, operator and value. A path is the list of child indexes leading
+// from the root group to a node.
+const NO_VALUE_OPERATORS = ['IS NULL', 'IS NOT NULL'];
+const TEXT_OPERATORS = ['LIKE', 'CONTAINS', 'STARTS WITH'];
+// Operators taking a list of values, picked in a multi-select.
+const LIST_OPERATORS = ['IN', 'NOT IN'];
+// Group levels the builder allows below the root (the backend caps the tree at 5 levels).
+const MAX_FILTER_NESTING = 3;
+
+// The operators for a column type, limited to those the entity's source
+// system supports (its capabilities from /api/source-systems, once loaded).
+const operatorsFor = (dataType, capabilities) => {
+    const operators = dataType === 'BOOL'
+        ? ['=', '!=', ...NO_VALUE_OPERATORS]
+        : ['=', '!=', '>', '<', '>=', '<=', 'BETWEEN', 'IN', 'NOT IN', ...(dataType === 'STRING' ? TEXT_OPERATORS : []), ...NO_VALUE_OPERATORS];
+    return capabilities ? operators.filter(op => capabilities.operators.includes(op)) : operators;
+};
+
+// The tooltip of a column in the column pickers: its description and, for a
+// calculated column, the expression it is computed with.
+const columnTitle = (column) => {
+    const lines = [column.description, column.calculated ? `= ${column.expression}` : null].filter(Boolean);
+    return lines.length > 0 ? lines.join('\n') : undefined;
+};
+
+const defaultFilterValue = (column, operator = '=') => {
+    if (operator === 'BETWEEN') return ['', ''];
+    if (LIST_OPERATORS.includes(operator)) return [];
+    if (NO_VALUE_OPERATORS.includes(operator)) return '';
+    return column && column.data_type === 'BOOL' ? 'true' : '';
+};
+
+const updateFilterNode = (node, path, update) => {
+    if (path.length === 0) return update(node);
+    const [index, ...rest] = path;
+    return { ...node, filters: node.filters.map((child, i) => (i === index ? updateFilterNode(child, rest, update) : child)) };
+};
+
+const removeFilterNode = (root, path) => updateFilterNode(root, path.slice(0, -1), group => ({
+    ...group,
+    filters: group.filters.filter((_, i) => i !== path[path.length - 1])
+}));
+
+// Attaches the column type to every condition so the backend can bind typed
+// parameters. Empty groups are dropped; returns null when nothing is left.
+const toFilterPayload = (filter, columns) => {
+    if (filter.filters) {
+        const children = filter.filters.map(f => toFilterPayload(f, columns)).filter(Boolean);
+        return children.length > 0 ? { logic: filter.logic, filters: children } : null;
+    }
+    const column = columns.find(c => c.name === filter.column);
+    if (!column || !FILTERABLE_TYPES.includes(column.data_type)) {
+        return filter;
+    }
+    if (NO_VALUE_OPERATORS.includes(filter.operator)) {
+        return { column: filter.column, operator: filter.operator, type: column.data_type };
+    }
+    const toValue = (value) => {
+        if (getInputKind(column.data_type) === 'number' && value !== '') return Number(value);
+        if (column.data_type === 'BOOL') return value === true || value === 'true';
+        return value;
+    };
+    let value;
+    if (LIST_OPERATORS.includes(filter.operator)) {
+        value = [].concat(filter.value);
+    } else if (filter.operator === 'BETWEEN') {
+        value = filter.value.map(toValue);
+    } else {
+        value = TEXT_OPERATORS.includes(filter.operator) ? filter.value : toValue(filter.value);
+    }
+    return { ...filter, value, type: column.data_type };
+};
+
+// Aggregate functions offered in the Group & Aggregate step. SUM and AVG only
+// make sense on numeric columns; masked columns can only be counted.
+const AGGREGATE_FUNCTIONS = ['SUM', 'COUNT', 'COUNT DISTINCT', 'AVG', 'MIN', 'MAX'];
+
+const aggregateColumnsFor = (fn, columns) => {
+    if (fn === 'SUM' || fn === 'AVG') {
+        return columns.filter(c => NUMERIC_TYPES.includes(c.data_type) && !c.masking);
+    }
+    return fn.startsWith('COUNT') ? columns : columns.filter(c => !c.masking);
+};
+
+// Same default name the backend gives an aggregation without an alias.
+const aggregateAlias = (aggregation) =>
+    `${aggregation.function.toLowerCase().replace(' ', '_')}_${aggregation.column === '*' ? 'rows' : aggregation.column}`;
+
+// Same name the backend returns a column of a joined entity under: the plain
+// name, or "<entity>__<column>" when the queried entity has a column by that name.
+const joinedColumnName = (join, selectedColumns, column) =>
+    (selectedColumns.includes(column) ? `${join.entity}__${column}` : column);
+
+const JOIN_TYPES = [['INNER', 'Only matching rows (inner join)'], ['LEFT', 'All rows of this entity (left join)']];
+
+// Turns a stored query (the backend's normalized query model) back into
+// Query Builder state. References to columns listed in `missingColumns` are
+// dropped, together with filter groups left empty.
+const toBuilderState = (query, missingColumns = []) => {
+    const keep = (column) => !missingColumns.includes(column);
+    const toFilterNode = (node) => {
+        if (node.filters) {
+            const children = node.filters.map(toFilterNode).filter(Boolean);
+            return children.length > 0 ? { logic: node.logic, filters: children } : null;
+        }
+        if (!keep(node.column)) return null;
+        let value = '';
+        if (LIST_OPERATORS.includes(node.operator)) {
+            value = [].concat(node.value).map(String);
+        } else if (node.operator === 'BETWEEN') {
+            value = node.value.map(String);
+        } else if (!NO_VALUE_OPERATORS.includes(node.operator)) {
+            value = String(node.value);
+        }
+        return { column: node.column, operator: node.operator, value };
+    };
+    const aggregations = (query.aggregations || [])
+        .filter(a => a.column === '*' || keep(a.column))
+        .map(a => ({ function: a.function, column: a.column }));
+    const join = query.join
+        ? { ...query.join, on: query.join.on.filter(key => keep(key.left)), columns: query.join.columns || [] }
+        : null;
+    const outputs = [
+        ...(query.columns || []),
+        ...aggregations.map(aggregateAlias),
+        ...(join ? join.columns.map(c => joinedColumnName(join, query.columns || [], c)) : []),
+    ];
+    return {
+        selectedColumns: (query.columns || []).filter(keep),
+        filterTree: {
+            logic: 'AND',
+            filters: (query.filters || []).map(toFilterNode).filter(Boolean),
+        },
+        groupBy: (query.groupBy || []).filter(keep),
+        aggregations,
+        orderBy: (query.orderBy || []).filter(sort => outputs.includes(sort.column) && keep(sort.column)),
+        join,
+    };
+};
+
+const saveBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Saves a file download the backend streamed, under the name it suggested.
+const saveDownload = async (response, fallbackName) => {
+    const blob = await response.blob();
+    const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+    saveBlob(blob, match ? match[1] : fallbackName);
+};
+
+// The error of a 429 from the query routes, with how many seconds to wait
+// before trying again (from the body, or else the Retry-After header).
+const rateLimitError = (response, errorData) => {
+    const err = new Error(errorData.error || 'You are sending queries too quickly.');
+    err.retryAfterSeconds = Number(errorData.retryAfterSeconds || response.headers.get('Retry-After')) || 5;
+    return err;
+};
+
+const formatBytes = (bytes) => {
+    if (bytes === null || bytes === undefined) return '-';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+    let value = Number(bytes);
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+// Elapsed time as m:ss.
+const formatElapsed = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const formatAge = (seconds) => {
+    if (seconds < 60) return 'less than a minute';
+    if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+    return `${Math.round(seconds / 3600)} h`;
+};
+
+// Turns a cost estimate into the line shown above the Execute button, and
+// whether the backend is going to refuse the query.
+const describeCostEstimate = ({ bytesProcessed, maximumBytesBilled, quota }) => {
+    const parts = [`This query will scan ~${formatBytes(bytesProcessed)}.`];
+    let refused = false;
+    if (maximumBytesBilled) {
+        parts.push(`The limit for this entity is ${formatBytes(maximumBytesBilled)}.`);
+        refused = bytesProcessed > maximumBytesBilled;
+    }
+    if (quota) {
+        parts.push(`${formatBytes(quota.remaining)} of your daily quota of ${formatBytes(quota.limit)} is left.`);
+        refused = refused || bytesProcessed > quota.remaining;
+    }
+    return { text: parts.join(' '), refused };
+};
+
+// Drops blank optional fields from a source_details form, including nested
+// objects and lists left empty, so they are not sent as empty strings.
+const cleanSourceDetails = (value) => {
+    if (Array.isArray(value)) {
+        const items = value.map(cleanSourceDetails).filter(item => item !== undefined);
+        return items.length > 0 ? items : undefined;
+    }
+    const entries = Object.entries(value || {})
+        .map(([key, fieldValue]) => [key, fieldValue && typeof fieldValue === 'object' ? cleanSourceDetails(fieldValue) : fieldValue])
+        .filter(([, fieldValue]) => fieldValue !== undefined && fieldValue !== '' && fieldValue !== null);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+};
+
+// Renders the inputs for an object schema from /api/source-systems (see
+// backend/sourceDetails.js). `onChange` receives the updated object.
+const renderSchemaFields = (schema, value, onChange) => (
+    Object.entries(schema.properties || {}).map(([key, field]) => {
+        const fieldValue = value ? value[key] : undefined;
+        const setField = (newValue) => onChange({ ...(value || {}), [key]: newValue });
+        const label = `${field.title || key}${(schema.required || []).includes(key) ? ' *' : ''}`;
+        const inputClass = 'mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500';
+
+        if (field.type === 'object') {
+            return (
+                <fieldset key={key} className="border border-gray-200 rounded-md p-3 space-y-3">
+                    <legend className="px-1 text-sm font-medium text-gray-700">{label}</legend>
+                    {renderSchemaFields(field, fieldValue, setField)}
+                </fieldset>
+            );
+        }
+        if (field.type === 'array') {
+            const items = Array.isArray(fieldValue) ? fieldValue : [];
+            const setItem = (index) => (item) => setField(items.map((existing, i) => (i === index ? item : existing)));
+            return (
+                <fieldset key={key} className="border border-gray-200 rounded-md p-3 space-y-3">
+                    <legend className="px-1 text-sm font-medium text-gray-700">{label}</legend>
+                    {field.description && <p className="text-xs text-gray-500">{field.description}</p>}
+                    {items.map((item, index) => (
+                        <div key={index} className="bg-gray-50 border border-gray-200 rounded-md p-3 space-y-3">
+                            {renderSchemaFields(field.items, item, setItem(index))}
+                            <button type="button" onClick={() => setField(items.filter((_, i) => i !== index))} className="flex items-center text-sm text-red-600 hover:text-red-800 transition-colors">
+                                <Trash2 size={14} className="mr-1"/> Remove
+                            </button>
+                        </div>
+                    ))}
+                    {(field.maxItems === undefined || items.length < field.maxItems) && (
+                        <button type="button" onClick={() => setField([...items, {}])} className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 transition-colors">
+                            <Plus size={14} className="mr-1"/> Add
+                        </button>
+                    )}
+                </fieldset>
+            );
+        }
+        let input;
+        if (field.enum) {
+            input = (
+                <select value={fieldValue ?? ''} onChange={e => setField(e.target.value || undefined)} className={inputClass}>
+                    <option value="">—</option>
+                    {field.enum.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+            );
+        } else if (field.type === 'integer' || field.type === 'number') {
+            input = (
+                <input
+                    type="number"
+                    value={fieldValue ?? ''}
+                    min={field.minimum}
+                    max={field.maximum}
+                    step={field.type === 'integer' ? 1 : 'any'}
+                    onChange={e => setField(e.target.value === '' ? undefined : Number(e.target.value))}
+                    className={inputClass}
+                />
+            );
+        } else if (field.type === 'boolean') {
+            input = <input type="checkbox" checked={!!fieldValue} onChange={e => setField(e.target.checked)} className="mt-1 h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"/>;
+        } else {
+            input = <input type="text" value={fieldValue ?? ''} onChange={e => setField(e.target.value)} className={`${inputClass} font-mono`}/>;
+        }
+        return (
+            <div key={key}>
+                <label className="block text-sm font-medium text-gray-700">{label}</label>
+                {input}
+                {field.description && <p className="mt-1 text-xs text-gray-500">{field.description}</p>}
+            </div>
+        );
+    })
+);
+
+// Result visualizations: { type, dimension, measures, pivotColumn, aggregate },
+// kept with saved queries (see backend/savedQueries.js). Rows that share a
+// category are combined with `aggregate`. Charts are plain SVG with inline
+// styles, so a download looks the same as the chart on screen.
+const VISUALIZATION_TYPES = [['table', 'Table'], ['bar', 'Bar'], ['line', 'Line'], ['area', 'Area'], ['pie', 'Pie'], ['pivot', 'Pivot']];
+const VISUALIZATION_AGGREGATES = ['SUM', 'AVG', 'MIN', 'MAX', 'COUNT'];
+const CHART_COLORS = ['#4f46e5', '#0d9488', '#f59e0b', '#e11d48', '#0284c7', '#7c3aed', '#65a30d', '#db2777', '#475569', '#ea580c'];
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 400;
+const MAX_CHART_CATEGORIES = 50;
+
+const isMissing = (value) => value === null || value === undefined;
+const isNumericValue = (value) => !isMissing(value) && value !== '' && typeof value !== 'boolean' && Number.isFinite(Number(value));
+
+// The result columns that can be measures: every value is a number or NULL.
+const numericResultColumns = (rows, names) => names.filter(name =>
+    rows.some(row => !isMissing(row[name])) && rows.every(row => isMissing(row[name]) || isNumericValue(row[name])));
+
+const categoryLabel = (value) => {
+    if (isMissing(value)) return '(null)';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const combineValues = (values, aggregate) => {
+    const present = values.filter(value => !isMissing(value));
+    if (aggregate === 'COUNT') return present.length;
+    const numbers = present.filter(isNumericValue).map(Number);
+    if (numbers.length === 0) return null;
+    if (aggregate === 'MIN') return Math.min(...numbers);
+    if (aggregate === 'MAX') return Math.max(...numbers);
+    const sum = numbers.reduce((total, value) => total + value, 0);
+    return aggregate === 'AVG' ? sum / numbers.length : sum;
+};
+
+const formatChartValue = (value) => (isMissing(value) ? '' : Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 }));
+
+// Fills in what a visualization leaves open (or what no longer matches the
+// result columns, `names`) with the first suitable columns.
+const completeVisualization = (visualization, rows, names) => {
+    const numeric = numericResultColumns(rows, names);
+    const dimension = names.includes(visualization.dimension)
+        ? visualization.dimension
+        : names.find(name => !numeric.includes(name)) || names[0] || null;
+    let measures = (visualization.measures || []).filter(name => numeric.includes(name));
+    if (measures.length === 0) measures = numeric.filter(name => name !== dimension).slice(0, 1);
+    if (['pie', 'pivot'].includes(visualization.type)) measures = measures.slice(0, 1);
+    return {
+        type: visualization.type,
+        dimension,
+        measures,
+        pivotColumn: names.includes(visualization.pivotColumn) ? visualization.pivotColumn : null,
+        aggregate: visualization.aggregate || 'SUM',
+    };
+};
+
+// One point per category, in order of first appearance: [{ label, values }]
+// with a value per measure.
+const chartCategories = (rows, { dimension, measures, aggregate }) => {
+    const groups = new Map();
+    for (const row of rows) {
+        const label = categoryLabel(row[dimension]);
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(row);
+    }
+    return [...groups].map(([label, groupRows]) => ({
+        label,
+        values: measures.map(measure => combineValues(groupRows.map(row => row[measure]), aggregate)),
+    }));
+};
+
+// The cells of a pivot table: the dimension down, the pivot column across
+// (or just the measure without one), with totals.
+const pivotTable = (rows, { dimension, pivotColumn, measures, aggregate }) => {
+    const measure = measures[0];
+    const across = (row) => (pivotColumn ? categoryLabel(row[pivotColumn]) : measure);
+    const columnLabels = [...new Set(rows.map(across))];
+    const byRow = new Map();
+    for (const row of rows) {
+        const label = categoryLabel(row[dimension]);
+        if (!byRow.has(label)) byRow.set(label, []);
+        byRow.get(label).push(row);
+    }
+    const combine = (someRows) => combineValues(someRows.map(row => row[measure]), aggregate);
+    return {
+        columnLabels,
+        rows: [...byRow].map(([label, rowsOfRow]) => ({
+            label,
+            cells: columnLabels.map(column => combine(rowsOfRow.filter(row => across(row) === column))),
+            total: combine(rowsOfRow),
+        })),
+        totals: columnLabels.map(column => combine(rows.filter(row => across(row) === column))),
+        grandTotal: combine(rows),
+    };
+};
+
+// About five round steps between min and max, which include zero.
+const chartTicks = (min, max) => {
+    const low = Math.min(0, min);
+    const high = Math.max(0, max) === low ? low + 1 : Math.max(0, max);
+    const rough = (high - low) / 5;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 2.5, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+    const ticks = [];
+    for (let tick = Math.floor(low / step) * step; tick < high + step; tick += step) {
+        ticks.push(Number(tick.toPrecision(12)));
+        if (tick >= high) break;
+    }
+    return ticks;
+};
+
+const shortLabel = (label, length = 14) => (label.length > length ? `${label.slice(0, length - 1)}…` : label);
+
+const renderChartLegend = (names, y) => names.map((name, i) => (
+    <g key={name} transform={`translate(${70 + i * 150}, ${y})`}>
+        <rect width="12" height="12" fill={CHART_COLORS[i % CHART_COLORS.length]} rx="2"/>
+        <text x="18" y="10" fontSize="12" fill="#374151">{shortLabel(name, 20)}</text>
+    </g>
+));
+
+const renderPieChart = (categories, measure) => {
+    const slices = categories.filter(c => c.values[0] > 0);
+    const total = slices.reduce((sum, c) => sum + c.values[0], 0);
+    if (total === 0) {
+        return <text x={CHART_WIDTH / 2} y={CHART_HEIGHT / 2} fontSize="14" fill="#6b7280" textAnchor="middle">A pie chart needs positive values.</text>;
+    }
+    const radius = 150;
+    const cx = 220;
+    const cy = CHART_HEIGHT / 2;
+    let angle = -Math.PI / 2;
+    const point = (a) => `${cx + radius * Math.cos(a)} ${cy + radius * Math.sin(a)}`;
+    return (
+        <>
+            {slices.map((slice, i) => {
+                const share = slice.values[0] / total;
+                const start = angle;
+                angle += share * 2 * Math.PI;
+                const color = CHART_COLORS[i % CHART_COLORS.length];
+                const title = <title>{`${slice.label}: ${formatChartValue(slice.values[0])} (${(share * 100).toFixed(1)}%)`}</title>;
+                return share >= 0.9999
+                    ? <circle key={slice.label} cx={cx} cy={cy} r={radius} fill={color}>{title}</circle>
+                    : (
+                        <path key={slice.label} d={`M ${cx} ${cy} L ${point(start)} A ${radius} ${radius} 0 ${share > 0.5 ? 1 : 0} 1 ${point(angle)} Z`} fill={color} stroke="#ffffff" strokeWidth="1">
+                            {title}
+                        </path>
+                    );
+            })}
+            {slices.slice(0, 16).map((slice, i) => (
+                <g key={slice.label} transform={`translate(430, ${50 + i * 20})`}>
+                    <rect width="12" height="12" fill={CHART_COLORS[i % CHART_COLORS.length]} rx="2"/>
+                    <text x="18" y="10" fontSize="12" fill="#374151">
+                        {`${shortLabel(slice.label, 28)} — ${(slice.values[0] / total * 100).toFixed(1)}%`}
+                    </text>
+                </g>
+            ))}
+            {slices.length > 16 && <text x="430" y={50 + 16 * 20 + 10} fontSize="12" fill="#6b7280">{`and ${slices.length - 16} more`}</text>}
+            <text x="430" y="30" fontSize="13" fontWeight="600" fill="#111827">{measure}</text>
+        </>
+    );
+};
+
+const renderAxisChart = (type, categories, measures) => {
+    const margin = { top: 40, right: 20, bottom: 90, left: 80 };
+    const width = CHART_WIDTH - margin.left - margin.right;
+    const height = CHART_HEIGHT - margin.top - margin.bottom;
+    const values = categories.flatMap(c => c.values).filter(v => !isMissing(v));
+    const ticks = chartTicks(Math.min(...values, 0), Math.max(...values, 0));
+    const low = ticks[0];
+    const high = ticks[ticks.length - 1];
+    const y = (value) => margin.top + height - ((value - low) / (high - low)) * height;
+    const band = width / categories.length;
+    const x = (i) => margin.left + band * i + band / 2;
+    const labelEvery = Math.ceil(categories.length / 25);
+
+    const series = measures.map((measure, m) => {
+        const color = CHART_COLORS[m % CHART_COLORS.length];
+        if (type === 'bar') {
+            const barWidth = Math.max(1, (band * 0.8) / measures.length);
+            return categories.map((c, i) => (isMissing(c.values[m]) ? null : (
+                <rect
+                    key={`${measure}-${i}`}
+                    x={margin.left + band * i + band * 0.1 + barWidth * m}
+                    y={Math.min(y(c.values[m]), y(0))}
+                    width={barWidth}
+                    height={Math.abs(y(c.values[m]) - y(0))}
+                    fill={color}
+                >
+                    <title>{`${c.label} · ${measure}: ${formatChartValue(c.values[m])}`}</title>
+                </rect>
+            )));
+        }
+        const points = categories.map((c, i) => (isMissing(c.values[m]) ? null : [x(i), y(c.values[m])])).filter(Boolean);
+        const line = points.map(([px, py]) => `${px},${py}`).join(' ');
+        return (
+            <g key={measure}>
+                {type === 'area' && points.length > 0 && (
+                    <polygon points={`${points[0][0]},${y(0)} ${line} ${points[points.length - 1][0]},${y(0)}`} fill={color} fillOpacity="0.25"/>
+                )}
+                <polyline points={line} fill="none" stroke={color} strokeWidth="2"/>
+                {categories.length <= 60 && categories.map((c, i) => (isMissing(c.values[m]) ? null : (
+                    <circle key={i} cx={x(i)} cy={y(c.values[m])} r="3" fill={color}>
+                        <title>{`${c.label} · ${measure}: ${formatChartValue(c.values[m])}`}</title>
+                    </circle>
+                )))}
+            </g>
+        );
+    });
+
+    return (
+        <>
+            {renderChartLegend(measures, 12)}
+            {ticks.map(tick => (
+                <g key={tick}>
+                    <line x1={margin.left} x2={margin.left + width} y1={y(tick)} y2={y(tick)} stroke={tick === 0 ? '#9ca3af' : '#e5e7eb'}/>
+                    <text x={margin.left - 8} y={y(tick) + 4} fontSize="11" fill="#6b7280" textAnchor="end">{formatChartValue(tick)}</text>
+                </g>
+            ))}
+            {series}
+            {categories.map((c, i) => (i % labelEvery === 0 ? (
+                <text key={i} transform={`translate(${x(i)}, ${margin.top + height + 12}) rotate(-35)`} fontSize="11" fill="#374151" textAnchor="end">
+                    {shortLabel(c.label)}
+                </text>
+            ) : null))}
+        </>
+    );
+};
+
+// Draws a bar, line, area or pie chart of `rows`. `svgRef` gets the <svg>
+// element, for downloads.
+const renderChart = (visualization, rows, svgRef) => {
+    const categories = chartCategories(rows, visualization).slice(0, MAX_CHART_CATEGORIES);
+    const hasValues = categories.some(c => c.values.some(v => !isMissing(v)));
+    return (
+        <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} width="100%" fontFamily="ui-sans-serif, system-ui, sans-serif">
+            <rect width={CHART_WIDTH} height={CHART_HEIGHT} fill="#ffffff"/>
+            {!hasValues
+                ? <text x={CHART_WIDTH / 2} y={CHART_HEIGHT / 2} fontSize="14" fill="#6b7280" textAnchor="middle">Nothing to chart: pick a numeric measure.</text>
+                : visualization.type === 'pie'
+                    ? renderPieChart(categories, visualization.measures[0])
+                    : renderAxisChart(visualization.type, categories, visualization.measures)}
+        </svg>
+    );
+};
+
+const renderPivotTable = (visualization, rows) => {
+    const pivot = pivotTable(rows, visualization);
+    const cellClass = 'px-4 py-2 whitespace-nowrap text-sm text-right tabular-nums';
+    return (
+        <div className="overflow-x-auto max-h-[28rem]">
+            <table className="min-w-full divide-y divide-gray-200 border border-gray-200">
+                <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            {visualization.dimension}{visualization.pivotColumn ? ` / ${visualization.pivotColumn}` : ''}
+                        </th>
+                        {pivot.columnLabels.map(label => <th key={label} className="px-4 py-2 text-right text-xs font-medium text-gray-500 tracking-wider">{label}</th>)}
+                        {visualization.pivotColumn && <th className="px-4 py-2 text-right text-xs font-medium text-gray-700 uppercase tracking-wider">Total</th>}
+                    </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {pivot.rows.map(row => (
+                        <tr key={row.label} className="hover:bg-gray-50/70">
+                            <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{row.label}</td>
+                            {row.cells.map((value, i) => <td key={i} className={`${cellClass} text-gray-700`}>{formatChartValue(value)}</td>)}
+                            {visualization.pivotColumn && <td className={`${cellClass} font-semibold text-gray-900`}>{formatChartValue(row.total)}</td>}
+                        </tr>
+                    ))}
+                    <tr className="bg-gray-50">
+                        <td className="px-4 py-2 text-sm font-semibold text-gray-900">Total</td>
+                        {pivot.totals.map((value, i) => <td key={i} className={`${cellClass} font-semibold text-gray-900`}>{formatChartValue(value)}</td>)}
+                        {visualization.pivotColumn && <td className={`${cellClass} font-bold text-gray-900`}>{formatChartValue(pivot.grandTotal)}</td>}
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+// Downloads a chart as SVG, or as a PNG drawn at twice its size.
+const downloadChart = (svg, format, name) => {
+    const markup = new XMLSerializer().serializeToString(svg);
+    const svgBlob = new Blob([markup], { type: 'image/svg+xml;charset=utf-8' });
+    if (format === 'svg') {
+        saveBlob(svgBlob, `${name}.svg`);
+        return;
+    }
+    const url = URL.createObjectURL(svgBlob);
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = CHART_WIDTH * 2;
+        canvas.height = CHART_HEIGHT * 2;
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => saveBlob(blob, `${name}.png`), 'image/png');
+    };
+    image.src = url;
+};
+
+// The results grid. Only the rows scrolled into view (and a few either side)
+// are rendered, which needs every row to be GRID_ROW_HEIGHT tall.
+const GRID_ROW_HEIGHT = 36;
+const GRID_MAX_HEIGHT = 600;
+const GRID_OVERSCAN_ROWS = 10;
+const GRID_GUTTER_WIDTH = 64;
+const GRID_DEFAULT_COLUMN_WIDTH = 180;
+const GRID_MIN_COLUMN_WIDTH = 60;
+const DATE_TYPES = ['DATE', 'DATETIME', 'TIMESTAMP'];
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CHF', 'JPY', 'CNY', 'INR', 'CAD', 'AUD'];
+
+// The columns of a result set in the order the query asked for them, as the
+// backend's outputColumns lists them. Row objects do not keep that order (a
+// joined row is put together from both sides), so the query decides.
+const resultColumnNames = (query, rows) => {
+    const present = rows.length > 0 ? Object.keys(rows[0]) : [];
+    if (!query) return present;
+    const names = [
+        ...query.columns,
+        ...query.aggregations.map(aggregateAlias),
+        ...(query.join ? query.join.columns.map(c => joinedColumnName(query.join, query.columns, c)) : []),
+    ];
+    if (rows.length === 0) return names;
+    return [...names.filter(name => present.includes(name)), ...present.filter(name => !names.includes(name))];
+};
+
+// Result column types, from the schemas of the entity and the joined entity.
+// Masked columns hold text whatever their type.
+const resultColumnTypes = (query, entityColumns, joinEntityColumns) => {
+    const types = {};
+    const typeOf = column => (column.masking ? 'STRING' : column.data_type);
+    for (const column of entityColumns) types[column.name] = typeOf(column);
+    if (query && query.join) {
+        for (const column of joinEntityColumns) types[joinedColumnName(query.join, query.columns, column.name)] = typeOf(column);
+    }
+    for (const aggregation of query ? query.aggregations : []) {
+        const fn = aggregation.function;
+        types[aggregateAlias(aggregation)] = fn === 'COUNT' || fn === 'COUNT DISTINCT' ? 'INT64' : fn === 'AVG' ? 'FLOAT64' : types[aggregation.column];
+    }
+    return types;
+};
+
+// A value as plain text, the way it is copied to the clipboard.
+const cellText = (value) => {
+    if (isMissing(value)) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Intl formatters are slow to create, so they are kept by their options.
+const formatters = new Map();
+const cachedFormatter = (kind, options) => {
+    const key = `${kind}:${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+        formatters.set(key, kind === 'date' ? new Intl.DateTimeFormat(undefined, options) : new Intl.NumberFormat(undefined, options));
+    }
+    return formatters.get(key);
+};
+
+const FRACTION_DIGITS = { INT64: 0, FLOAT64: 6, NUMERIC: 9 };
+
+// Records and arrays are summarized in the cell; the whole value is in its tooltip.
+const summarizeNested = (value) => {
+    const short = v => (v !== null && typeof v === 'object' ? '…' : String(v));
+    if (Array.isArray(value)) {
+        return `[${value.slice(0, 5).map(short).join(', ')}${value.length > 5 ? `, … ${value.length} items` : ''}]`;
+    }
+    return `{ ${Object.entries(value).map(([key, v]) => `${key}: ${short(v)}`).join(', ')} }`;
+};
+
+/**
+ * The text a grid cell shows for a value that is not NULL. Numbers and dates
+ * follow the browser's locale unless the column's format says otherwise:
+ * { style: 'auto' | 'plain' | 'currency', currency }.
+ */
+const formatCell = (value, type, format = {}) => {
+    if (typeof value === 'object') return summarizeNested(value);
+    if (format.style === 'plain') return String(value);
+    const numeric = NUMERIC_TYPES.includes(type) || (!type && typeof value === 'number');
+    if (numeric && isNumericValue(value)) {
+        if (format.style === 'currency') {
+            return cachedFormatter('number', { style: 'currency', currency: format.currency || CURRENCY_CODES[0] }).format(value);
+        }
+        // Integers too large for a JavaScript number are formatted exactly.
+        const exact = type === 'INT64' && typeof value === 'string' && /^-?\d+$/.test(value) ? BigInt(value) : value;
+        return cachedFormatter('number', { maximumFractionDigits: FRACTION_DIGITS[type] ?? 6 }).format(exact);
+    }
+    if (DATE_TYPES.includes(type) && typeof value === 'string') {
+        // DATE and DATETIME have no time zone, so they are shown as they are
+        // stored; TIMESTAMPs are shown in the browser's time zone.
+        const date = new Date(type === 'DATE' ? `${value}T00:00:00Z` : type === 'DATETIME' ? `${value}Z` : value);
+        if (!Number.isNaN(date.getTime())) {
+            const options = type === 'DATE'
+                ? { dateStyle: 'medium', timeZone: 'UTC' }
+                : { dateStyle: 'medium', timeStyle: type === 'TIMESTAMP' ? 'long' : 'medium', ...(type === 'DATETIME' ? { timeZone: 'UTC' } : {}) };
+            return cachedFormatter('date', options).format(date);
+        }
+    }
+    return String(value);
+};
+
+// Orders two cell values for client-side sorting, NULLs first.
+const compareCells = (a, b, type) => {
+    if (isMissing(a) || isMissing(b)) return isMissing(a) === isMissing(b) ? 0 : isMissing(a) ? -1 : 1;
+    if ((NUMERIC_TYPES.includes(type) || (typeof a === 'number' && typeof b === 'number')) && isNumericValue(a) && isNumericValue(b)) {
+        return Number(a) - Number(b);
+    }
+    return cellText(a).localeCompare(cellText(b), undefined, { numeric: true });
+};
+
+// Rows as tab-separated text with a header line, which spreadsheets paste into cells.
+const rowsToTsv = (columns, rows) => [columns, ...rows.map(row => columns.map(column => cellText(row[column])))]
+    .map(values => values.map(value => value.replace(/[\t\r\n]+/g, ' ')).join('\t'))
+    .join('\n');
+
+/**
+ * One page of query results. Sorting and quick-find work on the rows of the
+ * page. The column layout (order, pins, widths and formats) is kept while
+ * paging; give the grid a new key when the columns change.
+ */
+const ResultsGrid = ({ rows, columns, types, offset }) => {
+    const [order, setOrder] = useState(columns);
+    const [pinned, setPinned] = useState([]);
+    const [widths, setWidths] = useState({});
+    const [formats, setFormats] = useState({});
+    const [sort, setSort] = useState([]); // [{ column, direction }]
+    const [search, setSearch] = useState('');
+    const [scrollTop, setScrollTop] = useState(0);
+    // Selections hold indexes into `rows`, so they survive sorting and searching.
+    const [selectedCell, setSelectedCell] = useState(null); // { row, column }
+    const [selectedRows, setSelectedRows] = useState([]);
+    const [settingsColumn, setSettingsColumn] = useState(null);
+    const [copyNote, setCopyNote] = useState(null);
+    const scroller = useRef(null);
+    const draggedColumn = useRef(null);
+    const lastClickedRow = useRef(null);
+
+    useEffect(() => {
+        setSelectedCell(null);
+        setSelectedRows([]);
+        setScrollTop(0);
+        if (scroller.current) scroller.current.scrollTop = 0;
+    }, [rows]);
+
+    useEffect(() => {
+        if (!copyNote) return undefined;
+        const timer = setTimeout(() => setCopyNote(null), 2500);
+        return () => clearTimeout(timer);
+    }, [copyNote]);
+
+    // The row indexes to show, searched and sorted.
+    const shownRows = useMemo(() => {
+        const needle = search.trim().toLowerCase();
+        let indexes = rows.map((_, index) => index);
+        if (needle) {
+            indexes = indexes.filter(index => columns.some(column => cellText(rows[index][column]).toLowerCase().includes(needle)));
+        }
+        if (sort.length > 0) {
+            indexes.sort((a, b) => {
+                for (const { column, direction } of sort) {
+                    const result = compareCells(rows[a][column], rows[b][column], types[column]);
+                    if (result !== 0) return direction === 'DESC' ? -result : result;
+                }
+                return a - b;
+            });
+        }
+        return indexes;
+    }, [rows, columns, types, search, sort]);
+
+    // Pinned columns come first and stay in view when scrolling sideways.
+    const shownColumns = [...order.filter(c => pinned.includes(c)), ...order.filter(c => !pinned.includes(c))];
+    const widthOf = column => widths[column] || GRID_DEFAULT_COLUMN_WIDTH;
+    const pinnedLeft = {};
+    let left = GRID_GUTTER_WIDTH;
+    for (const column of shownColumns.filter(c => pinned.includes(c))) {
+        pinnedLeft[column] = left;
+        left += widthOf(column);
+    }
+    const totalWidth = shownColumns.reduce((sum, column) => sum + widthOf(column), GRID_GUTTER_WIDTH);
+
+    const first = Math.max(0, Math.floor(scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN_ROWS);
+    const last = Math.min(shownRows.length, Math.ceil((scrollTop + GRID_MAX_HEIGHT) / GRID_ROW_HEIGHT) + GRID_OVERSCAN_ROWS);
+    const selectedRowSet = new Set(selectedRows);
+
+    // Click: sort by this column only, ascending, then descending, then not.
+    // Shift+click: add the column to the sort instead.
+    const toggleSort = (column, addToSort) => {
+        const current = sort.find(s => s.column === column);
+        const direction = !current ? 'ASC' : current.direction === 'ASC' ? 'DESC' : null;
+        const others = addToSort ? sort.filter(s => s.column !== column) : [];
+        if (!direction) {
+            setSort(others);
+        } else if (addToSort && current) {
+            setSort(sort.map(s => (s.column === column ? { column, direction } : s)));
+        } else {
+            setSort([...others, { column, direction }]);
+        }
+    };
+
+    const togglePin = column => setPinned(prev => (prev.includes(column) ? prev.filter(c => c !== column) : [...prev, column]));
+
+    // Drops a dragged column onto another one's place. It is pinned when that one is.
+    const moveColumn = (column, target) => {
+        if (!column || column === target) return;
+        setOrder((prev) => {
+            const next = prev.filter(c => c !== column);
+            next.splice(prev.indexOf(target), 0, column);
+            return next;
+        });
+        setPinned(prev => (pinned.includes(target) ? [...prev.filter(c => c !== column), column] : prev.filter(c => c !== column)));
+    };
+
+    const startResize = (event, column) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const startX = event.clientX;
+        const startWidth = widthOf(column);
+        const onMove = e => setWidths(prev => ({ ...prev, [column]: Math.max(GRID_MIN_COLUMN_WIDTH, startWidth + e.clientX - startX) }));
+        const onUp = () => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+        };
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    };
+
+    // Click: select the row. Ctrl/Cmd+click: add or remove it. Shift+click:
+    // select the rows from the last clicked one, in the order shown.
+    const selectRow = (index, event) => {
+        if (event.shiftKey && shownRows.includes(lastClickedRow.current)) {
+            const from = shownRows.indexOf(lastClickedRow.current);
+            const to = shownRows.indexOf(index);
+            setSelectedRows(shownRows.slice(Math.min(from, to), Math.max(from, to) + 1));
+            return;
+        }
+        lastClickedRow.current = index;
+        if (event.ctrlKey || event.metaKey) {
+            setSelectedRows(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+        } else {
+            setSelectedRows(prev => (prev.length === 1 && prev[0] === index ? [] : [index]));
+        }
+    };
+
+    const copyText = (text, note) => Promise.resolve()
+        .then(() => navigator.clipboard.writeText(text))
+        .then(() => setCopyNote(note), () => setCopyNote('Could not copy to the clipboard.'));
+
+    const copyCell = () => {
+        if (selectedCell) copyText(cellText(rows[selectedCell.row][selectedCell.column]), 'Copied the cell.');
+    };
+
+    const copyRows = () => {
+        const copied = shownRows.filter(index => selectedRowSet.has(index)).map(index => rows[index]);
+        copyText(rowsToTsv(shownColumns, copied), `Copied ${copied.length.toLocaleString()} row${copied.length === 1 ? '' : 's'} with column names.`);
+    };
+
+    const handleKeyDown = (event) => {
+        // Leave copying text selected with the mouse to the browser.
+        if ((event.ctrlKey || event.metaKey) && event.key === 'c' && !window.getSelection().toString()) {
+            event.preventDefault();
+            if (selectedRows.length > 0) copyRows(); else copyCell();
+        } else if (event.key === 'Escape') {
+            setSelectedRows([]);
+            setSelectedCell(null);
+        }
+    };
+
+    const settingsType = settingsColumn ? types[settingsColumn] : null;
+    const settingsFormat = (settingsColumn && formats[settingsColumn]) || { style: 'auto' };
+    const updateFormat = changes => setFormats(prev => ({ ...prev, [settingsColumn]: { ...settingsFormat, ...changes } }));
+    const toolButton = 'flex items-center px-2.5 py-1 text-sm font-medium rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors';
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+                <div className="relative">
+                    <Search size={16} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-gray-400"/>
+                    <input
+                        type="search"
+                        value={search}
+                        onChange={e => setSearch(e.target.value)}
+                        placeholder="Find on this page"
+                        className="pl-8 pr-3 py-1.5 text-sm border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                </div>
+                {search.trim() && (
+                    <span className="text-sm text-gray-500">{shownRows.length.toLocaleString()} of {rows.length.toLocaleString()} rows match</span>
+                )}
+                {sort.length > 0 && (
+                    <button onClick={() => setSort([])} className={toolButton}>
+                        <XCircle size={14} className="mr-1"/> Clear sort
+                    </button>
+                )}
+                <div className="flex items-center space-x-1 ml-auto">
+                    {copyNote && <span className="text-xs text-gray-500 mr-2">{copyNote}</span>}
+                    <button onClick={copyCell} disabled={!selectedCell} className={toolButton}>
+                        <Copy size={14} className="mr-1"/> Copy cell
+                    </button>
+                    <button onClick={copyRows} disabled={selectedRows.length === 0} className={toolButton}>
+                        <Copy size={14} className="mr-1"/> Copy {selectedRows.length > 1 ? `${selectedRows.length.toLocaleString()} rows` : 'row'}
+                    </button>
+                </div>
+            </div>
+            {settingsColumn && (
+                <div className="flex flex-wrap items-center gap-2 mb-3 px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg">
+                    <span className="font-semibold text-gray-800">{settingsColumn}</span>
+                    <span className="text-xs text-gray-500 mr-2">{settingsType || 'unknown type'}</span>
+                    <button onClick={() => setSort([{ column: settingsColumn, direction: 'ASC' }])} className={toolButton}><ArrowUp size={14} className="mr-1"/> Sort ascending</button>
+                    <button onClick={() => setSort([{ column: settingsColumn, direction: 'DESC' }])} className={toolButton}><ArrowDown size={14} className="mr-1"/> Sort descending</button>
+                    <button onClick={() => togglePin(settingsColumn)} className={toolButton}>
+                        {pinned.includes(settingsColumn) ? <><PinOff size={14} className="mr-1"/> Unpin</> : <><Pin size={14} className="mr-1"/> Pin</>}
+                    </button>
+                    {(NUMERIC_TYPES.includes(settingsType) || DATE_TYPES.includes(settingsType)) && (
+                        <label className="flex items-center text-gray-600">
+                            Format
+                            <select
+                                value={settingsFormat.style}
+                                onChange={e => updateFormat({ style: e.target.value })}
+                                className="ml-2 pl-2 pr-8 py-1 text-sm border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                            >
+                                <option value="auto">{DATE_TYPES.includes(settingsType) ? 'Local date' : 'Number'}</option>
+                                {NUMERIC_TYPES.includes(settingsType) && <option value="currency">Currency</option>}
+                                <option value="plain">As stored</option>
+                            </select>
+                        </label>
+                    )}
+                    {settingsFormat.style === 'currency' && (
+                        <select
+                            value={settingsFormat.currency || CURRENCY_CODES[0]}
+                            onChange={e => updateFormat({ currency: e.target.value })}
+                            className="pl-2 pr-8 py-1 text-sm border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                        >
+                            {CURRENCY_CODES.map(code => <option key={code} value={code}>{code}</option>)}
+                        </select>
+                    )}
+                    <button onClick={() => setSettingsColumn(null)} title="Close" className="ml-auto text-gray-400 hover:text-gray-600"><XCircle size={16}/></button>
+                </div>
+            )}
+            <div
+                ref={scroller}
+                tabIndex={0}
+                onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+                onKeyDown={handleKeyDown}
+                className="overflow-auto border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-200"
+                style={{ maxHeight: GRID_MAX_HEIGHT }}
+            >
+                <div style={{ width: totalWidth }}>
+                    <div className="flex sticky top-0 z-20 bg-gray-50 border-b border-gray-200" style={{ height: GRID_ROW_HEIGHT }}>
+                        <div className="sticky left-0 z-30 bg-gray-50 border-r border-gray-200" style={{ width: GRID_GUTTER_WIDTH, minWidth: GRID_GUTTER_WIDTH }}/>
+                        {shownColumns.map((column) => {
+                            const sortIndex = sort.findIndex(s => s.column === column);
+                            const isPinned = pinned.includes(column);
+                            return (
+                                <div
+                                    key={column}
+                                    draggable
+                                    onDragStart={() => { draggedColumn.current = column; }}
+                                    onDragOver={e => e.preventDefault()}
+                                    onDrop={() => moveColumn(draggedColumn.current, column)}
+                                    className={`relative flex items-center pl-3 pr-2 bg-gray-50 border-r border-gray-200 select-none ${isPinned ? 'sticky z-30' : ''}`}
+                                    style={{ width: widthOf(column), minWidth: widthOf(column), left: isPinned ? pinnedLeft[column] : undefined }}
+                                >
+                                    <button
+                                        onClick={e => toggleSort(column, e.shiftKey)}
+                                        title={`${column} (Shift+click to sort by more than one column)`}
+                                        className="flex flex-1 items-center min-w-0 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                                    >
+                                        <span className="truncate">{column.replace(/_/g, ' ')}</span>
+                                        {sortIndex >= 0 && (sort[sortIndex].direction === 'ASC' ? <ArrowUp size={12} className="ml-1 flex-shrink-0"/> : <ArrowDown size={12} className="ml-1 flex-shrink-0"/>)}
+                                        {sortIndex >= 0 && sort.length > 1 && <span className="text-[10px]">{sortIndex + 1}</span>}
+                                    </button>
+                                    {isPinned && <Pin size={12} className="ml-1 flex-shrink-0 text-indigo-500"/>}
+                                    <button
+                                        onClick={() => setSettingsColumn(settingsColumn === column ? null : column)}
+                                        title="Column settings"
+                                        className="ml-1 flex-shrink-0 text-gray-400 hover:text-gray-700"
+                                    >
+                                        <MoreVertical size={14}/>
+                                    </button>
+                                    <div
+                                        onMouseDown={e => startResize(e, column)}
+                                        onDoubleClick={() => setWidths(prev => ({ ...prev, [column]: undefined }))}
+                                        title="Drag to resize, double-click to reset"
+                                        className="absolute right-0 top-0 h-full w-1.5 cursor-col-resize hover:bg-indigo-300"
+                                    />
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <div style={{ height: first * GRID_ROW_HEIGHT }}/>
+                    {shownRows.slice(first, last).map((index) => {
+                        const row = rows[index];
+                        return (
+                            <div
+                                key={index}
+                                className={`flex border-b border-gray-100 ${selectedRowSet.has(index) ? 'bg-indigo-50' : 'bg-white hover:bg-gray-50'}`}
+                                style={{ height: GRID_ROW_HEIGHT }}
+                            >
+                                <div
+                                    onClick={e => selectRow(index, e)}
+                                    title="Select row (Shift for a range, Ctrl or Cmd to add)"
+                                    className="sticky left-0 z-10 flex items-center justify-end pr-3 text-xs text-gray-400 bg-inherit border-r border-gray-200 cursor-pointer select-none"
+                                    style={{ width: GRID_GUTTER_WIDTH, minWidth: GRID_GUTTER_WIDTH }}
+                                >
+                                    {(offset + index + 1).toLocaleString()}
+                                </div>
+                                {shownColumns.map((column) => {
+                                    const value = row[column];
+                                    const isPinned = pinned.includes(column);
+                                    const isSelected = selectedCell && selectedCell.row === index && selectedCell.column === column;
+                                    const alignRight = (NUMERIC_TYPES.includes(types[column]) || typeof value === 'number') && !(formats[column] && formats[column].style === 'plain');
+                                    return (
+                                        <div
+                                            key={column}
+                                            onClick={() => setSelectedCell({ row: index, column })}
+                                            title={isMissing(value) ? 'NULL' : typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value)}
+                                            className={`flex items-center px-3 text-sm text-gray-700 border-r border-gray-100 overflow-hidden whitespace-nowrap ${alignRight ? 'justify-end' : ''} ${isPinned ? 'sticky z-10 bg-inherit' : ''} ${isSelected ? 'ring-2 ring-inset ring-indigo-500' : ''}`}
+                                            style={{ width: widthOf(column), minWidth: widthOf(column), left: isPinned ? pinnedLeft[column] : undefined }}
+                                        >
+                                            {isMissing(value)
+                                                ? <span className="px-1.5 rounded bg-gray-100 text-xs italic text-gray-400">NULL</span>
+                                                : <span className="truncate">{formatCell(value, types[column], formats[column])}</span>}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        );
+                    })}
+                    <div style={{ height: (shownRows.length - last) * GRID_ROW_HEIGHT }}/>
+                </div>
+                {shownRows.length === 0 && <p className="text-center py-8 text-gray-500">No rows on this page match "{search.trim()}".</p>}
+            </div>
+            <p className="mt-2 text-xs text-gray-500">
+                Click a cell or a row number to select it, then press Ctrl+C (Cmd+C) to copy. Drag a column header to move it, or its right edge to resize it.
+            </p>
+        </div>
+    );
+};
+
+const SUGGESTION_LIMIT = 20;
+const SUGGESTION_DELAY_MS = 250;
+
+/**
+ * The value input of a filter condition, with suggestions from the column's
+ * distinct values. For IN and NOT IN it is a multi-select: `value` is a list
+ * of values shown as chips, and typing searches for more.
+ */
+const FilterValueInput = ({ entityName, column, operator, value, onChange, inputType, step, className }) => {
+    const isList = LIST_OPERATORS.includes(operator);
+    const [draft, setDraft] = useState('');
+    const [open, setOpen] = useState(false);
+    const [suggestions, setSuggestions] = useState({ values: [], complete: true });
+    const suggests = isList || (inputType === 'text' && operator !== 'LIKE');
+    const prefix = isList ? draft : String(value);
+
+    useEffect(() => {
+        if (!open || !suggests) return undefined;
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            const params = new URLSearchParams({ prefix: prefix.trim(), limit: SUGGESTION_LIMIT });
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/entities/${encodeURIComponent(entityName)}/columns/${encodeURIComponent(column)}/values?${params}`);
+                const result = response.ok ? await response.json() : { values: [], complete: true };
+                if (!cancelled) setSuggestions({ values: result.values.map(String), complete: result.complete });
+            } catch (err) {
+                // Suggestions are a convenience; the value can still be typed.
+                if (!cancelled) setSuggestions({ values: [], complete: true });
+            }
+        }, SUGGESTION_DELAY_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [open, suggests, entityName, column, prefix]);
+
+    const chosen = isList ? [].concat(value) : [];
+    const addValues = (text) => {
+        const added = text.split(',').map(v => v.trim()).filter(v => v && !chosen.includes(v));
+        if (added.length > 0) onChange([...chosen, ...added]);
+        setDraft('');
+    };
+    const pick = (picked) => {
+        if (isList) {
+            addValues(picked);
+        } else {
+            onChange(picked);
+            setOpen(false);
+        }
+    };
+    const shown = suggestions.values.filter(v => !chosen.includes(v) && v !== value);
+    const dropdown = open && suggests && (shown.length > 0 || !suggestions.complete) && (
+        <div className="absolute z-20 mt-1 w-full max-h-60 overflow-y-auto bg-white border border-gray-200 rounded-md shadow-lg">
+            {shown.map(v => (
+                <button
+                    key={v}
+                    type="button"
+                    // Keeps the focus in the input, which would otherwise close the list first.
+                    onMouseDown={e => e.preventDefault()}
+                    onClick={() => pick(v)}
+                    className="block w-full text-left px-3 py-1.5 text-sm font-mono text-gray-700 hover:bg-indigo-50"
+                >
+                    {v}
+                </button>
+            ))}
+            {!suggestions.complete && <p className="px-3 py-1.5 text-xs text-gray-500 border-t border-gray-100">More values exist. Keep typing to narrow them down.</p>}
+        </div>
+    );
+
+    if (!isList) {
+        return (
+            <div className="md:col-span-3 relative">
+                <input
+                    type={inputType}
+                    step={step}
+                    value={value}
+                    onChange={e => onChange(e.target.value)}
+                    onFocus={() => setOpen(true)}
+                    onBlur={() => setOpen(false)}
+                    placeholder={operator === 'LIKE' ? 'Pattern, e.g. ABC%' : 'Value'}
+                    className={className}
+                />
+                {dropdown}
+            </div>
+        );
+    }
+    return (
+        <div className="md:col-span-3 relative">
+            <div className="flex flex-wrap items-center gap-1 w-full min-h-[38px] px-2 py-1 bg-white border border-gray-300 rounded-md shadow-sm focus-within:ring-1 focus-within:ring-indigo-500 focus-within:border-indigo-500">
+                {chosen.map(v => (
+                    <span key={v} className="flex items-center px-2 py-0.5 text-xs font-mono bg-indigo-100 text-indigo-800 rounded-full">
+                        {v}
+                        <button type="button" onClick={() => onChange(chosen.filter(c => c !== v))} className="ml-1 text-indigo-500 hover:text-indigo-800" aria-label={`Remove ${v}`}>
+                            <XCircle size={12}/>
+                        </button>
+                    </span>
+                ))}
+                <input
+                    type="text"
+                    value={draft}
+                    onChange={e => setDraft(e.target.value)}
+                    onFocus={() => setOpen(true)}
+                    onBlur={() => {
+                        addValues(draft);
+                        setOpen(false);
+                    }}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter' || e.key === ',') {
+                            e.preventDefault();
+                            addValues(draft);
+                        } else if (e.key === 'Backspace' && draft === '' && chosen.length > 0) {
+                            onChange(chosen.slice(0, -1));
+                        }
+                    }}
+                    placeholder={chosen.length === 0 ? 'Type to search values' : ''}
+                    className="flex-1 min-w-[6rem] border-0 p-1 text-sm focus:ring-0 focus:outline-none"
+                />
+            </div>
+            {dropdown}
+        </div>
+    );
+};
+
+const JOB_POLL_INTERVAL_MS = 1000;
+
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_OUTCOMES = ['success', 'denied', 'rejected', 'error', 'aborted'];
+const OUTCOME_STYLES = {
+    success: 'bg-green-100 text-green-800',
+    denied: 'bg-red-100 text-red-800',
+    rejected: 'bg-amber-100 text-amber-800',
+    error: 'bg-red-100 text-red-800',
+    aborted: 'bg-gray-100 text-gray-700',
+};
+
+// Badge colours for source systems, by their position in /api/source-systems.
+const SOURCE_SYSTEM_STYLES = [
+    'bg-green-100 text-green-800',
+    'bg-yellow-100 text-yellow-800',
+    'bg-sky-100 text-sky-800',
+    'bg-purple-100 text-purple-800',
+];
+
+// Offered in the schedule dialog; any other cron expression can be typed in.
+const SCHEDULE_PRESETS = [
+    ['0 7 * * *', 'Every day at 07:00'],
+    ['0 7 * * 1-5', 'Weekdays at 07:00'],
+    ['0 7 * * 1', 'Mondays at 07:00'],
+    ['0 7 1 * *', 'On the 1st of every month at 07:00'],
+    ['0 * * * *', 'Every hour'],
+];
+const SCHEDULE_FORMATS = [['csv', 'CSV'], ['xlsx', 'Excel'], ['jsonl', 'JSON Lines']];
+const RUN_STATUS_STYLES = {
+    success: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    running: 'bg-sky-100 text-sky-800',
+    paused: 'bg-gray-100 text-gray-700',
+};
+
+const IMPORT_ACTION_STYLES = {
+    create: 'bg-green-100 text-green-800',
+    update: 'bg-amber-100 text-amber-800',
+    skip: 'bg-gray-100 text-gray-700',
+};
+
 const App = () => {
-  const [view, setView] = useState('query'); // 'query' or 'admin'
+  const [view, setView] = useState('query'); // 'query', 'schedules' or 'admin'
   const [config, setConfig] = useState([]);
   const [selectedEntity, setSelectedEntity] = useState(null);
   const [columns, setColumns] = useState([]);
   const [selectedColumns, setSelectedColumns] = useState([]);
-  const [filters, setFilters] = useState([]);
+  const [filterTree, setFilterTree] = useState({ logic: 'AND', filters: [] });
+  const [groupBy, setGroupBy] = useState([]);
+  const [aggregations, setAggregations] = useState([]);
+  const [orderBy, setOrderBy] = useState([]);
+  const [join, setJoin] = useState(null); // { entity, type, on: [{ left, right }], columns }
+  const [joinColumns, setJoinColumns] = useState([]);
   const [results, setResults] = useState(null);
+  // How results are shown besides the table: a chart or pivot table, or null.
+  const [visualization, setVisualization] = useState(null);
+  const chartRef = useRef(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [slowDown, setSlowDown] = useState(null); // { message, retryAfterSeconds } after a 429
+  const [currentUser, setCurrentUser] = useState(null);
+
+  // Paging state for the current result set
+  const [pageSize, setPageSize] = useState(1000);
+  const [activeQuery, setActiveQuery] = useState(null);
+  const [pageInfo, setPageInfo] = useState(null);
+  const [pageTokens, setPageTokens] = useState([]);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  // Dry-run estimate for the query in the builder: { bytesProcessed, maximumBytesBilled, quota } or { error }.
+  const [costEstimate, setCostEstimate] = useState(null);
+  const [runningJob, setRunningJob] = useState(null); // the query job being waited for
+  const [jobClock, setJobClock] = useState(Date.now());
+
+  // Saved queries. `savedQuery` is the one currently loaded into the builder.
+  const [savedQuery, setSavedQuery] = useState(null);
+  const [savedQueries, setSavedQueries] = useState([]);
+  const [saveDialogOpen, setSaveDialogOpen] = useState(false);
+  const [openDialogOpen, setOpenDialogOpen] = useState(false);
+  // A saved query waiting for its entity to be selected, and the ?saved= id from the URL.
+  const pendingSavedQuery = useRef(null);
+  const initialSavedId = useRef(new URLSearchParams(window.location.search).get('saved'));
+
+  // Scheduled queries. `scheduleDialog` is { schedule } while one is being
+  // created (schedule null, from the builder) or edited.
+  const [schedules, setSchedules] = useState(null);
+  const [showAllSchedules, setShowAllSchedules] = useState(false);
+  const [deliveryTargets, setDeliveryTargets] = useState([]);
+  const [scheduleDialog, setScheduleDialog] = useState(null);
+  const [scheduleRuns, setScheduleRuns] = useState(null); // { schedule, runs }
+  const [entityProfile, setEntityProfile] = useState(null); // { entity, profile }
 
   // Admin state
   const [adminModalOpen, setAdminModalOpen] = useState(false);
   const [editingEntity, setEditingEntity] = useState(null);
+  const [adminTab, setAdminTab] = useState('entities'); // 'entities' or 'audit'
+  const [auditFilters, setAuditFilters] = useState({ user: '', entity: '', from: '', to: '', outcome: '' });
+  const [auditLog, setAuditLog] = useState(null); // { records, offset, limit, hasMore }
+  const [exportingAuditFormat, setExportingAuditFormat] = useState(null);
+  const [entityHistory, setEntityHistory] = useState(null); // { entity_name, versions, diff }
+  const [sourceSystems, setSourceSystems] = useState([]); // [{ name, title, schema, capabilities }]
+  const [exportingConfigFormat, setExportingConfigFormat] = useState(null);
+  // A configuration bundle being imported: { fileName, text, contentType, conflict, report, running, done }
+  const [configImport, setConfigImport] = useState(null);
 
-  // MOCK_COLUMNS will be replaced by a real API call if schemas are available
-  const MOCK_COLUMNS = {
-    "Sales_Report": ["product_id", "sale_date", "amount", "region", "customer_id"],
-    "Inventory_Levels": ["product_id", "warehouse_id", "quantity_on_hand", "last_updated"],
-    "Legacy_Finance_Data": ["document_id", "posting_date", "amount_in_local_currency", "cost_center"]
+  // Rate limit refusals get the friendlier slow-down notice instead of the
+  // error banner.
+  const showError = (err) => {
+      if (err.retryAfterSeconds) {
+          setSlowDown({ message: err.message, retryAfterSeconds: err.retryAfterSeconds });
+      } else {
+          setError(err.message);
+      }
   };
 
+  // The slow-down notice goes away once the wait is over.
+  useEffect(() => {
+    if (!slowDown) return undefined;
+    const timer = setTimeout(() => setSlowDown(null), slowDown.retryAfterSeconds * 1000);
+    return () => clearTimeout(timer);
+  }, [slowDown]);
+
   const apiFetch = async (url, options = {}) => {
       setIsLoading(true);
       setError(null);
@@ -44,6 +1315,7 @@ const App = () => {
           const response = await fetch(url, options);
           if (!response.ok) {
               const errorData = await response.json().catch(() => ({ error: 'An unexpected error occurred. Please check the network logs.' }));
+              if (response.status === 429) throw rateLimitError(response, errorData);
               throw new Error(errorData.error || `Request failed with status ${response.status}`);
           }
           if (response.status === 204) { // No Content
@@ -52,7 +1324,7 @@ const App = () => {
           return response.json();
       } catch (err) {
           console.error("API Fetch Error:", err);
-          setError(err.message);
+          showError(err);
           throw err; // Re-throw to be caught by the calling function's catch block
       } finally {
           setIsLoading(false);
@@ -60,105 +1332,729 @@ const App = () => {
   };
 
 
-  const fetchConfig = useCallback(async () => {
+  const fetchConfig = useCallback(async () => {
+    try {
+        const data = await apiFetch(`${API_BASE_URL}/api/config`);
+        setConfig(data);
+    } catch (err) {
+        // Error state is already set by apiFetch
+        console.error("Failed to fetch config.");
+    }
+  }, []);
+
+  const fetchCurrentUser = useCallback(async () => {
+    try {
+        const data = await apiFetch(`${API_BASE_URL}/api/me`);
+        setCurrentUser(data);
+    } catch (err) {
+        console.error("Failed to fetch the current user.");
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCurrentUser();
+    fetchConfig();
+  }, [fetchCurrentUser, fetchConfig]);
+
+  const isAdmin = !!(currentUser && currentUser.is_admin);
+
+  // The source systems an entity can use: what the query builder offers for
+  // each, and the admin form for their source_details.
+  useEffect(() => {
+    apiFetch(`${API_BASE_URL}/api/source-systems`)
+      .then(setSourceSystems)
+      .catch(() => console.error("Failed to fetch the source systems."));
+  }, []);
+
+  const selectedSourceSystem = selectedEntity && sourceSystems.find(system => system.name === selectedEntity.source_of_system);
+  const capabilities = selectedSourceSystem ? selectedSourceSystem.capabilities : null;
+
+  const fetchSchema = useCallback(async (entityName, refresh = false) => {
+    setColumns([]);
+    try {
+        const data = await apiFetch(`${API_BASE_URL}/api/entities/${entityName}/schema${refresh ? '?refresh=true' : ''}`);
+        setColumns(data.columns);
+    } catch (err) {
+        // Error state is already set by apiFetch
+        console.error(`Failed to fetch schema for ${entityName}.`);
+    }
+  }, []);
+
+  // Loads the columns of the entity to join with.
+  const fetchJoinSchema = async (entityName) => {
+    setJoinColumns([]);
+    try {
+        const data = await apiFetch(`${API_BASE_URL}/api/entities/${entityName}/schema`);
+        setJoinColumns(data.columns);
+    } catch (err) {
+        // Error state is already set by apiFetch
+        console.error(`Failed to fetch schema for ${entityName}.`);
+    }
+  };
+
+  useEffect(() => {
+    if (selectedEntity) {
+      fetchSchema(selectedEntity.entity_name);
+      setSelectedColumns([]);
+      setJoin(null);
+      setJoinColumns([]);
+      setFilterTree({ logic: 'AND', filters: [] });
+      setGroupBy([]);
+      setAggregations([]);
+      setOrderBy([]);
+      setResults(null);
+      setActiveQuery(null);
+      setPageInfo(null);
+      setVisualization(null);
+
+      const pending = pendingSavedQuery.current;
+      if (pending && pending.entity_name === selectedEntity.entity_name) {
+        pendingSavedQuery.current = null;
+        const missingColumns = pending.issues.filter(i => i.type === 'missing_column').map(i => i.column);
+        const state = toBuilderState(pending.query, missingColumns);
+        setSelectedColumns(state.selectedColumns);
+        setFilterTree(state.filterTree);
+        setGroupBy(state.groupBy);
+        setAggregations(state.aggregations);
+        setOrderBy(state.orderBy);
+        setVisualization(pending.visualization || null);
+        if (state.join) {
+          setJoin(state.join);
+          fetchJoinSchema(state.join.entity);
+        }
+      }
+    }
+  }, [selectedEntity, fetchSchema]);
+
+  const handleEntityChange = (entityName) => {
+    const entity = config.find(c => c.entity_name === entityName);
+    if (savedQuery && savedQuery.entity_name !== entityName) {
+      setSavedQuery(null);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    setSelectedEntity(entity);
+  };
+
+  const handleColumnToggle = (columnName) => {
+    setSelectedColumns(prev =>
+      prev.includes(columnName)
+        ? prev.filter(c => c !== columnName)
+        : [...prev, columnName]
+    );
+  };
+
+  // Masked and hashed columns cannot be filtered on; the backend rejects it.
+  const filterableColumns = columns.filter(c => !c.masking);
+
+  const newCondition = () => ({ column: filterableColumns[0].name, operator: '=', value: defaultFilterValue(filterableColumns[0]) });
+
+  // Adds a condition to the group at `path` (the root group by default).
+  const handleAddFilter = (path = []) => {
+    if (filterableColumns.length > 0) {
+      setFilterTree(updateFilterNode(filterTree, path, group => ({ ...group, filters: [...group.filters, newCondition()] })));
+    }
+  };
+
+  const handleAddFilterGroup = (path = []) => {
+    if (filterableColumns.length > 0) {
+      const subgroup = { logic: 'OR', filters: [newCondition()] };
+      setFilterTree(updateFilterNode(filterTree, path, group => ({ ...group, filters: [...group.filters, subgroup] })));
+    }
+  };
+
+  const handleFilterLogicChange = (path, logic) => {
+    setFilterTree(updateFilterNode(filterTree, path, group => ({ ...group, logic })));
+  };
+
+  const handleFilterChange = (path, field, value) => {
+    setFilterTree(updateFilterNode(filterTree, path, (filter) => {
+      const updated = { ...filter, [field]: value };
+      const column = columns.find(c => c.name === updated.column);
+      if (field === 'column') {
+        // A different column may need a different kind of value and other operators.
+        if (!operatorsFor(column && column.data_type, capabilities).includes(updated.operator)) {
+          updated.operator = '=';
+        }
+        updated.value = defaultFilterValue(column, updated.operator);
+      } else if (field === 'operator') {
+        // Keep the value unless the operator needs a different shape (a range, a list or nothing).
+        const shape = (op) => (op === 'BETWEEN' ? 'range' : LIST_OPERATORS.includes(op) ? 'list' : NO_VALUE_OPERATORS.includes(op) ? 'none' : 'single');
+        if (shape(filter.operator) === 'single' && shape(value) === 'list') {
+          updated.value = filter.value === '' ? [] : [filter.value];
+        } else if (shape(filter.operator) === 'list' && shape(value) === 'single') {
+          updated.value = filter.value.length > 0 ? filter.value[0] : defaultFilterValue(column, value);
+        } else if (shape(filter.operator) !== shape(value)) {
+          updated.value = defaultFilterValue(column, value);
+        }
+      }
+      return updated;
+    }));
+  };
+
+  const handleRemoveFilter = (path) => {
+    setFilterTree(removeFilterNode(filterTree, path));
+  };
+
+  // Join keys and joined columns. Masked columns cannot be join keys, for the
+  // same reason they cannot be filtered on.
+  const handleJoinEntityChange = (entityName) => {
+    if (!entityName) {
+      setJoin(null);
+      setJoinColumns([]);
+    } else {
+      setJoin({ entity: entityName, type: 'INNER', on: [{ left: filterableColumns.length > 0 ? filterableColumns[0].name : '', right: '' }], columns: [] });
+      fetchJoinSchema(entityName);
+    }
+    setOrderBy(orderBy.filter(sort => selectedColumns.includes(sort.column)));
+  };
+
+  const handleJoinKeyChange = (index, side, value) => {
+    setJoin({ ...join, on: join.on.map((key, i) => (i === index ? { ...key, [side]: value } : key)) });
+  };
+
+  const handleAddJoinKey = () => {
+    setJoin({ ...join, on: [...join.on, { left: '', right: '' }] });
+  };
+
+  const handleRemoveJoinKey = (index) => {
+    setJoin({ ...join, on: join.on.filter((_, i) => i !== index) });
+  };
+
+  const handleJoinColumnToggle = (columnName) => {
+    setJoin({
+      ...join,
+      columns: join.columns.includes(columnName)
+        ? join.columns.filter(c => c !== columnName)
+        : [...join.columns, columnName]
+    });
+  };
+
+  // While grouping or aggregating, the results hold the group-by columns and
+  // one column per aggregation instead of the columns picked in step 2. A join
+  // adds the joined entity's columns after them.
+  const isSummarizing = groupBy.length > 0 || aggregations.length > 0;
+  const joinedOutputColumns = join ? join.columns.map(c => joinedColumnName(join, selectedColumns, c)) : [];
+  const outputColumns = isSummarizing
+    ? [...groupBy, ...aggregations.map(aggregateAlias)]
+    : [...selectedColumns, ...joinedOutputColumns];
+  // Sorting on a masked column would reveal the order of its clear values.
+  const maskedJoinedColumns = join ? joinColumns.filter(c => c.masking).map(c => joinedColumnName(join, selectedColumns, c.name)) : [];
+  const sortableColumns = outputColumns.filter(name =>
+    !maskedJoinedColumns.includes(name) && (joinedOutputColumns.includes(name) || !columns.some(c => c.name === name && c.masking)));
+
+  const handleGroupByToggle = (columnName) => {
+    setGroupBy(prev =>
+      prev.includes(columnName)
+        ? prev.filter(c => c !== columnName)
+        : [...prev, columnName]
+    );
+  };
+
+  const handleAddAggregation = () => {
+    setAggregations([...aggregations, { function: 'COUNT', column: '*' }]);
+  };
+
+  const handleAggregationChange = (index, field, value) => {
+    const newAggregations = [...aggregations];
+    newAggregations[index] = { ...newAggregations[index], [field]: value };
+    if (field === 'function') {
+      // Keep the column when the new function accepts it, otherwise pick the first one that fits.
+      const allowed = aggregateColumnsFor(value, columns).map(c => c.name);
+      const current = newAggregations[index].column;
+      const keep = current === '*' ? value === 'COUNT' : allowed.includes(current);
+      if (!keep) {
+        newAggregations[index].column = value === 'COUNT' ? '*' : (allowed[0] || '');
+      }
+    }
+    setAggregations(newAggregations);
+  };
+
+  const handleRemoveAggregation = (index) => {
+    setAggregations(aggregations.filter((_, i) => i !== index));
+  };
+
+  const handleAddSort = () => {
+    if (sortableColumns.length > 0) {
+      setOrderBy([...orderBy, { column: sortableColumns[0], direction: 'ASC' }]);
+    }
+  };
+
+  const handleSortChange = (index, field, value) => {
+    const newOrderBy = [...orderBy];
+    newOrderBy[index] = { ...newOrderBy[index], [field]: value };
+    setOrderBy(newOrderBy);
+  };
+
+  const handleRemoveSort = (index) => {
+    setOrderBy(orderBy.filter((_, i) => i !== index));
+  };
+
+
+  // Shows a page of results from a /api/query response body.
+  const showResultPage = (responseData, pageIndex) => {
+    if (responseData.success) {
+      setResults(responseData.data);
+      setPageInfo({
+        index: pageIndex,
+        totalRows: responseData.totalRows,
+        offset: responseData.offset,
+        nextPageToken: responseData.nextPageToken,
+        cached: responseData.cached,
+        cacheAgeSeconds: responseData.cacheAgeSeconds,
+        truncated: responseData.truncated
+      });
+      setPageTokens(prev => [...prev.slice(0, pageIndex), responseData.pageToken]);
+    } else {
+      // Use a more specific error from the backend if available
+      setError(responseData.error || "The query failed, but the server didn't provide a specific reason.");
+    }
+  };
+
+  // Runs a query payload, optionally resuming it at a page token, and records
+  // which page is being shown. Paging always reuses the payload of the last
+  // executed query, so editing the builder does not change the pages shown.
+  const runQuery = async (payload, pageToken = null, pageIndex = 0) => {
+    try {
+        const body = pageToken
+          ? { ...payload, query: { ...payload.query, pageToken } }
+          : payload;
+
+        const responseData = await apiFetch(`${API_BASE_URL}/api/query`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        showResultPage(responseData, pageIndex);
+    } catch (err) {
+      // Error state is set within apiFetch, no need to set it again
+    }
+  };
+
+  // Takes in the latest state of the running job: keeps waiting while it runs,
+  // and shows its first page or its error once it has ended.
+  const handleJobUpdate = (job) => {
+    if (job.state === 'running') {
+      setRunningJob({ ...job, startedAt: Date.now() - job.elapsedMs });
+      return;
+    }
+    setRunningJob(null);
+    if (job.state === 'done') {
+      showResultPage(job.result, 0);
+    } else if (job.state === 'failed') {
+      setError(job.error || "The query failed, but the server didn't provide a specific reason.");
+    }
+  };
+
+  // Starts a query from its first page as a backend job, which is then polled
+  // until it ends. `refresh` bypasses the backend's result cache.
+  const startQueryJob = async (payload, refresh = false) => {
+    try {
+        const job = await apiFetch(`${API_BASE_URL}/api/jobs${refresh ? '?refresh=true' : ''}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        setJobClock(Date.now());
+        handleJobUpdate(job);
+    } catch (err) {
+      // Error state is set within apiFetch, no need to set it again
+    }
+  };
+
+  // Polls the running job. Polls are plain fetches so they do not flip the
+  // global loading state; a poll answered after the job was cancelled is ignored.
+  useEffect(() => {
+    if (!runningJob) {
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+          const response = await fetch(`${API_BASE_URL}/api/jobs/${runningJob.id}`);
+          const data = await response.json().catch(() => ({}));
+          if (cancelled) return;
+          if (!response.ok) {
+            setRunningJob(null);
+            setError(data.error || `Request failed with status ${response.status}`);
+            return;
+          }
+          handleJobUpdate(data);
+      } catch (err) {
+          // A failed poll is retried with the next one.
+          if (!cancelled) setRunningJob(job => job && { ...job });
+      }
+    }, JOB_POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [runningJob]);
+
+  // Ticks the elapsed time shown in the running-job panel.
+  useEffect(() => {
+    if (!runningJob) {
+      return undefined;
+    }
+    const interval = setInterval(() => setJobClock(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [runningJob && runningJob.id]);
+
+  const cancelRunningJob = async () => {
+    try {
+        await apiFetch(`${API_BASE_URL}/api/jobs/${runningJob.id}`, { method: 'DELETE' });
+        setRunningJob(null);
+    } catch (err) {
+      // The job may have ended in the meantime; the next poll shows how.
+    }
+  };
+
+  // Returns why the builder's query cannot run yet, or null.
+  const validateBuilder = () => {
+    if (!selectedEntity || outputColumns.length === 0) {
+      return "Please select an entity and at least one column.";
+    }
+    if (aggregations.some(a => !a.column)) {
+      return "Please choose a column for every aggregation.";
+    }
+    if (join && isSummarizing) {
+      return "Joined queries cannot group or aggregate. Remove the join or the grouping.";
+    }
+    if (join && (join.on.length === 0 || join.on.some(key => !key.left || !key.right))) {
+      return "Please choose both key columns for every join condition.";
+    }
+    const staleSort = orderBy.find(s => !sortableColumns.includes(s.column));
+    if (staleSort) {
+      return `Cannot sort by '${staleSort.column}': it is not part of the results.`;
+    }
+    return null;
+  };
+
+  const buildQuery = () => ({
+    columns: isSummarizing ? groupBy : selectedColumns,
+    filters: [toFilterPayload(filterTree, columns)].filter(Boolean),
+    groupBy: groupBy,
+    aggregations: aggregations,
+    orderBy: orderBy,
+    ...(join ? { join: { entity: join.entity, type: join.type, on: join.on, columns: join.columns } } : {})
+  });
+
+  // Queries on sources with cost estimates (BigQuery) are dry-run while they
+  // are being built, so the builder can show what Execute would scan. The
+  // request waits until the builder settles.
+  const estimatePayload = capabilities && capabilities.costEstimates && !validateBuilder()
+    ? JSON.stringify({ entity: selectedEntity, query: buildQuery() })
+    : null;
+
+  useEffect(() => {
+    setCostEstimate(null);
+    if (!estimatePayload) {
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+          const response = await fetch(`${API_BASE_URL}/api/query/estimate`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: estimatePayload
+          });
+          const data = await response.json().catch(() => ({}));
+          if (!cancelled) {
+            setCostEstimate(response.ok ? data : { error: data.error || 'The cost estimate is not available.' });
+          }
+      } catch (err) {
+          if (!cancelled) {
+            setCostEstimate({ error: 'The cost estimate is not available.' });
+          }
+      }
+    }, 600);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [estimatePayload]);
+
+  const costSummary = costEstimate && !costEstimate.error ? describeCostEstimate(costEstimate) : null;
+
+  const executeQuery = async () => {
+    const builderError = validateBuilder();
+    if (builderError) {
+      setError(builderError);
+      return;
+    }
+    setResults(null); // Clear previous results
+    setPageTokens([]);
+
+    const payload = {
+      entity: selectedEntity,
+      query: { ...buildQuery(), pageSize: pageSize }
+    };
+    setActiveQuery(payload);
+    await startQueryJob(payload);
+  };
+
+  // Re-runs the last query from its first page, bypassing the result cache.
+  const refreshResults = () => {
+    setPageTokens([]);
+    startQueryJob(activeQuery, true);
+  };
+
+  const goToPage = (pageIndex) => {
+    const token = pageIndex > pageInfo.index ? pageInfo.nextPageToken : pageTokens[pageIndex];
+    runQuery(activeQuery, token, pageIndex);
+  };
+
+  const handlePageSizeChange = (newPageSize) => {
+    setPageSize(newPageSize);
+    if (activeQuery) {
+      // Re-read from the first row with the new page size, reusing the first page's token.
+      const payload = { ...activeQuery, query: { ...activeQuery.query, pageSize: newPageSize } };
+      setActiveQuery(payload);
+      runQuery(payload, pageTokens[0], 0);
+    }
+  };
+
+  // Downloads the complete result set of the last executed query. The backend
+  // streams the file, so it is fetched as a blob rather than through apiFetch.
+  const exportResults = async (format) => {
+    setExportingFormat(format);
+    setError(null);
     try {
-        const data = await apiFetch(`${API_BASE_URL}/api/config`);
-        setConfig(data);
+        const response = await fetch(`${API_BASE_URL}/api/query/export?format=${format}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(activeQuery)
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({ error: 'The export failed. Please check the network logs.' }));
+            if (response.status === 429) throw rateLimitError(response, errorData);
+            throw new Error(errorData.error || `Export failed with status ${response.status}`);
+        }
+        await saveDownload(response, `${activeQuery.entity.entity_name}.${format}`);
     } catch (err) {
-        // Error state is already set by apiFetch
-        console.error("Failed to fetch config.");
+        console.error("Export Error:", err);
+        showError(err);
+    } finally {
+        setExportingFormat(null);
     }
-  }, []);
+  };
 
-  useEffect(() => {
-    fetchConfig();
-  }, [fetchConfig]);
+  // Loads a saved query into the builder. Its entity is selected first; the
+  // query itself is applied once the entity change has reset the builder.
+  const openSavedQuery = useCallback(async (id) => {
+    try {
+        const data = await apiFetch(`${API_BASE_URL}/api/saved-queries/${encodeURIComponent(id)}`);
+        setSavedQuery(data);
+        setOpenDialogOpen(false);
+        window.history.replaceState(null, '', `?saved=${encodeURIComponent(data.id)}`);
+        const entity = config.find(c => c.entity_name === data.entity_name);
+        if (!entity || data.issues.some(i => i.type === 'missing_entity')) {
+          return;
+        }
+        pendingSavedQuery.current = data;
+        // A fresh object makes the entity effect run even when the entity is already selected.
+        setSelectedEntity({ ...entity });
+    } catch (err) {
+        console.error(`Failed to open saved query ${id}.`);
+    }
+  }, [config]);
 
+  // Opens the saved query named in the URL once the entity list is known.
   useEffect(() => {
-    if (selectedEntity) {
-      // In a real app, you might fetch schema/columns from the backend
-      setColumns(MOCK_COLUMNS[selectedEntity.entity_name] || []);
-      setSelectedColumns([]);
-      setFilters([]);
-      setResults(null);
+    if (config.length > 0 && initialSavedId.current) {
+      const id = initialSavedId.current;
+      initialSavedId.current = null;
+      openSavedQuery(id);
     }
-  }, [selectedEntity]);
+  }, [config, openSavedQuery]);
 
-  const handleEntityChange = (entityName) => {
-    const entity = config.find(c => c.entity_name === entityName);
-    setSelectedEntity(entity);
+  const handleShowSavedQueries = async () => {
+    try {
+        const data = await apiFetch(`${API_BASE_URL}/api/saved-queries`);
+        setSavedQueries(data);
+        setOpenDialogOpen(true);
+    } catch (err) {
+        console.error("Failed to list saved queries.");
+    }
   };
 
-  const handleColumnToggle = (columnName) => {
-    setSelectedColumns(prev =>
-      prev.includes(columnName)
-        ? prev.filter(c => c !== columnName)
-        : [...prev, columnName]
-    );
+  const handleShowSaveDialog = () => {
+    const builderError = validateBuilder();
+    if (builderError) {
+      setError(builderError);
+      return;
+    }
+    setSaveDialogOpen(true);
+  };
+
+  // Updates the loaded saved query when the user owns it, unless they ask for a copy.
+  const handleSaveQuery = async ({ name, description, visibility, asNew }) => {
+    const updating = savedQuery && savedQuery.is_owner && !asNew;
+    try {
+        const data = await apiFetch(updating
+            ? `${API_BASE_URL}/api/saved-queries/${encodeURIComponent(savedQuery.id)}`
+            : `${API_BASE_URL}/api/saved-queries`, {
+            method: updating ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, description, visibility, entity_name: selectedEntity.entity_name, query: buildQuery(), visualization: shownVisualization || visualization })
+        });
+        setSavedQuery(data);
+        setSaveDialogOpen(false);
+        window.history.replaceState(null, '', `?saved=${encodeURIComponent(data.id)}`);
+    } catch (err) {
+        // Error displayed by apiFetch
+    }
   };
 
-  const handleAddFilter = () => {
-    if (columns.length > 0) {
-      setFilters([...filters, { column: columns[0], operator: '=', value: '' }]);
+  const handleDeleteSavedQuery = async (saved) => {
+    if (window.confirm(`Delete the saved query "${saved.name}"?`)) {
+      try {
+          await apiFetch(`${API_BASE_URL}/api/saved-queries/${encodeURIComponent(saved.id)}`, { method: 'DELETE' });
+          setSavedQueries(savedQueries.filter(q => q.id !== saved.id));
+          if (savedQuery && savedQuery.id === saved.id) {
+            setSavedQuery(null);
+            window.history.replaceState(null, '', window.location.pathname);
+          }
+      } catch (err) {
+          // Error displayed by apiFetch
+      }
     }
   };
 
-  const handleFilterChange = (index, field, value) => {
-    const newFilters = [...filters];
-    newFilters[index][field] = value;
-    setFilters(newFilters);
+  const fetchSchedules = async (all = showAllSchedules) => {
+    try {
+        const [list, targets] = await Promise.all([
+            apiFetch(`${API_BASE_URL}/api/schedules${all ? '?all=true' : ''}`),
+            deliveryTargets.length > 0 ? deliveryTargets : apiFetch(`${API_BASE_URL}/api/schedules/targets`)
+        ]);
+        setSchedules(list);
+        setDeliveryTargets(targets);
+    } catch (err) {
+        console.error("Failed to list schedules.");
+    }
   };
 
-  const handleRemoveFilter = (index) => {
-    setFilters(filters.filter((_, i) => i !== index));
+  const showSchedules = () => {
+    setView('schedules');
+    fetchSchedules();
   };
 
+  const handleShowAllSchedulesChange = (all) => {
+    setShowAllSchedules(all);
+    fetchSchedules(all);
+  };
 
-  const executeQuery = async () => {
-    if (!selectedEntity || selectedColumns.length === 0) {
-      setError("Please select an entity and at least one column.");
+  // Schedules the query in the builder, as Execute would run it.
+  const handleShowScheduleDialog = async () => {
+    const builderError = validateBuilder();
+    if (builderError) {
+      setError(builderError);
       return;
     }
-    setResults(null); // Clear previous results
-
     try {
-        const payload = {
-          entity: selectedEntity,
-          query: {
-              columns: selectedColumns,
-              filters: filters,
-              limit: 1000
-          }
-        };
+        if (deliveryTargets.length === 0) {
+          setDeliveryTargets(await apiFetch(`${API_BASE_URL}/api/schedules/targets`));
+        }
+        setScheduleDialog({ schedule: null });
+    } catch (err) {
+        console.error("Failed to load the delivery targets.");
+    }
+  };
 
-        const responseData = await apiFetch(`${API_BASE_URL}/api/query`, {
-            method: 'POST',
+  // Creates a schedule for the builder's query, or updates the settings of an
+  // existing one; its query stays as it was scheduled.
+  const handleSaveSchedule = async (settings) => {
+    const existing = scheduleDialog.schedule;
+    try {
+        const data = await apiFetch(existing
+            ? `${API_BASE_URL}/api/schedules/${encodeURIComponent(existing.id)}`
+            : `${API_BASE_URL}/api/schedules`, {
+            method: existing ? 'PUT' : 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+            body: JSON.stringify({
+              ...settings,
+              entity_name: existing ? existing.entity_name : selectedEntity.entity_name,
+              query: existing ? existing.query : buildQuery()
+            })
         });
-
-        if (responseData.success) {
-          setResults(responseData.data);
-        } else {
-          // Use a more specific error from the backend if available
-          setError(responseData.error || "The query failed, but the server didn't provide a specific reason.");
+        setScheduleDialog(null);
+        if (schedules) {
+          setSchedules(existing ? schedules.map(s => (s.id === data.id ? data : s)) : [...schedules, data]);
         }
     } catch (err) {
-      // Error state is set within apiFetch, no need to set it again
+        // Error displayed by apiFetch
+    }
+  };
+
+  const handleSchedulePause = async (schedule, paused) => {
+    try {
+        const data = await apiFetch(`${API_BASE_URL}/api/schedules/${encodeURIComponent(schedule.id)}/${paused ? 'pause' : 'resume'}`, { method: 'POST' });
+        setSchedules(schedules.map(s => (s.id === data.id ? data : s)));
+    } catch (err) {
+        // Error displayed by apiFetch
+    }
+  };
+
+  // The run happens in the background; it shows up in the history once done.
+  const handleRunScheduleNow = async (schedule) => {
+    try {
+        await apiFetch(`${API_BASE_URL}/api/schedules/${encodeURIComponent(schedule.id)}/run`, { method: 'POST' });
+        setSchedules(schedules.map(s => (s.id === schedule.id ? { ...s, last_status: 'running' } : s)));
+    } catch (err) {
+        // Error displayed by apiFetch
+    }
+  };
+
+  const handleDeleteSchedule = async (schedule) => {
+    if (window.confirm(`Delete the schedule "${schedule.name}" and its run history?`)) {
+      try {
+          await apiFetch(`${API_BASE_URL}/api/schedules/${encodeURIComponent(schedule.id)}`, { method: 'DELETE' });
+          setSchedules(schedules.filter(s => s.id !== schedule.id));
+      } catch (err) {
+          // Error displayed by apiFetch
+      }
+    }
+  };
+
+  const showScheduleRuns = async (schedule) => {
+    try {
+        const runs = await apiFetch(`${API_BASE_URL}/api/schedules/${encodeURIComponent(schedule.id)}/runs`);
+        setScheduleRuns({ schedule, runs });
+    } catch (err) {
+        console.error(`Failed to load the runs of schedule ${schedule.id}.`);
     }
   };
 
+  // Column statistics and sample rows of an entity; `refresh` recomputes them.
+  const showEntityProfile = async (entity, refresh = false) => {
+    try {
+        const profile = await apiFetch(`${API_BASE_URL}/api/entities/${encodeURIComponent(entity.entity_name)}/profile${refresh ? '?refresh=true' : ''}`);
+        setEntityProfile({ entity, profile });
+    } catch (err) {
+        console.error(`Failed to profile entity ${entity.entity_name}.`);
+    }
+  };
+
+  const copySavedQueryLink = () => {
+    navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}?saved=${encodeURIComponent(savedQuery.id)}`);
+  };
+
   const handleSaveEntity = async (entityData) => {
       const isEditing = !!editingEntity;
       const url = isEditing
           ? `${API_BASE_URL}/api/config/${editingEntity.entity_name}`
           : `${API_BASE_URL}/api/config`;
       const method = isEditing ? 'PUT' : 'POST';
+      // The version the form was loaded from; the backend refuses the update
+      // with 412 if someone else saved the entity in the meantime.
+      const headers = isEditing
+          ? { 'Content-Type': 'application/json', 'If-Match': `"${editingEntity.version || 0}"` }
+          : { 'Content-Type': 'application/json' };
 
       try {
           await apiFetch(url, {
               method: method,
-              headers: { 'Content-Type': 'application/json' },
+              headers,
               body: JSON.stringify(entityData)
           });
           setAdminModalOpen(false);
@@ -169,15 +2065,35 @@ const App = () => {
       }
   };
 
+  // Checks that a source_details configuration can be read. Resolves to
+  // { ok, message } rather than setting the page-wide error, because the
+  // result is shown in the entity form.
+  const testSourceConnection = async (sourceSystem, sourceDetails) => {
+      try {
+          const response = await fetch(`${API_BASE_URL}/api/source-systems/${sourceSystem}/test`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ source_details: sourceDetails })
+          });
+          const data = await response.json().catch(() => ({}));
+          return { ok: response.ok, message: response.ok ? data.message : (data.error || 'The connection test failed.') };
+      } catch (err) {
+          return { ok: false, message: 'The connection test could not be run.' };
+      }
+  };
+
   const handleEditEntity = (entity) => {
       setEditingEntity(entity);
       setAdminModalOpen(true);
   };
 
-  const handleDeleteEntity = async (entityName) => {
-      if (window.confirm(`Are you sure you want to delete the entity "${entityName}"? This action cannot be undone.`)) {
+  const handleDeleteEntity = async (entity) => {
+      if (window.confirm(`Are you sure you want to delete the entity "${entity.entity_name}"? It can be restored from its history.`)) {
         try {
-            await apiFetch(`${API_BASE_URL}/api/config/${entityName}`, { method: 'DELETE' });
+            await apiFetch(`${API_BASE_URL}/api/config/${entity.entity_name}`, {
+                method: 'DELETE',
+                headers: { 'If-Match': `"${entity.version || 0}"` }
+            });
             fetchConfig(); // Refresh the list
         } catch(err) {
             // Error displayed by apiFetch
@@ -185,26 +2101,336 @@ const App = () => {
       }
   };
 
+  const showEntityHistory = async (entityName) => {
+      try {
+          const data = await apiFetch(`${API_BASE_URL}/api/config/${entityName}/history`);
+          setEntityHistory({ ...data, diff: null });
+      } catch (err) {
+          // Error displayed by apiFetch
+      }
+  };
+
+  // Compares a version with the one before it.
+  const showVersionDiff = async (version) => {
+      const params = new URLSearchParams({ from: version - 1, to: version });
+      try {
+          const diff = await apiFetch(`${API_BASE_URL}/api/config/${entityHistory.entity_name}/diff?${params}`);
+          setEntityHistory(prev => ({ ...prev, diff }));
+      } catch (err) {
+          // Error displayed by apiFetch
+      }
+  };
+
+  const rollBackEntity = async (version) => {
+      const entityName = entityHistory.entity_name;
+      if (!window.confirm(`Restore the configuration of "${entityName}" from version ${version}?`)) return;
+      const current = config.find(entity => entity.entity_name === entityName);
+      try {
+          await apiFetch(`${API_BASE_URL}/api/config/${entityName}/rollback`, {
+              method: 'POST',
+              headers: current
+                  ? { 'Content-Type': 'application/json', 'If-Match': `"${current.version || 0}"` }
+                  : { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ version })
+          });
+          await fetchConfig();
+          showEntityHistory(entityName);
+      } catch (err) {
+          // Error displayed by apiFetch
+      }
+  };
+
+  // Query string for the audit log endpoints, leaving out empty filters.
+  const auditQueryString = (extra = {}) => new URLSearchParams({
+    ...Object.fromEntries(Object.entries(auditFilters).filter(([, value]) => value)),
+    ...extra,
+  }).toString();
+
+  const fetchAuditLog = async (offset = 0) => {
+    try {
+        const data = await apiFetch(`${API_BASE_URL}/api/audit-log?${auditQueryString({ limit: AUDIT_PAGE_SIZE, offset })}`);
+        setAuditLog(data);
+    } catch (err) {
+        console.error("Failed to fetch the audit log.");
+    }
+  };
+
+  const handleAdminTabChange = (tab) => {
+    setAdminTab(tab);
+    if (tab === 'audit' && !auditLog) {
+      fetchAuditLog();
+    }
+  };
+
+  const handleAuditFilterChange = (field, value) => {
+    setAuditFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Downloads every audit record matching the current filters.
+  const exportAuditLog = async (format) => {
+    setExportingAuditFormat(format);
+    setError(null);
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/audit-log/export?${auditQueryString({ format })}`);
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({ error: 'The export failed. Please check the network logs.' }));
+            throw new Error(errorData.error || `Export failed with status ${response.status}`);
+        }
+        await saveDownload(response, `query_audit_log.${format}`);
+    } catch (err) {
+        console.error("Audit Export Error:", err);
+        setError(err.message);
+    } finally {
+        setExportingAuditFormat(null);
+    }
+  };
+
+  const exportConfig = async (format) => {
+    setExportingConfigFormat(format);
+    setError(null);
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/config/export?format=${format}`);
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({ error: 'The export failed. Please check the network logs.' }));
+            throw new Error(errorData.error || `Export failed with status ${response.status}`);
+        }
+        await saveDownload(response, `entities.${format}`);
+    } catch (err) {
+        console.error("Config Export Error:", err);
+        setError(err.message);
+    } finally {
+        setExportingConfigFormat(null);
+    }
+  };
+
+  // Sends the bundle being imported. The response carries the per-entity
+  // report also when the import is refused, so it is shown in the dialog.
+  const runConfigImport = async (bundle, dryRun) => {
+    setConfigImport({ ...bundle, running: true });
+    const params = new URLSearchParams({ dry_run: dryRun, conflict: bundle.conflict });
+    let report;
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/config/import?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': bundle.contentType },
+            body: bundle.text
+        });
+        report = await response.json().catch(() => ({ error: `The import failed with status ${response.status}.` }));
+    } catch (err) {
+        report = { error: 'The import could not be sent. Please check the network logs.' };
+    }
+    const done = !dryRun && !report.error;
+    setConfigImport({ ...bundle, report, running: false, done });
+    if (!dryRun) fetchConfig();
+  };
+
+  // Reads the chosen file and shows what importing it would do.
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Lets the same file be chosen again.
+    if (!file) return;
+    const text = await file.text();
+    const contentType = /\.ya?ml$/i.test(file.name) ? 'application/yaml' : 'application/json';
+    runConfigImport({ fileName: file.name, text, contentType, conflict: 'fail' }, true);
+  };
+
+  // Filter rows and groups are rendered by plain functions (not components) so
+  // their inputs keep focus while typing, like QueryBuilder itself.
+  const renderFilterCondition = (filter, path) => {
+    const column = columns.find(c => c.name === filter.column);
+    const inputKind = getInputKind(column && column.data_type);
+    const inputClassName = "block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500";
+    const step = inputKind === 'number' ? 'any' : (inputKind === 'datetime-local' || inputKind === 'time' ? '1' : undefined);
+    let valueInput;
+    if (NO_VALUE_OPERATORS.includes(filter.operator)) {
+      valueInput = <span className="md:col-span-3 text-sm text-gray-400 italic">No value needed</span>;
+    } else if (filter.operator === 'BETWEEN') {
+      valueInput = (
+        <div className="md:col-span-3 flex items-center space-x-2">
+          <input type={inputKind} step={step} value={filter.value[0]} onChange={e => handleFilterChange(path, 'value', [e.target.value, filter.value[1]])} placeholder="From" className={inputClassName}/>
+          <span className="text-sm text-gray-500">and</span>
+          <input type={inputKind} step={step} value={filter.value[1]} onChange={e => handleFilterChange(path, 'value', [filter.value[0], e.target.value])} placeholder="To" className={inputClassName}/>
+        </div>
+      );
+    } else if (inputKind === 'boolean') {
+      valueInput = (
+        <button
+          type="button"
+          role="switch"
+          aria-checked={filter.value === 'true'}
+          onClick={() => handleFilterChange(path, 'value', filter.value === 'true' ? 'false' : 'true')}
+          className="md:col-span-3 flex items-center space-x-3 py-2"
+        >
+          <span className={`relative inline-flex h-6 w-11 rounded-full transition-colors ${filter.value === 'true' ? 'bg-indigo-600' : 'bg-gray-300'}`}>
+            <span className={`absolute top-0.5 left-0.5 h-5 w-5 rounded-full bg-white shadow transition-transform ${filter.value === 'true' ? 'translate-x-5' : ''}`}/>
+          </span>
+          <span className="text-sm font-mono text-gray-700">{filter.value}</span>
+        </button>
+      );
+    } else {
+      const isText = TEXT_OPERATORS.includes(filter.operator);
+      valueInput = (
+        <FilterValueInput
+          entityName={selectedEntity.entity_name}
+          column={filter.column}
+          operator={filter.operator}
+          value={filter.value}
+          onChange={value => handleFilterChange(path, 'value', value)}
+          inputType={isText ? 'text' : inputKind}
+          step={isText ? undefined : step}
+          className={inputClassName}
+        />
+      );
+    }
+
+    return (
+      <div key={path.join('-')} className="grid grid-cols-1 md:grid-cols-9 gap-3 items-center p-3 bg-gray-50/80 rounded-lg">
+        <select
+          value={filter.column}
+          onChange={e => handleFilterChange(path, 'column', e.target.value)}
+          className="md:col-span-3 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+        >
+          {filterableColumns.map(col => <option key={col.name} value={col.name}>{col.name} ({col.data_type})</option>)}
+        </select>
+        <select
+          value={filter.operator}
+          onChange={e => handleFilterChange(path, 'operator', e.target.value)}
+          className="md:col-span-2 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+        >
+          {operatorsFor(column && column.data_type, capabilities).map(op => <option key={op} value={op}>{op}</option>)}
+        </select>
+        {valueInput}
+        <button onClick={() => handleRemoveFilter(path)} className="md:col-span-1 flex justify-center items-center text-red-500 hover:text-red-700 transition-colors">
+          <Trash2 size={20} />
+        </button>
+      </div>
+    );
+  };
+
+  const renderFilterGroup = (group, path) => {
+    const isRoot = path.length === 0;
+    return (
+      <div key={path.join('-') || 'root'} className={`space-y-3 ${isRoot ? '' : 'p-3 border-l-4 border-indigo-200 bg-indigo-50/40 rounded-lg'}`}>
+        {(!isRoot || group.filters.length > 1) && (
+          <div className="flex flex-wrap justify-between items-center gap-2">
+            <div className="flex items-center space-x-2 text-sm">
+              <span className="text-gray-500">Match</span>
+              {['AND', 'OR'].map(logic => (
+                <button
+                  key={logic}
+                  onClick={() => handleFilterLogicChange(path, logic)}
+                  className={`px-3 py-1 rounded-full transition-colors ${group.logic === logic ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                >
+                  {logic === 'AND' ? 'all (AND)' : 'any (OR)'}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center space-x-4 text-sm">
+              {!isRoot && (
+                <button onClick={() => handleAddFilter(path)} className="flex items-center text-teal-600 hover:text-teal-800 transition-colors">
+                  <Plus size={16} className="mr-1"/> Condition
+                </button>
+              )}
+              {!isRoot && path.length < MAX_FILTER_NESTING && (
+                <button onClick={() => handleAddFilterGroup(path)} className="flex items-center text-teal-600 hover:text-teal-800 transition-colors">
+                  <Plus size={16} className="mr-1"/> Group
+                </button>
+              )}
+              {!isRoot && (
+                <button onClick={() => handleRemoveFilter(path)} className="flex items-center text-red-500 hover:text-red-700 transition-colors">
+                  <Trash2 size={16} className="mr-1"/> Group
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+        {group.filters.map((child, index) => (child.filters
+          ? renderFilterGroup(child, [...path, index])
+          : renderFilterCondition(child, [...path, index])))}
+      </div>
+    );
+  };
+
   const QueryBuilder = () => (
     <div className="space-y-8">
       <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
-        <h2 className="text-2xl font-bold text-gray-800 mb-5">1. Select Data Entity</h2>
+        <div className="flex justify-between items-center mb-5">
+            <h2 className="text-2xl font-bold text-gray-800">1. Select Data Entity</h2>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={handleShowSavedQueries}
+                className="flex items-center px-4 py-2 bg-white text-indigo-600 font-semibold rounded-lg border border-indigo-500 shadow-sm hover:bg-indigo-50 transition-colors"
+              >
+                <FolderOpen size={18} className="mr-2"/> Open
+              </button>
+              <button
+                onClick={handleShowSaveDialog}
+                disabled={!selectedEntity}
+                className="flex items-center px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+              >
+                <Save size={18} className="mr-2"/> Save
+              </button>
+              <button
+                onClick={handleShowScheduleDialog}
+                disabled={!selectedEntity}
+                className="flex items-center px-4 py-2 bg-white text-indigo-600 font-semibold rounded-lg border border-indigo-500 shadow-sm hover:bg-indigo-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <Clock size={18} className="mr-2"/> Schedule
+              </button>
+            </div>
+        </div>
+        {savedQuery && (
+          <div className="mb-5 p-4 rounded-lg bg-indigo-50 border border-indigo-100">
+            <div className="flex flex-wrap justify-between items-center gap-2">
+              <p className="text-sm text-indigo-900">
+                <span className="font-semibold">{savedQuery.name}</span>
+                <span className="text-indigo-700"> · {savedQuery.visibility === 'shared' ? 'Shared' : 'Private'}{savedQuery.is_owner ? '' : ` · by ${savedQuery.owner}`}</span>
+              </p>
+              <button onClick={copySavedQueryLink} className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 transition-colors">
+                <Link size={16} className="mr-1"/> Copy link
+              </button>
+            </div>
+            {savedQuery.description && <p className="mt-1 text-sm text-gray-600">{savedQuery.description}</p>}
+            {savedQuery.issues && savedQuery.issues.length > 0 && (
+              <div className="mt-3 p-3 rounded-md bg-amber-50 border border-amber-200 text-sm text-amber-800">
+                <p className="flex items-center font-semibold"><AlertTriangle size={16} className="mr-2"/> This saved query no longer matches the configuration:</p>
+                <ul className="mt-1 ml-6 list-disc">
+                  {savedQuery.issues.map((issue, i) => <li key={i}>{issue.message}</li>)}
+                </ul>
+                {savedQuery.issues.some(i => i.type === 'missing_column') && <p className="mt-1">The missing columns were left out of the builder.</p>}
+              </div>
+            )}
+          </div>
+        )}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
           {config.map(c => (
-            <button
-              key={c.entity_name}
-              onClick={() => handleEntityChange(c.entity_name)}
-              className={`p-5 rounded-xl text-left transition-all duration-300 focus:outline-none focus:ring-4 focus:ring-offset-2 focus:ring-indigo-400 ${
-                selectedEntity?.entity_name === c.entity_name
-                  ? 'bg-indigo-600 text-white shadow-2xl transform -translate-y-1.5'
-                  : 'bg-gray-100 hover:bg-gray-200/70 text-gray-800'
-              }`}
-            >
-              <p className="font-bold text-lg">{c.display_name}</p>
-              <p className={`text-sm ${selectedEntity?.entity_name === c.entity_name ? 'text-indigo-200' : 'text-gray-500'}`}>
-                Source: {c.source_of_system}
-              </p>
-            </button>
+            <div key={c.entity_name} className="relative">
+              <button
+                onClick={() => handleEntityChange(c.entity_name)}
+                className={`w-full h-full p-5 pr-24 rounded-xl text-left transition-all duration-300 focus:outline-none focus:ring-4 focus:ring-offset-2 focus:ring-indigo-400 ${
+                  selectedEntity?.entity_name === c.entity_name
+                    ? 'bg-indigo-600 text-white shadow-2xl transform -translate-y-1.5'
+                    : 'bg-gray-100 hover:bg-gray-200/70 text-gray-800'
+                }`}
+              >
+                <p className="font-bold text-lg">{c.display_name}</p>
+                <p className={`text-sm ${selectedEntity?.entity_name === c.entity_name ? 'text-indigo-200' : 'text-gray-500'}`}>
+                  Source: {c.source_of_system}
+                </p>
+              </button>
+              <button
+                onClick={() => showEntityProfile(c)}
+                disabled={isLoading}
+                title="Column statistics and sample rows"
+                className={`absolute top-4 right-4 flex items-center px-2 py-1 text-xs font-medium rounded-md transition-all duration-300 disabled:opacity-50 ${
+                  selectedEntity?.entity_name === c.entity_name
+                    ? 'text-white bg-indigo-500 hover:bg-indigo-400 transform -translate-y-1.5'
+                    : 'text-indigo-600 bg-white hover:bg-indigo-50'
+                }`}
+              >
+                <BarChart3 size={14} className="mr-1"/> Profile
+              </button>
+            </div>
           ))}
         </div>
       </div>
@@ -212,177 +2438,666 @@ const App = () => {
       {selectedEntity && (
         <>
           <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
-            <h2 className="text-2xl font-bold text-gray-800 mb-5">2. Select Columns</h2>
+            <div className="flex justify-between items-center mb-5">
+                <h2 className="text-2xl font-bold text-gray-800">2. Select Columns</h2>
+                <button
+                  onClick={() => fetchSchema(selectedEntity.entity_name, true)}
+                  disabled={isLoading}
+                  className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 disabled:text-gray-400 transition-colors"
+                >
+                  <RefreshCw size={16} className="mr-1"/> Refresh schema
+                </button>
+            </div>
             <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
               {columns.map(col => (
                 <label
-                  key={col}
+                  key={col.name}
+                  title={columnTitle(col)}
                   className={`flex items-center space-x-3 p-3 rounded-lg cursor-pointer transition-colors duration-200 ${
-                    selectedColumns.includes(col) ? 'bg-indigo-100 text-indigo-900 font-semibold' : 'bg-gray-50 hover:bg-gray-100'
+                    selectedColumns.includes(col.name) ? 'bg-indigo-100 text-indigo-900 font-semibold' : 'bg-gray-50 hover:bg-gray-100'
                   }`}
                 >
                   <input
                     type="checkbox"
-                    checked={selectedColumns.includes(col)}
-                    onChange={() => handleColumnToggle(col)}
+                    checked={selectedColumns.includes(col.name)}
+                    onChange={() => handleColumnToggle(col.name)}
                     className="h-5 w-5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
                   />
-                  <span>{col}</span>
+                  <span className="min-w-0">
+                    <span className="block truncate">{col.name}</span>
+                    <span className="block text-xs font-normal text-gray-500 font-mono">
+                      {col.data_type}{col.calculated ? ' · calculated' : ''}{col.nullable ? '' : ' · required'}{col.masking ? ` · ${col.masking}ed` : ''}
+                    </span>
+                  </span>
                 </label>
               ))}
             </div>
+            {columns.length === 0 && !isLoading && <p className="text-center py-4 text-gray-500">No columns could be loaded for this entity.</p>}
+            {isSummarizing && <p className="mt-4 text-sm text-gray-500">While grouping or aggregating, the results show the group-by columns and aggregates from step 5.</p>}
+          </div>
+
+          <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
+            <div className="flex justify-between items-center mb-5">
+                <h2 className="text-2xl font-bold text-gray-800">3. Join with Another Entity (Optional)</h2>
+                {join && (
+                  <button
+                    onClick={handleAddJoinKey}
+                    className="flex items-center px-4 py-2 bg-teal-500 text-white font-semibold rounded-lg shadow-md hover:bg-teal-600 focus:outline-none focus:ring-2 focus:ring-teal-400 focus:ring-opacity-75 transition-transform transform hover:scale-105"
+                  >
+                    <Plus size={18} className="mr-2"/> Add Key
+                  </button>
+                )}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+              <select
+                value={join ? join.entity : ''}
+                onChange={e => handleJoinEntityChange(e.target.value)}
+                className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+              >
+                <option value="">No join</option>
+                {config.map(c => <option key={c.entity_name} value={c.entity_name}>{c.display_name} ({c.source_of_system})</option>)}
+              </select>
+              {join && (
+                <select
+                  value={join.type}
+                  onChange={e => setJoin({ ...join, type: e.target.value })}
+                  className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+                >
+                  {JOIN_TYPES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              )}
+            </div>
+            {join ? (
+              <>
+                <p className="text-sm font-medium text-gray-700 mb-2">Match rows where</p>
+                <div className="space-y-3 mb-5">
+                  {join.on.map((key, index) => (
+                    <div key={index} className="grid grid-cols-1 md:grid-cols-9 gap-3 items-center p-3 bg-gray-50/80 rounded-lg">
+                      <select
+                        value={key.left}
+                        onChange={e => handleJoinKeyChange(index, 'left', e.target.value)}
+                        className="md:col-span-4 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+                      >
+                        <option value="">{selectedEntity.display_name} column...</option>
+                        {filterableColumns.map(col => <option key={col.name} value={col.name}>{col.name} ({col.data_type})</option>)}
+                      </select>
+                      <span className="md:col-span-1 text-center text-sm text-gray-500">equals</span>
+                      <select
+                        value={key.right}
+                        onChange={e => handleJoinKeyChange(index, 'right', e.target.value)}
+                        className="md:col-span-3 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+                      >
+                        <option value="">{join.entity} column...</option>
+                        {joinColumns.filter(col => !col.masking).map(col => <option key={col.name} value={col.name}>{col.name} ({col.data_type})</option>)}
+                      </select>
+                      <button onClick={() => handleRemoveJoinKey(index)} className="md:col-span-1 flex justify-center items-center text-red-500 hover:text-red-700 transition-colors">
+                        <Trash2 size={20} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Columns from {join.entity}</p>
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                  {joinColumns.map(col => (
+                    <label
+                      key={col.name}
+                      title={columnTitle(col)}
+                      className={`flex items-center space-x-3 p-3 rounded-lg cursor-pointer transition-colors duration-200 ${
+                        join.columns.includes(col.name) ? 'bg-indigo-100 text-indigo-900 font-semibold' : 'bg-gray-50 hover:bg-gray-100'
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={join.columns.includes(col.name)}
+                        onChange={() => handleJoinColumnToggle(col.name)}
+                        className="h-5 w-5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                      />
+                      <span className="min-w-0">
+                        <span className="block truncate">{joinedColumnName(join, selectedColumns, col.name)}</span>
+                        <span className="block text-xs font-normal text-gray-500 font-mono">
+                          {col.data_type}{col.calculated ? ' · calculated' : ''}{col.masking ? ` · ${col.masking}ed` : ''}
+                        </span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                <p className="mt-4 text-sm text-gray-500">Both entities are read separately and joined by the backend, so the join works across source systems. Add filters to keep each side small.</p>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500">Combine these rows with another entity, for example migrated SCM data with Finance data still in SAP-BW, on matching key columns.</p>
+            )}
+          </div>
+
+          <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
+            <div className="flex justify-between items-center mb-5">
+                <h2 className="text-2xl font-bold text-gray-800">4. Add Filters (Optional)</h2>
+                <div className="flex items-center space-x-3">
+                  <button
+                    onClick={() => handleAddFilterGroup()}
+                    className="flex items-center px-4 py-2 bg-white text-teal-600 font-semibold rounded-lg border border-teal-500 shadow-sm hover:bg-teal-50 focus:outline-none focus:ring-2 focus:ring-teal-400 focus:ring-opacity-75 transition-colors"
+                  >
+                    <Plus size={18} className="mr-2"/> Add Group
+                  </button>
+                  <button
+                    onClick={() => handleAddFilter()}
+                    className="flex items-center px-4 py-2 bg-teal-500 text-white font-semibold rounded-lg shadow-md hover:bg-teal-600 focus:outline-none focus:ring-2 focus:ring-teal-400 focus:ring-opacity-75 transition-transform transform hover:scale-105"
+                  >
+                    <Plus size={18} className="mr-2"/> Add Filter
+                  </button>
+                </div>
+            </div>
+            {renderFilterGroup(filterTree, [])}
+          </div>
+
+          <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
+            <div className="flex justify-between items-center mb-5">
+                <h2 className="text-2xl font-bold text-gray-800">5. Group &amp; Aggregate (Optional)</h2>
+                {capabilities && capabilities.aggregation && !join && (
+                  <button
+                    onClick={handleAddAggregation}
+                    className="flex items-center px-4 py-2 bg-teal-500 text-white font-semibold rounded-lg shadow-md hover:bg-teal-600 focus:outline-none focus:ring-2 focus:ring-teal-400 focus:ring-opacity-75 transition-transform transform hover:scale-105"
+                  >
+                    <Plus size={18} className="mr-2"/> Add Aggregation
+                  </button>
+                )}
+            </div>
+            {!capabilities ? null : !capabilities.aggregation ? (
+              <p className="text-sm text-gray-500">{selectedEntity.source_of_system} entities do not support custom grouping; the source aggregates by the selected columns itself.</p>
+            ) : join ? (
+              <p className="text-sm text-gray-500">Joined queries cannot group or aggregate.</p>
+            ) : (
+              <>
+                <p className="text-sm font-medium text-gray-700 mb-2">Group by</p>
+                <div className="flex flex-wrap gap-2 mb-5">
+                  {columns.map(col => (
+                    <button
+                      key={col.name}
+                      onClick={() => handleGroupByToggle(col.name)}
+                      className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                        groupBy.includes(col.name) ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      {col.name}
+                    </button>
+                  ))}
+                </div>
+                <div className="space-y-4">
+                  {aggregations.map((aggregation, index) => (
+                    <div key={index} className="grid grid-cols-1 md:grid-cols-9 gap-3 items-center p-3 bg-gray-50/80 rounded-lg">
+                      <select
+                        value={aggregation.function}
+                        onChange={e => handleAggregationChange(index, 'function', e.target.value)}
+                        className="md:col-span-2 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+                      >
+                        {AGGREGATE_FUNCTIONS.map(fn => <option key={fn} value={fn}>{fn}</option>)}
+                      </select>
+                      <select
+                        value={aggregation.column}
+                        onChange={e => handleAggregationChange(index, 'column', e.target.value)}
+                        className="md:col-span-3 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+                      >
+                        {aggregation.function === 'COUNT' && <option value="*">* (all rows)</option>}
+                        {aggregateColumnsFor(aggregation.function, columns).map(col => <option key={col.name} value={col.name}>{col.name} ({col.data_type})</option>)}
+                      </select>
+                      <span className="md:col-span-3 text-sm text-gray-500 font-mono truncate">as {aggregateAlias(aggregation)}</span>
+                      <button onClick={() => handleRemoveAggregation(index)} className="md:col-span-1 flex justify-center items-center text-red-500 hover:text-red-700 transition-colors">
+                        <Trash2 size={20} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
           </div>
 
           <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
             <div className="flex justify-between items-center mb-5">
-                <h2 className="text-2xl font-bold text-gray-800">3. Add Filters (Optional)</h2>
+                <h2 className="text-2xl font-bold text-gray-800">6. Sort (Optional)</h2>
                 <button
-                  onClick={handleAddFilter}
-                  className="flex items-center px-4 py-2 bg-teal-500 text-white font-semibold rounded-lg shadow-md hover:bg-teal-600 focus:outline-none focus:ring-2 focus:ring-teal-400 focus:ring-opacity-75 transition-transform transform hover:scale-105"
+                  onClick={handleAddSort}
+                  disabled={sortableColumns.length === 0}
+                  className="flex items-center px-4 py-2 bg-teal-500 text-white font-semibold rounded-lg shadow-md hover:bg-teal-600 focus:outline-none focus:ring-2 focus:ring-teal-400 focus:ring-opacity-75 transition-transform transform hover:scale-105 disabled:bg-gray-300 disabled:cursor-not-allowed"
                 >
-                  <Plus size={18} className="mr-2"/> Add Filter
+                  <Plus size={18} className="mr-2"/> Add Sort
                 </button>
             </div>
             <div className="space-y-4">
-              {filters.map((filter, index) => (
+              {orderBy.map((sort, index) => (
                 <div key={index} className="grid grid-cols-1 md:grid-cols-9 gap-3 items-center p-3 bg-gray-50/80 rounded-lg">
+                  <span className="md:col-span-1 text-sm text-gray-500">{index === 0 ? 'Sort by' : 'then by'}</span>
                   <select
-                    value={filter.column}
-                    onChange={e => handleFilterChange(index, 'column', e.target.value)}
-                    className="md:col-span-3 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+                    value={sort.column}
+                    onChange={e => handleSortChange(index, 'column', e.target.value)}
+                    className="md:col-span-4 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
                   >
-                    {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                    {!sortableColumns.includes(sort.column) && <option value={sort.column}>{sort.column} (not in results)</option>}
+                    {sortableColumns.map(name => <option key={name} value={name}>{name}</option>)}
                   </select>
                   <select
-                    value={filter.operator}
-                    onChange={e => handleFilterChange(index, 'operator', e.target.value)}
-                    className="md:col-span-2 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+                    value={sort.direction}
+                    onChange={e => handleSortChange(index, 'direction', e.target.value)}
+                    className="md:col-span-3 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
                   >
-                    <option value="=">=</option>
-                    <option value="!=">!=</option>
-                    <option value=">">&gt;</option>
-                    <option value="<">&lt;</option>
-                    <option value=">=">&gt;=</option>
-                    <option value="<=">&lt;=</option>
-                    <option value="IN">IN</option>
-                    <option value="NOT IN">NOT IN</option>
+                    <option value="ASC">Ascending</option>
+                    <option value="DESC">Descending</option>
                   </select>
-                  <input
-                    type="text"
-                    value={filter.value}
-                    onChange={e => handleFilterChange(index, 'value', e.target.value)}
-                    placeholder="Value (comma-separated for IN)"
-                    className="md:col-span-3 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500"
-                  />
-                  <button onClick={() => handleRemoveFilter(index)} className="md:col-span-1 flex justify-center items-center text-red-500 hover:text-red-700 transition-colors">
+                  <button onClick={() => handleRemoveSort(index)} className="md:col-span-1 flex justify-center items-center text-red-500 hover:text-red-700 transition-colors">
                     <Trash2 size={20} />
                   </button>
                 </div>
               ))}
             </div>
+            {join && orderBy.length > 0 && (
+              <p className="mt-3 p-3 rounded-md bg-amber-50 border border-amber-200 text-sm text-amber-800">
+                Joined rows are sorted after joining, so a sorted join that would be cut off at the row limit is refused. Add filters if that happens.
+              </p>
+            )}
           </div>
 
-          <div className="flex justify-center pt-4">
-            <button
-              onClick={executeQuery}
-              disabled={isLoading}
-              className="flex items-center justify-center w-full md:w-auto px-16 py-4 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-bold text-xl rounded-xl shadow-lg hover:shadow-2xl focus:outline-none focus:ring-4 focus:ring-indigo-400 focus:ring-opacity-75 transition-all duration-300 transform hover:scale-105 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:shadow-none"
-            >
-              {isLoading ? (
-                  <>
-                    <svg className="animate-spin -ml-1 mr-3 h-6 w-6 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
-                    Executing...
-                  </>
-              ) : (
-                <>
-                  Execute Query <ArrowRight className="ml-4"/>
-                </>
+          {costEstimate && costEstimate.error && (
+            <p className="text-center text-sm text-gray-500">{costEstimate.error}</p>
+          )}
+          {costSummary && (
+            <div className={`flex items-center justify-center text-sm ${costSummary.refused ? 'text-red-700' : 'text-gray-600'}`}>
+              {costSummary.refused && <AlertTriangle size={16} className="mr-2 flex-shrink-0"/>}
+              {costSummary.text}
+            </div>
+          )}
+
+          {runningJob ? (
+            <div className="p-5 bg-indigo-50 border border-indigo-200 rounded-xl">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <Loader2 size={24} className="animate-spin text-indigo-600 mr-3"/>
+                  <div>
+                    <p className="font-semibold text-indigo-900">Running query on {runningJob.entity_name}</p>
+                    <p className="text-sm text-indigo-700">
+                      {formatElapsed(Math.max(0, jobClock - runningJob.startedAt))} elapsed
+                      {runningJob.progress !== null && ` · ${Math.round(runningJob.progress * 100)}% done`}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={cancelRunningJob}
+                  disabled={isLoading}
+                  className="flex items-center px-4 py-2 text-sm font-semibold rounded-md bg-white border border-red-200 text-red-700 hover:bg-red-50 disabled:opacity-50 transition-colors"
+                >
+                  <XCircle size={16} className="mr-1.5"/> Cancel
+                </button>
+              </div>
+              {runningJob.progress !== null && (
+                <div className="mt-3 h-1.5 bg-indigo-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-indigo-500 transition-all" style={{ width: `${Math.round(runningJob.progress * 100)}%` }}></div>
+                </div>
               )}
-            </button>
-          </div>
+            </div>
+          ) : (
+            <div className="flex justify-center pt-4">
+              <button
+                onClick={executeQuery}
+                disabled={isLoading}
+                className="flex items-center justify-center w-full md:w-auto px-16 py-4 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-bold text-xl rounded-xl shadow-lg hover:shadow-2xl focus:outline-none focus:ring-4 focus:ring-indigo-400 focus:ring-opacity-75 transition-all duration-300 transform hover:scale-105 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:shadow-none"
+              >
+                Execute Query <ArrowRight className="ml-4"/>
+              </button>
+            </div>
+          )}
         </>
       )}
     </div>
   );
   // ... (AdminView, AdminModal, ResultsTable components follow with similar styling enhancements)
   // ... (The rest of the component definitions would go here, restyled in a similar fashion)
-  const AdminView = () => (
-      <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
-        <div className="flex justify-between items-center mb-6">
-            <h2 className="text-3xl font-bold text-gray-800">Admin Configuration</h2>
-            <button
-                onClick={() => { setEditingEntity(null); setAdminModalOpen(true); }}
-                className="flex items-center px-5 py-2.5 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-75 transition-transform transform hover:scale-105"
-            >
-                <Plus size={20} className="mr-2"/> New Entity
+  const AuditLogView = () => {
+    const records = auditLog ? auditLog.records : [];
+    return (
+      <div>
+        <form
+            onSubmit={(e) => { e.preventDefault(); fetchAuditLog(0); }}
+            className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end mb-5"
+        >
+            <label className="text-sm text-gray-600">User
+                <input type="text" value={auditFilters.user} onChange={(e) => handleAuditFilterChange('user', e.target.value)} placeholder="name@example.com" className="mt-1 w-full p-2 border border-gray-300 rounded-md text-sm"/>
+            </label>
+            <label className="text-sm text-gray-600">Entity
+                <input type="text" list="audit-entities" value={auditFilters.entity} onChange={(e) => handleAuditFilterChange('entity', e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md text-sm font-mono"/>
+                <datalist id="audit-entities">
+                    {config.map(entity => <option key={entity.entity_name} value={entity.entity_name}>{entity.display_name}</option>)}
+                </datalist>
+            </label>
+            <label className="text-sm text-gray-600">From
+                <input type="date" value={auditFilters.from} onChange={(e) => handleAuditFilterChange('from', e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md text-sm"/>
+            </label>
+            <label className="text-sm text-gray-600">To
+                <input type="date" value={auditFilters.to} onChange={(e) => handleAuditFilterChange('to', e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md text-sm"/>
+            </label>
+            <label className="text-sm text-gray-600">Outcome
+                <select value={auditFilters.outcome} onChange={(e) => handleAuditFilterChange('outcome', e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md text-sm bg-white">
+                    <option value="">Any</option>
+                    {AUDIT_OUTCOMES.map(outcome => <option key={outcome} value={outcome}>{outcome}</option>)}
+                </select>
+            </label>
+            <button type="submit" disabled={isLoading} className="flex items-center justify-center px-4 py-2 bg-indigo-600 text-white text-sm font-semibold rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors">
+                <RefreshCw size={16} className="mr-1.5"/> Apply
             </button>
+        </form>
+        <div className="flex items-center justify-end space-x-2 mb-4">
+            <span className="text-sm text-gray-500 mr-1">Export matching records:</span>
+            {[['csv', 'CSV'], ['xlsx', 'Excel'], ['jsonl', 'JSON Lines']].map(([format, label]) => (
+              <button
+                key={format}
+                onClick={() => exportAuditLog(format)}
+                disabled={!!exportingAuditFormat}
+                className="flex items-center px-3 py-1.5 text-sm font-medium rounded-md bg-teal-50 text-teal-700 hover:bg-teal-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <Download size={16} className="mr-1.5"/> {exportingAuditFormat === format ? 'Preparing...' : label}
+              </button>
+            ))}
         </div>
         <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                     <tr>
-                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Display Name</th>
-                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entity Name</th>
-                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source System</th>
-                        <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                        {['Time', 'User', 'Action', 'Entity', 'Columns & Filters', 'Rows', 'Bytes', 'Duration', 'Outcome'].map(heading => (
+                            <th key={heading} scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                        ))}
                     </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                    {config.map(entity => (
-                        <tr key={entity.entity_name}>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{entity.display_name}</td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">{entity.entity_name}</td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm">
-                                <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${entity.source_of_system === 'SCM-BQ' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
-                                    {entity.source_of_system}
-                                </span>
+                    {records.map(record => (
+                        <tr key={record.id} className="hover:bg-gray-50/70 align-top">
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{record.timestamp ? new Date(record.timestamp).toLocaleString() : '-'}</td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{record.user_email}</td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{record.action}</td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                <div className="font-mono text-gray-700">{record.entity_name || '-'}</div>
+                                {record.source_system && <div className="text-xs text-gray-400">{record.source_system}</div>}
                             </td>
-                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                                <div className="flex items-center justify-end space-x-4">
-                                    <button onClick={() => handleEditEntity(entity)} className="text-indigo-600 hover:text-indigo-900 flex items-center transition-colors"><Edit size={16} className="mr-1"/> Edit</button>
-                                    <button onClick={() => handleDeleteEntity(entity.entity_name)} className="text-red-600 hover:text-red-900 flex items-center transition-colors"><Trash2 size={16} className="mr-1"/> Delete</button>
-                                </div>
+                            <td className="px-4 py-3 text-sm text-gray-600 max-w-xs">
+                                <div className="truncate font-mono" title={(record.columns || []).join(', ')}>{(record.columns || []).join(', ') || '-'}</div>
+                                {record.filters && record.filters.length > 0 && (
+                                    <div className="truncate text-xs text-gray-400 font-mono" title={JSON.stringify(record.filters)}>{JSON.stringify(record.filters)}</div>
+                                )}
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700 text-right">
+                                {record.row_count ?? '-'}
+                                {record.total_rows !== null && record.total_rows !== undefined && <span className="text-gray-400"> / {record.total_rows}</span>}
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700 text-right">{formatBytes(record.bytes_processed)}</td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700 text-right">{record.duration_ms} ms</td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                <span title={record.error_message || ''} className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${OUTCOME_STYLES[record.outcome] || 'bg-gray-100 text-gray-700'}`}>
+                                    {record.outcome}
+                                </span>
+                                {record.error_message && <div className="mt-1 text-xs text-gray-500 max-w-xs whitespace-normal">{record.error_message}</div>}
                             </td>
                         </tr>
                     ))}
                 </tbody>
             </table>
+            {auditLog && records.length === 0 && <p className="text-center py-8 text-gray-500">No audit records match these filters.</p>}
+        </div>
+        {auditLog && (auditLog.offset > 0 || auditLog.hasMore) && (
+          <div className="flex items-center justify-between mt-5 text-sm text-gray-600">
+            <span>Records {auditLog.offset + 1} - {auditLog.offset + records.length}</span>
+            <div className="flex items-center space-x-2">
+              <button onClick={() => fetchAuditLog(Math.max(0, auditLog.offset - AUDIT_PAGE_SIZE))} disabled={isLoading || auditLog.offset === 0} className="flex items-center px-3 py-1.5 rounded-md border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed">
+                <ChevronLeft size={16} className="mr-1"/> Newer
+              </button>
+              <button onClick={() => fetchAuditLog(auditLog.offset + AUDIT_PAGE_SIZE)} disabled={isLoading || !auditLog.hasMore} className="flex items-center px-3 py-1.5 rounded-md border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed">
+                Older <ChevronRight size={16} className="ml-1"/>
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const describeTarget = (schedule) => {
+    const target = deliveryTargets.find(t => t.name === schedule.target);
+    const title = target ? target.title : schedule.target;
+    return schedule.recipients.length > 0 ? `${title}: ${schedule.recipients.join(', ')}` : title;
+  };
+
+  const SchedulesView = () => (
+      <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
+        <div className="flex justify-between items-center mb-6">
+            <h2 className="text-3xl font-bold text-gray-800">Scheduled Queries</h2>
+            <div className="flex items-center space-x-4">
+              {isAdmin && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={showAllSchedules} onChange={(e) => handleShowAllSchedulesChange(e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"/>
+                  <span>Show everyone's schedules</span>
+                </label>
+              )}
+              <button onClick={() => fetchSchedules()} disabled={isLoading} className="flex items-center px-3 py-2 text-sm font-medium rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors">
+                <RefreshCw size={16} className="mr-1.5"/> Refresh
+              </button>
+            </div>
+        </div>
+        <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                    <tr>
+                        {['Name', 'Schedule', 'Delivery', 'Next Run', 'Last Run', 'Actions'].map(heading => (
+                            <th key={heading} scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {(schedules || []).map(schedule => {
+                        const isOwner = currentUser && schedule.owner === currentUser.email;
+                        return (
+                            <tr key={schedule.id} className="hover:bg-gray-50/70 align-top">
+                                <td className="px-4 py-3 text-sm">
+                                    <div className="font-semibold text-gray-900">{schedule.name}</div>
+                                    <div className="text-xs text-gray-500"><span className="font-mono">{schedule.entity_name}</span>{isOwner ? '' : ` · by ${schedule.owner}`}</div>
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                                    <div className="font-mono">{schedule.cron}</div>
+                                    <div className="text-xs text-gray-400">{schedule.time_zone}</div>
+                                </td>
+                                <td className="px-4 py-3 text-sm text-gray-700 max-w-xs">
+                                    <div className="truncate" title={describeTarget(schedule)}>{describeTarget(schedule)}</div>
+                                    <div className="text-xs text-gray-400">{schedule.format.toUpperCase()}{schedule.notify_on_failure ? ' · notifies on failure' : ''}</div>
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                                    {schedule.paused
+                                      ? <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${RUN_STATUS_STYLES.paused}`}>paused</span>
+                                      : (schedule.next_run_at ? new Date(schedule.next_run_at).toLocaleString() : '-')}
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                                    {schedule.last_status && (
+                                      <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${RUN_STATUS_STYLES[schedule.last_status] || 'bg-gray-100 text-gray-700'}`}>{schedule.last_status}</span>
+                                    )}
+                                    <div className="text-xs text-gray-400">{schedule.last_run_at ? new Date(schedule.last_run_at).toLocaleString() : 'Never run'}</div>
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
+                                    <div className="flex items-center space-x-3">
+                                      {isOwner && (
+                                        <button onClick={() => handleRunScheduleNow(schedule)} disabled={isLoading} className="text-indigo-600 hover:text-indigo-900 flex items-center disabled:opacity-50 transition-colors"><Play size={16} className="mr-1"/> Run now</button>
+                                      )}
+                                      <button onClick={() => handleSchedulePause(schedule, !schedule.paused)} disabled={isLoading} className="text-indigo-600 hover:text-indigo-900 flex items-center disabled:opacity-50 transition-colors">
+                                        {schedule.paused ? <><Play size={16} className="mr-1"/> Resume</> : <><Pause size={16} className="mr-1"/> Pause</>}
+                                      </button>
+                                      {isOwner && (
+                                        <button onClick={() => setScheduleDialog({ schedule })} className="text-indigo-600 hover:text-indigo-900 flex items-center transition-colors"><Edit size={16} className="mr-1"/> Edit</button>
+                                      )}
+                                      <button onClick={() => showScheduleRuns(schedule)} className="text-gray-600 hover:text-gray-900 flex items-center transition-colors"><History size={16} className="mr-1"/> History</button>
+                                      <button onClick={() => handleDeleteSchedule(schedule)} className="text-red-600 hover:text-red-900 flex items-center transition-colors"><Trash2 size={16} className="mr-1"/> Delete</button>
+                                    </div>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            {schedules && schedules.length === 0 && (
+              <p className="text-center py-8 text-gray-500">No scheduled queries yet. Build a query and click Schedule to have its results delivered regularly.</p>
+            )}
+        </div>
+        {scheduleRuns && <ScheduleRunsModal schedule={scheduleRuns.schedule} runs={scheduleRuns.runs} onRefresh={() => showScheduleRuns(scheduleRuns.schedule)} onClose={() => setScheduleRuns(null)} />}
+      </div>
+  );
+
+  const AdminView = () => (
+      <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
+        <div className="flex justify-between items-center mb-6">
+            <h2 className="text-3xl font-bold text-gray-800">Admin Configuration</h2>
+            {adminTab === 'entities' && (
+              <div className="flex items-center space-x-2">
+                {[['json', 'Export JSON'], ['yaml', 'Export YAML']].map(([format, label]) => (
+                  <button
+                    key={format}
+                    onClick={() => exportConfig(format)}
+                    disabled={!!exportingConfigFormat}
+                    className="flex items-center px-3 py-2.5 text-sm font-medium rounded-lg bg-teal-50 text-teal-700 hover:bg-teal-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Download size={16} className="mr-1.5"/> {exportingConfigFormat === format ? 'Preparing...' : label}
+                  </button>
+                ))}
+                <label className="flex items-center px-3 py-2.5 text-sm font-medium rounded-lg bg-teal-50 text-teal-700 hover:bg-teal-100 cursor-pointer transition-colors">
+                  <Upload size={16} className="mr-1.5"/> Import
+                  <input type="file" accept=".json,.yaml,.yml" onChange={handleImportFile} className="hidden"/>
+                </label>
+                <button
+                    onClick={() => { setEditingEntity(null); setAdminModalOpen(true); }}
+                    className="flex items-center px-5 py-2.5 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-75 transition-transform transform hover:scale-105"
+                >
+                    <Plus size={20} className="mr-2"/> New Entity
+                </button>
+              </div>
+            )}
+        </div>
+        <div className="flex space-x-2 mb-6 border-b border-gray-200">
+            {[['entities', 'Entities'], ['audit', 'Audit Log']].map(([tab, label]) => (
+                <button
+                    key={tab}
+                    onClick={() => handleAdminTabChange(tab)}
+                    className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${adminTab === tab ? 'border-indigo-600 text-indigo-700' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+                >
+                    {label}
+                </button>
+            ))}
         </div>
-        {adminModalOpen && <AdminModal entity={editingEntity} onSave={handleSaveEntity} onClose={() => setAdminModalOpen(false)} />}
+        {adminTab === 'entities' ? (
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Display Name</th>
+                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entity Name</th>
+                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source System</th>
+                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Access</th>
+                            <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {config.map(entity => (
+                            <tr key={entity.entity_name}>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{entity.display_name}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">{entity.entity_name}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                    <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${SOURCE_SYSTEM_STYLES[sourceSystems.findIndex(system => system.name === entity.source_of_system)] || 'bg-gray-100 text-gray-700'}`}>
+                                        {entity.source_of_system}
+                                    </span>
+                                </td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                    {(parseJsonField(entity.access_policy).allowed_principals || []).length > 0
+                                        ? `${parseJsonField(entity.access_policy).allowed_principals.length} principal(s)`
+                                        : 'All users'}
+                                </td>
+                                <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                    <div className="flex items-center justify-end space-x-4">
+                                        <button onClick={() => handleEditEntity(entity)} className="text-indigo-600 hover:text-indigo-900 flex items-center transition-colors"><Edit size={16} className="mr-1"/> Edit</button>
+                                        <button onClick={() => showEntityHistory(entity.entity_name)} className="text-gray-600 hover:text-gray-900 flex items-center transition-colors"><History size={16} className="mr-1"/> History</button>
+                                        <button onClick={() => handleDeleteEntity(entity)} className="text-red-600 hover:text-red-900 flex items-center transition-colors"><Trash2 size={16} className="mr-1"/> Delete</button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        ) : AuditLogView()}
+        {adminModalOpen && <AdminModal entity={editingEntity} sourceSystems={sourceSystems} onSave={handleSaveEntity} onTestConnection={testSourceConnection} onClose={() => setAdminModalOpen(false)} />}
+        {configImport && <ConfigImportModal configImport={configImport} onRun={runConfigImport} onClose={() => setConfigImport(null)} />}
+        {entityHistory && <EntityHistoryModal history={entityHistory} onDiff={showVersionDiff} onRollBack={rollBackEntity} onClose={() => setEntityHistory(null)} />}
     </div>
   );
 
-  const AdminModal = ({ entity, onSave, onClose }) => {
+  const AdminModal = ({ entity, sourceSystems, onSave, onTestConnection, onClose }) => {
     const [formData, setFormData] = useState(
-      entity || {
-        display_name: '',
-        entity_name: '',
-        source_of_system: 'SCM-BQ',
-        source_details: '{}'
-      }
+      entity
+        ? {
+            ...entity,
+            source_details: parseJsonField(entity.source_details),
+            change_note: '',
+            allowed_principals: (parseJsonField(entity.access_policy).allowed_principals || []).join(', '),
+            security_policies: JSON.stringify({
+              column_policies: parseJsonField(entity.access_policy).column_policies || [],
+              row_policies: parseJsonField(entity.access_policy).row_policies || []
+            }, null, 2)
+          }
+        : {
+            display_name: '',
+            entity_name: '',
+            source_of_system: sourceSystems.length > 0 ? sourceSystems[0].name : '',
+            source_details: {},
+            change_note: '',
+            allowed_principals: '',
+            security_policies: JSON.stringify({ column_policies: [], row_policies: [] }, null, 2)
+          }
     );
 
+    const [connectionTest, setConnectionTest] = useState(null); // { running } or { ok, message }
+    const sourceSystem = sourceSystems.find(system => system.name === formData.source_of_system);
+
     const handleChange = (e) => {
       const { name, value } = e.target;
       setFormData(prev => ({ ...prev, [name]: value }));
     };
 
+    // The fields differ per source system, so switching starts from scratch.
+    const handleSourceSystemChange = (e) => {
+      setFormData(prev => ({ ...prev, source_of_system: e.target.value, source_details: {} }));
+      setConnectionTest(null);
+    };
+
+    const handleSourceDetailsChange = (sourceDetails) => {
+      setFormData(prev => ({ ...prev, source_details: sourceDetails }));
+      setConnectionTest(null);
+    };
+
+    const handleTestConnection = async () => {
+      setConnectionTest({ running: true });
+      setConnectionTest(await onTestConnection(formData.source_of_system, cleanSourceDetails(formData.source_details) || {}));
+    };
+
     const handleSubmit = (e) => {
       e.preventDefault();
+      const parsedDetails = cleanSourceDetails(formData.source_details) || {};
+      let securityPolicies;
       try {
-        const parsedDetails = JSON.parse(formData.source_details);
-        onSave({...formData, source_details: parsedDetails });
+        securityPolicies = JSON.parse(formData.security_policies);
       } catch (error) {
-        alert("Source Details must be valid JSON.");
+        alert("Security Policies must be valid JSON.");
+        return;
       }
+      const { allowed_principals, security_policies, ...entityData } = formData;
+      const accessPolicy = {
+        ...parseJsonField(entity && entity.access_policy),
+        allowed_principals: allowed_principals.split(/[\s,]+/).filter(Boolean),
+        column_policies: securityPolicies.column_policies || [],
+        row_policies: securityPolicies.row_policies || []
+      };
+      onSave({...entityData, source_details: parsedDetails, access_policy: accessPolicy });
     };
 
     return (
       <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
-        <div className="bg-white rounded-lg shadow-2xl p-8 w-full max-w-2xl transform transition-all animate-fade-in-up">
+        <div className="bg-white rounded-lg shadow-2xl p-8 w-full max-w-2xl max-h-[90vh] overflow-y-auto transform transition-all animate-fade-in-up">
           <h3 className="text-2xl font-bold mb-6">{entity ? 'Edit Entity' : 'Create New Entity'}</h3>
           <form onSubmit={handleSubmit} className="space-y-4">
             <div>
@@ -395,14 +3110,39 @@ const App = () => {
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700">Source of System</label>
-              <select name="source_of_system" value={formData.source_of_system} onChange={handleChange} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md">
-                <option>SCM-BQ</option>
-                <option>SAP-BW</option>
+              <select name="source_of_system" value={formData.source_of_system} onChange={handleSourceSystemChange} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md">
+                {sourceSystems.map(system => <option key={system.name} value={system.name}>{system.name} - {system.title}</option>)}
+                {!sourceSystem && <option value={formData.source_of_system}>{formData.source_of_system}</option>}
               </select>
             </div>
+            <div className="border border-gray-200 rounded-md p-4 space-y-3">
+              <p className="text-sm font-medium text-gray-700">Source Details</p>
+              {sourceSystem
+                ? renderSchemaFields(sourceSystem.schema, formData.source_details, handleSourceDetailsChange)
+                : <p className="text-sm text-gray-500">{sourceSystems.length === 0 ? 'Loading the source systems...' : `${formData.source_of_system} is not a supported source system.`}</p>}
+              <div className="flex items-center gap-3 pt-1">
+                <button type="button" onClick={handleTestConnection} disabled={!sourceSystem || (connectionTest && connectionTest.running)} className="flex items-center bg-white border border-indigo-600 text-indigo-700 px-4 py-1.5 rounded-md text-sm hover:bg-indigo-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+                  {connectionTest && connectionTest.running && <Loader2 size={14} className="mr-2 animate-spin"/>} Test Connection
+                </button>
+                {connectionTest && !connectionTest.running && (
+                  <p className={`text-sm ${connectionTest.ok ? 'text-green-700' : 'text-red-700'}`}>{connectionTest.message}</p>
+                )}
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Allowed Users and Groups</label>
+              <textarea name="allowed_principals" rows="2" value={formData.allowed_principals} onChange={handleChange} placeholder="user:alice@example.com, group:finance@example.com" className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500 font-mono"></textarea>
+              <p className="mt-1 text-xs text-gray-500">Leave empty to let every authenticated user query this entity.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Security Policies (JSON)</label>
+              <textarea name="security_policies" rows="5" value={formData.security_policies} onChange={handleChange} className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500 font-mono"></textarea>
+              <p className="mt-1 text-xs text-gray-500">Column policies hide, hash or mask a column; row policies grant column values per user or group.</p>
+            </div>
             <div>
-              <label className="block text-sm font-medium text-gray-700">Source Details (JSON)</label>
-              <textarea name="source_details" rows="5" value={typeof formData.source_details === 'object' ? JSON.stringify(formData.source_details, null, 2) : formData.source_details} onChange={handleChange} required className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500 font-mono"></textarea>
+              <label className="block text-sm font-medium text-gray-700">Change Note</label>
+              <input type="text" name="change_note" value={formData.change_note} onChange={handleChange} maxLength={500} placeholder="What changed and why" className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500"/>
+              <p className="mt-1 text-xs text-gray-500">Kept with this version in the entity's history.</p>
             </div>
             <div className="flex justify-end space-x-4 pt-4">
               <button type="button" onClick={onClose} className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 transition-colors">Cancel</button>
@@ -414,30 +3154,663 @@ const App = () => {
     );
   };
 
-  const ResultsTable = () => (
-    <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
-        <h2 className="text-2xl font-bold text-gray-800 mb-5">Query Results</h2>
-        <div className="overflow-x-auto">
+  const SaveQueryModal = ({ savedQuery, onSave, onClose }) => {
+    const canUpdate = !!(savedQuery && savedQuery.is_owner);
+    const [formData, setFormData] = useState({
+      name: canUpdate ? savedQuery.name : '',
+      description: canUpdate ? savedQuery.description : '',
+      visibility: canUpdate ? savedQuery.visibility : 'private',
+      asNew: !canUpdate
+    });
+
+    const handleChange = (e) => {
+      const { name, value, type, checked } = e.target;
+      setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      onSave(formData);
+    };
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
+        <div className="bg-white rounded-lg shadow-2xl p-8 w-full max-w-lg transform transition-all animate-fade-in-up">
+          <h3 className="text-2xl font-bold mb-6">{canUpdate && !formData.asNew ? 'Update Saved Query' : 'Save Query'}</h3>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Name</label>
+              <input type="text" name="name" value={formData.name} onChange={handleChange} required maxLength={200} className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500"/>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Description</label>
+              <textarea name="description" rows="3" value={formData.description} onChange={handleChange} className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500"></textarea>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Visibility</label>
+              <select name="visibility" value={formData.visibility} onChange={handleChange} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md">
+                <option value="private">Private - only me</option>
+                <option value="shared">Shared - everyone who can access this entity</option>
+              </select>
+            </div>
+            {canUpdate && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="checkbox" name="asNew" checked={formData.asNew} onChange={handleChange} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"/>
+                <span>Save as a new query instead of updating "{savedQuery.name}"</span>
+              </label>
+            )}
+            <div className="flex justify-end space-x-4 pt-4">
+              <button type="button" onClick={onClose} className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 transition-colors">Cancel</button>
+              <button type="submit" className="bg-indigo-600 text-white px-5 py-2 rounded-md hover:bg-indigo-700 transition-colors">Save</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  };
+
+  const ScheduleModal = ({ schedule, targets, onSave, onClose }) => {
+    const [formData, setFormData] = useState({
+      name: schedule ? schedule.name : (savedQuery ? savedQuery.name : ''),
+      cron: schedule ? schedule.cron : SCHEDULE_PRESETS[0][0],
+      time_zone: schedule ? schedule.time_zone : Intl.DateTimeFormat().resolvedOptions().timeZone,
+      format: schedule ? schedule.format : 'csv',
+      target: schedule ? schedule.target : (targets[0] ? targets[0].name : ''),
+      recipients: schedule ? schedule.recipients.join(', ') : (currentUser ? currentUser.email : ''),
+      notify_on_failure: schedule ? schedule.notify_on_failure : true,
+      paused: schedule ? schedule.paused : false
+    });
+    const target = targets.find(t => t.name === formData.target);
+    const isEmail = !!target && target.type === 'smtp';
+    const preset = SCHEDULE_PRESETS.some(([cron]) => cron === formData.cron) ? formData.cron : 'custom';
+    const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+    const handleChange = (e) => {
+      const { name, value, type, checked } = e.target;
+      setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      onSave({
+        ...formData,
+        recipients: isEmail ? formData.recipients.split(/[\s,;]+/).filter(Boolean) : []
+      });
+    };
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
+        <div className="bg-white rounded-lg shadow-2xl p-8 w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all animate-fade-in-up">
+          <h3 className="text-2xl font-bold mb-2">{schedule ? 'Edit Schedule' : 'Schedule Query'}</h3>
+          <p className="text-sm text-gray-500 mb-6">
+            {schedule
+              ? <>Runs the query on <span className="font-mono">{schedule.entity_name}</span> as it was scheduled.</>
+              : 'Runs the query as it is in the builder, with your access, and delivers the whole result as a file.'}
+          </p>
+          {targets.length === 0 ? (
+            <p className="p-3 rounded-md bg-amber-50 border border-amber-200 text-sm text-amber-800">No delivery targets are configured. Ask an administrator to set up DELIVERY_TARGETS.</p>
+          ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Name</label>
+              <input type="text" name="name" value={formData.name} onChange={handleChange} required maxLength={200} className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500"/>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Runs</label>
+                <select value={preset} onChange={(e) => setFormData(prev => ({ ...prev, cron: e.target.value === 'custom' ? '' : e.target.value }))} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md">
+                  {SCHEDULE_PRESETS.map(([cron, label]) => <option key={cron} value={cron}>{label}</option>)}
+                  <option value="custom">Custom (cron expression)</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Cron expression</label>
+                <input type="text" name="cron" value={formData.cron} onChange={handleChange} required placeholder="0 7 * * 1-5" className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 font-mono focus:ring-indigo-500 focus:border-indigo-500"/>
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 -mt-2">Minute, hour, day of month, month and day of week, e.g. <span className="font-mono">30 6 * * MON</span> for Mondays at 06:30.</p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Time zone</label>
+              <input type="text" name="time_zone" list="schedule-time-zones" value={formData.time_zone} onChange={handleChange} required className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500"/>
+              <datalist id="schedule-time-zones">
+                {timeZones.map(zone => <option key={zone} value={zone}/>)}
+              </datalist>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Format</label>
+                <select name="format" value={formData.format} onChange={handleChange} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md">
+                  {SCHEDULE_FORMATS.map(([format, label]) => <option key={format} value={format}>{label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Deliver to</label>
+                <select name="target" value={formData.target} onChange={handleChange} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md">
+                  {targets.map(t => <option key={t.name} value={t.name}>{t.title}</option>)}
+                </select>
+              </div>
+            </div>
+            {isEmail && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Recipients</label>
+                <textarea name="recipients" rows="2" value={formData.recipients} onChange={handleChange} required placeholder="name@example.com, team@example.com" className="mt-1 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md py-2 px-3 focus:ring-indigo-500 focus:border-indigo-500"></textarea>
+              </div>
+            )}
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input type="checkbox" name="notify_on_failure" checked={formData.notify_on_failure} onChange={handleChange} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"/>
+              <span>Send a notice when a run fails</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input type="checkbox" name="paused" checked={formData.paused} onChange={handleChange} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"/>
+              <span>Paused</span>
+            </label>
+            <div className="flex justify-end space-x-4 pt-4">
+              <button type="button" onClick={onClose} className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 transition-colors">Cancel</button>
+              <button type="submit" disabled={isLoading} className="bg-indigo-600 text-white px-5 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors">{schedule ? 'Save' : 'Schedule'}</button>
+            </div>
+          </form>
+          )}
+          {targets.length === 0 && (
+            <div className="flex justify-end pt-6">
+              <button type="button" onClick={onClose} className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 transition-colors">Close</button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const EntityProfileModal = ({ entity, profile, onRefresh, onClose }) => {
+    const sampleColumns = profile.columns.map(c => c.name);
+    let basis = `${profile.rowCount.toLocaleString()} rows`;
+    if (profile.samplePercent !== null) {
+      basis = `a ~${profile.samplePercent}% sample (${profile.rowCount.toLocaleString()} rows) of ${profile.totalRows.toLocaleString()} rows`;
+    } else if (profile.sampled) {
+      basis = `the first ${profile.rowCount.toLocaleString()} of ${profile.totalRows.toLocaleString()} rows`;
+    }
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
+        <div className="bg-white rounded-lg shadow-2xl p-8 w-full max-w-6xl max-h-[85vh] flex flex-col transform transition-all animate-fade-in-up">
+          <div className="flex justify-between items-start mb-6">
+            <div>
+              <h3 className="text-2xl font-bold">Profile of {entity.display_name}</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Computed {new Date(profile.computedAt).toLocaleString()} from {basis}.
+                {profile.distinctApproximate && ' Distinct counts and frequent values are approximate.'}
+                {profile.cached && <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-sky-100 text-sky-800">Cached</span>}
+              </p>
+            </div>
+            <button onClick={onRefresh} disabled={isLoading} className="flex items-center px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors">
+              <RefreshCw size={16} className="mr-1.5"/> Recompute
+            </button>
+          </div>
+          <div className="overflow-y-auto space-y-8">
             <table className="min-w-full divide-y divide-gray-200">
-                <thead className="bg-gray-50">
-                    <tr>
-                        {results && results.length > 0 && Object.keys(results[0]).map(key => (
-                            <th key={key} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{key.replace(/_/g, ' ')}</th>
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Column', 'Nulls', 'Distinct', 'Min', 'Max', 'Most frequent'].map(heading => (
+                    <th key={heading} scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {profile.columns.map(column => (
+                  <tr key={column.name} className="align-top">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      <div className="font-mono text-gray-900">{column.name}</div>
+                      <div className="text-xs text-gray-500">{column.data_type}{column.masking && ` · ${column.masking}ed, only counts shown`}</div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                      {column.nullPercent === null ? '-' : (
+                        <div className="flex items-center space-x-2">
+                          <div className="w-16 h-2 bg-gray-100 rounded-full overflow-hidden">
+                            <div className="h-full bg-amber-400" style={{ width: `${column.nullPercent}%` }}/>
+                          </div>
+                          <span>{column.nullPercent.toFixed(1)}%</span>
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700 text-right">
+                      {column.distinctCount === null ? '-' : `${profile.distinctApproximate ? '~' : ''}${column.distinctCount.toLocaleString()}`}
+                    </td>
+                    <td className="px-4 py-3 text-sm font-mono text-gray-700 max-w-[12rem] truncate" title={cellText(column.min)}>{column.min === null ? '-' : cellText(column.min)}</td>
+                    <td className="px-4 py-3 text-sm font-mono text-gray-700 max-w-[12rem] truncate" title={cellText(column.max)}>{column.max === null ? '-' : cellText(column.max)}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="flex flex-wrap gap-1">
+                        {column.topValues.map(top => (
+                          <span key={cellText(top.value)} className="px-2 py-0.5 text-xs font-mono bg-indigo-50 text-indigo-800 rounded-full">
+                            {cellText(top.value)} <span className="text-indigo-400">×{top.count.toLocaleString()}</span>
+                          </span>
                         ))}
-                    </tr>
-                </thead>
-                <tbody className="bg-white divide-y divide-gray-200">
-                    {results && results.map((row, index) => (
-                        <tr key={index} className="hover:bg-gray-50/70">
-                            {Object.values(row).map((value, i) => (
-                                <td key={i} className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{typeof value === 'object' ? JSON.stringify(value) : String(value)}</td>
-                            ))}
-                        </tr>
-                    ))}
-                </tbody>
+                        {column.topValues.length === 0 && <span className="text-gray-400">-</span>}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
             </table>
-            {results && results.length === 0 && <p className="text-center py-8 text-gray-500">No results found for your query.</p>}
+            <div>
+              <h4 className="text-lg font-semibold text-gray-800 mb-3">Sample rows</h4>
+              {profile.sample.length === 0 ? <p className="text-sm text-gray-500">No rows to show.</p> : (
+                <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {sampleColumns.map(name => <th key={name} scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{name}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {profile.sample.map((row, i) => (
+                        <tr key={i}>
+                          {sampleColumns.map(name => <td key={name} className="px-3 py-2 whitespace-nowrap text-sm font-mono text-gray-700">{cellText(row[name])}</td>)}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="flex justify-end pt-6">
+            <button type="button" onClick={onClose} className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 transition-colors">Close</button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const ScheduleRunsModal = ({ schedule, runs, onRefresh, onClose }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-8 w-full max-w-4xl max-h-[80vh] flex flex-col transform transition-all animate-fade-in-up">
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-2xl font-bold">Runs of "{schedule.name}"</h3>
+          <button onClick={onRefresh} disabled={isLoading} className="flex items-center px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors">
+            <RefreshCw size={16} className="mr-1.5"/> Refresh
+          </button>
+        </div>
+        <div className="overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Started', 'Trigger', 'Status', 'Rows', 'Duration', 'File'].map(heading => (
+                  <th key={heading} scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {runs.map(run => (
+                <tr key={run.id} className="align-top">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{new Date(run.started_at).toLocaleString()}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{run.trigger === 'manual' ? 'Run now' : 'Scheduled'}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${RUN_STATUS_STYLES[run.status] || 'bg-gray-100 text-gray-700'}`}>{run.status}</span>
+                    {run.error_message && <div className="mt-1 text-xs text-gray-500 max-w-xs whitespace-normal">{run.error_message}</div>}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700 text-right">
+                    {run.row_count ?? '-'}
+                    {run.total_rows !== null && run.total_rows !== run.row_count && <span className="text-gray-400"> / {run.total_rows}</span>}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700 text-right">
+                    {run.finished_at ? `${((new Date(run.finished_at) - new Date(run.started_at)) / 1000).toFixed(1)} s` : '-'}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 font-mono">{run.file_name || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {runs.length === 0 && <p className="text-center py-8 text-gray-500">This schedule has not run yet.</p>}
+        </div>
+        <div className="flex justify-end pt-6">
+          <button type="button" onClick={onClose} className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 transition-colors">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+
+  const EntityHistoryModal = ({ history, onDiff, onRollBack, onClose }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-8 w-full max-w-4xl max-h-[80vh] flex flex-col transform transition-all animate-fade-in-up">
+        <h3 className="text-2xl font-bold mb-6">History of <span className="font-mono">{history.entity_name}</span></h3>
+        <div className="overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Version', 'Change', 'Author', 'Time', 'Note', ''].map(label => (
+                  <th key={label} scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {history.versions.map((version, index) => (
+                <tr key={version.version} className={history.diff && history.diff.to === version.version ? 'bg-indigo-50' : ''}>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{version.version}{index === 0 && version.action !== 'delete' ? ' (current)' : ''}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{version.action}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{version.author}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{version.timestamp ? new Date(version.timestamp).toLocaleString() : '-'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{version.change_note || '-'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium">
+                    <div className="flex items-center justify-end space-x-4">
+                      {index < history.versions.length - 1 && (
+                        <button onClick={() => onDiff(version.version)} className="text-indigo-600 hover:text-indigo-900 transition-colors">Changes</button>
+                      )}
+                      {index > 0 && version.action !== 'delete' && (
+                        <button onClick={() => onRollBack(version.version)} className="text-amber-700 hover:text-amber-900 transition-colors">Roll back</button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {history.diff && (
+            <div className="mt-6">
+              <h4 className="text-lg font-semibold text-gray-800 mb-2">Changes from version {history.diff.from} to {history.diff.to}</h4>
+              {history.diff.changes.length === 0 ? (
+                <p className="text-sm text-gray-500">No configuration changes.</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {history.diff.changes.map(change => (
+                    <li key={change.path} className="p-3 bg-gray-50 rounded-md border border-gray-200">
+                      <p className="font-mono font-semibold text-gray-800">{change.path}</p>
+                      <p className="font-mono text-red-700 break-all">- {JSON.stringify(change.from)}</p>
+                      <p className="font-mono text-green-700 break-all">+ {JSON.stringify(change.to)}</p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+        <div className="flex justify-end pt-6">
+          <button type="button" onClick={onClose} className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 transition-colors">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+
+  const ConfigImportModal = ({ configImport, onRun, onClose }) => {
+    const { fileName, conflict, report, running, done } = configImport;
+    const canImport = !running && !done && report && !report.error && (report.summary.create + report.summary.update) > 0;
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
+        <div className="bg-white rounded-lg shadow-2xl p-8 w-full max-w-3xl max-h-[80vh] flex flex-col transform transition-all animate-fade-in-up">
+          <h3 className="text-2xl font-bold mb-2">Import Entities</h3>
+          <p className="text-sm text-gray-600 mb-4 font-mono">{fileName}</p>
+          <div className="flex items-center space-x-2 mb-4">
+            <label className="text-sm font-medium text-gray-700">Existing entities with a different configuration:</label>
+            <select
+              value={conflict}
+              disabled={running || done}
+              onChange={e => onRun({ ...configImport, conflict: e.target.value }, true)}
+              className="pl-3 pr-8 py-1.5 text-sm border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 rounded-md"
+            >
+              <option value="fail">Stop the import</option>
+              <option value="skip">Skip them</option>
+              <option value="overwrite">Overwrite them</option>
+            </select>
+          </div>
+          {running && <p className="flex items-center text-sm text-gray-600"><Loader2 size={16} className="mr-2 animate-spin"/> Checking the bundle...</p>}
+          {report && !running && (
+            <div className="overflow-y-auto">
+              {report.error && <p className="flex items-center text-sm text-red-700 mb-3"><AlertTriangle size={16} className="mr-2 flex-shrink-0"/> {report.error}</p>}
+              {done && <p className="text-sm text-green-700 mb-3">Imported: {report.summary.create} created, {report.summary.update} updated, {report.summary.skip} skipped.</p>}
+              {!done && report.summary && !report.error && (
+                <p className="text-sm text-gray-700 mb-3">Importing will create {report.summary.create}, update {report.summary.update} and skip {report.summary.skip} entities.</p>
+              )}
+              {report.results && (
+                <ul className="divide-y divide-gray-200 text-sm">
+                  {report.results.map((result, index) => (
+                    <li key={`${result.entity_name}-${index}`} className="flex items-center justify-between gap-4 py-2">
+                      <span className="font-mono text-gray-900">{result.entity_name}</span>
+                      <span className="flex items-center gap-3 text-right">
+                        {(result.error || result.reason) && <span className={result.error ? 'text-red-700' : 'text-gray-500'}>{result.error || result.reason}</span>}
+                        <span className={`px-2.5 py-0.5 text-xs font-semibold rounded-full ${IMPORT_ACTION_STYLES[result.action]}`}>{result.action}</span>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+          <div className="flex justify-end space-x-4 pt-6">
+            <button type="button" onClick={onClose} className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 transition-colors">{done ? 'Close' : 'Cancel'}</button>
+            {!done && (
+              <button type="button" onClick={() => onRun(configImport, false)} disabled={!canImport} className="bg-indigo-600 text-white px-5 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors">Import</button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const SavedQueriesModal = ({ savedQueries, onOpen, onDelete, onClose }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-8 w-full max-w-3xl max-h-[80vh] flex flex-col transform transition-all animate-fade-in-up">
+        <h3 className="text-2xl font-bold mb-6">Open Saved Query</h3>
+        <div className="overflow-y-auto divide-y divide-gray-200">
+          {savedQueries.map(saved => (
+            <div key={saved.id} className="flex justify-between items-start gap-4 py-3">
+              <button onClick={() => onOpen(saved.id)} className="text-left min-w-0 flex-1 group">
+                <p className="font-semibold text-gray-900 group-hover:text-indigo-600 transition-colors">{saved.name}</p>
+                {saved.description && <p className="text-sm text-gray-600 truncate">{saved.description}</p>}
+                <p className="text-xs text-gray-500 mt-0.5">
+                  <span className="font-mono">{saved.entity_name}</span> · {saved.visibility === 'shared' ? 'Shared' : 'Private'}{saved.is_owner ? '' : ` · by ${saved.owner}`}
+                </p>
+                {saved.issues.length > 0 && (
+                  <p className="flex items-center text-xs text-amber-700 mt-1"><AlertTriangle size={14} className="mr-1"/> {saved.issues[0].message}</p>
+                )}
+              </button>
+              {(saved.is_owner || isAdmin) && (
+                <button onClick={() => onDelete(saved)} className="text-red-600 hover:text-red-900 flex items-center text-sm transition-colors"><Trash2 size={16} className="mr-1"/> Delete</button>
+              )}
+            </div>
+          ))}
+          {savedQueries.length === 0 && <p className="text-center py-8 text-gray-500">No saved queries yet.</p>}
+        </div>
+        <div className="flex justify-end pt-6">
+          <button type="button" onClick={onClose} className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 transition-colors">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+
+  // The result columns in the order the query lists them, and their types.
+  const resultColumns = results ? resultColumnNames(activeQuery && activeQuery.query, results) : [];
+  const resultTypes = resultColumnTypes(activeQuery && activeQuery.query, columns, joinColumns);
+
+  // The visualization as shown for the current results, with defaults filled in.
+  const shownVisualization = visualization && visualization.type !== 'table' && results && results.length > 0
+    ? completeVisualization(visualization, results, resultColumns)
+    : null;
+
+  const updateVisualization = (changes) => setVisualization({ ...shownVisualization, ...changes });
+
+  // Settings and the chart or pivot table for the rows on the current page.
+  const VisualizationPanel = () => {
+    const names = resultColumns;
+    const numeric = numericResultColumns(results, names);
+    const { type, dimension, measures, pivotColumn, aggregate } = shownVisualization;
+    const singleMeasure = type === 'pie' || type === 'pivot';
+    const categoryCount = new Set(results.map(row => categoryLabel(row[dimension]))).size;
+    const fileName = (savedQuery ? savedQuery.name : selectedEntity.entity_name).replace(/[^\w-]+/g, '_');
+    const selectClass = 'mt-1 block w-full pl-3 pr-8 py-1.5 text-sm border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 rounded-md';
+    return (
+      <div className="flex flex-col lg:flex-row gap-6 mb-6 pb-6 border-b border-gray-200">
+        <div className="lg:w-60 flex-shrink-0 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">{type === 'pie' ? 'Slices' : type === 'pivot' ? 'Rows' : 'Categories'}</label>
+            <select value={dimension || ''} onChange={e => updateVisualization({ dimension: e.target.value })} className={selectClass}>
+              {names.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </div>
+          {type === 'pivot' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Columns</label>
+              <select value={pivotColumn || ''} onChange={e => updateVisualization({ pivotColumn: e.target.value || null })} className={selectClass}>
+                <option value="">(none)</option>
+                {names.filter(name => name !== dimension).map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700">{singleMeasure ? 'Measure' : 'Measures'}</label>
+            {numeric.length === 0 ? (
+              <p className="mt-1 text-sm text-gray-500">These results have no numeric columns.</p>
+            ) : singleMeasure ? (
+              <select value={measures[0] || ''} onChange={e => updateVisualization({ measures: [e.target.value] })} className={selectClass}>
+                {numeric.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            ) : (
+              <div className="mt-1 space-y-1 max-h-40 overflow-y-auto">
+                {numeric.map(name => (
+                  <label key={name} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={measures.includes(name)}
+                      onChange={() => updateVisualization({ measures: measures.includes(name) ? measures.filter(m => m !== name) : [...measures, name] })}
+                      className="h-4 w-4 mr-2 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                    />
+                    {name}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Combine rows with</label>
+            <select value={aggregate} onChange={e => updateVisualization({ aggregate: e.target.value })} className={selectClass}>
+              {VISUALIZATION_AGGREGATES.map(fn => <option key={fn} value={fn}>{fn}</option>)}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">Applies to rows with the same {type === 'pivot' ? 'row and column' : 'category'}.</p>
+          </div>
+          {type !== 'pivot' && (
+            <div className="flex space-x-2">
+              {['png', 'svg'].map(format => (
+                <button
+                  key={format}
+                  onClick={() => chartRef.current && downloadChart(chartRef.current, format, `${fileName}_${type}`)}
+                  className="flex items-center px-3 py-1.5 text-sm font-medium rounded-md bg-teal-50 text-teal-700 hover:bg-teal-100 transition-colors"
+                >
+                  <Download size={16} className="mr-1.5"/> {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+          {pageInfo && pageInfo.totalRows > results.length && (
+            <p className="text-xs text-gray-500">Shows the {results.length.toLocaleString()} rows on this page. Group the query to chart all of them.</p>
+          )}
+        </div>
+        <div className="flex-1 min-w-0">
+          {type === 'pivot' ? renderPivotTable(shownVisualization, results) : renderChart(shownVisualization, results, chartRef)}
+          {type !== 'pivot' && categoryCount > MAX_CHART_CATEGORIES && (
+            <p className="mt-2 text-xs text-gray-500">Showing the first {MAX_CHART_CATEGORIES} of {categoryCount.toLocaleString()} categories.</p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const ResultsTable = () => (
+    <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-200/80">
+        <div className="flex justify-between items-center mb-5">
+            <div className="flex items-center space-x-3">
+              <h2 className="text-2xl font-bold text-gray-800">Query Results</h2>
+              {pageInfo && activeQuery && (
+                <>
+                  {pageInfo.cached && (
+                    <span className="px-2.5 py-0.5 text-xs font-semibold rounded-full bg-sky-100 text-sky-800">
+                      Cached, {formatAge(pageInfo.cacheAgeSeconds)} old
+                    </span>
+                  )}
+                  {pageInfo.truncated && (
+                    <span title="Add filters to join fewer rows. A join this large cannot be sorted." className="px-2.5 py-0.5 text-xs font-semibold rounded-full bg-amber-100 text-amber-800">
+                      Join cut off at {pageInfo.totalRows.toLocaleString()} rows
+                    </span>
+                  )}
+                  <button
+                    onClick={refreshResults}
+                    disabled={isLoading || !!runningJob}
+                    title="Run the query again instead of using cached results"
+                    className="flex items-center px-2.5 py-1 text-sm font-medium rounded-md text-indigo-600 hover:bg-indigo-50 disabled:opacity-50 transition-colors"
+                  >
+                    <RefreshCw size={14} className="mr-1"/> Refresh
+                  </button>
+                </>
+              )}
+            </div>
+            {results && results.length > 0 && (
+              <div className="flex items-center space-x-2">
+                <span className="text-sm text-gray-500 mr-1">Download all rows:</span>
+                {[['csv', 'CSV'], ['xlsx', 'Excel'], ['jsonl', 'JSON Lines']].map(([format, label]) => (
+                  <button
+                    key={format}
+                    onClick={() => exportResults(format)}
+                    disabled={!!exportingFormat}
+                    className="flex items-center px-3 py-1.5 text-sm font-medium rounded-md bg-teal-50 text-teal-700 hover:bg-teal-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Download size={16} className="mr-1.5"/> {exportingFormat === format ? 'Preparing...' : label}
+                  </button>
+                ))}
+              </div>
+            )}
         </div>
+        {results && results.length > 0 && (
+          <div className="flex items-center space-x-1 mb-5">
+            <span className="text-sm text-gray-500 mr-2">View:</span>
+            {VISUALIZATION_TYPES.map(([type, label]) => (
+              <button
+                key={type}
+                onClick={() => setVisualization({ ...(visualization || {}), type })}
+                className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${(visualization ? visualization.type : 'table') === type ? 'bg-indigo-100 text-indigo-700' : 'text-gray-500 hover:bg-gray-100'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+        {shownVisualization && VisualizationPanel()}
+        {results && results.length > 0 && (
+          <ResultsGrid
+            key={resultColumns.join('\n')}
+            rows={results}
+            columns={resultColumns}
+            types={resultTypes}
+            offset={pageInfo ? pageInfo.offset : 0}
+          />
+        )}
+        {results && results.length === 0 && <p className="text-center py-8 text-gray-500">No results found for your query.</p>}
+        {pageInfo && pageInfo.totalRows > 0 && (
+          <div className="flex flex-col md:flex-row justify-between items-center gap-4 pt-5 mt-2 border-t border-gray-200">
+            <p className="text-sm text-gray-600">
+              Showing rows <span className="font-semibold">{(pageInfo.offset + 1).toLocaleString()}</span>–<span className="font-semibold">{(pageInfo.offset + results.length).toLocaleString()}</span> of <span className="font-semibold">{Number(pageInfo.totalRows).toLocaleString()}</span>
+            </p>
+            <div className="flex items-center space-x-3">
+              <label className="text-sm text-gray-600">Rows per page</label>
+              <select
+                value={pageSize}
+                onChange={e => handlePageSizeChange(Number(e.target.value))}
+                disabled={isLoading}
+                className="block pl-3 pr-8 py-1.5 text-sm border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 rounded-md"
+              >
+                {[100, 500, 1000, 5000].map(size => <option key={size} value={size}>{size}</option>)}
+              </select>
+              <button
+                onClick={() => goToPage(pageInfo.index - 1)}
+                disabled={isLoading || pageInfo.index === 0}
+                className="flex items-center px-3 py-1.5 text-sm font-medium rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <ChevronLeft size={16} className="mr-1"/> Previous
+              </button>
+              <button
+                onClick={() => goToPage(pageInfo.index + 1)}
+                disabled={isLoading || !pageInfo.nextPageToken}
+                className="flex items-center px-3 py-1.5 text-sm font-medium rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Next <ChevronRight size={16} className="ml-1"/>
+              </button>
+            </div>
+          </div>
+        )}
     </div>
 );
   return (
@@ -458,13 +3831,13 @@ const App = () => {
                       <h1 className="text-2xl font-bold text-gray-800">Hybrid Data Explorer</h1>
                   </div>
                   <div className="flex items-center space-x-4">
-                      {/* User Info - This would be dynamically populated via IAP headers in a real app */}
+                      {/* User Info - resolved by the backend from the IAP headers */}
                       <div className="text-right">
-                        <div className="text-sm font-medium text-gray-700">user@example.com</div>
-                        <div className="text-xs text-gray-500">Authenticated User</div>
+                        <div className="text-sm font-medium text-gray-700">{currentUser ? currentUser.email : '…'}</div>
+                        <div className="text-xs text-gray-500">{isAdmin ? 'Administrator' : 'Authenticated User'}</div>
                       </div>
                       <div className="h-10 w-10 rounded-full bg-gradient-to-br from-indigo-200 to-blue-200 flex items-center justify-center text-indigo-700 font-bold text-lg">
-                         U
+                         {currentUser ? currentUser.email.charAt(0).toUpperCase() : 'U'}
                       </div>
                   </div>
               </div>
@@ -472,16 +3845,36 @@ const App = () => {
                   <button onClick={() => setView('query')} className={`px-3 py-2 font-medium text-sm rounded-md transition-colors ${view === 'query' ? 'bg-indigo-100 text-indigo-700' : 'text-gray-500 hover:bg-gray-100'}`}>
                       Query Builder
                   </button>
-                  <button onClick={() => setView('admin')} className={`px-3 py-2 font-medium text-sm rounded-md transition-colors ${view === 'admin' ? 'bg-indigo-100 text-indigo-700' : 'text-gray-500 hover:bg-gray-100'}`}>
-                      Admin
+                  <button onClick={showSchedules} className={`px-3 py-2 font-medium text-sm rounded-md transition-colors ${view === 'schedules' ? 'bg-indigo-100 text-indigo-700' : 'text-gray-500 hover:bg-gray-100'}`}>
+                      Schedules
                   </button>
+                  {isAdmin && (
+                    <button onClick={() => setView('admin')} className={`px-3 py-2 font-medium text-sm rounded-md transition-colors ${view === 'admin' ? 'bg-indigo-100 text-indigo-700' : 'text-gray-500 hover:bg-gray-100'}`}>
+                        Admin
+                    </button>
+                  )}
               </nav>
           </div>
         </header>
         <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-          {view === 'query' ? <QueryBuilder /> : <AdminView />}
+          {/* Called as functions rather than mounted as components so that inputs keep focus between re-renders. */}
+          {view === 'admin' && isAdmin ? AdminView() : view === 'schedules' ? SchedulesView() : QueryBuilder()}
+          {slowDown && (
+            <div className="mt-6 p-4 flex items-start gap-3 bg-amber-50 text-amber-800 rounded-lg shadow-md border border-amber-200">
+              <Clock className="h-5 w-5 mt-0.5 flex-shrink-0"/>
+              <div>
+                <p className="font-semibold">Slow down a little</p>
+                <p className="text-sm">{slowDown.message}</p>
+                <p className="text-xs mt-1">This notice goes away once you can run queries again, in about {slowDown.retryAfterSeconds} seconds.</p>
+              </div>
+            </div>
+          )}
           {error && <div className="mt-6 p-4 bg-red-100 text-red-800 rounded-lg shadow-md border border-red-200">{error}</div>}
-          {results && view === 'query' && <div className="mt-8"><ResultsTable /></div>}
+          {results && view === 'query' && <div className="mt-8">{ResultsTable()}</div>}
+          {saveDialogOpen && <SaveQueryModal savedQuery={savedQuery} onSave={handleSaveQuery} onClose={() => setSaveDialogOpen(false)} />}
+          {scheduleDialog && <ScheduleModal schedule={scheduleDialog.schedule} targets={deliveryTargets} onSave={handleSaveSchedule} onClose={() => setScheduleDialog(null)} />}
+          {entityProfile && <EntityProfileModal entity={entityProfile.entity} profile={entityProfile.profile} onRefresh={() => showEntityProfile(entityProfile.entity, true)} onClose={() => setEntityProfile(null)} />}
+          {openDialogOpen && <SavedQueriesModal savedQueries={savedQueries} onOpen={openSavedQuery} onDelete={handleDeleteSavedQuery} onClose={() => setOpenDialogOpen(false)} />}
         </main>
       </div>
   );